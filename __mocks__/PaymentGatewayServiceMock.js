@@ -5,12 +5,23 @@ export default class PaymentGatewayServiceMock {
     this.schedules = new Map();
     this.tokens = new Map();
     this.webhooks = [];
+    this.webhookJobs = new Map();
     this.verifications = [];
     this.grants = [];
     this.denials = [];
     this.resume = [];
     this.downgrades = [];
     this.orderHistory = new Map();
+    this.idempotency = new Map();
+    this.authorizations = new Map();
+    this.refundLedgers = new Map();
+    this.refunds = [];
+    this.pendingPayments = new Map();
+    this.entitlements = new Map();
+    this.events = new Map();
+    this.disputes = new Map();
+    this.riskDecisions = new Map();
+    this.riskProfiles = new Map();
   }
 
   // sessions
@@ -20,11 +31,45 @@ export default class PaymentGatewayServiceMock {
     else this.sessions.push(s);
     return s;
   }
+  async updateSession(pk, sk, updates) {
+    const i = this.sessions.findIndex((s) => s.pk === pk && s.sk === sk);
+    if (i >= 0) this.sessions[i] = { ...this.sessions[i], ...updates };
+  }
+  async getSessionByCheckoutId(checkoutId) {
+    return this.sessions.find((s) => s.checkoutId === checkoutId) || null;
+  }
   async getSessionsBy(key, val) {
     return this.sessions.filter((s) => s[key] === val);
   }
-  async deleteSession(id) {
-    const i = this.sessions.findIndex((s) => s.id === id);
+  async getSessionsByStatus(
+    status,
+    { createdAfter, createdBefore, limit = 100, cursor = null } = {}
+  ) {
+    // Index order, resumed after the cursor's position like ExclusiveStartKey
+    const order = (s) => `${s.created_at}#${s.pk}#${s.sk}`;
+    const matching = this.sessions
+      .filter(
+        (s) =>
+          s.statusGSI === `status#${status}` &&
+          (!createdAfter || s.created_at >= createdAfter) &&
+          (!createdBefore || s.created_at <= createdBefore) &&
+          (!cursor || order(s) > order(cursor))
+      )
+      .sort((a, b) => order(a).localeCompare(order(b)));
+    const items = matching.slice(0, limit);
+    const last = items.at(-1);
+    return {
+      items,
+      cursor:
+        matching.length > limit
+          ? { created_at: last.created_at, pk: last.pk, sk: last.sk }
+          : null,
+    };
+  }
+  async deleteSession(idOrPk, sk) {
+    const i = this.sessions.findIndex((s) =>
+      sk ? s.pk === idOrPk && s.sk === sk : s.id === idOrPk
+    );
     if (i >= 0) this.sessions.splice(i, 1);
     return true;
   }
@@ -61,6 +106,9 @@ export default class PaymentGatewayServiceMock {
       s.scheduleId || s.subscriptionId || `S-${this.schedules.size + 1}`;
     this.schedules.set(id, { ...s, scheduleId: id });
   }
+  async getSchedule(id) {
+    return this.schedules.get(id) || null;
+  }
   async cancelSchedule(id) {
     if (this.schedules.has(id)) {
       const s = this.schedules.get(id);
@@ -76,6 +124,9 @@ export default class PaymentGatewayServiceMock {
   }
 
   // tokens
+  async getToken(id) {
+    return this.tokens.get(id) || null;
+  }
   async saveToken(t) {
     this.tokens.set(t.id, t);
   }
@@ -100,10 +151,222 @@ export default class PaymentGatewayServiceMock {
   async saveWebhook(w) {
     this.webhooks.push(w);
   }
+  async saveWebhookReceipt(w, jobs) {
+    this.webhooks.push(w);
+    for (const job of jobs) {
+      this.webhookJobs.set(`${job.webhookId}#${job.seq}`, { ...job });
+    }
+  }
+  async updateWebhook(pk, sk, updates) {
+    const w = this.webhooks.find((x) => x.pk === pk && x.sk === sk);
+    if (w) Object.assign(w, updates);
+  }
+  async getWebhooksReceivedBetween(from, to, limit = 500) {
+    return this.webhooks
+      .filter((w) => w.receivedAt >= from && w.receivedAt <= to)
+      .sort((a, b) => a.receivedAt - b.receivedAt)
+      .slice(0, limit);
+  }
+  async getWebhookJobs(webhookId) {
+    return [...this.webhookJobs.values()]
+      .filter((j) => j.webhookId === webhookId)
+      .sort((a, b) => a.seq - b.seq);
+  }
+  async updateWebhookJob(webhookId, seq, updates) {
+    const key = `${webhookId}#${seq}`;
+    this.webhookJobs.set(key, { ...this.webhookJobs.get(key), ...updates });
+  }
+  async claimWebhookJob(webhookId, seq, expectedNextAttemptAt, leaseUntil) {
+    const key = `${webhookId}#${seq}`;
+    const job = this.webhookJobs.get(key);
+    if (
+      job?.status !== "pending" ||
+      job.nextAttemptAt !== expectedNextAttemptAt
+    )
+      return false;
+    this.webhookJobs.set(key, { ...job, nextAttemptAt: leaseUntil });
+    return true;
+  }
+  async getWebhookJobsDue(ts, limit = 100) {
+    return [...this.webhookJobs.values()]
+      .filter((j) => j.statusGSI === "status#pending" && j.nextAttemptAt <= ts)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+  }
+  async getWebhookJobsByStatus(status, limit = 100) {
+    return [...this.webhookJobs.values()]
+      .filter((j) => j.statusGSI === `status#${status}`)
+      .slice(0, limit);
+  }
   async saveVerification(v) {
     this.verifications.push(v);
   }
 
+  // idempotency
+  async getIdempotencyRecord(key) {
+    return this.idempotency.get(key) || null;
+  }
+  async createIdempotencyRecord(r, replacesCreatedAt = null) {
+    const current = this.idempotency.get(r.idempotencyKey);
+    if (current && current.createdAt !== replacesCreatedAt) return false;
+    this.idempotency.set(r.idempotencyKey, r);
+    return true;
+  }
+  async updateIdempotencyRecord(key, updates) {
+    this.idempotency.set(key, {
+      ...(this.idempotency.get(key) || {}),
+      ...updates,
+    });
+  }
+  async deleteIdempotencyRecord(key) {
+    this.idempotency.delete(key);
+  }
+
+  // authorization ledger
+  async getAuthorization(paymentId) {
+    return this.authorizations.get(paymentId) || null;
+  }
+  async saveAuthorization(a, expectedVersion) {
+    const current = this.authorizations.get(a.paymentId);
+    if ((current?.version ?? null) !== expectedVersion) return false;
+    this.authorizations.set(a.paymentId, a);
+    return true;
+  }
+  async updateAuthorization(paymentId, updates) {
+    this.authorizations.set(paymentId, {
+      ...(this.authorizations.get(paymentId) || {}),
+      ...updates,
+    });
+  }
+  async getAuthorizationsExpiringBefore(ts, limit = 100) {
+    return [...this.authorizations.values()]
+      .filter((a) => a.statusGSI === "status#open" && a.expiresAt <= ts)
+      .sort((a, b) => a.expiresAt - b.expiresAt)
+      .slice(0, limit);
+  }
+
+  // refund ledger
+  async getRefundLedger(paymentId) {
+    return this.refundLedgers.get(paymentId) || null;
+  }
+  async saveRefundLedger(l, expectedVersion) {
+    const current = this.refundLedgers.get(l.paymentId);
+    if ((current?.version ?? null) !== expectedVersion) return false;
+    this.refundLedgers.set(l.paymentId, l);
+    return true;
+  }
+  async updateRefundLedger(paymentId, updates) {
+    this.refundLedgers.set(paymentId, {
+      ...(this.refundLedgers.get(paymentId) || {}),
+      ...updates,
+    });
+  }
+  async saveRefund(r) {
+    this.refunds.push(r);
+  }
+  async getRefunds(paymentId) {
+    return this.refunds.filter((r) => r.paymentId === paymentId);
+  }
+
+  // pending payments
+  async getPendingPayment(id) {
+    return this.pendingPayments.get(id) || null;
+  }
+  async savePendingPayment(p) {
+    this.pendingPayments.set(p.id, p);
+  }
+  async updatePendingPayment(id, updates) {
+    this.pendingPayments.set(id, {
+      ...(this.pendingPayments.get(id) || {}),
+      ...updates,
+    });
+  }
+  async getPendingPaymentsDue(ts, limit = 100) {
+    return [...this.pendingPayments.values()]
+      .filter((p) => p.statusGSI === "status#pending" && p.nextCheckAt <= ts)
+      .sort((a, b) => a.nextCheckAt - b.nextCheckAt)
+      .slice(0, limit);
+  }
+
+  // entitlement ledger
+  async getEntitlement(gatewayTxnId) {
+    return this.entitlements.get(gatewayTxnId) || null;
+  }
+  async saveEntitlement(e, expectedVersion) {
+    const current = this.entitlements.get(e.gatewayTxnId);
+    if ((current?.version ?? null) !== expectedVersion) return false;
+    this.entitlements.set(e.gatewayTxnId, e);
+    return true;
+  }
+
+  // disputes
+  async getDispute(disputeId) {
+    return this.disputes.get(disputeId) || null;
+  }
+  async saveDispute(d, expectedVersion) {
+    const current = this.disputes.get(d.disputeId);
+    if ((current?.version ?? null) !== expectedVersion) return false;
+    this.disputes.set(d.disputeId, d);
+    return true;
+  }
+  async getDisputesByPayment(paymentId) {
+    return [...this.disputes.values()].filter((d) => d.paymentId === paymentId);
+  }
+  async getOpenDisputesByUser(userId) {
+    return [...this.disputes.values()].filter(
+      (d) => d.userId === userId && d.statusGSI === "status#open"
+    );
+  }
+  async getOpenDisputesBetween(from, to, limit = 500) {
+    return [...this.disputes.values()]
+      .filter(
+        (d) =>
+          d.statusGSI === "status#open" &&
+          d.openedAt >= from &&
+          d.openedAt <= to
+      )
+      .sort((a, b) => a.openedAt - b.openedAt)
+      .slice(0, limit);
+  }
+  async getDisputesByUser(userId) {
+    return [...this.disputes.values()].filter((d) => d.userId === userId);
+  }
+
+  // risk
+  async saveRiskDecision(d) {
+    this.riskDecisions.set(d.decisionId, d);
+    return d;
+  }
+  async getRiskDecisionsSince(by, value, since) {
+    const field = { user: "userId", card: "cardHash", ip: "ip" }[by];
+    return [...this.riskDecisions.values()]
+      .filter((d) => d[field] === value && d.createdAt >= since)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+  async getRiskProfile(userId) {
+    return this.riskProfiles.get(userId) || null;
+  }
+  async saveRiskProfile(p) {
+    this.riskProfiles.set(p.userId, p);
+    return p;
+  }
+
+  // event outbox
+  async createEvent(e) {
+    if (this.events.has(e.key)) return false;
+    this.events.set(e.key, e);
+    return true;
+  }
+  async updateEvent(key, updates) {
+    this.events.set(key, { ...(this.events.get(key) || {}), ...updates });
+  }
+  async getEventsDue(ts, limit = 100) {
+    return [...this.events.values()]
+      .filter((e) => e.statusGSI === "status#pending" && e.nextAttemptAt <= ts)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+  }
+
   async getOrderHistory(orderId) {
     return (
       this.orderHistory.get(orderId) || {
@@ -3,7 +3,7 @@ import { EventEmitter } from "events";
 
 let rules = [];
 
-function respond({ options }) {
+function respond({ options, body = "" }) {
   const path = options.path || "";
   const method = (options.method || "GET").toUpperCase();
   console.log("MOCK HTTPS REQUEST:", method, path); // Add this line
@@ -11,15 +11,17 @@ function respond({ options }) {
   for (const r of rules) {
     const matched =
       typeof r.matcher === "function"
-        ? r.matcher({ options, path, method })
+        ? r.matcher({ options, path, method, body })
         : String(path).startsWith(String(r.matcher));
 
     if (matched) {
-      const out = r.responder({ options, path, method }) || {};
+      const out = r.responder({ options, path, method, body }) || {};
       return {
         status: out.status ?? 200,
         json: out.json ?? { ok: true },
         headers: out.headers ?? { "content-type": "application/json" },
+        hang: !!out.hang,
+        errorCode: out.errorCode ?? null,
       };
     }
   }
@@ -40,7 +42,22 @@ function request(options, callback) {
     req._body += chunk;
   };
   req.end = () => {
-    const { status, json, headers } = respond({ options });
+    const { status, json, headers, hang, errorCode } = respond({
+      options,
+      body: req._body,
+    });
+
+    // Simulate a silent server (timeout) or a dropped connection
+    if (hang) {
+      setImmediate(() => req.emit("timeout"));
+      return;
+    }
+    if (errorCode) {
+      const err = new Error(`mock ${errorCode}`);
+      err.code = errorCode;
+      setImmediate(() => req.emit("error", err));
+      return;
+    }
 
     setImmediate(() => {
       const res = new EventEmitter();
@@ -60,7 +77,9 @@ function request(options, callback) {
   req.on = req.addListener;
   req.setTimeout = () => {};
   req.abort = () => {};
-  req.destroy = () => {};
+  req.destroy = (err) => {
+    if (err) setImmediate(() => req.emit("error", err));
+  };
   return req;
 }
 
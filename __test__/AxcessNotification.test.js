@@ -0,0 +1,74 @@
+import AxcessNotification from "../utils/AxcessNotification.js";
+import { WebhookPayloadError } from "../utils/PaymentErrors.js";
+
+const payment = (fields = {}) => ({
+  type: "PAYMENT",
+  payload: {
+    id: "8ac7a4a1",
+    paymentType: "DB",
+    amount: "92.00",
+    currency: "EUR",
+    result: { code: "000.100.110", description: "Request successfully" },
+    merchantTransactionId: "ORD-1",
+    ...fields,
+  },
+});
+
+describe("AxcessNotification.parse", () => {
+  test("validates and types a PAYMENT notification", () => {
+    const parsed = AxcessNotification.parse(payment({ customField: "x" }));
+    expect(parsed).toMatchObject({
+      type: "PAYMENT",
+      action: null,
+      paymentType: "DB",
+      payload: {
+        id: "8ac7a4a1",
+        amount: 92,
+        currency: "EUR",
+        merchantTransactionId: "ORD-1",
+        customField: "x",
+      },
+    });
+  });
+
+  test.each([
+    [{ type: "PAYMENT" }, "invalid_envelope", "payload"],
+    [{ type: "REFUND", payload: {} }, "unknown_type", "type"],
+    [
+      { type: "REGISTRATION", payload: { id: "R" } },
+      "invalid_action",
+      "action",
+    ],
+    [payment({ amount: undefined }), "missing_field", "amount"],
+    [payment({ amount: "ten" }), "invalid_field", "amount"],
+    [payment({ currency: "eur" }), "invalid_field", "currency"],
+    [payment({ paymentType: "ZZ" }), "unsupported_payment_type", "paymentType"],
+    [payment({ result: { code: "ok" } }), "invalid_field", "result.code"],
+    [payment({ paymentType: "RF" }), "missing_field", "referencedId"],
+  ])("rejects %j: %s", (body, reason, field) => {
+    let error;
+    try {
+      AxcessNotification.parse(body);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(WebhookPayloadError);
+    expect(error).toMatchObject({ reason, field });
+  });
+
+  test("every documented payment type is accepted", () => {
+    for (const paymentType of ["DB", "PA", "CP", "RV", "RF", "CB", "CR"]) {
+      const parsed = AxcessNotification.parse(
+        payment({ paymentType, referencedId: "8ac7a4a0" })
+      );
+      expect(parsed.paymentType).toBe(paymentType);
+    }
+  });
+
+  test("tells envelopes from the older webhook shape", () => {
+    expect(AxcessNotification.isEnvelope(payment())).toBe(true);
+    expect(
+      AxcessNotification.isEnvelope({ type: "payment.success", payment: {} })
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,159 @@
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const {
+  httpsMock,
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: { ValidationError },
+} = await loadMockedGateway();
+
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+  disputes: { evidenceDays: 10 },
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("PaymentGatewayAxcess – disputes (mocked https)", () => {
+  let svc, ax;
+
+  beforeEach(() => {
+    httpsMock.request.__resetMock();
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+    // Access granted for the original payment
+    svc.entitlements.set("PAY-1", {
+      gatewayTxnId: "PAY-1",
+      state: "granted",
+      userId: "U1",
+      orderId: "ORD-1",
+      version: 1,
+      decisions: [],
+    });
+  });
+
+  const notification = (paymentType, id, fields = {}) =>
+    ax.mapWebhookEvent({
+      type: "PAYMENT",
+      payload: {
+        id,
+        paymentType,
+        referencedId: "PAY-1",
+        amount: "10.00",
+        currency: "EUR",
+        result: { code: "000.100.110" },
+        ...fields,
+      },
+    });
+  const chargeback = (fields) =>
+    ax.onChargeback(notification("CB", "CB-1", fields));
+  const reversal = () => ax.onChargebackReversal(notification("CR", "CR-1"));
+
+  test("a chargeback opens one dispute on the payment it charges back", async () => {
+    const seen = [];
+    ax.on("chargeback.received", (e) => seen.push(e), { name: "audit" });
+
+    await chargeback({
+      chargeback: { reasonCode: "4837", dueDate: "2026-11-01T00:00:00Z" },
+    });
+    await chargeback();
+
+    expect(svc.disputes.size).toBe(1);
+    expect(await ax.getDispute("CB-1")).toMatchObject({
+      disputeId: "CB-1",
+      paymentId: "PAY-1",
+      userId: "U1",
+      orderId: "ORD-1",
+      reasonCode: "4837",
+      amount: 10,
+      currency: "EUR",
+      status: "open",
+      evidenceDueAt: Date.parse("2026-11-01T00:00:00Z"),
+    });
+    expect(await ax.listPaymentDisputes("PAY-1")).toHaveLength(1);
+    expect(svc.entitlements.get("PAY-1").state).toBe("revoked");
+    expect(seen).toHaveLength(1);
+  });
+
+  test("evidence, outcome and a later reversal are recorded in order", async () => {
+    const before = Date.now();
+    await chargeback();
+    const opened = await ax.getDispute("CB-1");
+    expect(opened.evidenceDueAt).toBeGreaterThanOrEqual(before + 10 * DAY);
+
+    await expect(
+      ax.submitDisputeEvidence({
+        disputeId: "CB-1",
+        evidence: { note: "late" },
+        now: opened.evidenceDueAt + 1,
+      })
+    ).rejects.toThrow(ValidationError);
+
+    await ax.submitDisputeEvidence({
+      disputeId: "CB-1",
+      evidence: { documents: ["receipt.pdf"] },
+    });
+    await ax.resolveDispute({ disputeId: "CB-1", outcome: "won" });
+
+    const seen = [];
+    ax.on("chargeback.reversed", (e) => seen.push(e), { name: "billing" });
+    await reversal();
+
+    const dispute = await ax.getDispute("CB-1");
+    expect(dispute).toMatchObject({
+      status: "reversed",
+      statusGSI: "status#closed",
+      reversalTxnId: "CR-1",
+      evidence: [{ documents: ["receipt.pdf"] }],
+    });
+    expect(dispute.history.map((h) => h.to)).toEqual([
+      "open",
+      "evidence_submitted",
+      "won",
+      "reversed",
+    ]);
+    expect(seen[0].data).toMatchObject({
+      gatewayTxnId: "CR-1",
+      parentTxnId: "PAY-1",
+    });
+    expect(svc.transactions.at(-1)).toMatchObject({
+      gatewayTxnId: "CR-1",
+      status: "chargeback_reversed",
+    });
+    // Access stays revoked; the application decides on chargeback.reversed
+    expect(svc.entitlements.get("PAY-1").state).toBe("revoked");
+
+    // A repeated reversal changes nothing; closed disputes stay closed
+    await reversal();
+    expect((await ax.getDispute("CB-1")).history).toHaveLength(4);
+    await expect(
+      ax.resolveDispute({ disputeId: "CB-1", outcome: "lost" })
+    ).rejects.toThrow(ValidationError);
+  });
+
+  test("a reversal for a chargeback not seen yet is left to retry", async () => {
+    await expect(reversal()).rejects.toThrow(ValidationError);
+  });
+
+  test("open disputes are listed per user and per date range", async () => {
+    await chargeback();
+    await ax.onChargeback(
+      notification("CB", "CB-2", { referencedId: "PAY-2" })
+    );
+    await ax.resolveDispute({ disputeId: "CB-2", outcome: "lost" });
+
+    const open = await ax.listOpenDisputes({ userId: "U1" });
+    expect(open.map((d) => d.disputeId)).toEqual(["CB-1"]);
+
+    const opened = (await ax.getDispute("CB-1")).openedAt;
+    expect(
+      (await ax.listOpenDisputes({ from: opened, to: opened })).map(
+        (d) => d.disputeId
+      )
+    ).toEqual(["CB-1"]);
+    expect(await ax.listOpenDisputes({ to: opened - 1 })).toEqual([]);
+  });
+});
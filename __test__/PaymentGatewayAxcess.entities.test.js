@@ -0,0 +1,184 @@
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const {
+  httpsMock,
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: { ValidationError, ConfigurationError },
+} = await loadMockedGateway();
+
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-US",
+  bearerToken: "TOKEN-US",
+  entities: {
+    eu: { entityId: "ENTITY-EU", bearerToken: "TOKEN-EU", currencies: ["EUR"] },
+    shopB: { entityId: "ENTITY-B", channels: ["shop-b"] },
+  },
+};
+
+const card = {
+  number: "4111111111111111",
+  holder: "Jane Jones",
+  expiryMonth: "12",
+  expiryYear: "2030",
+  cvv: "123",
+};
+
+const entityOf = (call) =>
+  new URLSearchParams(call.body || call.path.split("?")[1]).get("entityId");
+
+describe("PaymentGatewayAxcess – entity profiles (mocked https)", () => {
+  let svc, ax, calls;
+
+  beforeEach(() => {
+    calls = [];
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.path.startsWith("/v1/"),
+      (ctx) => {
+        calls.push({
+          path: ctx.path,
+          body: ctx.body,
+          auth: ctx.options.headers.Authorization,
+        });
+        return {
+          status: 200,
+          json: {
+            id: `PAY-${calls.length}`,
+            amount: "10.00",
+            currency: "EUR",
+            result: { code: "000.100.110", description: "Approved" },
+          },
+        };
+      }
+    );
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+  });
+
+  test("resolveEntity: explicit key, currency, channel, default", () => {
+    expect(ax.resolveEntity({ entityKey: "eu" }).entityId).toBe("ENTITY-EU");
+    expect(ax.resolveEntity({ currency: "eur" }).key).toBe("eu");
+    expect(ax.resolveEntity({ channel: "shop-b" })).toEqual({
+      key: "shopB",
+      entityId: "ENTITY-B",
+      bearerToken: "TOKEN-US",
+    });
+    expect(ax.resolveEntity({ currency: "USD" }).key).toBe("default");
+    expect(() => ax.resolveEntity({ entityKey: "nope" })).toThrow(
+      ValidationError
+    );
+  });
+
+  test("request builders use the resolved entity and persist it", async () => {
+    await ax.createCheckoutSession({
+      userId: "U1",
+      orderId: "ORD-EU",
+      amount: 10,
+      currency: "EUR",
+    });
+    expect(entityOf(calls[0])).toBe("ENTITY-EU");
+    expect(calls[0].auth).toBe("Bearer TOKEN-EU");
+    expect(svc.sessions[0]).toMatchObject({
+      entityKey: "eu",
+      entityId: "ENTITY-EU",
+    });
+
+    await ax.s2sDebit({
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+      channel: "shop-b",
+    });
+    expect(entityOf(calls[1])).toBe("ENTITY-B");
+    expect(svc.transactions[0].entityKey).toBe("shopB");
+
+    await ax.createRegistrationToken({ card, entityKey: "eu" });
+    expect(entityOf(calls[2])).toBe("ENTITY-EU");
+    expect([...svc.tokens.values()][0].entityKey).toBe("eu");
+  });
+
+  test("follow-up calls reuse the entity of the original payment", async () => {
+    const auth = await ax.s2sAuthorize({
+      amount: 10,
+      currency: "EUR",
+      paymentBrand: "VISA",
+      card,
+    });
+    await ax.s2sCapture({ paymentId: auth.normalized.id, amount: 5 });
+    await ax.s2sVoid({ paymentId: auth.normalized.id });
+    expect(calls.map(entityOf)).toEqual([
+      "ENTITY-EU",
+      "ENTITY-EU",
+      "ENTITY-EU",
+    ]);
+  });
+
+  test("token and subscription calls use the entity they were created on", async () => {
+    const { registrationId } = await ax.createRegistrationToken({
+      card,
+      entityKey: "eu",
+    });
+    await ax.debitWithRegistrationToken({
+      registrationId,
+      amount: 10,
+      currency: "USD",
+    });
+    await ax.authorizeWithRegistrationToken({
+      registrationId,
+      amount: 10,
+      currency: "USD",
+    });
+    const { scheduleId } = await ax.createSubscriptionFromToken({
+      registrationId,
+      amount: 10,
+      currency: "USD",
+      interval: "P1M",
+    });
+    await ax.cancelSubscription({ subscriptionId: scheduleId });
+    await ax.deleteRegistrationToken({ registrationId });
+
+    expect(calls.map(entityOf)).toEqual(Array(6).fill("ENTITY-EU"));
+    expect(calls.map((c) => c.auth)).toEqual(Array(6).fill("Bearer TOKEN-EU"));
+  });
+
+  test("redirect callback reads status on the session's entity", async () => {
+    const { checkoutId } = await ax.createCheckoutSession({
+      userId: "U1",
+      orderId: "ORD-CB",
+      amount: 10,
+      currency: "EUR",
+    });
+    await ax.handleRedirectCallback({
+      resourcePath: `/v1/checkouts/${checkoutId}/payment`,
+      orderId: "ORD-CB",
+      userId: "U1",
+    });
+    expect(entityOf(calls[1])).toBe("ENTITY-EU");
+    expect(svc.transactions[0].entityKey).toBe("eu");
+  });
+
+  test("configuration errors", () => {
+    expect(
+      () =>
+        new PaymentGatewayAxcess({
+          paymentGatewayService: svc,
+          config: { ...config, defaultEntity: "missing" },
+        })
+    ).toThrow(ConfigurationError);
+    expect(
+      () =>
+        new PaymentGatewayAxcess({
+          paymentGatewayService: svc,
+          config: {
+            environment: "test",
+            baseUrl: config.baseUrl,
+            entities: { eu: { entityId: "ENTITY-EU" } },
+          },
+        })
+    ).toThrow(ConfigurationError);
+  });
+});
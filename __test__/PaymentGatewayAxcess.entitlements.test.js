@@ -0,0 +1,264 @@
+import { jest } from "@jest/globals";
+import {
+  loadMockedGateway,
+  encryptWebhook,
+  webhookSecretKey,
+} from "./helper/mockedGateway.js";
+
+const { httpsMock, PaymentGatewayAxcess, PaymentGatewayServiceMock } =
+  await loadMockedGateway();
+
+const secretKey = webhookSecretKey;
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+  webhook: { secretKey },
+};
+
+const card = {
+  number: "4111111111111111",
+  holder: "Jane Jones",
+  expiryMonth: "12",
+  expiryYear: "2030",
+  cvv: "123",
+};
+
+const APPROVED = "000.100.110";
+const REJECTED = "800.100.151";
+
+describe("PaymentGatewayAxcess – entitlement dispatch (mocked https)", () => {
+  let svc, ax, posts, postCode;
+
+  beforeEach(async () => {
+    posts = 0;
+    postCode = APPROVED;
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "GET" && ctx.path.startsWith("/v1/checkouts/"),
+      () => ({
+        status: 200,
+        json: {
+          id: "PAY-1",
+          amount: "10.00",
+          currency: "EUR",
+          result: { code: APPROVED, description: "Approved" },
+        },
+      })
+    );
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST" && ctx.path.startsWith("/v1/payments"),
+      () => {
+        posts++;
+        return {
+          status: 200,
+          json: {
+            id: `S2S-${posts}`,
+            amount: "10.00",
+            currency: "EUR",
+            result: { code: postCode, description: "x" },
+          },
+        };
+      }
+    );
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+    await svc.saveSession({
+      id: "S-1",
+      userId: "U1",
+      orderId: "ORD-1",
+      checkoutId: "CHK-1",
+      status: "pending",
+      createdAt: Date.now(),
+    });
+  });
+
+  const webhook = (type, payment) => {
+    const { rawBody, headers } = encryptWebhook({
+      type,
+      payment: { amount: "10.00", currency: "EUR", ...payment },
+    });
+    return ax.handleWebhook(rawBody, headers);
+  };
+
+  test("redirect and success webhook for one payment grant once", async () => {
+    await ax.handleRedirectCallback({
+      resourcePath: "/v1/checkouts/CHK-1/payment",
+    });
+    await webhook("payment.success", {
+      id: "PAY-1",
+      result: { code: APPROVED },
+    });
+
+    expect(svc.grants).toHaveLength(1);
+    const ledger = await svc.getEntitlement("PAY-1");
+    expect(ledger).toMatchObject({ state: "granted", orderId: "ORD-1" });
+    expect(ledger.decisions).toEqual([
+      expect.objectContaining({
+        action: "grant",
+        source: "redirect_callback",
+        applied: true,
+      }),
+      expect.objectContaining({
+        action: "grant",
+        source: "webhook",
+        applied: false,
+        reason: "duplicate",
+      }),
+    ]);
+  });
+
+  test("a late success webhook does not re-grant after a refund", async () => {
+    await webhook("payment.success", {
+      id: "PAY-1",
+      result: { code: APPROVED },
+    });
+    await webhook("refund", {
+      id: "RF-1",
+      referencedId: "PAY-1",
+      result: { code: APPROVED },
+    });
+    await webhook("payment.success", {
+      id: "PAY-1",
+      result: { code: APPROVED },
+    });
+    await webhook("chargeback", {
+      id: "CB-1",
+      referencedId: "PAY-1",
+      result: { code: APPROVED },
+    });
+
+    expect(svc.grants).toHaveLength(1);
+    expect(svc.denials).toHaveLength(1);
+    const ledger = await svc.getEntitlement("PAY-1");
+    expect(ledger.state).toBe("revoked");
+    expect(ledger.decisions.map((d) => d.reason)).toEqual([
+      null,
+      null,
+      "already_revoked",
+      "duplicate",
+    ]);
+  });
+
+  test("S2S refunds revoke the parent payment; failed refunds change nothing", async () => {
+    await ax.s2sDebit({
+      amount: 10,
+      currency: "EUR",
+      paymentBrand: "VISA",
+      card,
+    });
+    expect(svc.grants).toHaveLength(1);
+
+    postCode = REJECTED;
+    await ax.s2sRefund({ paymentId: "S2S-1", amount: 5 });
+    expect(svc.denials).toHaveLength(0);
+
+    postCode = APPROVED;
+    await ax.s2sRefund({ paymentId: "S2S-1", amount: 5 });
+    expect(svc.denials).toHaveLength(1);
+    expect((await svc.getEntitlement("S2S-1")).state).toBe("revoked");
+  });
+
+  test("captures grant on the authorization, not a second time", async () => {
+    await ax.s2sAuthorize({
+      amount: 10,
+      currency: "EUR",
+      paymentBrand: "VISA",
+      card,
+    });
+    await ax.s2sCapture({ paymentId: "S2S-1", amount: 4 });
+    await ax.s2sVoid({ paymentId: "S2S-1" });
+
+    expect(svc.grants).toHaveLength(1);
+    // Voiding the uncaptured rest keeps access
+    expect(svc.denials).toHaveLength(0);
+    expect((await svc.getEntitlement("S2S-1")).state).toBe("granted");
+  });
+
+  test("a concurrent ledger write is retried against the new state", async () => {
+    const save = svc.saveEntitlement.bind(svc);
+    let raced = false;
+    svc.saveEntitlement = async (record, expected) => {
+      if (!raced) {
+        raced = true;
+        // Another worker granted the same payment in between
+        await save(
+          {
+            gatewayTxnId: "PAY-1",
+            state: "granted",
+            version: 1,
+            decisions: [{ action: "grant", source: "webhook", applied: true }],
+          },
+          null
+        );
+      }
+      return save(record, expected);
+    };
+
+    await ax.handleRedirectCallback({
+      resourcePath: "/v1/checkouts/CHK-1/payment",
+    });
+    expect(svc.grants).toHaveLength(0);
+    const ledger = await svc.getEntitlement("PAY-1");
+    expect(ledger.version).toBe(2);
+    expect(ledger.decisions.at(-1).reason).toBe("duplicate");
+  });
+  test("the state only moves once grantAccess has returned", async () => {
+    let seen;
+    svc.grantAccess = async () => {
+      seen = await svc.getEntitlement("PAY-1");
+    };
+    await ax.handleRedirectCallback({
+      resourcePath: "/v1/checkouts/CHK-1/payment",
+    });
+    expect(seen.state).toBe("none");
+    expect(seen.applying).toMatchObject({ action: "grant", to: "granted" });
+    const ledger = await svc.getEntitlement("PAY-1");
+    expect(ledger.state).toBe("granted");
+    expect(ledger.applying).toBeUndefined();
+  });
+
+  test("a grant left applying by a failed worker is taken over after its lease", async () => {
+    const grant = svc.grantAccess.bind(svc);
+    const save = svc.saveEntitlement.bind(svc);
+    svc.grantAccess = async () => {
+      throw new Error("access service down");
+    };
+    // The worker dies before it can put the state back
+    svc.saveEntitlement = async (record, expected) => {
+      if (record.decisions.at(-1)?.reason === "dispatch_failed") {
+        throw new Error("connection lost");
+      }
+      return save(record, expected);
+    };
+    await expect(
+      ax.handleRedirectCallback({
+        resourcePath: "/v1/checkouts/CHK-1/payment",
+      })
+    ).rejects.toThrow("access service down");
+    expect((await svc.getEntitlement("PAY-1")).state).toBe("none");
+
+    svc.grantAccess = grant;
+    const success = () =>
+      webhook("payment.success", { id: "PAY-1", result: { code: APPROVED } });
+    // The entitlement step and the event step behind it
+    expect((await success()).jobs).toMatchObject({ pending: 2 });
+    expect(svc.grants).toHaveLength(0);
+
+    const now = Date.now();
+    const spy = jest.spyOn(Date, "now").mockReturnValue(now + 5 * 60 * 1000);
+    try {
+      await ax.processWebhookJobs({ now: now + 24 * 60 * 60 * 1000 });
+    } finally {
+      spy.mockRestore();
+    }
+    expect(svc.grants).toHaveLength(1);
+    const ledger = await svc.getEntitlement("PAY-1");
+    expect(ledger.state).toBe("granted");
+    expect(ledger.decisions.at(-1)).toMatchObject({
+      source: "webhook",
+      applied: true,
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import { jest } from "@jest/globals";
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const {
+  httpsMock,
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: { ValidationError },
+} = await loadMockedGateway();
+
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+  events: { initialDelaySeconds: 10, maxDelaySeconds: 60, maxAttempts: 3 },
+};
+
+const APPROVED = "000.100.110";
+
+describe("PaymentGatewayAxcess – application events (mocked https)", () => {
+  let svc, ax;
+
+  beforeEach(async () => {
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "GET" && ctx.path.startsWith("/v1/checkouts/"),
+      () => ({
+        status: 200,
+        json: {
+          id: "PAY-1",
+          amount: "10.00",
+          currency: "EUR",
+          result: { code: APPROVED, description: "Approved" },
+        },
+      })
+    );
+    httpsMock.request.__setMockResponse(
+      (ctx) =>
+        ctx.method === "DELETE" && ctx.path.startsWith("/v1/subscriptions/"),
+      () => ({ status: 200, json: { result: { code: APPROVED } } })
+    );
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+    await svc.saveSession({
+      id: "S-1",
+      userId: "U1",
+      orderId: "ORD-1",
+      checkoutId: "CHK-1",
+      status: "pending",
+      createdAt: Date.now(),
+    });
+  });
+
+  const callback = () =>
+    ax.handleRedirectCallback({ resourcePath: "/v1/checkouts/CHK-1/payment" });
+  const webhookSuccess = () =>
+    ax.onPaymentSuccess(
+      ax.mapWebhookEvent({
+        type: "payment.success",
+        payment: {
+          id: "PAY-1",
+          amount: "10.00",
+          currency: "EUR",
+          result: { code: APPROVED },
+        },
+      })
+    );
+
+  test("unknown event types are rejected at subscription", () => {
+    expect(() => ax.on("payment.done", () => {})).toThrow(ValidationError);
+  });
+
+  test("a payment seen by redirect and webhook is published once", async () => {
+    const seen = [];
+    ax.on("payment.succeeded", async (event) => seen.push(event), {
+      name: "billing",
+    });
+
+    await callback();
+    await webhookSuccess();
+
+    expect(seen).toHaveLength(1);
+    expect(seen[0]).toMatchObject({
+      type: "payment.succeeded",
+      key: "payment.succeeded#PAY-1",
+      data: {
+        gatewayTxnId: "PAY-1",
+        orderId: "ORD-1",
+        userId: "U1",
+        amount: 10,
+        currency: "EUR",
+        resultCode: APPROVED,
+        source: "redirect_callback",
+      },
+    });
+    expect(svc.events.get("payment.succeeded#PAY-1")).toMatchObject({
+      status: "delivered",
+      deliveredTo: ["billing"],
+    });
+  });
+
+  test("a throwing handler is isolated and redelivered alone", async () => {
+    const good = jest.fn();
+    let failures = 1;
+    const flaky = jest.fn(async () => {
+      if (failures-- > 0) throw new Error("crm down");
+    });
+    ax.on("payment.succeeded", good, { name: "mailer" });
+    ax.on("*", flaky, { name: "crm" });
+
+    const result = await callback();
+    expect(result.status).toBe("SUCCESS");
+    expect(good).toHaveBeenCalledTimes(1);
+
+    const record = svc.events.get("payment.succeeded#PAY-1");
+    expect(record).toMatchObject({
+      status: "pending",
+      deliveredTo: ["mailer"],
+      attempts: 1,
+      failures: [{ name: "crm", error: "crm down" }],
+    });
+
+    // Not due before the backoff
+    expect(
+      (await ax.redeliverEvents({ now: record.nextAttemptAt - 1 })).checked
+    ).toBe(0);
+
+    const summary = await ax.redeliverEvents({ now: record.nextAttemptAt });
+    expect(summary).toMatchObject({ checked: 1, delivered: 1 });
+    expect(good).toHaveBeenCalledTimes(1);
+    expect(flaky).toHaveBeenCalledTimes(2);
+    expect(svc.events.get("payment.succeeded#PAY-1").deliveredTo).toEqual([
+      "mailer",
+      "crm",
+    ]);
+  });
+
+  test("events whose handler keeps failing end up dead", async () => {
+    ax.on(
+      "payment.succeeded",
+      async () => {
+        throw new Error("nope");
+      },
+      { name: "broken" }
+    );
+    await callback();
+    for (let i = 0; i < 2; i++) {
+      await ax.redeliverEvents({ now: Date.now() + (i + 1) * 3600 * 1000 });
+    }
+    expect(svc.events.get("payment.succeeded#PAY-1")).toMatchObject({
+      status: "dead",
+      attempts: 3,
+    });
+  });
+
+  test("subscription cancellations and expiring tokens are published", async () => {
+    const seen = [];
+    ax.on("*", (event) => seen.push(event), { name: "audit" });
+
+    await ax.cancelSubscription({ subscriptionId: "SUB-1", reason: "user" });
+    await svc.saveToken({ id: "REG-1", userId: "U1", expiry: "2026-11" });
+    await svc.saveToken({ id: "REG-2", userId: "U2", expiry: "2027-01" });
+
+    const now = Date.UTC(2026, 9, 18);
+    expect(await ax.notifyExpiringTokens({ now })).toEqual({
+      checked: 1,
+      emitted: 1,
+    });
+    // Announced once per expiry month
+    expect(await ax.notifyExpiringTokens({ now })).toEqual({
+      checked: 1,
+      emitted: 0,
+    });
+
+    expect(seen.map((e) => e.type)).toEqual([
+      "subscription.canceled",
+      "token.expiring",
+    ]);
+    expect(seen[0].data).toMatchObject({
+      subscriptionId: "SUB-1",
+      reason: "user",
+    });
+    expect(seen[1].data).toMatchObject({
+      registrationId: "REG-1",
+      userId: "U1",
+      expiry: "2026-11",
+    });
+  });
+});
@@ -0,0 +1,458 @@
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const {
+  httpsMock,
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: { ValidationError, LedgerConflictError },
+} = await loadMockedGateway();
+
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+};
+
+const card = {
+  number: "4111111111111111",
+  holder: "Jane Jones",
+  expiryMonth: "12",
+  expiryYear: "2030",
+  cvv: "123",
+};
+
+describe("PaymentGatewayAxcess – authorization ledger (mocked https)", () => {
+  let svc, ax, calls;
+
+  beforeEach(() => {
+    calls = [];
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST" && ctx.path.startsWith("/v1/"),
+      (ctx) => {
+        calls.push(ctx.path);
+        return {
+          status: 200,
+          json: {
+            id: `PAY-${calls.length}`,
+            amount: "10.00",
+            currency: "USD",
+            result: { code: "000.100.110", description: "Approved" },
+          },
+        };
+      }
+    );
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+  });
+
+  const authorize = () =>
+    ax.s2sAuthorize({
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+    });
+
+  test("multiple partial captures draw down the authorization", async () => {
+    const auth = await authorize();
+    const paymentId = auth.normalized.id;
+
+    await ax.s2sCapture({ paymentId, amount: 4 });
+    await ax.s2sCapture({ paymentId, amount: 5.5 });
+
+    const balance = await ax.getAuthorizationBalance(paymentId);
+    expect(balance).toMatchObject({
+      status: "partially_captured",
+      authorizedAmount: 10,
+      capturedAmount: 9.5,
+      remainingAmount: 0.5,
+    });
+    expect(balance.captures.map((c) => c.amount)).toEqual([4, 5.5]);
+
+    // No amount captures whatever is left
+    await ax.s2sCapture({ paymentId });
+    expect(await ax.getAuthorizationBalance(paymentId)).toMatchObject({
+      status: "captured",
+      capturedAmount: 10,
+      remainingAmount: 0,
+    });
+  });
+
+  test("over-capture is rejected before calling Axcess", async () => {
+    const auth = await authorize();
+    const paymentId = auth.normalized.id;
+    await ax.s2sCapture({ paymentId, amount: 8 });
+    const before = calls.length;
+
+    await expect(ax.s2sCapture({ paymentId, amount: 3 })).rejects.toThrow(
+      ValidationError
+    );
+    expect(calls.length).toBe(before);
+    expect((await ax.getAuthorizationBalance(paymentId)).remainingAmount).toBe(
+      2
+    );
+  });
+
+  test("concurrent captures cannot over-capture the authorization", async () => {
+    const auth = await authorize();
+    const paymentId = auth.normalized.id;
+    const before = calls.length;
+
+    const results = await Promise.allSettled([
+      ax.s2sCapture({ paymentId, amount: 6 }),
+      ax.s2sCapture({ paymentId, amount: 6 }),
+    ]);
+
+    expect(results.map((r) => r.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(results.find((r) => r.reason)?.reason).toBeInstanceOf(
+      ValidationError
+    );
+    expect(calls.length).toBe(before + 1);
+    expect(await ax.getAuthorizationBalance(paymentId)).toMatchObject({
+      capturedAmount: 6,
+      remainingAmount: 4,
+      captures: [expect.objectContaining({ amount: 6 })],
+    });
+  });
+
+  test("a ledger that keeps changing throws a typed conflict", async () => {
+    const auth = await authorize();
+    const paymentId = auth.normalized.id;
+    const before = calls.length;
+    svc.saveAuthorization = async () => false;
+
+    await expect(ax.s2sCapture({ paymentId, amount: 4 })).rejects.toMatchObject(
+      {
+        constructor: LedgerConflictError,
+        code: "LEDGER_CONFLICT",
+        ledger: "authorization",
+        details: { id: paymentId },
+      }
+    );
+    expect(calls.length).toBe(before);
+  });
+
+  test("a declined capture gives its amount back", async () => {
+    const auth = await authorize();
+    const paymentId = auth.normalized.id;
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST",
+      () => ({
+        status: 200,
+        json: { id: "CP-1", result: { code: "800.100.151" } },
+      })
+    );
+
+    const res = await ax.s2sCapture({ paymentId, amount: 4 });
+    expect(res.normalized.approved).toBe(false);
+    expect(await ax.getAuthorizationBalance(paymentId)).toMatchObject({
+      status: "authorized",
+      capturedAmount: 0,
+      remainingAmount: 10,
+    });
+    expect(svc.authorizations.get(paymentId).reservedAmount).toBe(0);
+  });
+
+  test("void releases the remaining amount and blocks further captures", async () => {
+    const auth = await authorize();
+    const paymentId = auth.normalized.id;
+    await ax.s2sCapture({ paymentId, amount: 3 });
+    await ax.s2sVoid({ paymentId });
+
+    expect(await ax.getAuthorizationBalance(paymentId)).toMatchObject({
+      status: "voided",
+      voidedAmount: 7,
+      remainingAmount: 0,
+    });
+    await expect(ax.s2sCapture({ paymentId, amount: 1 })).rejects.toThrow(
+      ValidationError
+    );
+  });
+
+  test("untracked authorizations return null and capture without checks", async () => {
+    expect(await ax.getAuthorizationBalance("UNKNOWN")).toBeNull();
+    const res = await ax.s2sCapture({ paymentId: "UNKNOWN", amount: 50 });
+    expect(res.normalized.approved).toBe(true);
+  });
+
+  test("refunds are linked to the parent payment and totalled", async () => {
+    const debit = await ax.s2sDebit({
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+    });
+    const paymentId = debit.normalized.id;
+
+    await ax.s2sRefund({ paymentId, amount: 3 });
+    await ax.s2sRefund({ paymentId, amount: 2.5 });
+
+    const history = await ax.listRefunds(paymentId);
+    expect(history).toMatchObject({
+      capturedAmount: 10,
+      refundedAmount: 5.5,
+      refundableAmount: 4.5,
+    });
+    expect(history.refunds.map((r) => r.amount)).toEqual([3, 2.5]);
+    expect(
+      svc.transactions
+        .filter((t) => t.type === "s2s_refund")
+        .every((t) => t.parentTxnId === paymentId)
+    ).toBe(true);
+  });
+
+  test("over-refund is rejected before calling Axcess", async () => {
+    const debit = await ax.s2sDebit({
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+    });
+    const paymentId = debit.normalized.id;
+    await ax.s2sRefund({ paymentId });
+    const before = calls.length;
+
+    await expect(ax.s2sRefund({ paymentId, amount: 0.01 })).rejects.toThrow(
+      ValidationError
+    );
+    expect(calls.length).toBe(before);
+    expect((await ax.listRefunds(paymentId)).refundedAmount).toBe(10);
+  });
+
+  test("concurrent refunds cannot exceed the captured amount", async () => {
+    const debit = await ax.s2sDebit({
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+    });
+    const paymentId = debit.normalized.id;
+    const before = calls.length;
+
+    const results = await Promise.allSettled([
+      ax.s2sRefund({ paymentId, amount: 7 }),
+      ax.s2sRefund({ paymentId, amount: 7 }),
+    ]);
+
+    expect(results.filter((r) => r.status === "rejected")).toEqual([
+      expect.objectContaining({ reason: expect.any(ValidationError) }),
+    ]);
+    expect(calls.length).toBe(before + 1);
+    expect(await ax.listRefunds(paymentId)).toMatchObject({
+      refundedAmount: 7,
+      refundableAmount: 3,
+    });
+  });
+
+  test("amounts use the minor units of their currency", async () => {
+    const bodies = [];
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST",
+      (ctx) => {
+        const body = Object.fromEntries(new URLSearchParams(ctx.body));
+        bodies.push(body);
+        return {
+          status: 200,
+          json: {
+            id: `PAY-${bodies.length}`,
+            amount: body.amount,
+            currency: { "PAY-1": "JPY", "PAY-3": "KWD" }[
+              `PAY-${bodies.length}`
+            ],
+            result: { code: "000.100.110" },
+          },
+        };
+      }
+    );
+
+    const auth = await ax.s2sAuthorize({
+      amount: 1000,
+      currency: "JPY",
+      paymentBrand: "VISA",
+      card,
+    });
+    await ax.s2sCapture({ paymentId: auth.normalized.id, amount: 333 });
+    expect(bodies[1].amount).toBe("333");
+    expect(
+      (await ax.getAuthorizationBalance(auth.normalized.id)).remainingAmount
+    ).toBe(667);
+
+    const debit = await ax.s2sDebit({
+      amount: 10.125,
+      currency: "KWD",
+      paymentBrand: "VISA",
+      card,
+    });
+    await ax.s2sRefund({ paymentId: debit.normalized.id, amount: 0.005 });
+    expect(bodies[3].amount).toBe("0.005");
+    expect((await ax.listRefunds(debit.normalized.id)).refundableAmount).toBe(
+      10.12
+    );
+  });
+
+  test("partial captures are refundable up to the captured amount", async () => {
+    const auth = await authorize();
+    const capture = await ax.s2sCapture({
+      paymentId: auth.normalized.id,
+      amount: 4,
+    });
+    await expect(
+      ax.s2sRefund({ paymentId: capture.normalized.id, amount: 5 })
+    ).rejects.toThrow(ValidationError);
+    await ax.s2sRefund({ paymentId: capture.normalized.id, amount: 4 });
+    expect((await ax.listRefunds(capture.normalized.id)).refundableAmount).toBe(
+      0
+    );
+  });
+
+  test("unknown payments are seeded from Axcess transaction details", async () => {
+    httpsMock.request.__setMockResponse(
+      (ctx) =>
+        ctx.method === "GET" && ctx.path.startsWith("/v1/payments/EXT-1"),
+      () => ({
+        status: 200,
+        json: {
+          id: "EXT-1",
+          paymentType: "DB",
+          amount: "20.00",
+          currency: "EUR",
+          result: { code: "000.100.110" },
+        },
+      })
+    );
+    await ax.s2sRefund({ paymentId: "EXT-1", amount: 15 });
+    await expect(
+      ax.s2sRefund({ paymentId: "EXT-1", amount: 6 })
+    ).rejects.toThrow(ValidationError);
+    expect((await ax.listRefunds("EXT-1")).refundableAmount).toBe(5);
+  });
+
+  test("authorizations record a brand-specific expiry", async () => {
+    const custom = new PaymentGatewayAxcess({
+      paymentGatewayService: svc,
+      config: {
+        ...config,
+        authorization: { expiryDays: { MASTER: 30 } },
+      },
+    });
+    const before = Date.now();
+    const visa = await custom.s2sAuthorize({
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+    });
+    const master = await custom.s2sAuthorize({
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "MASTER",
+      card,
+    });
+    const day = 24 * 60 * 60 * 1000;
+    const visaExpiry = (
+      await custom.getAuthorizationBalance(visa.normalized.id)
+    ).expiresAt;
+    const masterExpiry = (
+      await custom.getAuthorizationBalance(master.normalized.id)
+    ).expiresAt;
+    expect(visaExpiry - before).toBeGreaterThanOrEqual(7 * day);
+    expect(visaExpiry - before).toBeLessThan(8 * day);
+    expect(masterExpiry - before).toBeGreaterThanOrEqual(30 * day);
+  });
+
+  test("sweepStaleAuthorizations voids or captures expiring authorizations", async () => {
+    const a1 = await authorize();
+    const a2 = await authorize();
+    await ax.s2sCapture({ paymentId: a2.normalized.id, amount: 4 });
+    const fresh = await authorize();
+    svc.authorizations.get(fresh.normalized.id).expiresAt += 30 * 864e5;
+
+    const later = Date.now() + 7 * 864e5;
+    const voided = await ax.sweepStaleAuthorizations({
+      now: later,
+      limit: 1,
+    });
+    expect(voided).toMatchObject({ scanned: 1, voided: [a1.normalized.id] });
+
+    const captured = await ax.sweepStaleAuthorizations({
+      now: later,
+      policy: "capture",
+    });
+    expect(captured.captured).toEqual([a2.normalized.id]);
+    expect(await ax.getAuthorizationBalance(a2.normalized.id)).toMatchObject({
+      status: "captured",
+      capturedAmount: 10,
+    });
+    expect((await ax.getAuthorizationBalance(fresh.normalized.id)).status).toBe(
+      "authorized"
+    );
+
+    expect((await ax.sweepStaleAuthorizations({ now: later })).scanned).toBe(0);
+  });
+
+  test("sweepStaleAuthorizations reports failures and keeps going", async () => {
+    const a1 = await authorize();
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST",
+      () => ({
+        status: 200,
+        json: { id: "RV-1", result: { code: "800.100.151" } },
+      })
+    );
+    const res = await ax.sweepStaleAuthorizations({
+      now: Date.now() + 7 * 864e5,
+    });
+    expect(res.voided).toEqual([]);
+    expect(res.failed).toEqual([
+      expect.objectContaining({
+        paymentId: a1.normalized.id,
+        decision: "void",
+      }),
+    ]);
+    expect((await ax.getAuthorizationBalance(a1.normalized.id)).status).toBe(
+      "authorized"
+    );
+  });
+  test("an authorization that keeps failing is closed and no longer holds up newer ones", async () => {
+    const stuck = (await authorize()).normalized.id;
+    const next = (await authorize()).normalized.id;
+    svc.authorizations.get(next).expiresAt += 1000;
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST",
+      (ctx) => ({
+        status: 200,
+        json: {
+          id: `RV-${ctx.path}`,
+          result: {
+            code: ctx.path.includes(stuck) ? "800.100.151" : "000.100.110",
+          },
+        },
+      })
+    );
+    // Within the lead time, before either has expired
+    const now = svc.authorizations.get(stuck).expiresAt - 3600000;
+    const sweep = () => ax.sweepStaleAuthorizations({ now, limit: 1 });
+
+    for (let i = 1; i <= 3; i++) {
+      const res = await sweep();
+      expect(res.failed).toEqual([
+        expect.objectContaining({ paymentId: stuck, closed: i === 3 }),
+      ]);
+    }
+    expect(svc.authorizations.get(stuck)).toMatchObject({
+      sweepAttempts: 3,
+      statusGSI: "status#closed",
+    });
+    expect(await sweep()).toMatchObject({ scanned: 1, voided: [next] });
+    expect((await sweep()).scanned).toBe(0);
+  });
+});
@@ -0,0 +1,280 @@
+import { jest } from "@jest/globals";
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const {
+  httpsMock,
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: {
+    IdempotencyConflictError,
+    ValidationError,
+    TransportError,
+    GatewayRejectedError,
+    ConfigurationError,
+    WebhookVerificationError,
+  },
+} = await loadMockedGateway();
+
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+};
+
+const card = {
+  number: "4111111111111111",
+  holder: "Jane Jones",
+  expiryMonth: "12",
+  expiryYear: "2030",
+  cvv: "123",
+};
+
+describe("PaymentGatewayAxcess – payments (mocked https)", () => {
+  let svc, ax, calls;
+
+  beforeEach(() => {
+    calls = [];
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST" && ctx.path.startsWith("/v1/"),
+      (ctx) => {
+        calls.push(ctx.path);
+        return {
+          status: 200,
+          json: {
+            id: `PAY-${calls.length}`,
+            amount: "10.00",
+            currency: "USD",
+            result: { code: "000.100.110", description: "Approved" },
+          },
+        };
+      }
+    );
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+  });
+
+  test("s2sDebit: repeated idempotencyKey returns the stored result", async () => {
+    const params = {
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+      idempotencyKey: "IDEM-1",
+    };
+
+    const first = await ax.s2sDebit(params);
+    const second = await ax.s2sDebit(params);
+
+    expect(calls.length).toBe(1);
+    expect(second.normalized.id).toBe(first.normalized.id);
+    expect(svc.transactions.length).toBe(1);
+  });
+
+  test("s2sDebit: same idempotencyKey with a different payload throws", async () => {
+    const params = {
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+      idempotencyKey: "IDEM-2",
+    };
+    await ax.s2sDebit(params);
+
+    await expect(ax.s2sDebit({ ...params, amount: 11 })).rejects.toBeInstanceOf(
+      IdempotencyConflictError
+    );
+    expect(calls.length).toBe(1);
+  });
+
+  test("s2sDebit: a rejected call is stored and replayed without calling Axcess", async () => {
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST",
+      (ctx) => {
+        calls.push(ctx.path);
+        return {
+          status: 400,
+          json: { result: { code: "800.100.151", description: "Declined" } },
+        };
+      }
+    );
+    const params = {
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+      idempotencyKey: "IDEM-DECLINED",
+    };
+
+    await expect(ax.s2sDebit(params)).rejects.toBeInstanceOf(
+      GatewayRejectedError
+    );
+    await expect(ax.s2sDebit(params)).rejects.toMatchObject({
+      name: "GatewayRejectedError",
+      resultCode: "800.100.151",
+    });
+    expect(calls.length).toBe(1);
+    expect(svc.idempotency.get("IDEM-DECLINED").status).toBe("failed");
+  });
+
+  test("s2sDebit: a call that never reached Axcess releases its key", async () => {
+    let refuse = true;
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST",
+      (ctx) => {
+        calls.push(ctx.path);
+        if (refuse) return { errorCode: "ECONNREFUSED" };
+        return {
+          status: 200,
+          json: {
+            id: "PAY-RETRY",
+            amount: "10.00",
+            currency: "USD",
+            result: { code: "000.100.110", description: "Approved" },
+          },
+        };
+      }
+    );
+    const params = {
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+      idempotencyKey: "IDEM-REFUSED",
+    };
+
+    await expect(ax.s2sDebit(params)).rejects.toMatchObject({
+      name: "TransportError",
+      status: 0,
+    });
+    expect(svc.idempotency.has("IDEM-REFUSED")).toBe(false);
+
+    refuse = false;
+    expect((await ax.s2sDebit(params)).normalized.id).toBe("PAY-RETRY");
+    expect(svc.idempotency.get("IDEM-REFUSED").status).toBe("completed");
+  });
+
+  test("s2sDebit: an outcome that could not be stored frees the key after its lease", async () => {
+    svc.updateIdempotencyRecord = async () => {
+      throw new Error("store unavailable");
+    };
+    const params = {
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+      idempotencyKey: "IDEM-LEASE",
+    };
+
+    expect((await ax.s2sDebit(params)).normalized.approved).toBe(true);
+    await expect(ax.s2sDebit(params)).rejects.toMatchObject({
+      reason: "in_progress",
+    });
+
+    const { leaseExpiresAt } = svc.idempotency.get("IDEM-LEASE");
+    const spy = jest.spyOn(Date, "now").mockReturnValue(leaseExpiresAt);
+    try {
+      await ax.s2sDebit(params);
+    } finally {
+      spy.mockRestore();
+    }
+    expect(calls.length).toBe(2);
+  });
+
+  test("createCheckoutSession: idempotencyKey prevents a second checkout", async () => {
+    const params = {
+      userId: "U1",
+      orderId: "ORD-IDEM",
+      amount: 24.99,
+      currency: "USD",
+      idempotencyKey: "IDEM-CHK",
+    };
+    const first = await ax.createCheckoutSession(params);
+    svc.sessions = []; // a retry must not depend on session reuse
+    const second = await ax.createCheckoutSession(params);
+
+    expect(calls.length).toBe(1);
+    expect(second.checkoutId).toBe(first.checkoutId);
+  });
+
+  test("s2sDebit: classifies review result codes as successful", async () => {
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.path === "/v1/payments",
+      () => ({
+        status: 200,
+        json: {
+          id: "PAY-R",
+          amount: "10.00",
+          currency: "USD",
+          result: { code: "000.400.000", description: "needs review" },
+        },
+      })
+    );
+    const res = await ax.s2sDebit({
+      amount: 10,
+      currency: "USD",
+      paymentBrand: "VISA",
+      card,
+    });
+    expect(res.normalized).toMatchObject({
+      approved: true,
+      needsReview: true,
+      category: "success_needs_review",
+    });
+    expect(svc.transactions[0]).toMatchObject({
+      status: "success",
+      needsReview: true,
+    });
+  });
+
+  test("typed errors: validation, rejection, transport, configuration", async () => {
+    await expect(
+      ax.s2sDebit({ currency: "USD", paymentBrand: "VISA", card })
+    ).rejects.toBeInstanceOf(ValidationError);
+
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.path === "/v1/payments",
+      () => ({
+        status: 400,
+        json: {
+          result: { code: "800.100.151", description: "invalid card number" },
+        },
+      })
+    );
+    const rejected = await ax
+      .s2sDebit({ amount: 10, currency: "USD", paymentBrand: "VISA", card })
+      .catch((e) => e);
+    expect(rejected).toBeInstanceOf(GatewayRejectedError);
+    expect(rejected.resultCode).toBe("800.100.151");
+    expect(rejected.category).toBe("external_bank_rejection");
+
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.path.startsWith("/v1/checkouts"),
+      () => ({ status: 500, json: {} })
+    );
+    await expect(
+      ax.createCheckoutSession({
+        userId: "U1",
+        orderId: "ORD-ERR",
+        amount: 5,
+        currency: "USD",
+      })
+    ).rejects.toBeInstanceOf(TransportError);
+
+    expect(() => ax.decryptAndVerifyWebhook("{}", {})).toThrow(
+      ConfigurationError
+    );
+    const withSecret = new PaymentGatewayAxcess({
+      paymentGatewayService: svc,
+      config: { ...config, webhook: { secretKey: "a".repeat(64) } },
+    });
+    expect(() => withSecret.decryptAndVerifyWebhook("{}", {})).toThrow(
+      WebhookVerificationError
+    );
+  });
+});
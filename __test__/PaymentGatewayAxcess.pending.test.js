@@ -0,0 +1,194 @@
+import { jest } from "@jest/globals";
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const { httpsMock, PaymentGatewayAxcess, PaymentGatewayServiceMock } =
+  await loadMockedGateway();
+
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+  pendingPayments: {
+    initialDelaySeconds: 10,
+    maxDelaySeconds: 60,
+    maxAttempts: 3,
+  },
+};
+
+const PENDING = "000.200.000";
+const APPROVED = "000.100.110";
+const REJECTED = "800.100.151";
+
+describe("PaymentGatewayAxcess – pending payment resolver (mocked https)", () => {
+  let svc, ax, checkoutCode, paymentCode, gets;
+
+  beforeEach(async () => {
+    gets = 0;
+    checkoutCode = PENDING;
+    paymentCode = PENDING;
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "GET" && ctx.path.startsWith("/v1/checkouts/"),
+      () => {
+        gets++;
+        return {
+          status: 200,
+          json: {
+            id: "PAY-1",
+            amount: "10.00",
+            currency: "EUR",
+            result: { code: checkoutCode, description: "x" },
+          },
+        };
+      }
+    );
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "GET" && ctx.path.startsWith("/v1/payments/"),
+      () => ({
+        status: 200,
+        json: {
+          id: "PAY-S2S",
+          amount: "5.00",
+          currency: "EUR",
+          result: { code: paymentCode, description: "x" },
+        },
+      })
+    );
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST" && ctx.path === "/v1/payments",
+      () => ({
+        status: 200,
+        json: {
+          id: "PAY-S2S",
+          amount: "5.00",
+          currency: "EUR",
+          result: { code: PENDING, description: "x" },
+        },
+      })
+    );
+
+    svc = new PaymentGatewayServiceMock();
+    svc.grantAccess = jest.fn();
+    svc.denyAccess = jest.fn();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+    await svc.saveSession({
+      id: "S-1",
+      userId: "U1",
+      orderId: "ORD-1",
+      checkoutId: "CHK-1",
+      status: "pending",
+      amount: 10,
+      currency: "EUR",
+      createdAt: Date.now(),
+    });
+  });
+
+  const callback = () =>
+    ax.handleRedirectCallback({ resourcePath: "/v1/checkouts/CHK-1/payment" });
+  const later = (seconds) => Date.now() + seconds * 1000;
+
+  test("a pending callback is tracked and resolved to success once", async () => {
+    await callback();
+    const record = await svc.getPendingPayment("CHK-1");
+    expect(record).toMatchObject({
+      source: "checkout",
+      status: "pending",
+      orderId: "ORD-1",
+      attempts: 0,
+    });
+    expect(svc.sessions[0].status).toBe("processing");
+
+    // Not due yet
+    let summary = await ax.resolvePendingPayments({ now: later(5) });
+    expect(summary.checked).toBe(0);
+
+    checkoutCode = APPROVED;
+    summary = await ax.resolvePendingPayments({ now: later(11) });
+    expect(summary).toMatchObject({ checked: 1, succeeded: 1 });
+    expect(svc.grantAccess).toHaveBeenCalledTimes(1);
+    expect(svc.grantAccess.mock.calls[0][0].txn).toMatchObject({
+      orderId: "ORD-1",
+      status: "success",
+      code: APPROVED,
+    });
+    expect(svc.transactions.at(-1)).toMatchObject({
+      status: "success",
+      updated: true,
+    });
+    expect(svc.sessions[0].status).toBe("succeeded");
+    expect((await svc.getPendingPayment("CHK-1")).status).toBe("resolved");
+
+    // Nothing left to dispatch
+    summary = await ax.resolvePendingPayments({ now: later(3600) });
+    expect(summary.checked).toBe(0);
+    expect(svc.grantAccess).toHaveBeenCalledTimes(1);
+  });
+
+  test("still-pending results back off, then give up after maxAttempts", async () => {
+    await callback();
+    const t0 = (await svc.getPendingPayment("CHK-1")).nextCheckAt;
+
+    let summary = await ax.resolvePendingPayments({ now: t0 });
+    expect(summary.stillPending).toBe(1);
+    let record = await svc.getPendingPayment("CHK-1");
+    expect(record.attempts).toBe(1);
+    expect(record.nextCheckAt).toBe(t0 + 20000);
+
+    await ax.resolvePendingPayments({ now: t0 + 20000 });
+    record = await svc.getPendingPayment("CHK-1");
+    expect(record.nextCheckAt).toBe(t0 + 20000 + 40000);
+
+    summary = await ax.resolvePendingPayments({ now: t0 + 60000 });
+    expect(summary.gaveUp).toBe(1);
+    expect((await svc.getPendingPayment("CHK-1")).status).toBe("expired");
+    expect(svc.sessions[0].status).toBe("expired");
+    expect(svc.grantAccess).not.toHaveBeenCalled();
+    expect(svc.denyAccess).not.toHaveBeenCalled();
+  });
+
+  test("a later callback with the final result closes the record", async () => {
+    await callback();
+    checkoutCode = REJECTED;
+    await callback();
+    expect(svc.denyAccess).toHaveBeenCalledTimes(1);
+    expect((await svc.getPendingPayment("CHK-1")).resolution).toMatchObject({
+      status: "failed",
+      by: "callback",
+    });
+
+    gets = 0;
+    const summary = await ax.resolvePendingPayments({ now: later(3600) });
+    expect(summary.checked).toBe(0);
+    expect(gets).toBe(0);
+    expect(svc.denyAccess).toHaveBeenCalledTimes(1);
+  });
+
+  test("pending S2S payments are re-read via getTransactionDetails", async () => {
+    await ax.s2sDebit({
+      amount: 5,
+      currency: "EUR",
+      paymentBrand: "VISA",
+      card: {
+        number: "4200000000000000",
+        holder: "Jane Doe",
+        expiryMonth: "12",
+        expiryYear: "2030",
+        cvv: "123",
+      },
+    });
+    expect(await svc.getPendingPayment("PAY-S2S")).toMatchObject({
+      source: "s2s",
+      paymentId: "PAY-S2S",
+    });
+
+    paymentCode = REJECTED;
+    const summary = await ax.resolvePendingPayments({ now: later(11) });
+    expect(summary.failed).toBe(1);
+    expect(svc.denyAccess).toHaveBeenCalledTimes(1);
+    expect(svc.denyAccess.mock.calls[0][0].txn).toMatchObject({
+      type: "s2s_debit",
+      status: "failed",
+    });
+  });
+});
@@ -0,0 +1,255 @@
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const {
+  httpsMock,
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: { RiskBlockedError },
+} = await loadMockedGateway();
+
+const baseConfig = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+};
+
+const card = {
+  number: "4111111111111111",
+  holder: "Jane Jones",
+  expiryMonth: "12",
+  expiryYear: "2030",
+  cvv: "123",
+};
+
+const params = (body) => Object.fromEntries(new URLSearchParams(body));
+
+describe("PaymentGatewayAxcess – risk rules (mocked https)", () => {
+  let svc, calls;
+
+  beforeEach(() => {
+    calls = [];
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.path.startsWith("/v1/"),
+      (ctx) => {
+        calls.push({ path: ctx.path, body: ctx.body });
+        return {
+          status: 200,
+          json: {
+            id: `PAY-${calls.length}`,
+            amount: "10.00",
+            currency: "EUR",
+            result: { code: "000.100.110", description: "Approved" },
+          },
+        };
+      }
+    );
+    svc = new PaymentGatewayServiceMock();
+  });
+
+  const gateway = (risk, options) =>
+    new PaymentGatewayAxcess({
+      paymentGatewayService: svc,
+      config: { ...baseConfig, risk },
+      options,
+    });
+  const debit = (ax, fields = {}) =>
+    ax.s2sDebit({
+      amount: 10,
+      currency: "EUR",
+      paymentBrand: "VISA",
+      card,
+      userId: "U1",
+      ...fields,
+    });
+
+  test("without rules nothing is evaluated or stored", async () => {
+    await debit(gateway());
+    expect(calls).toHaveLength(1);
+    expect(svc.riskDecisions.size).toBe(0);
+  });
+
+  test("velocity blocks further attempts on a card before anything is sent", async () => {
+    const ax = gateway({
+      velocity: [{ by: "card", windowMinutes: 60, max: 2 }],
+    });
+
+    await debit(ax);
+    await debit(ax, { userId: "U2" });
+    let error;
+    try {
+      await debit(ax, { userId: "U3" });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(RiskBlockedError);
+    expect(error.reasons).toEqual([
+      expect.objectContaining({ rule: "velocity_card", action: "block" }),
+    ]);
+    expect(calls).toHaveLength(2);
+
+    const stored = svc.riskDecisions.get(error.decisionId);
+    expect(stored).toMatchObject({
+      operation: "s2s_debit",
+      decision: "block",
+      userId: "U3",
+      reasons: error.reasons,
+    });
+    // Only a keyed fingerprint of the card is kept
+    expect(stored.cardHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify([...svc.riskDecisions.values()])).not.toContain(
+      card.number
+    );
+    expect(await ax.listRiskDecisions("U1")).toEqual([
+      expect.objectContaining({ decision: "allow", reasons: [] }),
+    ]);
+  });
+
+  test("an amount over the threshold asks the issuer for a challenge", async () => {
+    const ax = gateway({ amountThresholds: [{ above: 100, currency: "EUR" }] });
+
+    await debit(ax, { amount: 10 });
+    await debit(ax, { amount: 250 });
+
+    expect(params(calls[0].body)["threeDSecure.challengeIndicator"]).toBe(
+      undefined
+    );
+    expect(params(calls[1].body)["threeDSecure.challengeIndicator"]).toBe("04");
+    expect([...svc.riskDecisions.values()].map((d) => d.decision)).toEqual([
+      "allow",
+      "require_3ds",
+    ]);
+  });
+
+  test("country mismatch on a checkout replaces a pending checkout created without a challenge", async () => {
+    const ax = gateway({ countryMismatch: "require_3ds" });
+    const checkout = (riskContext) =>
+      ax.createCheckoutSession({
+        userId: "U1",
+        orderId: "ORD-1",
+        amount: 10,
+        currency: "EUR",
+        riskContext,
+      });
+
+    await checkout({ ipCountry: "DE", billingCountry: "DE" });
+    await checkout({ ipCountry: "DE", billingCountry: "DE" });
+    expect(calls).toHaveLength(1);
+
+    await checkout({ ipCountry: "NG", billingCountry: "DE" });
+    expect(calls).toHaveLength(2);
+    expect(params(calls[1].body)["threeDSecure.challengeIndicator"]).toBe("04");
+    const decision = [...svc.riskDecisions.values()].at(-1);
+    expect(decision).toMatchObject({
+      operation: "create_checkout",
+      orderId: "ORD-1",
+      decision: "require_3ds",
+      reasons: [
+        {
+          rule: "country_mismatch",
+          action: "require_3ds",
+          detail: "ip=NG, billing=DE",
+        },
+      ],
+    });
+  });
+
+  test("reusing a pending checkout is not counted as an attempt", async () => {
+    const ax = gateway({
+      velocity: [{ by: "user", windowMinutes: 60, max: 2 }],
+    });
+    const checkout = () =>
+      ax.createCheckoutSession({
+        userId: "U1",
+        orderId: "ORD-1",
+        amount: 10,
+        currency: "EUR",
+      });
+
+    const first = await checkout();
+    for (let i = 0; i < 3; i++) {
+      expect((await checkout()).checkoutId).toBe(first.checkoutId);
+    }
+    expect(calls).toHaveLength(1);
+    expect(svc.riskDecisions.size).toBe(1);
+  });
+
+  test("a user with a lost chargeback is blocked", async () => {
+    const ax = gateway({ chargebacks: { max: 0 } });
+    svc.disputes.set("CB-0", {
+      disputeId: "CB-0",
+      userId: "U1",
+      status: "won",
+    });
+    await debit(ax);
+
+    svc.disputes.set("CB-1", {
+      disputeId: "CB-1",
+      userId: "U1",
+      status: "lost",
+    });
+    await expect(debit(ax)).rejects.toThrow(RiskBlockedError);
+    await debit(ax, { userId: "U2" });
+    expect(calls).toHaveLength(2);
+  });
+
+  test("risk webhooks flag the user's profile until cleared", async () => {
+    const ax = gateway({ flaggedUser: "require_3ds" });
+    svc.entitlements.set("PAY-1", {
+      gatewayTxnId: "PAY-1",
+      state: "granted",
+      userId: "U1",
+      version: 1,
+      decisions: [],
+    });
+    const riskEvent = (action) =>
+      ax.onRiskEvent(
+        ax.mapWebhookEvent({
+          type: "RISK",
+          action,
+          payload: {
+            id: `RISK-${action}`,
+            referencedId: "PAY-1",
+            risk: { score: 87, reason: "device mismatch" },
+          },
+        })
+      );
+
+    await riskEvent("FLAGGED");
+    await riskEvent("FLAGGED");
+    expect(await ax.getRiskProfile("U1")).toMatchObject({
+      status: "flagged",
+      score: 87,
+      reason: "device mismatch",
+      flaggedCount: 1,
+    });
+
+    await debit(ax);
+    expect(params(calls[0].body)["threeDSecure.challengeIndicator"]).toBe("04");
+
+    await riskEvent("CLEARED");
+    expect((await ax.getRiskProfile("U1")).status).toBe("clear");
+    await debit(ax);
+    expect(params(calls[1].body)["threeDSecure.challengeIndicator"]).toBe(
+      undefined
+    );
+  });
+
+  test("custom rules take part in the decision", async () => {
+    const ax = gateway(undefined, {
+      riskRules: [
+        (ctx) =>
+          ctx.ip === "10.6.6.6" ? { rule: "denylist", action: "block" } : null,
+      ],
+    });
+    await debit(ax, { riskContext: { ip: "10.0.0.1" } });
+    await expect(
+      debit(ax, { riskContext: { ip: "10.6.6.6" } })
+    ).rejects.toMatchObject({
+      code: "RISK_BLOCKED",
+      reasons: [{ rule: "denylist", action: "block", detail: "" }],
+    });
+  });
+});
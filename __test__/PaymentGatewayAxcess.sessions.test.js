@@ -0,0 +1,498 @@
+import { jest } from "@jest/globals";
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const {
+  httpsMock,
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: { SessionStateMachine, GatewayRejectedError, ValidationError },
+} = await loadMockedGateway();
+
+const S = SessionStateMachine.STATES;
+
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+};
+
+describe("SessionStateMachine", () => {
+  test.each([
+    [S.CREATED, S.PENDING, true],
+    [S.PENDING, S.PROCESSING, true],
+    [S.PROCESSING, S.SUCCEEDED, true],
+    [S.PENDING, S.ABANDONED, true],
+    [S.ABANDONED, S.SUCCEEDED, true],
+    [S.FAILED, S.SUCCEEDED, false],
+    [S.SUCCEEDED, S.FAILED, false],
+    [S.CREATED, S.SUCCEEDED, false],
+    ["success", S.FAILED, false],
+    ["bogus", S.PENDING, false],
+  ])("%s -> %s allowed: %s", (from, to, allowed) => {
+    expect(SessionStateMachine.canTransition(from, to)).toBe(allowed);
+  });
+
+  test("maps payment status and legacy values", () => {
+    expect(SessionStateMachine.fromPaymentStatus("pending")).toBe(S.PROCESSING);
+    expect(SessionStateMachine.normalize("success")).toBe(S.SUCCEEDED);
+    expect(SessionStateMachine.isFinal(S.EXPIRED)).toBe(true);
+    expect(SessionStateMachine.isFinal(S.PROCESSING)).toBe(false);
+  });
+});
+
+describe("PaymentGatewayAxcess – checkout session lifecycle (mocked https)", () => {
+  let svc, ax, statusCode, createStatus, created, gets;
+
+  beforeEach(() => {
+    created = 0;
+    gets = 0;
+    statusCode = "000.100.110";
+    createStatus = 200;
+    httpsMock.request.__resetMock();
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "POST" && ctx.path === "/v1/checkouts",
+      () =>
+        createStatus === 200
+          ? { status: 200, json: { id: `CHK-${++created}` } }
+          : {
+              status: createStatus,
+              json: { result: { code: "200.300.404", description: "bad" } },
+            }
+    );
+    httpsMock.request.__setMockResponse(
+      (ctx) => ctx.method === "GET" && ctx.path.startsWith("/v1/checkouts/"),
+      () => {
+        gets++;
+        return {
+          status: 200,
+          json: {
+            id: "PAY-1",
+            amount: "10.00",
+            currency: "EUR",
+            result: { code: statusCode, description: "result" },
+          },
+        };
+      }
+    );
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+  });
+
+  const checkout = () =>
+    ax.createCheckoutSession({
+      userId: "U1",
+      orderId: "ORD-1",
+      amount: 10,
+      currency: "EUR",
+    });
+  const callback = () =>
+    ax.handleRedirectCallback({
+      resourcePath: "/v1/checkouts/CHK-1/payment",
+      orderId: "ORD-1",
+      userId: "U1",
+    });
+  const history = () => svc.sessions[0].statusHistory.map((h) => h.to);
+
+  test("new checkout goes created -> pending with an id", async () => {
+    const out = await checkout();
+
+    expect(svc.sessions).toHaveLength(1);
+    expect(svc.sessions[0]).toMatchObject({
+      id: out.sessionId,
+      checkoutId: "CHK-1",
+      status: S.PENDING,
+    });
+    expect(history()).toEqual([S.CREATED, S.PENDING]);
+  });
+
+  test("a rejected checkout creation leaves a failed session", async () => {
+    createStatus = 400;
+    await expect(checkout()).rejects.toBeInstanceOf(GatewayRejectedError);
+
+    expect(svc.sessions[0].status).toBe(S.FAILED);
+    expect(svc.sessions[0].statusHistory[1].reason).toContain("200.300.404");
+  });
+
+  test("pending then approved callbacks move through processing", async () => {
+    await checkout();
+
+    statusCode = "000.200.000";
+    await callback();
+    expect(svc.sessions[0].status).toBe(S.PROCESSING);
+
+    statusCode = "000.100.110";
+    await callback();
+    expect(svc.sessions[0]).toMatchObject({
+      status: S.SUCCEEDED,
+      gatewayTxnId: "PAY-1",
+    });
+    expect(history()).toEqual([
+      S.CREATED,
+      S.PENDING,
+      S.PROCESSING,
+      S.SUCCEEDED,
+    ]);
+  });
+
+  test("a stale callback cannot move a failed session to succeeded", async () => {
+    await checkout();
+
+    statusCode = "800.100.151";
+    await callback();
+    expect(svc.sessions[0].status).toBe(S.FAILED);
+
+    statusCode = "000.100.110";
+    await expect(callback()).rejects.toMatchObject({
+      reason: "replay",
+      sessionStatus: S.FAILED,
+    });
+    expect(svc.sessions[0].status).toBe(S.FAILED);
+    expect(history()).toEqual([S.CREATED, S.PENDING, S.FAILED]);
+  });
+
+  describe("redirect callback hardening", () => {
+    beforeEach(async () => {
+      await checkout();
+    });
+
+    test.each([
+      "/v1/checkouts/CHK-1/payment/../../../v1/payments/X",
+      "/v1/payments/PAY-1",
+      "https://evil.example.com/v1/checkouts/CHK-1/payment",
+      "/v1/checkouts/CHK-1/payment?entityId=OTHER",
+    ])("rejects forged resourcePath %s", async (resourcePath) => {
+      await expect(
+        ax.handleRedirectCallback({ resourcePath })
+      ).rejects.toMatchObject({
+        code: "CALLBACK_REJECTED",
+        reason: "invalid_resource_path",
+      });
+      expect(svc.transactions).toHaveLength(0);
+    });
+
+    test("rejects checkouts we did not create", async () => {
+      await expect(
+        ax.handleRedirectCallback({
+          resourcePath: "/v1/checkouts/CHK-OTHER/payment",
+        })
+      ).rejects.toMatchObject({ reason: "unknown_checkout" });
+    });
+
+    test("binds order and user from the session", async () => {
+      await expect(
+        ax.handleRedirectCallback({
+          resourcePath: "/v1/checkouts/CHK-1/payment",
+          orderId: "ORD-SOMEONE-ELSE",
+        })
+      ).rejects.toMatchObject({ reason: "session_mismatch" });
+
+      const out = await ax.handleRedirectCallback({
+        resourcePath: "/v1/checkouts/CHK-1/payment",
+      });
+      expect(out.status).toBe("SUCCESS");
+      expect(svc.transactions[0]).toMatchObject({
+        orderId: "ORD-1",
+        userId: "U1",
+        checkoutId: "CHK-1",
+      });
+      expect(svc.grants[0].txn.userId).toBe("U1");
+    });
+
+    test("a replay of a succeeded checkout is refused without calling Axcess", async () => {
+      await callback();
+      const before = gets;
+
+      await expect(callback()).rejects.toMatchObject({
+        reason: "replay",
+        sessionStatus: S.SUCCEEDED,
+      });
+      expect(gets).toBe(before);
+      expect(svc.transactions).toHaveLength(1);
+      expect(svc.grants).toHaveLength(1);
+    });
+
+    test("getPaymentStatus only accepts Axcess resource paths", async () => {
+      await expect(
+        ax.getPaymentStatus("/v1/registrations/R-1")
+      ).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe("reuse", () => {
+    let updates, updateStatus;
+
+    beforeEach(() => {
+      updates = [];
+      updateStatus = 200;
+      httpsMock.request.__setMockResponse(
+        (ctx) => ctx.method === "POST" && ctx.path.startsWith("/v1/checkouts/"),
+        (ctx) => {
+          updates.push({
+            path: ctx.path,
+            body: new URLSearchParams(ctx.body),
+          });
+          return { status: updateStatus, json: { id: "CHK-1" } };
+        }
+      );
+    });
+
+    const checkoutFor = (gw, overrides = {}) =>
+      gw.createCheckoutSession({
+        userId: "U1",
+        orderId: "ORD-1",
+        amount: 10,
+        currency: "EUR",
+        ...overrides,
+      });
+
+    test("an unchanged cart reuses the pending checkout", async () => {
+      const first = await checkout();
+      const again = await checkout();
+
+      expect(again).toMatchObject({
+        checkoutId: "CHK-1",
+        sessionId: first.sessionId,
+      });
+      expect(created).toBe(1);
+      expect(updates).toHaveLength(0);
+    });
+
+    test("a changed amount updates the checkout at Axcess", async () => {
+      const first = await checkout();
+      const again = await checkoutFor(ax, { amount: 12.5 });
+
+      expect(again.checkoutId).toBe("CHK-1");
+      expect(again.sessionId).toBe(first.sessionId);
+      expect(updates[0].path).toBe("/v1/checkouts/CHK-1");
+      expect(updates[0].body.get("amount")).toBe("12.50");
+      expect(svc.sessions[0]).toMatchObject({
+        amount: 12.5,
+        status: S.PENDING,
+      });
+      expect(svc.sessions[0].checkoutUpdates[0].reason).toBe(
+        "amount 10.00 -> 12.50"
+      );
+    });
+
+    test("a failed update abandons the old session and creates a new one", async () => {
+      const first = await checkout();
+      updateStatus = 400;
+      const again = await checkoutFor(ax, { currency: "USD" });
+
+      expect(again.checkoutId).toBe("CHK-2");
+      const [old, fresh] = svc.sessions;
+      expect(old).toMatchObject({
+        status: S.ABANDONED,
+        supersededBy: again.sessionId,
+      });
+      expect(old.statusHistory.at(-1).reason).toBe(
+        "superseded: currency EUR -> USD"
+      );
+      expect(fresh.replaces).toEqual({
+        sessionId: first.sessionId,
+        checkoutId: "CHK-1",
+        reason: "superseded: currency EUR -> USD",
+      });
+    });
+
+    test("recreate policy and entity changes never update in place", async () => {
+      const gw = new PaymentGatewayAxcess({
+        paymentGatewayService: svc,
+        config: {
+          ...config,
+          entities: { eu: { entityId: "ENTITY-EU", currencies: ["EUR"] } },
+        },
+      });
+      await checkoutFor(gw, { currency: "USD" });
+      const again = await checkoutFor(gw, { currency: "EUR" });
+
+      expect(updates).toHaveLength(0);
+      expect(again.checkoutId).toBe("CHK-2");
+      expect(svc.sessions[0].statusHistory.at(-1).reason).toContain(
+        "entity default -> eu"
+      );
+
+      const recreate = new PaymentGatewayAxcess({
+        paymentGatewayService: svc,
+        config: { ...config, session: { reusePolicy: "recreate" } },
+      });
+      svc.sessions = [];
+      await checkoutFor(recreate);
+      const replaced = await checkoutFor(recreate, { paymentType: "PA" });
+      expect(updates).toHaveLength(0);
+      expect(replaced.checkoutId).toBe("CHK-4");
+    });
+  });
+
+  describe("sweepAbandonedSessions", () => {
+    const NOW = Date.parse("2026-01-01T12:00:00Z");
+    let metrics, codes;
+
+    const seed = (id, status, minutesAgo, extra = {}) =>
+      svc.saveSession({
+        id,
+        pk: `user#U-${id}`,
+        sk: `session#ORD-${id}#${id}`,
+        userId: `U-${id}`,
+        orderId: `ORD-${id}`,
+        checkoutId: `CHK-${id}`,
+        status,
+        statusGSI: `status#${status}`,
+        createdAt: NOW - minutesAgo * 60000,
+        created_at: new Date(NOW - minutesAgo * 60000).toISOString(),
+        ...extra,
+      });
+    const statusOf = (id) => svc.sessions.find((x) => x.id === id).status;
+
+    beforeEach(() => {
+      metrics = [];
+      codes = {};
+      ax = new PaymentGatewayAxcess({
+        paymentGatewayService: svc,
+        config,
+        options: {
+          onMetrics: (name, values) => metrics.push({ name, values }),
+        },
+      });
+      httpsMock.request.__resetMock();
+      httpsMock.request.__setMockResponse(
+        (ctx) => ctx.method === "GET",
+        (ctx) => {
+          const id = ctx.path.split("/")[3];
+          if (codes[id] === "down") return { status: 503, json: {} };
+          return {
+            status: 200,
+            json: {
+              id: `PAY-${id}`,
+              amount: "10.00",
+              currency: "EUR",
+              result: { code: codes[id] || "000.200.100" },
+            },
+          };
+        }
+      );
+    });
+
+    test("abandons stale created and pending sessions only", async () => {
+      await seed("A", S.PENDING, 120);
+      await seed("B", S.CREATED, 90, { checkoutId: null });
+      await seed("C", S.PENDING, 5);
+      await seed("D", S.SUCCEEDED, 300);
+
+      const out = await ax.sweepAbandonedSessions({
+        now: NOW,
+        verifyWithGateway: false,
+      });
+
+      expect(out).toMatchObject({ scanned: 2, abandoned: 2, failed: [] });
+      expect(statusOf("A")).toBe(S.ABANDONED);
+      expect(statusOf("B")).toBe(S.ABANDONED);
+      expect(statusOf("C")).toBe(S.PENDING);
+      expect(statusOf("D")).toBe(S.SUCCEEDED);
+      expect(
+        svc.sessions.find((x) => x.id === "A").statusHistory[0].reason
+      ).toBe("sweep: no payment after 25 minutes");
+      expect(metrics).toEqual([
+        {
+          name: "axcess.sessions.sweep",
+          values: expect.objectContaining({ scanned: 2, abandoned: 2 }),
+        },
+      ]);
+    });
+
+    test("checks Axcess first and settles late payments", async () => {
+      await seed("PAID", S.PENDING, 60);
+      await seed("FLIGHT", S.PENDING, 60);
+      await seed("NEW", S.PENDING, 60);
+      codes = { "CHK-PAID": "000.100.110", "CHK-FLIGHT": "000.200.000" };
+
+      const out = await ax.sweepAbandonedSessions({
+        now: NOW,
+        verifyWithGateway: true,
+      });
+
+      expect(out).toMatchObject({
+        scanned: 3,
+        abandoned: 1,
+        lateSucceeded: 1,
+        processing: 1,
+      });
+      expect(statusOf("PAID")).toBe(S.SUCCEEDED);
+      expect(statusOf("FLIGHT")).toBe(S.PROCESSING);
+      expect(statusOf("NEW")).toBe(S.ABANDONED);
+      expect(svc.transactions[0]).toMatchObject({
+        orderId: "ORD-PAID",
+        status: "success",
+      });
+      expect(svc.grants).toHaveLength(1);
+    });
+
+    test("pages through all stale sessions and skips failures", async () => {
+      for (const id of ["P1", "P2", "P3", "P4", "P5"]) {
+        await seed(id, S.PENDING, 100 - Number(id[1]));
+      }
+      codes = { "CHK-P2": "down" };
+
+      const out = await ax.sweepAbandonedSessions({
+        now: NOW,
+        verifyWithGateway: true,
+        pageSize: 2,
+      });
+
+      expect(out.scanned).toBe(5);
+      expect(out.abandoned).toBe(4);
+      expect(out.failed).toEqual([
+        expect.objectContaining({ sessionId: "P2" }),
+      ]);
+      expect(statusOf("P2")).toBe(S.PENDING);
+    });
+
+    test("a run stopped at maxSessions carries on from its cursor", async () => {
+      await seed("C1", S.CREATED, 100, { checkoutId: null });
+      for (const id of ["P1", "P2", "P3"]) {
+        await seed(id, S.PENDING, 100 - Number(id[1]));
+      }
+      codes = { "CHK-P1": "down" };
+      const sweep = (cursor) =>
+        ax.sweepAbandonedSessions({
+          now: NOW,
+          verifyWithGateway: true,
+          pageSize: 1,
+          maxSessions: 2,
+          cursor,
+        });
+
+      const first = await sweep();
+      expect(first).toMatchObject({ scanned: 2, abandoned: 1 });
+      expect(first.failed).toEqual([
+        expect.objectContaining({ sessionId: "P1" }),
+      ]);
+      expect(first.cursor).toMatchObject({ status: S.PENDING });
+
+      // The failed session is not read again
+      const second = await sweep(first.cursor);
+      expect(second).toMatchObject({
+        scanned: 2,
+        abandoned: 2,
+        failed: [],
+        cursor: null,
+      });
+      expect(statusOf("P1")).toBe(S.PENDING);
+      expect(statusOf("P3")).toBe(S.ABANDONED);
+    });
+
+    test("purgeExpiredSessions deletes by key", async () => {
+      await seed("OLD", S.PENDING, 120);
+      svc.deleteSession = jest.fn(svc.deleteSession.bind(svc));
+
+      await ax.purgeExpiredSessions({ by: "orderId", value: "ORD-OLD" });
+
+      expect(svc.deleteSession).toHaveBeenCalledWith(
+        "user#U-OLD",
+        "session#ORD-OLD#OLD"
+      );
+      expect(svc.sessions).toHaveLength(0);
+    });
+  });
+});
@@ -131,7 +131,7 @@ describe("PaymentGatewayAxcess – adapter", () => {
     expect(res.status).toBe("SUCCESS");
     expect(svc.transactions[0].status).toBe("success");
     const sessions = await svc.getSessionsBy("orderId", "ORD-STAT");
-    expect(sessions[0].status).toBe("success");
+    expect(sessions[0].status).toBe("succeeded");
     expect(svc.grants.length).toBe(1);
   });
 
@@ -387,14 +387,22 @@ describe("PaymentGatewayAxcess – adapter", () => {
   test("mapWebhookEvent: detects refund, chargeback, registration, schedule, risk", () => {
     const refund = ax.mapWebhookEvent({
       type: "payment.refund",
-      payment: { result: { code: "000.100.110" } },
+      payment: {
+        amount: "5.00",
+        currency: "USD",
+        result: { code: "000.100.110" },
+      },
     });
     expect(refund.type).toBe("payment_success");
     const cb = ax.mapWebhookEvent({
       type: "payment.chargeback",
-      payment: { result: { code: "000.200.000" } },
+      payment: {
+        amount: "5.00",
+        currency: "USD",
+        result: { code: "000.200.000" },
+      },
     });
-    expect(cb.type).toBe("payment_success");
+    expect(cb.type).toBe("chargeback");
     const regC = ax.mapWebhookEvent({
       type: "registration.created",
       registrationId: "REG-Z",
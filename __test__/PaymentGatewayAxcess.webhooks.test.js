@@ -0,0 +1,619 @@
+import { jest } from "@jest/globals";
+import {
+  loadMockedGateway,
+  encryptWebhook,
+  webhookSecretKey,
+} from "./helper/mockedGateway.js";
+
+const {
+  httpsMock,
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: { Logger, WebhookVerificationError, ConfigurationError },
+} = await loadMockedGateway();
+
+const secretKey = webhookSecretKey;
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+  webhook: {
+    secretKey,
+    idempotencyStoreTtlHours: 2,
+    jobs: { initialDelaySeconds: 10, maxDelaySeconds: 60, maxAttempts: 3 },
+  },
+};
+
+const APPROVED = "000.100.110";
+
+describe("PaymentGatewayAxcess – webhook outbox (mocked https)", () => {
+  let svc, ax;
+
+  beforeEach(() => {
+    httpsMock.request.__resetMock();
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+  });
+
+  const webhook = (type, payment) => {
+    const { rawBody, headers } = encryptWebhook({
+      type,
+      payment: { amount: "10.00", currency: "EUR", ...payment },
+    });
+    return ax.handleWebhook(rawBody, headers);
+  };
+  const success = () =>
+    webhook("payment.success", {
+      id: "PAY-1",
+      result: { code: APPROVED },
+      registrationId: "REG-1",
+    });
+  const jobsOf = (webhookId) => svc.getWebhookJobs(webhookId);
+
+  test("the receipt and one job per side effect are stored together", async () => {
+    const result = await success();
+
+    expect(result).toMatchObject({
+      ok: true,
+      jobs: { done: 4, pending: 0, dead: 0 },
+    });
+    expect(svc.webhooks).toHaveLength(1);
+    expect(svc.webhooks[0]).toMatchObject({
+      event: "payment_success",
+      handled: true,
+    });
+    const jobs = await jobsOf(result.webhookId);
+    expect(jobs.map((j) => [j.seq, j.kind, j.status])).toEqual([
+      [1, "transaction", "done"],
+      [2, "token", "done"],
+      [3, "entitlement", "done"],
+      [4, "event", "done"],
+    ]);
+    expect(svc.transactions.at(-1)).toMatchObject({
+      gatewayTxnId: "PAY-1",
+      status: "success",
+    });
+    expect(svc.grants).toHaveLength(1);
+  });
+
+  test("a step that throws is retried alone and access is granted", async () => {
+    const grant = svc.grantAccess.bind(svc);
+    let failures = 1;
+    svc.grantAccess = async (payload) => {
+      if (failures-- > 0) throw new Error("access service down");
+      return grant(payload);
+    };
+
+    const result = await success();
+    // The event step waits for the entitlement
+    expect(result.jobs).toEqual({ done: 2, pending: 2, dead: 0 });
+    expect(svc.webhooks[0].handled).toBe(false);
+    const job = (await jobsOf(result.webhookId))[2];
+    expect(job).toMatchObject({
+      kind: "entitlement",
+      status: "pending",
+      attempts: 1,
+      lastError: "access service down",
+    });
+    expect((await svc.getEntitlement("PAY-1")).decisions[0]).toMatchObject({
+      applied: false,
+      reason: "dispatch_failed",
+    });
+
+    // Not due before the backoff
+    expect(
+      (await ax.processWebhookJobs({ now: job.nextAttemptAt - 1 })).checked
+    ).toBe(0);
+
+    const summary = await ax.processWebhookJobs({ now: job.nextAttemptAt });
+    expect(summary).toMatchObject({ checked: 2, done: 2 });
+    expect(svc.grants).toHaveLength(1);
+    expect((await svc.getEntitlement("PAY-1")).state).toBe("granted");
+    expect(svc.webhooks[0].handled).toBe(true);
+    // The transaction was saved once, by the first run
+    expect(
+      svc.transactions.filter((t) => t.gatewayTxnId === "PAY-1")
+    ).toHaveLength(1);
+  });
+
+  test("jobs that keep failing are dead-lettered and can be requeued", async () => {
+    svc.saveTransaction = async () => {
+      throw new Error("db unavailable");
+    };
+
+    const { webhookId } = await success();
+    for (let i = 1; i <= 2; i++) {
+      await ax.processWebhookJobs({ now: Date.now() + i * 3600 * 1000 });
+    }
+
+    const dead = await ax.listDeadWebhookJobs();
+    expect(dead).toHaveLength(1);
+    expect(dead[0]).toMatchObject({
+      webhookId,
+      kind: "transaction",
+      status: "dead",
+      attempts: 3,
+    });
+    // Later steps are held back by the dead one
+    expect(svc.grants).toHaveLength(0);
+    expect(
+      (await jobsOf(webhookId)).map((j) => [j.kind, j.status, j.attempts])
+    ).toEqual([
+      ["transaction", "dead", 3],
+      ["token", "pending", 0],
+      ["entitlement", "pending", 0],
+      ["event", "pending", 0],
+    ]);
+
+    delete svc.saveTransaction;
+    expect(await ax.retryWebhookJob({ webhookId, seq: dead[0].seq })).toEqual({
+      requeued: true,
+    });
+    const summary = await ax.processWebhookJobs({ now: Date.now() + 1000 });
+    expect(summary).toMatchObject({ checked: 4, done: 4 });
+    expect(svc.grants).toHaveLength(1);
+    expect(await ax.listDeadWebhookJobs()).toHaveLength(0);
+    expect(svc.webhooks[0].handled).toBe(true);
+  });
+
+  test("a due job is run by one worker only", async () => {
+    const grant = svc.grantAccess.bind(svc);
+    let failures = 1;
+    svc.grantAccess = async (payload) => {
+      if (failures-- > 0) throw new Error("access service down");
+      return grant(payload);
+    };
+    const { webhookId } = await success();
+    const [, , job] = await jobsOf(webhookId);
+
+    const summaries = await Promise.all([
+      ax.processWebhookJobs({ now: job.nextAttemptAt }),
+      ax.processWebhookJobs({ now: job.nextAttemptAt }),
+    ]);
+    expect(summaries[0].skipped + summaries[1].skipped).toBeGreaterThan(0);
+    expect(svc.grants).toHaveLength(1);
+    expect(
+      (await svc.getEntitlement("PAY-1")).decisions.filter((d) => d.applied)
+    ).toHaveLength(1);
+  });
+
+  describe("duplicate deliveries", () => {
+    const delivery = () =>
+      encryptWebhook({
+        id: "EVT-1",
+        type: "payment.success",
+        payment: {
+          id: "PAY-1",
+          amount: "10.00",
+          currency: "EUR",
+          result: { code: APPROVED },
+        },
+      });
+    const send = ({ rawBody, headers }) => ax.handleWebhook(rawBody, headers);
+
+    test("a redelivered webhook is acknowledged and not processed again", async () => {
+      const first = await send(delivery());
+      const second = await send(delivery());
+
+      expect(first).toMatchObject({ ok: true, webhookId: "EVT-1" });
+      expect(second).toEqual({ ok: true, webhookId: "EVT-1", duplicate: true });
+      expect(svc.webhooks).toHaveLength(1);
+      expect(svc.transactions).toHaveLength(1);
+      expect(svc.grants).toHaveLength(1);
+    });
+
+    test("concurrent deliveries are processed once", async () => {
+      const results = await Promise.all([send(delivery()), send(delivery())]);
+      expect(results.filter((r) => r.duplicate)).toHaveLength(1);
+      expect(svc.webhooks).toHaveLength(1);
+      expect(svc.transactions).toHaveLength(1);
+    });
+
+    test("the claim expires after idempotencyStoreTtlHours", async () => {
+      const before = Date.now();
+      await send(delivery());
+      const claim = await svc.getIdempotencyRecord("webhook#EVT-1");
+      // Epoch seconds, the unit of the table TTL
+      expect(claim.expiresAt).toBeGreaterThanOrEqual(
+        Math.floor(before / 1000) + 2 * 3600
+      );
+      expect(claim.expiresAt).toBeLessThanOrEqual(
+        Math.ceil(Date.now() / 1000) + 2 * 3600
+      );
+
+      claim.expiresAt = Math.floor(Date.now() / 1000) - 1;
+      const again = await send(delivery());
+      expect(again.duplicate).toBeUndefined();
+      expect(svc.transactions).toHaveLength(2);
+    });
+
+    test("a delivery that could not be stored is not remembered", async () => {
+      const save = svc.saveWebhookReceipt.bind(svc);
+      svc.saveWebhookReceipt = async () => {
+        throw new Error("write failed");
+      };
+      await expect(send(delivery())).rejects.toThrow("write failed");
+      expect(await svc.getIdempotencyRecord("webhook#EVT-1")).toBeNull();
+
+      svc.saveWebhookReceipt = save;
+      expect((await send(delivery())).duplicate).toBeUndefined();
+      expect(svc.grants).toHaveLength(1);
+    });
+  });
+
+  describe("replay", () => {
+    const range = () => ({ from: 0, to: Date.now() + 1000 });
+    // A receipt that was stored but never mapped or applied
+    const legacyReceipt = (id, payment) =>
+      svc.saveWebhook({
+        pk: `TRIGGER#${id}`,
+        sk: `WEBHOOK#${id}`,
+        payload: { type: "payment.success", payment },
+        event: null,
+        receivedAt: Date.now(),
+        handled: false,
+      });
+
+    beforeEach(async () => {
+      await legacyReceipt("OLD-1", {
+        id: "PAY-1",
+        merchantTransactionId: "ORD-1",
+        amount: "10.00",
+        currency: "EUR",
+        result: { code: APPROVED },
+      });
+      await webhook("payment.success", {
+        id: "PAY-2",
+        merchantTransactionId: "ORD-2",
+        result: { code: APPROVED },
+      });
+    });
+
+    test("a dry run reports differences without side effects", async () => {
+      const report = await ax.replayWebhooks(range());
+
+      expect(report).toMatchObject({
+        dryRun: true,
+        checked: 2,
+        changed: 1,
+        replayed: 0,
+      });
+      const [legacy, current] = report.results;
+      expect(legacy).toMatchObject({
+        webhookId: "OLD-1",
+        before: { type: null, steps: [] },
+        after: {
+          type: "payment_success",
+          steps: ["transaction", "entitlement", "event"],
+        },
+      });
+      expect(legacy.diff.map((d) => d.field)).toEqual(["type", "steps"]);
+      expect(current.diff).toEqual([]);
+      expect(svc.grants).toHaveLength(1);
+      expect(svc.webhooks[0].handled).toBe(false);
+    });
+
+    test("a live run applies only what was missing", async () => {
+      const report = await ax.replayWebhooks({ ...range(), dryRun: false });
+
+      expect(report).toMatchObject({ checked: 2, replayed: 2, failed: 0 });
+      expect(svc.grants.map((g) => g.event.txn.gatewayTxnId)).toEqual([
+        "PAY-2",
+        "PAY-1",
+      ]);
+      expect(svc.webhooks[0]).toMatchObject({
+        event: "payment_success",
+        handled: true,
+      });
+      expect((await svc.getEntitlement("PAY-2")).decisions.at(-1).reason).toBe(
+        "duplicate"
+      );
+    });
+
+    test("filters by order and event type", async () => {
+      let report = await ax.replayWebhooks({ ...range(), orderId: "ORD-2" });
+      expect(report.results).toHaveLength(1);
+      expect(report.results[0].after.txn.orderId).toBe("ORD-2");
+
+      report = await ax.replayWebhooks({ ...range(), type: "refund" });
+      expect(report.checked).toBe(0);
+
+      await expect(
+        ax.replayWebhooks({ from: Date.now(), to: 0 })
+      ).rejects.toThrow("Replay range starts after it ends");
+    });
+  });
+
+  describe("verification", () => {
+    const payload = {
+      type: "payment.success",
+      payment: {
+        id: "PAY-1",
+        amount: "10.00",
+        currency: "EUR",
+        result: { code: APPROVED },
+      },
+    };
+    let logs;
+
+    beforeEach(() => {
+      logs = jest.spyOn(Logger, "writeLog").mockImplementation(() => {});
+    });
+    afterEach(() => logs.mockRestore());
+
+    const securityLogs = () =>
+      logs.mock.calls.map(([e]) => e).filter((e) => e.flag === "security");
+    const rejection = async (gateway, rawBody, headers) => {
+      const error = await gateway
+        .handleWebhook(rawBody, headers)
+        .catch((e) => e);
+      expect(error).toBeInstanceOf(WebhookVerificationError);
+      return error;
+    };
+
+    test("a forged payload is rejected, logged and not stored", async () => {
+      const { rawBody, headers } = encryptWebhook(payload);
+      const forged = {
+        ...headers,
+        "x-authentication-tag": "0".repeat(32),
+      };
+
+      const error = await rejection(ax, rawBody, forged);
+      expect(error.reason).toBe("decrypt_failed");
+      expect(svc.webhooks).toHaveLength(0);
+      expect(svc.transactions).toHaveLength(0);
+      expect(securityLogs()).toEqual([
+        expect.objectContaining({
+          action: "Axcess webhook rejected",
+          data: expect.objectContaining({
+            reason: "decrypt_failed",
+            environment: "test",
+          }),
+        }),
+      ]);
+    });
+
+    test("plaintext is refused unless allowed, and only in test", async () => {
+      const plaintext = JSON.stringify(payload);
+      expect((await rejection(ax, plaintext, {})).reason).toBe(
+        "missing_headers"
+      );
+
+      const lenient = new PaymentGatewayAxcess({
+        paymentGatewayService: svc,
+        config: { ...config, webhook: { secretKey, allowPlaintext: true } },
+      });
+      await lenient.handleWebhook(plaintext, {});
+      expect(svc.webhooks[0].verified).toBe(false);
+      expect(securityLogs().at(-1).action).toBe(
+        "Axcess webhook accepted unverified"
+      );
+
+      expect(
+        () =>
+          new PaymentGatewayAxcess({
+            paymentGatewayService: svc,
+            config: {
+              ...config,
+              environment: "live",
+              webhook: { secretKey, allowPlaintext: true },
+            },
+          })
+      ).toThrow(ConfigurationError);
+    });
+
+    test("strict mode (default in live) requires the full tag", async () => {
+      const live = new PaymentGatewayAxcess({
+        paymentGatewayService: svc,
+        config: { ...config, environment: "live" },
+      });
+      const { rawBody, headers } = encryptWebhook(payload);
+      const truncated = {
+        ...headers,
+        "x-authentication-tag": headers["x-authentication-tag"].slice(0, 16),
+      };
+
+      expect((await rejection(live, rawBody, truncated)).reason).toBe(
+        "invalid_tag"
+      );
+      expect(svc.webhooks).toHaveLength(0);
+
+      await live.handleWebhook(rawBody, headers);
+      expect(svc.webhooks[0].verified).toBe(true);
+    });
+  });
+
+  describe("secret rotation", () => {
+    const oldKey = "c".repeat(64);
+    const newKey = "d".repeat(64);
+    const hour = 3600 * 1000;
+    const payload = {
+      type: "payment.success",
+      payment: {
+        id: "PAY-1",
+        amount: "10.00",
+        currency: "EUR",
+        result: { code: APPROVED },
+      },
+    };
+    let logs;
+
+    beforeEach(() => {
+      logs = jest.spyOn(Logger, "writeLog").mockImplementation(() => {});
+    });
+    afterEach(() => logs.mockRestore());
+
+    const withKeys = (secretKeys) =>
+      new PaymentGatewayAxcess({
+        paymentGatewayService: svc,
+        config: { ...config, webhook: { secretKeys } },
+      });
+    const send = (gateway, key) => {
+      const { rawBody, headers } = encryptWebhook(payload, key);
+      return gateway.handleWebhook(rawBody, headers);
+    };
+    const retiringWarnings = () =>
+      logs.mock.calls.filter(
+        ([e]) => e.action === "Axcess webhook secret retiring"
+      );
+
+    test("each listed key is tried and the one used is recorded", async () => {
+      const gateway = withKeys([
+        { id: "2026-10", key: newKey },
+        {
+          id: "2026-04",
+          key: oldKey,
+          retireAt: new Date(Date.now() + hour).toISOString(),
+        },
+      ]);
+
+      await send(gateway, newKey);
+      expect(svc.webhooks[0].secretKeyId).toBe("2026-10");
+      expect(retiringWarnings()).toHaveLength(0);
+
+      await send(gateway, oldKey);
+      expect(svc.webhooks[1].secretKeyId).toBe("2026-04");
+      expect(retiringWarnings()).toHaveLength(1);
+      expect(retiringWarnings()[0][0]).toMatchObject({
+        flag: "security",
+        data: { keyId: "2026-04" },
+      });
+    });
+
+    test("keys outside their activation window are not tried", async () => {
+      const gateway = withKeys([
+        { id: "next", key: newKey, activeFrom: Date.now() + hour },
+        { id: "retired", key: oldKey, retireAt: Date.now() - hour },
+        { id: "current", key: secretKey },
+      ]);
+
+      for (const key of [newKey, oldKey]) {
+        const error = await send(gateway, key).catch((e) => e);
+        expect(error).toBeInstanceOf(WebhookVerificationError);
+        expect(error.details.keysTried).toEqual(["current"]);
+      }
+      await send(gateway, secretKey);
+      expect(svc.webhooks.map((w) => w.secretKeyId)).toEqual(["current"]);
+    });
+
+    test("misconfigured key lists are refused at construction", () => {
+      expect(() =>
+        withKeys([
+          { id: "a", key: newKey },
+          { id: "a", key: oldKey },
+        ])
+      ).toThrow(ConfigurationError);
+      expect(() =>
+        withKeys([{ id: "a", key: newKey, retireAt: "soon" }])
+      ).toThrow(ConfigurationError);
+    });
+  });
+
+  describe("notification envelopes", () => {
+    const notify = (paymentType, fields = {}) => {
+      const { rawBody, headers } = encryptWebhook({
+        type: "PAYMENT",
+        payload: {
+          id: `${paymentType}-1`,
+          paymentType,
+          amount: "10.00",
+          currency: "EUR",
+          result: { code: APPROVED },
+          ...fields,
+        },
+      });
+      return ax.handleWebhook(rawBody, headers);
+    };
+    const entitlement = (id) => svc.entitlements.get(id)?.state;
+
+    test("a PA, its capture and a later reversal act on the authorization", async () => {
+      await notify("PA");
+      expect(svc.grants).toHaveLength(0);
+      await notify("CP", { referencedId: "PA-1" });
+      expect(entitlement("PA-1")).toBe("granted");
+      expect(svc.transactions.at(-1)).toMatchObject({
+        gatewayTxnId: "CP-1",
+        paymentType: "CP",
+        status: "success",
+      });
+
+      await notify("RV", { referencedId: "PA-1" });
+      expect(entitlement("PA-1")).toBe("revoked");
+      expect(svc.transactions.at(-1)).toMatchObject({
+        gatewayTxnId: "RV-1",
+        status: "voided",
+      });
+    });
+
+    test("a rejected refund is recorded as failed and keeps access", async () => {
+      await notify("DB");
+      await notify("RF", {
+        referencedId: "DB-1",
+        result: { code: "800.100.151" },
+      });
+      expect(entitlement("DB-1")).toBe("granted");
+      expect(svc.transactions.at(-1)).toMatchObject({
+        gatewayTxnId: "RF-1",
+        status: "failed",
+      });
+    });
+
+    test("notifications about the same id are told apart by type and action", async () => {
+      const registration = (action) => {
+        const { rawBody, headers } = encryptWebhook({
+          type: "REGISTRATION",
+          action,
+          payload: { id: "REG-1", paymentBrand: "VISA" },
+        });
+        return ax.handleWebhook(rawBody, headers);
+      };
+
+      const created = await registration("CREATED");
+      const deleted = await registration("DELETED");
+      expect(created.duplicate).toBeUndefined();
+      expect(deleted.duplicate).toBeUndefined();
+      expect(created.webhookId).not.toBe(deleted.webhookId);
+      expect(svc.webhooks).toHaveLength(2);
+
+      expect(await registration("DELETED")).toEqual({
+        ok: true,
+        webhookId: deleted.webhookId,
+        duplicate: true,
+      });
+    });
+
+    test("a malformed notification is refused with its reason and not stored", async () => {
+      const { rawBody, headers } = encryptWebhook({
+        type: "PAYMENT",
+        payload: { id: "X", paymentType: "RF", amount: "1.00" },
+      });
+      await expect(ax.handleWebhook(rawBody, headers)).rejects.toMatchObject({
+        name: "WebhookPayloadError",
+        reason: "missing_field",
+        field: "currency",
+      });
+      expect(svc.webhooks).toHaveLength(0);
+    });
+
+    test("a legacy payment without a currency is refused, not defaulted", async () => {
+      const { rawBody, headers } = encryptWebhook({
+        type: "payment.success",
+        payment: { id: "PAY-1", amount: "10.00", result: { code: APPROVED } },
+      });
+      await expect(ax.handleWebhook(rawBody, headers)).rejects.toMatchObject({
+        name: "WebhookPayloadError",
+        reason: "missing_field",
+        field: "currency",
+      });
+      expect(svc.webhooks).toHaveLength(0);
+    });
+  });
+
+  test("unmapped webhooks keep a receipt and create no jobs", async () => {
+    const result = await webhook("something.else", { id: "X-1" });
+    expect(result.jobs).toEqual({ done: 0, pending: 0, dead: 0 });
+    expect(svc.webhooks).toHaveLength(1);
+    expect(await jobsOf(result.webhookId)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,190 @@
+import { loadMockedGateway } from "./helper/mockedGateway.js";
+
+const {
+  PaymentGatewayAxcess,
+  PaymentGatewayServiceMock,
+  utils: { ValidationError, ConfigurationError },
+} = await loadMockedGateway();
+
+const config = {
+  environment: "test",
+  baseUrl: "https://eu-test.oppwa.com",
+  entityId: "ENTITY-TEST",
+  bearerToken: "TOKEN-TEST",
+  ui: {
+    widgetBrands: ["VISA", "MASTER"],
+    defaultLocale: "en",
+    callbackUrl: "https://shop.example.com/pay/return",
+    pageTitle: "Pay for your order",
+    theme: { primaryColor: "#ff0000", logoUrl: "/logo.svg" },
+  },
+  locales: { en: "en", fr: "fr" },
+};
+
+describe("PaymentGatewayAxcess – widget & hosted page (mocked https)", () => {
+  let svc, ax;
+
+  beforeEach(async () => {
+    svc = new PaymentGatewayServiceMock();
+    ax = new PaymentGatewayAxcess({ paymentGatewayService: svc, config });
+    await svc.saveSession({
+      id: "S-1",
+      userId: "U1",
+      orderId: "ORD-1",
+      checkoutId: "CHK-1",
+      status: "pending",
+      amount: 24.5,
+      currency: "EUR",
+      metadata: { description: "Gold plan <annual>" },
+      createdAt: Date.now(),
+    });
+  });
+
+  test("widget form posts to the configured callback with the orderId", () => {
+    const html = ax.getPaymentWidgetHtml({
+      checkoutId: "CHK-1",
+      orderId: "ORD 1",
+      nonce: "abc123",
+    });
+    expect(html).toContain(
+      'action="https://shop.example.com/pay/return?orderId=ORD%201"'
+    );
+    expect(html).toContain('<script nonce="abc123" src=');
+    expect(html).not.toContain("wpwlOptions");
+  });
+
+  test("wpwlOptions are emitted before the widget script and cannot break out", () => {
+    const html = ax.getPaymentWidgetHtml({
+      checkoutId: "CHK-1",
+      wpwlOptions: { style: "card", labels: { cvv: "</script><b>" } },
+    });
+    const [options, widget] = html.split("\n");
+    expect(options).toMatch(/^<script>var wpwlOptions = \{/);
+    expect(options).not.toContain("</script><b>");
+    expect(options).toContain("\\u003c/script\\u003e");
+    expect(widget).toContain("/v1/paymentWidgets.js?checkoutId=CHK-1");
+  });
+
+  test("renderPaymentPage returns a full page with summary, theme and CSP nonce", async () => {
+    const { html, headers, nonce } = await ax.renderPaymentPage({
+      checkoutId: "CHK-1",
+      orderId: "ORD-1",
+      locale: "fr",
+    });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<html lang="fr">');
+    expect(html).toContain("<title>Pay for your order</title>");
+    expect(html).toContain("--primary: #ff0000");
+    expect(html).toContain('<img class="logo" src="/logo.svg"');
+    expect(html).toContain("<dd>ORD-1</dd>");
+    expect(html).toContain("<dd>Gold plan &lt;annual&gt;</dd>");
+    expect(html).toContain("<dd>24.50 EUR</dd>");
+    expect(html).toContain(`<script nonce="${nonce}" src=`);
+    expect(html).toContain('data-lang="fr"');
+    expect(html).toContain("?orderId=ORD-1");
+
+    const csp = headers["Content-Security-Policy"];
+    expect(csp).toContain(
+      `script-src 'self' 'nonce-${nonce}' https://eu-test.oppwa.com`
+    );
+    expect(csp).toContain("object-src 'none'");
+    expect(headers["Cache-Control"]).toBe("no-store");
+  });
+
+  test("each render uses a fresh nonce", async () => {
+    const a = await ax.renderPaymentPage({
+      checkoutId: "CHK-1",
+      orderId: "ORD-1",
+    });
+    const b = await ax.renderPaymentPage({
+      checkoutId: "CHK-1",
+      orderId: "ORD-1",
+    });
+    expect(a.nonce).not.toBe(b.nonce);
+  });
+
+  test("renderPaymentPage rejects unknown or expired checkouts", async () => {
+    await expect(
+      ax.renderPaymentPage({ checkoutId: "CHK-X", orderId: "ORD-1" })
+    ).rejects.toBeInstanceOf(ValidationError);
+
+    svc.sessions[0].createdAt = Date.now() - 60 * 60 * 1000;
+    await expect(
+      ax.renderPaymentPage({ checkoutId: "CHK-1", orderId: "ORD-1" })
+    ).rejects.toMatchObject({
+      name: "ValidationError",
+      details: { reason: "unknown_checkout", checkoutId: "CHK-1" },
+    });
+  });
+
+  describe("widget options", () => {
+    const withOptions = (widgetOptions) =>
+      new PaymentGatewayAxcess({
+        paymentGatewayService: svc,
+        config: { ...config, ui: { ...config.ui, widgetOptions } },
+      });
+    const optionsScript = (html) =>
+      html.split("<script>")[1].split("</script>")[0];
+
+    test("config options merge with per-call overrides", () => {
+      const gw = withOptions({
+        style: "card",
+        requireCvv: true,
+        labels: { cvv: "CVV", cardHolder: "Name" },
+      });
+      const html = gw.getPaymentWidgetHtml({
+        checkoutId: "CHK-1",
+        wpwlOptions: { style: "plain", labels: { cvv: "Code" } },
+      });
+      const json = optionsScript(html).match(/^var wpwlOptions = (.*);$/m)[1];
+      expect(JSON.parse(json)).toEqual({
+        style: "plain",
+        requireCvv: true,
+        labels: { cvv: "Code", cardHolder: "Name" },
+      });
+    });
+
+    test("card holder validation, registration checkbox and hooks compile to valid JS", () => {
+      const gw = withOptions({
+        validateCardHolder: true,
+        registration: { label: "Remember this card" },
+        hooks: { onReady: "checkout.onReady" },
+      });
+      const script = optionsScript(
+        gw.getPaymentWidgetHtml({
+          checkoutId: "CHK-1",
+          wpwlOptions: {
+            hooks: { onBeforeSubmitCard: "checkout.beforeSubmit" },
+          },
+        })
+      );
+
+      expect(() => new Function(script)).not.toThrow();
+      expect(script).toContain('c.name = "createRegistration"');
+      expect(script).toContain('"Remember this card"');
+      expect(script).toContain('callHook("checkout.onReady", this, arguments)');
+      expect(script).toContain(".wpwl-control-cardHolder");
+      expect(script).toContain(
+        'callHook("checkout.beforeSubmit", this, arguments)'
+      );
+    });
+
+    test("unknown keys and unsafe hooks are rejected", () => {
+      expect(() => withOptions({ onReady: "x" })).toThrow(ConfigurationError);
+      expect(() => withOptions({ style: "fancy" })).toThrow(ConfigurationError);
+      expect(() =>
+        ax.getPaymentWidgetHtml({
+          checkoutId: "CHK-1",
+          wpwlOptions: { hooks: { onReady: "alert(1)" } },
+        })
+      ).toThrow(ValidationError);
+      expect(() =>
+        ax.getPaymentWidgetHtml({
+          checkoutId: "CHK-1",
+          wpwlOptions: { hooks: { onSubmit: "app.submit" } },
+        })
+      ).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import ResultCodes from "../utils/ResultCodes.js";
+
+const C = ResultCodes.CATEGORIES;
+
+describe("ResultCodes.classify", () => {
+  test.each([
+    ["000.000.000", C.SUCCESS],
+    ["000.100.110", C.SUCCESS],
+    ["000.400.000", C.SUCCESS_REVIEW],
+    ["000.200.000", C.PENDING],
+    ["800.400.500", C.PENDING],
+    ["000.400.101", C.THREEDS_REJECTION],
+    ["800.100.151", C.BANK_REJECTION],
+    ["900.100.300", C.COMMUNICATION_ERROR],
+    ["999.999.999", C.SYSTEM_ERROR],
+    ["100.400.080", C.RISK_REJECTION],
+    ["800.300.101", C.BLACKLIST],
+    ["200.300.404", C.VALIDATION_ERROR],
+    ["000.100.200", C.CHARGEBACK],
+    ["123.456.789", C.UNKNOWN],
+  ])("%s -> %s", (code, category) => {
+    expect(ResultCodes.classify(code).category).toBe(category);
+  });
+
+  test("flags", () => {
+    expect(ResultCodes.classify("000.400.000")).toMatchObject({
+      successful: true,
+      needsReview: true,
+    });
+    expect(ResultCodes.classify("800.100.151").hardDecline).toBe(true);
+    expect(ResultCodes.classify("800.100.155")).toMatchObject({
+      softDecline: true,
+      hardDecline: false,
+    });
+    expect(ResultCodes.classify("900.100.300").retryable).toBe(true);
+    expect(ResultCodes.classify(null).category).toBe(C.UNKNOWN);
+    expect(ResultCodes.isSuccessful("000.100.110")).toBe(true);
+    expect(ResultCodes.isPending("000.200.100")).toBe(true);
+  });
+});
@@ -0,0 +1,128 @@
+import RiskEngine from "../utils/RiskEngine.js";
+import { ConfigurationError } from "../utils/PaymentErrors.js";
+
+const context = (fields = {}) => ({
+  operation: "s2s_debit",
+  userId: "U1",
+  cardHash: "CARD-1",
+  ip: "10.0.0.1",
+  ipCountry: null,
+  billingCountry: null,
+  cardCountry: null,
+  amount: 10,
+  currency: "EUR",
+  now: 1_000_000_000,
+  ...fields,
+});
+
+const facts = (fields = {}) => ({
+  countAttempts: async () => 0,
+  getProfile: async () => null,
+  countChargebacks: async () => 0,
+  ...fields,
+});
+
+describe("RiskEngine", () => {
+  test("without rules it is inactive and allows everything", async () => {
+    const engine = new RiskEngine();
+    expect(engine.active).toBe(false);
+    expect(await engine.evaluate(context(), facts())).toEqual({
+      decision: "allow",
+      reasons: [],
+    });
+  });
+
+  test("the most severe action wins and every reason is kept", async () => {
+    const engine = new RiskEngine({
+      velocity: [{ by: "card", windowMinutes: 10, max: 3 }],
+      amountThresholds: [{ above: 100, currency: "eur" }],
+      countryMismatch: "require_3ds",
+    });
+    const seen = [];
+    const { decision, reasons } = await engine.evaluate(
+      context({ amount: 250, ipCountry: "de", billingCountry: "FR" }),
+      facts({
+        countAttempts: async (...args) => {
+          seen.push(args);
+          return 3;
+        },
+      })
+    );
+
+    expect(decision).toBe("block");
+    expect(reasons.map((r) => [r.rule, r.action])).toEqual([
+      ["velocity_card", "block"],
+      ["amount_threshold", "require_3ds"],
+      ["country_mismatch", "require_3ds"],
+    ]);
+    expect(reasons[2].detail).toBe("ip=DE, billing=FR");
+    expect(seen).toEqual([["card", "CARD-1", 1_000_000_000 - 10 * 60 * 1000]]);
+  });
+
+  test("rules only apply to the attempts they are about", async () => {
+    const engine = new RiskEngine({
+      velocity: [{ by: "ip", windowMinutes: 10, max: 1 }],
+      amountThresholds: [{ above: 100, currency: "USD" }],
+      countryMismatch: "block",
+      chargebacks: { max: 1 },
+      flaggedUser: "require_3ds",
+    });
+    const result = await engine.evaluate(
+      context({ ip: null, amount: 250, ipCountry: "DE", cardCountry: "de" }),
+      facts({
+        countChargebacks: async () => 1,
+        getProfile: async () => ({ status: "clear" }),
+      })
+    );
+    expect(result).toEqual({ decision: "allow", reasons: [] });
+  });
+
+  test("previous chargebacks, flagged users and custom rules", async () => {
+    const engine = new RiskEngine(
+      { chargebacks: { max: 0 }, flaggedUser: "require_3ds" },
+      [async (ctx) => (ctx.amount > 5 ? { action: "require_3ds" } : null)]
+    );
+    const { decision, reasons } = await engine.evaluate(
+      context(),
+      facts({
+        countChargebacks: async () => 2,
+        getProfile: async () => ({ status: "flagged", score: 90 }),
+      })
+    );
+    expect(decision).toBe("block");
+    expect(reasons).toEqual([
+      {
+        rule: "previous_chargebacks",
+        action: "block",
+        detail: "2 chargebacks (max 0)",
+      },
+      {
+        rule: "flagged_user",
+        action: "require_3ds",
+        detail: "flagged (score 90)",
+      },
+      { rule: "custom_0", action: "require_3ds", detail: "" },
+    ]);
+  });
+
+  test.each([
+    [{ velocity: [{ by: "email", windowMinutes: 1, max: 1 }] }, []],
+    [{ velocity: [{ by: "card", max: 1 }] }, []],
+    [
+      { amountThresholds: [{ above: 1, currency: "EUR", action: "review" }] },
+      [],
+    ],
+    [{ amountThresholds: [{ above: 1 }] }, []],
+    [{ countryMismatch: "deny" }, []],
+    [{}, ["not a function"]],
+  ])("rejects config %j", (config, rules) => {
+    expect(() => new RiskEngine(config, rules)).toThrow(ConfigurationError);
+  });
+
+  test("a custom rule returning an unknown action is a configuration error", async () => {
+    const engine = new RiskEngine({}, [() => ({ action: "review" })]);
+    await expect(engine.evaluate(context(), facts())).rejects.toThrow(
+      ConfigurationError
+    );
+  });
+});
@@ -0,0 +1,54 @@
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import httpsMock from "../../__mocks__/https.js";
+
+// Webhook secret the suites configure unless a test brings its own
+export const webhookSecretKey = "a".repeat(64);
+
+/**
+ * Register the https mock, then load the gateway, the service mock and the
+ * utils so that they (and helper.js) see it. Await it at the top of a suite,
+ * before anything else that may load https.
+ * @returns {Promise<{httpsMock:object, PaymentGatewayAxcess:Function, PaymentGatewayServiceMock:Function, utils:object}>}
+ */
+export async function loadMockedGateway() {
+  jest.unstable_mockModule("https", () => ({
+    default: httpsMock,
+    ...httpsMock,
+  }));
+
+  const { default: PaymentGatewayAxcess } = await import(
+    "../../service/AxcessPaymentGateway.js"
+  );
+  const { default: PaymentGatewayServiceMock } = await import(
+    "../../__mocks__/PaymentGatewayServiceMock.js"
+  );
+  const utils = await import("../../utils/index.js");
+  return { httpsMock, PaymentGatewayAxcess, PaymentGatewayServiceMock, utils };
+}
+
+/**
+ * Encrypt a webhook like Axcess does: AES-256-GCM, hex body, IV and tag in headers
+ * @param {object} payload
+ * @param {string} [key=webhookSecretKey] - hex secret
+ * @returns {{rawBody:string, headers:object}}
+ */
+export function encryptWebhook(payload, key = webhookSecretKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    Buffer.from(key, "hex"),
+    iv
+  );
+  const body = Buffer.concat([
+    cipher.update(JSON.stringify(payload), "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    rawBody: JSON.stringify({ encryptedBody: body.toString("hex") }),
+    headers: {
+      "x-initialization-vector": iv.toString("hex"),
+      "x-authentication-tag": cipher.getAuthTag().toString("hex"),
+    },
+  };
+}
@@ -0,0 +1,118 @@
+import { jest } from "@jest/globals";
+import httpsMock from "../__mocks__/https.js";
+
+// Register the https mock before helper.js is loaded
+jest.unstable_mockModule("https", () => ({
+  default: httpsMock,
+  ...httpsMock,
+}));
+
+const { httpRequestWithBearer } = await import("../helper/helper.js");
+const { GatewayTimeoutError } = await import("../utils/index.js");
+
+const retry = { maxAttempts: 3, initialBackoffMs: 1, maxBackoffMs: 2 };
+
+function respondInSequence(outcomes) {
+  let calls = 0;
+  httpsMock.request.__setMockResponse(
+    () => true,
+    () => outcomes[Math.min(calls++, outcomes.length - 1)]
+  );
+  return () => calls;
+}
+
+describe("httpRequestWithBearer – retry + timeout", () => {
+  beforeEach(() => {
+    httpsMock.request.__resetMock();
+  });
+
+  test("GET retries 5xx and returns the first success", async () => {
+    const count = respondInSequence([
+      { status: 503, json: {} },
+      { status: 200, json: { id: "OK" } },
+    ]);
+    const res = await httpRequestWithBearer({
+      urlString: "https://eu-test.oppwa.com/v1/payments/P1",
+      bearerToken: "T",
+      retry,
+    });
+    expect(res.status).toBe(200);
+    expect(res.data.id).toBe("OK");
+    expect(count()).toBe(2);
+  });
+
+  test("POST without idempotency key is not retried", async () => {
+    const count = respondInSequence([{ status: 502, json: {} }]);
+    const res = await httpRequestWithBearer({
+      urlString: "https://eu-test.oppwa.com/v1/payments",
+      method: "POST",
+      bearerToken: "T",
+      body: "a=1",
+      retry,
+    });
+    expect(res.status).toBe(502);
+    expect(count()).toBe(1);
+  });
+
+  test("POST without idempotency key is not resent after a connection reset", async () => {
+    const count = respondInSequence([
+      { errorCode: "ECONNRESET" },
+      { status: 200, json: { id: "OK" } },
+    ]);
+    await expect(
+      httpRequestWithBearer({
+        urlString: "https://eu-test.oppwa.com/v1/payments",
+        method: "POST",
+        bearerToken: "T",
+        body: "a=1",
+        retry,
+      })
+    ).rejects.toMatchObject({ code: "ECONNRESET" });
+    expect(count()).toBe(1);
+  });
+
+  test("POST with idempotency key retries connection resets", async () => {
+    const count = respondInSequence([
+      { errorCode: "ECONNRESET" },
+      { status: 200, json: { id: "OK" } },
+    ]);
+    const res = await httpRequestWithBearer({
+      urlString: "https://eu-test.oppwa.com/v1/payments",
+      method: "POST",
+      bearerToken: "T",
+      body: "a=1",
+      retry,
+      idempotencyKey: "K-1",
+    });
+    expect(res.status).toBe(200);
+    expect(count()).toBe(2);
+  });
+
+  test("DELETE retries connection resets", async () => {
+    const count = respondInSequence([
+      { errorCode: "ECONNRESET" },
+      { status: 200, json: { id: "OK" } },
+    ]);
+    const res = await httpRequestWithBearer({
+      urlString: "https://eu-test.oppwa.com/v1/registrations/R1",
+      method: "DELETE",
+      bearerToken: "T",
+      retry,
+    });
+    expect(res.status).toBe(200);
+    expect(count()).toBe(2);
+  });
+
+  test("timeout aborts the request and raises GatewayTimeoutError", async () => {
+    const count = respondInSequence([{ hang: true }]);
+    await expect(
+      httpRequestWithBearer({
+        urlString: "https://eu-test.oppwa.com/v1/payments/P1",
+        bearerToken: "T",
+        timeoutMs: 5,
+        retry,
+      })
+    ).rejects.toBeInstanceOf(GatewayTimeoutError);
+    expect(count()).toBe(3);
+  });
+});
@@ -110,6 +110,20 @@ const logRoutes = {
       },
     ],
   },
+  security: {
+    retention: "365d",
+    category: "security",
+    description: "Rejected or unauthenticated inbound requests",
+    logs: [
+      {
+        flag: "security",
+        path: "security/webhooks/{environment}.log",
+        PCI_compliance: false,
+        critical: false,
+        description: "Webhook verification failures and unverified webhooks",
+      },
+    ],
+  },
   chime: {
     category: "chime",
     description: "AWS Chime attendee logs",
@@ -6,20 +6,87 @@ const config = {
   baseUrl: process.env.AXCESS_BASE_URL,
   entityId: process.env.AXCESS_ENTITY_ID,
   bearerToken: process.env.AXCESS_BEARER_TOKEN,
+  // Extra entity profiles, e.g. { eu: { entityId, bearerToken, currencies: ["EUR"] } };
+  // entityId/bearerToken above form the "default" profile
+  entities: {},
+  defaultEntity: "default",
   environment: process.env.NODE_ENV || "test", // ✅ required
   webhook: {
     secretKey: process.env.WEBHOOK_SECRET_KEY,
+    // Rotation: list keys in order instead of secretKey, e.g.
+    // secretKeys: [
+    //   { id: "2026-10", key: process.env.WEBHOOK_SECRET_KEY },
+    //   { id: "2026-04", key: process.env.WEBHOOK_SECRET_KEY_PREVIOUS, retireAt: "2026-11-01" },
+    // ],
     ivHeaderName: "x-axcess-iv",
     sigHeaderName: "x-axcess-signature",
     idempotencyStoreTtlHours: 48,
+    // processWebhookJobs backoff for webhook side effects that threw
+    jobs: {
+      initialDelaySeconds: 30,
+      maxDelaySeconds: 3600,
+      maxAttempts: 10,
+      leaseSeconds: 300,
+    },
   },
   ui: {
     widgetBrands: ["VISA", "MASTER"],
     defaultLocale: "en",
+    callbackUrl: "/payments/axcess/callback", // orderId is appended
+    pageTitle: "Checkout",
+    theme: { primaryColor: "#1a73e8", logoUrl: null },
+    // Copy&Pay wpwlOptions; hooks name global functions, e.g. { onReady: "checkout.onWidgetReady" }
+    widgetOptions: {
+      style: "card",
+      requireCvv: true,
+      validateCardHolder: true,
+      registration: false, // true | { label } adds the card-on-file checkbox
+      hooks: {},
+    },
   },
   locales: { en: "en", fr: "fr" },
   threeDS: { challengeWindowSize: "05", attemptExemption: false },
-  session: { checkoutExpiryMinutes: 25 },
+  session: {
+    checkoutExpiryMinutes: 25,
+    reusePolicy: "update", // 'update' | 'recreate' when the cart changed
+    abandonAfterMinutes: 60, // sweepAbandonedSessions threshold
+    sweepVerifyWithGateway: true, // read the checkout status before abandoning
+  },
+  idempotency: { ttlHours: 24, leaseSeconds: 300 },
+  http: {
+    timeoutMs: 12000,
+    retry: { maxAttempts: 3, initialBackoffMs: 200, maxBackoffMs: 3000 },
+  },
+  authorization: {
+    expiryDays: { default: 7, VISA: 7, MASTER: 7, AMEX: 7 },
+    expiryPolicy: "void", // 'void' | 'capture'
+    sweepLeadHours: 12,
+    sweepMaxAttempts: 3,
+  },
+  // resolvePendingPayments backoff: initialDelay * 2^attempt, capped at maxDelay
+  pendingPayments: {
+    initialDelaySeconds: 60,
+    maxDelaySeconds: 3600,
+    maxAttempts: 12,
+  },
+  // redeliverEvents backoff for application event handlers that threw
+  events: {
+    initialDelaySeconds: 30,
+    maxDelaySeconds: 3600,
+    maxAttempts: 8,
+  },
+  // Evidence deadline for chargebacks whose notification has no due date
+  disputes: {
+    evidenceDays: 7,
+  },
+  // Pre-authorization risk rules; with none configured every payment is sent
+  risk: {
+    // velocity: [{ by: "card", windowMinutes: 60, max: 5, action: "block" }],
+    // amountThresholds: [{ above: 500, currency: "EUR", action: "require_3ds" }],
+    // countryMismatch: "require_3ds",
+    // chargebacks: { max: 0, action: "block" },
+    // flaggedUser: "require_3ds",
+  },
 };
 
 export default config;
@@ -1,5 +1,139 @@
 const DEFAULT_HTTP_TIMEOUT_MS = 12000;
 const DEFAULT_CHECKOUT_EXPIRY_MINUTES = 25;
+const DEFAULT_IDEMPOTENCY_TTL_HOURS = 24;
+// A call holding an idempotency key this long is taken to have died
+const DEFAULT_IDEMPOTENCY_LEASE_SECONDS = 300;
+const DEFAULT_HTTP_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialBackoffMs: 200,
+  maxBackoffMs: 3000,
+};
+// Network errors raised before a request could be sent
+const UNSENT_NETWORK_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+const DEFAULT_AUTHORIZATION_EXPIRY_DAYS = 7;
+const DEFAULT_AUTHORIZATION_SWEEP_LEAD_HOURS = 12;
+// Failed sweep attempts before an authorization is closed and left alone
+const DEFAULT_AUTHORIZATION_SWEEP_MAX_ATTEMPTS = 3;
+const AUTHORIZATION_EXPIRY_POLICIES = ["void", "capture"];
+const CHECKOUT_REUSE_POLICIES = ["update", "recreate"];
+// Backoff for re-querying payments that came back pending (resolvePendingPayments)
+const DEFAULT_PENDING_PAYMENT_POLICY = {
+  initialDelaySeconds: 60,
+  maxDelaySeconds: 3600,
+  maxAttempts: 12,
+};
+// Redelivery of application events whose handlers threw (redeliverEvents)
+const DEFAULT_EVENT_DELIVERY_POLICY = {
+  initialDelaySeconds: 30,
+  maxDelaySeconds: 3600,
+  maxAttempts: 8,
+};
+// Retries of webhook side-effect jobs that threw (processWebhookJobs); a job
+// being run is leased to its worker for leaseSeconds
+const DEFAULT_WEBHOOK_JOB_POLICY = {
+  initialDelaySeconds: 30,
+  maxDelaySeconds: 3600,
+  maxAttempts: 10,
+  leaseSeconds: 300,
+};
+// Entitlement state reached by a decision on one payment; a missing entry means
+// the decision is recorded but not dispatched (duplicate, stale or after a revoke)
+const ENTITLEMENT_TRANSITIONS = {
+  grant: { none: "granted", denied: "granted" },
+  deny: { none: "denied" },
+  revoke: { none: "revoked", granted: "revoked", denied: "revoked" },
+};
+// How long an entitlement marked as applying is left to its worker before
+// another decision may take it over (the worker died mid-dispatch)
+const ENTITLEMENT_APPLY_LEASE_MS = 5 * 60 * 1000;
+// Dispute statuses reachable from each status. A chargeback reversal from the
+// issuer is final and can follow any outcome recorded from the acquirer portal
+const DISPUTE_TRANSITIONS = {
+  open: ["evidence_submitted", "won", "lost", "reversed"],
+  evidence_submitted: ["won", "lost", "reversed"],
+  won: ["reversed"],
+  lost: ["reversed"],
+  reversed: [],
+};
+const DISPUTE_OPEN_STATUSES = ["open", "evidence_submitted"];
+// Time to answer a chargeback when the notification carries no due date
+const DEFAULT_DISPUTE_EVIDENCE_DAYS = 7;
+// Status of a checkout the shopper has not submitted yet
+const CHECKOUT_CREATED_CODE = "000.200.100";
+// The only resourcePath shapes Axcess hands back: checkout result and payment lookup
+const CHECKOUT_RESOURCE_PATH = /^\/v1\/checkouts\/([A-Za-z0-9._-]+)\/payment$/;
+const PAYMENT_RESOURCE_PATH = /^\/v1\/payments\/([A-Za-z0-9._-]+)$/;
+// ISO 4217 minor unit digits for currencies that do not use 2 (JPY has none,
+// KWD and BHD have 3); amounts are sent and tracked with this many decimals
+const CURRENCY_MINOR_UNITS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  UYI: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3,
+};
+const DEFAULT_WIDGET_CALLBACK_URL = "/payments/axcess/callback";
+const DEFAULT_PAYMENT_PAGE_THEME = {
+  primaryColor: "#1a73e8",
+  backgroundColor: "#f5f6f8",
+  textColor: "#1f2933",
+  fontFamily: "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif",
+  logoUrl: null,
+};
+// Copy&Pay wpwlOptions accepted from ui.widgetOptions / per-call overrides.
+// validateCardHolder, registration and hooks are compiled by the gateway.
+const WIDGET_OPTION_KEYS = [
+  "style",
+  "locale",
+  "labels",
+  "errorMessages",
+  "requireCvv",
+  "allowEmptyCvv",
+  "showCVVHint",
+  "maskCvv",
+  "brandDetection",
+  "brandDetectionPriority",
+  "showLabels",
+  "showPlaceholders",
+  "autofocus",
+  "iframeStyles",
+  "billingAddress",
+  "mandatoryBillingFields",
+  "forceCardHolderEqualsBillingName",
+  "disableCardExpiryDateValidation",
+  "registrations",
+  "spinner",
+  "validateCardHolder",
+  "registration",
+  "hooks",
+];
+const WIDGET_OPTION_HOOKS = [
+  "onReady",
+  "onBeforeSubmitCard",
+  "onChangeBrand",
+  "onDetectBrand",
+  "onBlurCardNumber",
+  "onError",
+];
 
 const CONFIG = {
   ENTITY_ID: "8a8294184e736012014e78c4c4cb17dc", // official sandbox entity
@@ -7,4 +141,33 @@ const CONFIG = {
   API_BASE: "https://eu-test.oppwa.com",
 };
 
-export { DEFAULT_HTTP_TIMEOUT_MS, DEFAULT_CHECKOUT_EXPIRY_MINUTES, CONFIG };
+export {
+  DEFAULT_HTTP_TIMEOUT_MS,
+  DEFAULT_CHECKOUT_EXPIRY_MINUTES,
+  DEFAULT_IDEMPOTENCY_TTL_HOURS,
+  DEFAULT_IDEMPOTENCY_LEASE_SECONDS,
+  DEFAULT_HTTP_RETRY_POLICY,
+  UNSENT_NETWORK_ERRORS,
+  DEFAULT_AUTHORIZATION_EXPIRY_DAYS,
+  DEFAULT_AUTHORIZATION_SWEEP_LEAD_HOURS,
+  DEFAULT_AUTHORIZATION_SWEEP_MAX_ATTEMPTS,
+  AUTHORIZATION_EXPIRY_POLICIES,
+  CHECKOUT_REUSE_POLICIES,
+  DEFAULT_PENDING_PAYMENT_POLICY,
+  ENTITLEMENT_TRANSITIONS,
+  ENTITLEMENT_APPLY_LEASE_MS,
+  DISPUTE_TRANSITIONS,
+  DISPUTE_OPEN_STATUSES,
+  DEFAULT_DISPUTE_EVIDENCE_DAYS,
+  DEFAULT_EVENT_DELIVERY_POLICY,
+  DEFAULT_WEBHOOK_JOB_POLICY,
+  CHECKOUT_CREATED_CODE,
+  CHECKOUT_RESOURCE_PATH,
+  PAYMENT_RESOURCE_PATH,
+  CURRENCY_MINOR_UNITS,
+  DEFAULT_WIDGET_CALLBACK_URL,
+  DEFAULT_PAYMENT_PAGE_THEME,
+  WIDGET_OPTION_KEYS,
+  WIDGET_OPTION_HOOKS,
+  CONFIG,
+};
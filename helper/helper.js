@@ -1,65 +1,150 @@
 import http from "http";
 import https from "https";
-import { DEFAULT_HTTP_TIMEOUT_MS } from "../constants/constant.js";
+import {
+  DEFAULT_HTTP_TIMEOUT_MS,
+  DEFAULT_HTTP_RETRY_POLICY,
+} from "../constants/constant.js";
+import { GatewayTimeoutError } from "../utils/PaymentErrors.js";
 import { URL } from "url";
 
-function httpRequestWithBearer({
+// Methods that can be sent again without side effects. Other methods are only
+// retried with an idempotency key, whose caller stores the outcome once
+const RETRYABLE_HTTP_METHODS = new Set(["GET", "HEAD", "OPTIONS", "DELETE"]);
+const RETRYABLE_NETWORK_ERRORS = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EPIPE",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+]);
+
+/**
+ * Perform an HTTP(S) request with a bearer token.
+ * Retries 5xx responses, connection resets and timeouts with exponential
+ * backoff + jitter, but only for GET/HEAD/OPTIONS/DELETE or when the caller
+ * passes an idempotency key (a POST without one is sent once). The final 5xx response is returned
+ * (not thrown) so callers keep their own status handling.
+ * @param {object} params
+ * @param {string} params.urlString
+ * @param {string} [params.method='GET']
+ * @param {string} params.bearerToken
+ * @param {object} [params.headers]
+ * @param {string} [params.body]
+ * @param {number} [params.timeoutMs] - abort and reject with GatewayTimeoutError after this long
+ * @param {object} [params.retry] - { maxAttempts, initialBackoffMs, maxBackoffMs }
+ * @param {string} [params.idempotencyKey] - makes non-safe methods retryable
+ * @returns {Promise<{status:number, data:object|null, raw:string, headers:object}>}
+ */
+async function httpRequestWithBearer({
   urlString,
   method = "GET",
   bearerToken,
   headers = {},
   body = null,
   timeoutMs = DEFAULT_HTTP_TIMEOUT_MS,
+  retry = {},
+  idempotencyKey = null,
 }) {
-  return new Promise((resolve, reject) => {
-    try {
-      const url = new URL(urlString);
-      const isHttps = url.protocol === "https:";
-      const transport = isHttps ? https : http;
+  const url = new URL(urlString);
+  const isHttps = url.protocol === "https:";
+  const transport = isHttps ? https : http;
+
+  const requestOptions = {
+    method,
+    hostname: url.hostname,
+    port: url.port || (isHttps ? 443 : 80),
+    path: url.pathname + (url.search || ""),
+    headers: {
+      Authorization: `Bearer ${bearerToken}`,
+      Accept: "application/json",
+      ...headers,
+    },
+    timeout: timeoutMs,
+  };
 
-      const requestOptions = {
-        method,
-        hostname: url.hostname,
-        port: url.port || (isHttps ? 443 : 80),
-        path: url.pathname + (url.search || ""),
-        headers: {
-          Authorization: `Bearer ${bearerToken}`,
-          Accept: "application/json",
-          ...headers,
-        },
-        timeout: timeoutMs,
-      };
+  const policy = { ...DEFAULT_HTTP_RETRY_POLICY, ...retry };
+  const canRetry =
+    RETRYABLE_HTTP_METHODS.has(String(method).toUpperCase()) ||
+    !!idempotencyKey;
+  const maxTry = canRetry ? Math.max(1, Number(policy.maxAttempts) || 1) : 1;
+
+  let attempt = 0;
+  while (true) {
+    attempt += 1;
+    try {
+      const res = await sendRequest(transport, requestOptions, body, {
+        url: `${url.origin}${url.pathname}`,
+        timeoutMs,
+      });
+      if (res.status >= 500 && attempt < maxTry) {
+        await sleep(computeBackoffMs(attempt, policy));
+        continue;
+      }
+      return res;
+    } catch (err) {
+      const retryable =
+        err instanceof GatewayTimeoutError ||
+        RETRYABLE_NETWORK_ERRORS.has(err?.code);
+      if (retryable && attempt < maxTry) {
+        await sleep(computeBackoffMs(attempt, policy));
+        continue;
+      }
+      throw err;
+    }
+  }
+}
 
-      const req = transport.request(requestOptions, (res) => {
-        let responseData = "";
-        res.setEncoding("utf8");
-        res.on("data", (chunk) => (responseData += chunk));
-        res.on("end", () => {
-          const status = res.statusCode || 0;
-          let parsed = null;
-          try {
-            parsed = responseData ? JSON.parse(responseData) : null;
-          } catch {
-            // not JSON
-          }
-          resolve({
-            status,
-            data: parsed,
-            raw: responseData,
-            headers: res.headers,
-          });
+function sendRequest(transport, requestOptions, body, { url, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const req = transport.request(requestOptions, (res) => {
+      let responseData = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (responseData += chunk));
+      res.on("end", () => {
+        const status = res.statusCode || 0;
+        let parsed = null;
+        try {
+          parsed = responseData ? JSON.parse(responseData) : null;
+        } catch {
+          // not JSON
+        }
+        resolve({
+          status,
+          data: parsed,
+          raw: responseData,
+          headers: res.headers,
         });
       });
+    });
 
-      req.on("error", (err) => reject(err));
-      if (body) req.write(body);
-      req.end();
-    } catch (e) {
-      reject(e);
-    }
+    // The `timeout` option only emits an event; abort the socket ourselves
+    req.on("timeout", () => {
+      req.destroy(
+        new GatewayTimeoutError(
+          `Request timed out after ${timeoutMs}ms: ${requestOptions.method} ${url}`,
+          { url, method: requestOptions.method, timeoutMs }
+        )
+      );
+    });
+    req.on("error", (err) => reject(err));
+    if (body) req.write(body);
+    req.end();
   });
 }
 
+function computeBackoffMs(attempt, policy) {
+  // Exponential backoff with "equal jitter": half fixed, half random
+  const ceiling = Math.min(
+    Number(policy.maxBackoffMs),
+    Number(policy.initialBackoffMs) * 2 ** (attempt - 1)
+  );
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
 function toFormUrlEncoded(paramsObj = {}) {
   const search = new URLSearchParams();
   for (const [k, v] of Object.entries(paramsObj)) {
@@ -3,10 +3,20 @@ import PaymentGatewayAxcess from "../service/AxcessPaymentGateway.js";
 import paymentGatewayService from "../service/paymentGatewayService.js"; // your injected facade
 import axcessConfig from "../configs/config.js";
 import scylla_db from "../utils/ScyllaDb.js";
+import {
+  ErrorHandler,
+  Logger,
+  ValidationError,
+  WebhookVerificationError,
+} from "../utils/index.js";
+import crypto from "crypto";
 import fs from "fs";
 
 const router = express.Router();
 
+// Table configs are read once, when the routes are loaded
+await scylla_db.loadTableConfigs("./tables.json");
+
 // Initialize Axcess gateway
 const axcess = new PaymentGatewayAxcess({
   paymentGatewayService,
@@ -16,8 +26,6 @@ const axcess = new PaymentGatewayAxcess({
 // 1) Start widget checkout
 router.post("/payments/axcess/checkout", async (req, res) => {
   try {
-    await scylla_db.loadTableConfigs("./tables.json");
-
     const { userId, orderId, amount, currency, locale = "en" } = req.body || {};
     // console.log("Starting checkout:", {
     //   userId,
@@ -38,27 +46,65 @@ router.post("/payments/axcess/checkout", async (req, res) => {
     // Option A: return HTML the FE will inject directly:
     const widgetHtml = axcess.getPaymentWidgetHtml({
       checkoutId,
+      orderId,
       locale,
       brands: ["VISA", "MASTER"],
     });
     // console.log("w", widgetHtml);
 
-    res.json({ checkoutId, redirectUrl, widgetHtml });
+    // Option B: send the shopper to the hosted payment page
+    const payUrl = `/payments/axcess/pay/${encodeURIComponent(
+      checkoutId
+    )}?orderId=${encodeURIComponent(orderId)}&locale=${encodeURIComponent(
+      locale
+    )}`;
+
+    res.json({ checkoutId, redirectUrl, widgetHtml, payUrl });
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
 });
 
+// 1b) Hosted payment page (server-rendered widget, CSP with per-request nonce)
+router.get("/payments/axcess/pay/:checkoutId", async (req, res) => {
+  try {
+    const { orderId, locale, brands } = req.query || {};
+    const { html, headers } = await axcess.renderPaymentPage({
+      checkoutId: req.params.checkoutId,
+      orderId,
+      locale,
+      brands: brands ? String(brands).split(",") : undefined,
+    });
+
+    res.set(headers).status(200).send(html);
+  } catch (e) {
+    if (e instanceof ValidationError) {
+      // Only an unknown (or expired) checkout is a 404
+      const status = e.details?.reason === "unknown_checkout" ? 404 : 400;
+      return res.status(status).type("text/plain").send(e.message);
+    }
+    const data = { checkoutId: req.params.checkoutId, error: e.message };
+    ErrorHandler.add_error("Axcess payment page failed", data);
+    Logger.writeLog({
+      flag: "payment",
+      action: "Payment page failed",
+      message: e.message,
+      data,
+    });
+    res.status(500).type("text/plain").send("Payment page unavailable");
+  }
+});
+
 // 2) Widget callback (Copy&Pay posts here with resourcePath)
 router.post("/payments/axcess/callback", async (req, res) => {
   try {
     const { resourcePath } = req.body || {};
     console.log("Callback received:", { resourcePath });
-    const orderId = req.query.orderId || req.body.orderId || "unknown";
+    // Order and user come from the stored session; these only have to agree with it
     const out = await axcess.handleRedirectCallback({
       resourcePath,
-      orderId,
-      userId: req.user?.id || "anon",
+      orderId: req.query.orderId || req.body?.orderId,
+      userId: req.user?.id,
     });
 
     const redirect = `/thanks?status=${encodeURIComponent(
@@ -66,7 +112,12 @@ router.post("/payments/axcess/callback", async (req, res) => {
     )}`;
     res.redirect(303, redirect);
   } catch (e) {
-    res.redirect(303, "/thanks?status=failed");
+    // A replayed callback (reload, back button) shows the outcome already stored
+    const status =
+      e.reason === "replay" && e.sessionStatus === "succeeded"
+        ? "success"
+        : "failed";
+    res.redirect(303, `/thanks?status=${status}`);
   }
 });
 
@@ -101,8 +152,6 @@ router.post("/api/payments/axcess/token/charge", async (req, res) => {
 
 router.post("/api/webhooks/axcess", async (req, res) => {
   try {
-    await scylla_db.loadTableConfigs("./tables.json");
-
     // Log to file (Render has an ephemeral disk, so this resets on redeploys
     // console.log(" req_rawBody", req.rawBody, "req.headers", req.headers);
     // Also log to Render’s built-in logging (shows in Render dashboard)
@@ -113,7 +162,52 @@ router.post("/api/webhooks/axcess", async (req, res) => {
     // console.log("Webhook processed successfully");
     res.status(200).end();
   } catch (e) {
-    res.status(400).end();
+    // Unauthenticated payloads are refused outright (logged under "security")
+    res.status(e instanceof WebhookVerificationError ? 401 : 400).end();
+  }
+});
+
+// Constant-time token check; digests give both sides the same length
+const sameToken = (given, expected) =>
+  crypto.timingSafeEqual(
+    crypto.createHash("sha256").update(String(given)).digest(),
+    crypto.createHash("sha256").update(String(expected)).digest()
+  );
+
+// Admin: re-run stored webhooks (dry run unless body.dryRun === false)
+router.post("/api/admin/axcess/webhooks/replay", async (req, res) => {
+  const adminToken = process.env.AXCESS_ADMIN_TOKEN;
+  if (!adminToken || !sameToken(req.get("x-admin-token") ?? "", adminToken)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  try {
+    const { from, to, type, orderId, dryRun, limit } = req.body || {};
+    // Accept epoch ms or ISO dates
+    const toMs = (v) =>
+      v === undefined || Number.isFinite(Number(v)) ? v : Date.parse(v);
+    const report = await axcess.replayWebhooks({
+      from: toMs(from),
+      to: toMs(to),
+      type,
+      orderId,
+      dryRun: dryRun !== false,
+      limit,
+    });
+    res.json(report);
+  } catch (e) {
+    // Bad input is the caller's to fix; anything else is ours
+    if (e instanceof ValidationError) {
+      return res.status(400).json({ error: e.message });
+    }
+    const data = { error: e.message };
+    ErrorHandler.add_error("Axcess webhook replay failed", data);
+    Logger.writeLog({
+      flag: "webhook",
+      action: "Webhook replay failed",
+      message: e.message,
+      data,
+    });
+    res.status(500).json({ error: "Webhook replay failed" });
   }
 });
 
@@ -1,9 +1,55 @@
-import { ErrorHandler, SafeUtils, Logger, ScyllaDb } from "../utils/index.js";
+import {
+  ErrorHandler,
+  SafeUtils,
+  Logger,
+  ScyllaDb,
+  ValidationError,
+  ConfigurationError,
+  TransportError,
+  GatewayRejectedError,
+  WebhookVerificationError,
+  IdempotencyConflictError,
+  GatewayTimeoutError,
+  ResultCodes,
+  SessionStateMachine,
+  PaymentEventBus,
+  AxcessNotification,
+  CallbackRejectedError,
+  RiskEngine,
+  RiskBlockedError,
+  LedgerConflictError,
+  WebhookPayloadError,
+} from "../utils/index.js";
 import { URL } from "url";
 import crypto from "crypto";
 import {
   DEFAULT_HTTP_TIMEOUT_MS,
   DEFAULT_CHECKOUT_EXPIRY_MINUTES,
+  DEFAULT_IDEMPOTENCY_TTL_HOURS,
+  DEFAULT_IDEMPOTENCY_LEASE_SECONDS,
+  DEFAULT_HTTP_RETRY_POLICY,
+  UNSENT_NETWORK_ERRORS,
+  DEFAULT_AUTHORIZATION_EXPIRY_DAYS,
+  DEFAULT_AUTHORIZATION_SWEEP_LEAD_HOURS,
+  DEFAULT_AUTHORIZATION_SWEEP_MAX_ATTEMPTS,
+  AUTHORIZATION_EXPIRY_POLICIES,
+  CHECKOUT_REUSE_POLICIES,
+  DEFAULT_PENDING_PAYMENT_POLICY,
+  ENTITLEMENT_TRANSITIONS,
+  ENTITLEMENT_APPLY_LEASE_MS,
+  DISPUTE_TRANSITIONS,
+  DISPUTE_OPEN_STATUSES,
+  DEFAULT_DISPUTE_EVIDENCE_DAYS,
+  DEFAULT_EVENT_DELIVERY_POLICY,
+  DEFAULT_WEBHOOK_JOB_POLICY,
+  CHECKOUT_CREATED_CODE,
+  CHECKOUT_RESOURCE_PATH,
+  PAYMENT_RESOURCE_PATH,
+  CURRENCY_MINOR_UNITS,
+  DEFAULT_WIDGET_CALLBACK_URL,
+  DEFAULT_PAYMENT_PAGE_THEME,
+  WIDGET_OPTION_KEYS,
+  WIDGET_OPTION_HOOKS,
   CONFIG,
 } from "../constants/constant.js";
 import { toFormUrlEncoded, httpRequestWithBearer } from "../helper/helper.js";
@@ -16,85 +62,205 @@ export default class PaymentGatewayAxcess {
    * @param {object} deps.config - required global config
    * @param {string} deps.config.environment - 'test' | 'live'
    * @param {string} deps.config.baseUrl - e.g., 'https://eu-test.oppwa.com'
-   * @param {string} deps.config.entityId - Axcess entityId from portal
+   * @param {string} deps.config.entityId - Axcess entityId from portal (becomes the 'default' entity profile)
    * @param {string} deps.config.bearerToken - Bearer token for REST API
+   * @param {object} [deps.config.entities] - named entity profiles:
+   *   { [key]: { entityId, bearerToken?, currencies?: string[], brands?: string[], channels?: string[] } }
+   * @param {string} [deps.config.defaultEntity='default'] - profile used when nothing else matches
    * @param {object} [deps.config.webhook] - webhook decryption & idempotency config
-   * @param {string} [deps.config.webhook.secretKey] - base64 or hex secret for AES-256-CBC
+   * @param {string} [deps.config.webhook.secretKey] - 64-hex-char AES-256-GCM secret
+   * @param {Array<{id:string, key:string, activeFrom?:(string|number), retireAt?:(string|number)}>} [deps.config.webhook.secretKeys] - rotation: tried in order, replaces secretKey
    * @param {string} [deps.config.webhook.ivHeaderName='x-axcess-iv'] - header with base64 IV (if required)
    * @param {string} [deps.config.webhook.sigHeaderName='x-axcess-signature'] - signature header name (optional)
-   * @param {number} [deps.config.webhook.idempotencyStoreTtlHours=48] - dedupe TTL
+   * @param {number} [deps.config.webhook.idempotencyStoreTtlHours=48] - how long a webhook id is remembered for dedupe
+   * @param {boolean} [deps.config.webhook.strict] - require a 12-byte IV and full 16-byte GCM tag; defaults to true outside the test environment
+   * @param {boolean} [deps.config.webhook.allowPlaintext=false] - accept unencrypted JSON as unverified (test environment only)
+   * @param {object} [deps.config.webhook.jobs] - processWebhookJobs backoff { initialDelaySeconds, maxDelaySeconds, maxAttempts },
+   *   and leaseSeconds a worker holds a job it runs
    * @param {object} [deps.config.ui]
    * @param {string[]} [deps.config.ui.widgetBrands] - e.g., ['VISA','MASTER','AMEX']
    * @param {string} [deps.config.ui.defaultLocale='en']
+   * @param {string} [deps.config.ui.callbackUrl='/payments/axcess/callback'] - widget form action; orderId is appended
+   * @param {string} [deps.config.ui.pageTitle='Checkout'] - title of the hosted payment page
+   * @param {object} [deps.config.ui.theme] - hosted page theme: { primaryColor, backgroundColor, textColor, fontFamily, logoUrl }
+   * @param {object} [deps.config.ui.widgetOptions] - default Copy&Pay wpwlOptions (see WIDGET_OPTION_KEYS), plus
+   *   validateCardHolder, registration (card-on-file checkbox) and hooks: { onReady: 'window.path.to.fn', ... }
    * @param {object} [deps.config.locales] - map app locale -> widget 'lang'
    * @param {object} [deps.config.threeDS]
    * @param {string} [deps.config.threeDS.challengeWindowSize='05'] - per 3DS docs
    * @param {boolean} [deps.config.threeDS.attemptExemption=false]
    * @param {object} [deps.config.session]
    * @param {number} [deps.config.session.checkoutExpiryMinutes=25]
+   * @param {'update'|'recreate'} [deps.config.session.reusePolicy='update'] - what createCheckoutSession does when a
+   *   reusable checkout no longer matches the cart (entity changes always recreate)
+   * @param {number} [deps.config.session.abandonAfterMinutes] - sweepAbandonedSessions threshold (defaults to checkoutExpiryMinutes)
+   * @param {boolean} [deps.config.session.sweepVerifyWithGateway=true] - ask Axcess for the checkout status before abandoning
+   * @param {object} [deps.config.idempotency]
+   * @param {number} [deps.config.idempotency.ttlHours=24] - how long a stored result answers retries
+   * @param {number} [deps.config.idempotency.leaseSeconds=300] - after this, a call still in progress counts as abandoned
+   * @param {object} [deps.config.http]
+   * @param {number} [deps.config.http.timeoutMs=12000] - per-attempt timeout; raises GatewayTimeoutError
+   * @param {object} [deps.config.http.retry] - { maxAttempts=3, initialBackoffMs=200, maxBackoffMs=3000 }
+   * @param {object} [deps.config.authorization]
+   * @param {object} [deps.config.authorization.expiryDays] - brand -> days the issuer holds a PA, plus 'default' (7)
+   * @param {'void'|'capture'} [deps.config.authorization.expiryPolicy='void'] - what sweepStaleAuthorizations does
+   * @param {number} [deps.config.authorization.sweepLeadHours=12] - act this long before the expected expiry
+   * @param {number} [deps.config.authorization.sweepMaxAttempts=3] - failed sweeps before an authorization is closed
+   * @param {object} [deps.config.pendingPayments] - resolvePendingPayments backoff:
+   *   { initialDelaySeconds=60, maxDelaySeconds=3600, maxAttempts=12 }
+   * @param {object} [deps.config.events] - redeliverEvents backoff for handlers that threw:
+   *   { initialDelaySeconds=30, maxDelaySeconds=3600, maxAttempts=8 }
+   * @param {object} [deps.config.disputes]
+   * @param {number} [deps.config.disputes.evidenceDays=7] - evidence deadline when a chargeback carries no due date
+   * @param {object} [deps.config.risk] - pre-authorization rules checked by s2sDebit and createCheckoutSession (see RiskEngine):
+   *   { velocity, amountThresholds, countryMismatch, chargebacks, flaggedUser }
+   * @param {string} [deps.config.risk.cardHashKey] - HMAC key for card fingerprints (defaults to the bearer token)
    * @param {object} [deps.options] - future flags
+   * @param {Function} [deps.options.entityResolver] - (context, profiles) => entityKey|null, consulted before the built-in matching
+   * @param {Function} [deps.options.onMetrics] - (name, values) => void, receives counters from sweeps
+   * @param {Function[]} [deps.options.riskRules] - extra risk rules: (context, facts) => { rule?, action, detail? } | null
    */
   constructor({ paymentGatewayService, config, options = {} } = {}) {
     if (!paymentGatewayService) {
-      throw new Error(
+      throw new ConfigurationError(
         "PaymentGatewayAxcess: paymentGatewayService is required"
       );
     }
     this.svc = paymentGatewayService;
 
     // Validate config eagerly
-    const cleaned = SafeUtils.sanitizeValidate({
-      environment: {
-        value: config?.environment,
-        type: "string",
-        required: true,
-      },
-      baseUrl: { value: config?.baseUrl, type: "url", required: true },
-      entityId: { value: config?.entityId, type: "string", required: true },
-      bearerToken: {
-        value: config?.bearerToken,
-        type: "string",
-        required: true,
-      },
-      webhook: {
-        value: config?.webhook || {},
-        type: "object",
-        required: false,
-        default: {},
-      },
-      ui: {
-        value: config?.ui || {},
-        type: "object",
-        required: false,
-        default: {},
-      },
-      locales: {
-        value: config?.locales || {},
-        type: "object",
-        required: false,
-        default: {},
-      },
-      threeDS: {
-        value: config?.threeDS || {},
-        type: "object",
-        required: false,
-        default: {},
-      },
-      session: {
-        value: config?.session || {},
-        type: "object",
-        required: false,
-        default: {},
+    const cleaned = this._validate(
+      {
+        environment: {
+          value: config?.environment,
+          type: "string",
+          required: true,
+        },
+        baseUrl: { value: config?.baseUrl, type: "url", required: true },
+        entityId: {
+          value: config?.entityId,
+          type: "string",
+          required: !config?.entities,
+        },
+        bearerToken: {
+          value: config?.bearerToken,
+          type: "string",
+          required: !config?.entities,
+        },
+        entities: {
+          value: config?.entities || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        defaultEntity: {
+          value: config?.defaultEntity,
+          type: "string",
+          required: false,
+        },
+        webhook: {
+          value: config?.webhook || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        ui: {
+          value: config?.ui || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        locales: {
+          value: config?.locales || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        threeDS: {
+          value: config?.threeDS || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        session: {
+          value: config?.session || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        idempotency: {
+          value: config?.idempotency || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        http: {
+          value: config?.http || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        authorization: {
+          value: config?.authorization || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        pendingPayments: {
+          value: config?.pendingPayments || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        events: {
+          value: config?.events || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        disputes: {
+          value: config?.disputes || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
+        risk: {
+          value: config?.risk || {},
+          type: "object",
+          required: false,
+          default: {},
+        },
       },
-    });
+      ConfigurationError
+    );
 
     this.environmentLabel = cleaned.environment;
     this.apiBaseUrl = cleaned.baseUrl.replace(/\/+$/, ""); // trim trailing slash
-    this.entityId = cleaned.entityId;
-    this.apiBearerToken = cleaned.bearerToken;
-
+    this.entityProfiles = this._buildEntityProfiles(cleaned);
+    this.defaultEntityKey =
+      cleaned.defaultEntity ||
+      ("default" in this.entityProfiles
+        ? "default"
+        : Object.keys(this.entityProfiles)[0]);
+    if (!this.entityProfiles[this.defaultEntityKey]) {
+      throw new ConfigurationError(
+        `Unknown defaultEntity: ${this.defaultEntityKey}`
+      );
+    }
+    this.entityResolver =
+      typeof options.entityResolver === "function"
+        ? options.entityResolver
+        : null;
+    // Default profile, kept for callers that read these directly
+    this.entityId = this.entityProfiles[this.defaultEntityKey].entityId;
+    this.apiBearerToken =
+      this.entityProfiles[this.defaultEntityKey].bearerToken;
+
+    const secretKeys = this._normalizeWebhookSecrets(cleaned.webhook);
     this.webhookConfig = {
-      secretKey: cleaned.webhook.secretKey || null,
+      // First listed key; kept for callers that read it directly
+      secretKey: secretKeys[0]?.key || null,
+      secretKeys,
       ivHeaderName: (
         cleaned.webhook.ivHeaderName || "x-initialization-vector"
       ).toLowerCase(),
@@ -104,13 +270,30 @@ export default class PaymentGatewayAxcess {
       idempotencyStoreTtlHours: Number(
         cleaned.webhook.idempotencyStoreTtlHours || 48
       ),
+      strict: cleaned.webhook.strict ?? cleaned.environment !== "test",
+      allowPlaintext: !!cleaned.webhook.allowPlaintext,
     };
+    if (
+      this.webhookConfig.allowPlaintext &&
+      (cleaned.environment !== "test" || this.webhookConfig.strict)
+    ) {
+      throw new ConfigurationError(
+        "webhook.allowPlaintext is only allowed in the test environment without strict mode"
+      );
+    }
 
     this.uiConfig = {
       widgetBrands: Array.isArray(cleaned.ui.widgetBrands)
         ? cleaned.ui.widgetBrands
         : ["VISA", "MASTER"],
       defaultLocale: cleaned.ui.defaultLocale || "en",
+      callbackUrl: cleaned.ui.callbackUrl || DEFAULT_WIDGET_CALLBACK_URL,
+      pageTitle: cleaned.ui.pageTitle || "Checkout",
+      theme: { ...DEFAULT_PAYMENT_PAGE_THEME, ...(cleaned.ui.theme || {}) },
+      widgetOptions: this._validateWidgetOptions(
+        cleaned.ui.widgetOptions || {},
+        ConfigurationError
+      ),
     };
 
     this.localeMap = { ...cleaned.locales };
@@ -122,9 +305,81 @@ export default class PaymentGatewayAxcess {
       checkoutExpiryMinutes: Number(
         cleaned.session.checkoutExpiryMinutes || DEFAULT_CHECKOUT_EXPIRY_MINUTES
       ),
+      reusePolicy: cleaned.session.reusePolicy || "update",
+      abandonAfterMinutes: Number(
+        cleaned.session.abandonAfterMinutes ||
+          cleaned.session.checkoutExpiryMinutes ||
+          DEFAULT_CHECKOUT_EXPIRY_MINUTES
+      ),
+      sweepVerifyWithGateway: cleaned.session.sweepVerifyWithGateway !== false,
+    };
+    if (!CHECKOUT_REUSE_POLICIES.includes(this.sessionConfig.reusePolicy)) {
+      throw new ConfigurationError(
+        `Unknown session.reusePolicy: ${this.sessionConfig.reusePolicy}`
+      );
+    }
+    this.idempotencyConfig = {
+      ttlHours: Number(
+        cleaned.idempotency.ttlHours || DEFAULT_IDEMPOTENCY_TTL_HOURS
+      ),
+      leaseSeconds: Number(
+        cleaned.idempotency.leaseSeconds || DEFAULT_IDEMPOTENCY_LEASE_SECONDS
+      ),
     };
 
-    this.httpTimeoutMs = DEFAULT_HTTP_TIMEOUT_MS;
+    this.httpTimeoutMs = Number(
+      cleaned.http.timeoutMs || DEFAULT_HTTP_TIMEOUT_MS
+    );
+    this.httpRetryPolicy = {
+      ...DEFAULT_HTTP_RETRY_POLICY,
+      ...(cleaned.http.retry || {}),
+    };
+    this.authorizationConfig = {
+      expiryDays: {
+        default: DEFAULT_AUTHORIZATION_EXPIRY_DAYS,
+        ...(cleaned.authorization.expiryDays || {}),
+      },
+      expiryPolicy: cleaned.authorization.expiryPolicy || "void",
+      sweepLeadHours: Number(
+        cleaned.authorization.sweepLeadHours ??
+          DEFAULT_AUTHORIZATION_SWEEP_LEAD_HOURS
+      ),
+      sweepMaxAttempts: Number(
+        cleaned.authorization.sweepMaxAttempts ??
+          DEFAULT_AUTHORIZATION_SWEEP_MAX_ATTEMPTS
+      ),
+    };
+    if (
+      !AUTHORIZATION_EXPIRY_POLICIES.includes(
+        this.authorizationConfig.expiryPolicy
+      )
+    ) {
+      throw new ConfigurationError(
+        `Unknown authorization.expiryPolicy: ${this.authorizationConfig.expiryPolicy}`
+      );
+    }
+    this.pendingPaymentPolicy = {
+      ...DEFAULT_PENDING_PAYMENT_POLICY,
+      ...cleaned.pendingPayments,
+    };
+    this.webhookJobPolicy = {
+      ...DEFAULT_WEBHOOK_JOB_POLICY,
+      ...(cleaned.webhook.jobs || {}),
+    };
+    this.eventDeliveryPolicy = {
+      ...DEFAULT_EVENT_DELIVERY_POLICY,
+      ...cleaned.events,
+    };
+    this.disputeConfig = {
+      evidenceDays: Number(
+        cleaned.disputes.evidenceDays ?? DEFAULT_DISPUTE_EVIDENCE_DAYS
+      ),
+    };
+    this.riskEngine = new RiskEngine(cleaned.risk, options.riskRules || []);
+    this.riskConfig = {
+      cardHashKey: cleaned.risk.cardHashKey || this.apiBearerToken,
+    };
+    this.events = new PaymentEventBus();
     this.options = { ...options };
   }
 
@@ -139,6 +394,10 @@ export default class PaymentGatewayAxcess {
 
   /**
    * Create (or reuse) a widget checkout session. Persists via paymentGatewayService.
+   * A pending session for the order is reused only while its amount, currency,
+   * paymentType and entity still match; otherwise the checkout is updated at
+   * Axcess or replaced, per `session.reusePolicy`. Risk rules run first; when
+   * they require 3DS, a checkout created without a challenge is replaced.
    * @param {object} params
    * @param {string} params.userId - your user id
    * @param {string} params.orderId - your order id
@@ -147,14 +406,17 @@ export default class PaymentGatewayAxcess {
    * @param {string} [params.paymentType='DB'] - 'DB' (debit/purchase) | 'PA' (preauth)
    * @param {object} [params.customer] - optional customer fields to include in metadata
    * @param {object} [params.metadata] - optional metadata to attach to session
+   * @param {string} [params.idempotencyKey] - retries with the same key return the stored result
+   * @param {object} [params.riskContext] - { ip, ipCountry, billingCountry, cardCountry }
    * @returns {Promise<{checkoutId:string, redirectUrl:string, sessionId:string}>}
+   * @throws {RiskBlockedError} when risk rules block the payment
    *
    * Axcess Docs: Widget / API
    * https://axcessms.docs.oppwa.com/integrations/widget
    * https://axcessms.docs.oppwa.com/integrations/widget/api
    */
   async createCheckoutSession(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       userId: { value: params.userId, type: "string", required: true },
       orderId: { value: params.orderId, type: "string", required: true },
       amount: { value: params.amount, type: "float", required: true },
@@ -176,98 +438,201 @@ export default class PaymentGatewayAxcess {
         required: false,
         default: {},
       },
+      idempotencyKey: {
+        value: params.idempotencyKey,
+        type: "string",
+        required: false,
+      },
+      riskContext: {
+        value: params.riskContext || {},
+        type: "object",
+        required: false,
+        default: {},
+      },
+      ...this._entitySchema(params),
     });
-    // console.log("cleaned", cleaned);
-    // Reuse any existing “pending” session within TTL
-    const existing =
-      (await this.svc.getSessionsBy?.("orderId", cleaned.orderId)) || [];
-    // console.log("existing sessions", existing);
-    const reusable = existing.find((s) => this.isCheckoutSessionValid(s));
-    if (reusable) {
-      Logger.writeLog({
-        flag: "payment",
-        action: "Reuse checkout session",
-        message: "Using existing pending Axcess checkout session",
-        data: {
+    const entity = this._resolveEntityFor(cleaned);
+
+    return this._withIdempotency("create_checkout", cleaned, async () => {
+      // Stored only once a checkout is created: reusing one is not an attempt
+      const risk = await this._evaluateRisk("create_checkout", cleaned);
+      if (risk?.decision === "block") await this._recordRisk(risk);
+      const challenge = risk?.decision === "require_3ds";
+      // console.log("cleaned", cleaned);
+      // Reuse the latest “pending” session within TTL if it still matches the cart
+      const existing =
+        (await this.svc.getSessionsBy?.("orderId", cleaned.orderId)) || [];
+      // console.log("existing sessions", existing);
+      let reusable = existing
+        .filter((s) => this.isCheckoutSessionValid(s))
+        .sort((a, b) => Number(b.createdAt) - Number(a.createdAt))[0];
+      const sessionId = crypto.randomUUID();
+      let replaced = null;
+
+      const mismatches = reusable
+        ? this._checkoutMismatches(reusable, cleaned, entity, challenge)
+        : [];
+      if (mismatches.length) {
+        const canUpdate =
+          this.sessionConfig.reusePolicy === "update" &&
+          !mismatches.some((m) => ["entity", "threeDS"].includes(m.field));
+        const updated = canUpdate
+          ? await this._updateCheckout(reusable, cleaned, entity, mismatches)
+          : null;
+        if (updated) {
+          reusable = updated;
+        } else {
+          replaced = {
+            sessionId: reusable.id || null,
+            checkoutId: reusable.checkoutId,
+            reason: `superseded: ${this._describeMismatches(mismatches)}`,
+          };
+          await this._transitionSession(
+            reusable,
+            SessionStateMachine.STATES.ABANDONED,
+            { reason: replaced.reason, changes: { supersededBy: sessionId } }
+          );
+          reusable = null;
+        }
+      }
+
+      if (reusable) {
+        Logger.writeLog({
+          flag: "payment",
+          action: "Reuse checkout session",
+          message: "Using existing pending Axcess checkout session",
+          data: {
+            sessionId: reusable.id,
+            orderId: cleaned.orderId,
+            userId: cleaned.userId,
+          },
+        });
+        return {
+          checkoutId: reusable.checkoutId,
+          redirectUrl: `${this.apiBaseUrl}/v1/checkouts/${encodeURIComponent(
+            reusable.checkoutId
+          )}/payment`,
           sessionId: reusable.id,
-          orderId: cleaned.orderId,
-          userId: cleaned.userId,
-        },
-      });
-      return {
-        checkoutId: reusable.checkoutId,
-        redirectUrl: `${this.apiBaseUrl}/v1/checkouts/${encodeURIComponent(
-          reusable.checkoutId
-        )}/payment`,
-        sessionId: reusable.id,
-      };
-    }
+        };
+      }
 
-    // Create new checkout
-    const endpoint = `${this.apiBaseUrl}/v1/checkouts`;
-    const bodyParams = {
-      entityId: this.entityId,
-      amount: cleaned.amount,
-      currency: cleaned.currency,
-      paymentType: cleaned.paymentType,
-      // You can pass additional fields (customer.*) depending on your needs
-      merchantTransactionId: cleaned.orderId,
-    };
-    // console.log("bodyParams", bodyParams);
-    const body = toFormUrlEncoded(bodyParams);
+      if (risk) await this._recordRisk(risk);
 
-    const res = await httpRequestWithBearer({
-      urlString: endpoint,
-      method: "POST",
-      bearerToken: this.apiBearerToken,
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    });
-    // console.log("res", res);
+      // Record the attempt before calling Axcess so failed creations are visible
+      const createdAt = Date.now();
+      let sessionRecord = {
+        id: sessionId,
+        pk: `user#${cleaned.userId}`, // required partition key
+        sk: `session#${cleaned.orderId}#${sessionId}`, // replaced sessions stay readable
+        gateway: "axcess",
+        userId: cleaned.userId,
+        orderId: cleaned.orderId,
+        // checkoutId (checkout_gsi key) is added once Axcess returns it
+        status: SessionStateMachine.STATES.CREATED,
+        statusGSI: `status#${SessionStateMachine.STATES.CREATED}`,
+        statusHistory: [
+          {
+            from: null,
+            to: SessionStateMachine.STATES.CREATED,
+            at: createdAt,
+            reason: replaced
+              ? `checkout requested (${replaced.reason})`
+              : "checkout requested",
+          },
+        ],
+        replaces: replaced,
+        amount: cleaned.amount,
+        currency: cleaned.currency,
+        paymentType: cleaned.paymentType,
+        entityKey: entity.key,
+        entityId: entity.entityId,
+        threeDSChallenge: challenge,
+        riskDecisionId: risk?.decisionId || null,
+        metadata: cleaned.metadata,
+        customer: cleaned.customer,
+        createdAt,
+        created_at: new Date(createdAt).toISOString(), // status_gsi range key
+      };
+      await this.svc.saveSession?.(sessionRecord);
+
+      // Create new checkout
+      const endpoint = `${this.apiBaseUrl}/v1/checkouts`;
+      const bodyParams = {
+        entityId: entity.entityId,
+        amount: cleaned.amount,
+        currency: cleaned.currency,
+        paymentType: cleaned.paymentType,
+        // You can pass additional fields (customer.*) depending on your needs
+        merchantTransactionId: cleaned.orderId,
+        ...(challenge ? { "threeDSecure.challengeIndicator": "04" } : {}),
+      };
+      // console.log("bodyParams", bodyParams);
+      const body = toFormUrlEncoded(bodyParams);
 
-    if (res.status < 200 || res.status >= 300 || !res.data?.id) {
-      ErrorHandler.add_error("Axcess create checkout failed", {
-        status: res.status,
-        data: res.raw,
-      });
-      throw new Error("Failed to create Axcess checkout session");
-    }
+      let res;
+      try {
+        res = await this._httpRequest({
+          urlString: endpoint,
+          method: "POST",
+          bearerToken: entity.bearerToken,
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body,
+          idempotencyKey: cleaned.idempotencyKey,
+        });
+      } catch (err) {
+        await this._transitionSession(
+          sessionRecord,
+          SessionStateMachine.STATES.FAILED,
+          { reason: `checkout request failed: ${err.message}` }
+        );
+        throw err;
+      }
+      // console.log("res", res);
 
-    const checkoutId = res.data.id;
-    const redirectUrl = `${this.apiBaseUrl}/v1/checkouts/${encodeURIComponent(
-      checkoutId
-    )}/payment`;
-    // console.log("redirectUrl", redirectUrl);
-    const sessionRecord = {
-      pk: `user#${cleaned.userId}`, // required partition key
-      sk: `session#${cleaned.orderId}`,
-      gateway: "axcess",
-      userId: cleaned.userId,
-      orderId: cleaned.orderId,
-      checkoutId,
-      status: "pending",
-      amount: cleaned.amount,
-      currency: cleaned.currency,
-      paymentType: cleaned.paymentType,
-      metadata: cleaned.metadata,
-      customer: cleaned.customer,
-      createdAt: Date.now(),
-    };
+      if (res.status < 200 || res.status >= 300 || !res.data?.id) {
+        ErrorHandler.add_error("Axcess create checkout failed", {
+          status: res.status,
+          data: res.raw,
+        });
+        await this._transitionSession(
+          sessionRecord,
+          SessionStateMachine.STATES.FAILED,
+          {
+            reason: `checkout rejected (HTTP ${res.status}${
+              res.data?.result?.code ? `, ${res.data.result.code}` : ""
+            })`,
+          }
+        );
+        throw this._responseError(
+          res,
+          "Failed to create Axcess checkout session"
+        );
+      }
+
+      const checkoutId = res.data.id;
+      const redirectUrl = `${this.apiBaseUrl}/v1/checkouts/${encodeURIComponent(
+        checkoutId
+      )}/payment`;
+      // console.log("redirectUrl", redirectUrl);
+      sessionRecord = await this._transitionSession(
+        sessionRecord,
+        SessionStateMachine.STATES.PENDING,
+        { reason: "checkout created", changes: { checkoutId } }
+      );
 
-    await this.svc.saveSession?.(sessionRecord);
+      Logger.writeLog({
+        flag: "payment",
+        action: "Create checkout session",
+        message: "Axcess checkout created",
+        data: {
+          checkoutId,
+          sessionId: sessionRecord.id,
+          orderId: cleaned.orderId,
+        },
+      });
 
-    Logger.writeLog({
-      flag: "payment",
-      action: "Create checkout session",
-      message: "Axcess checkout created",
-      data: {
-        checkoutId,
-        sessionId: sessionRecord.id,
-        orderId: cleaned.orderId,
-      },
+      return { checkoutId, redirectUrl, sessionId: sessionRecord.id };
     });
-
-    return { checkoutId, redirectUrl, sessionId: sessionRecord.id };
   }
 
   /**
@@ -290,7 +655,7 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<number>}
    */
   async purgeExpiredSessions(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       by: { value: params.by, type: "string", required: true },
       value: { value: params.value, type: "string", required: true },
     });
@@ -299,13 +664,142 @@ export default class PaymentGatewayAxcess {
     let purged = 0;
     for (const s of sessions) {
       if (!this.isCheckoutSessionValid(s)) {
-        await this.svc.deleteSession?.(s.id);
+        // paymentGatewayService deletes by key; older records only carry an id
+        if (s.pk && s.sk) await this.svc.deleteSession?.(s.pk, s.sk);
+        else await this.svc.deleteSession?.(s.id);
         purged++;
       }
     }
     return purged;
   }
 
+  /**
+   * Sweep all stale `created` / `pending` sessions (not just one user or order)
+   * and mark them `abandoned`. Pages through the sessions status_gsi by
+   * created_at, oldest first. With `verifyWithGateway`, checkouts are first
+   * read from Axcess: paid ones are settled through handleRedirectCallback,
+   * in-flight ones move to `processing`, and only untouched or dead ones are
+   * abandoned. Meant to run from a scheduler. A run that stops at maxSessions
+   * returns a cursor; pass it to the next run to carry on from there.
+   *
+   * @param {object} [params]
+   * @param {number} [params.olderThanMinutes] - defaults to session.abandonAfterMinutes
+   * @param {boolean} [params.verifyWithGateway] - defaults to session.sweepVerifyWithGateway
+   * @param {number} [params.pageSize=100]
+   * @param {number} [params.maxSessions=1000] - stop after this many sessions in one run
+   * @param {object} [params.cursor] - cursor returned by the previous run
+   * @param {number} [params.now] - epoch ms, for tests
+   * @returns {Promise<{scanned:number, abandoned:number, lateSucceeded:number, processing:number, failed:object[], cursor:object|null}>}
+   */
+  async sweepAbandonedSessions(params = {}) {
+    const cleaned = this._validate({
+      olderThanMinutes: {
+        value: params.olderThanMinutes,
+        type: "int",
+        required: false,
+        default: this.sessionConfig.abandonAfterMinutes,
+      },
+      verifyWithGateway: {
+        value: params.verifyWithGateway,
+        type: "bool",
+        required: false,
+        default: this.sessionConfig.sweepVerifyWithGateway,
+      },
+      pageSize: {
+        value: params.pageSize,
+        type: "int",
+        required: false,
+        default: 100,
+      },
+      maxSessions: {
+        value: params.maxSessions,
+        type: "int",
+        required: false,
+        default: 1000,
+      },
+      cursor: { value: params.cursor, type: "object", required: false },
+      now: { value: params.now, type: "int", required: false },
+    });
+
+    const startedAt = Date.now();
+    const now = cleaned.now ?? startedAt;
+    const createdBefore = new Date(
+      now - cleaned.olderThanMinutes * 60000
+    ).toISOString();
+    const summary = {
+      scanned: 0,
+      abandoned: 0,
+      lateSucceeded: 0,
+      processing: 0,
+      failed: [],
+      cursor: null,
+    };
+
+    const statuses = [
+      SessionStateMachine.STATES.CREATED,
+      SessionStateMachine.STATES.PENDING,
+    ];
+    const resume = cleaned.cursor;
+    const from = resume ? Math.max(statuses.indexOf(resume.status), 0) : 0;
+    sweep: for (const status of statuses.slice(from)) {
+      // A position in status_gsi; it stays valid as swept sessions leave it
+      let cursor = resume?.status === status ? resume.key || null : null;
+      do {
+        if (summary.scanned >= cleaned.maxSessions) {
+          summary.cursor = { status, key: cursor };
+          break sweep;
+        }
+        const page = (await this.svc.getSessionsByStatus?.(status, {
+          createdBefore,
+          limit: Math.min(
+            cleaned.pageSize,
+            cleaned.maxSessions - summary.scanned
+          ),
+          cursor,
+        })) || { items: [], cursor: null };
+
+        for (const session of page.items) {
+          summary.scanned++;
+          try {
+            const outcome = await this._sweepSession(
+              session,
+              cleaned.verifyWithGateway,
+              cleaned.olderThanMinutes
+            );
+            summary[outcome]++;
+          } catch (e) {
+            const data = {
+              sessionId: session.id || null,
+              orderId: session.orderId,
+              checkoutId: session.checkoutId || null,
+              error: e.message,
+            };
+            ErrorHandler.add_error("Axcess session sweep failed", data);
+            summary.failed.push(data);
+          }
+        }
+        cursor = page.cursor;
+      } while (cursor);
+    }
+
+    const metrics = {
+      scanned: summary.scanned,
+      abandoned: summary.abandoned,
+      lateSucceeded: summary.lateSucceeded,
+      processing: summary.processing,
+      failed: summary.failed.length,
+      durationMs: Date.now() - startedAt,
+    };
+    this.options.onMetrics?.("axcess.sessions.sweep", metrics);
+    Logger.writeLog({
+      flag: "payment",
+      action: "Session sweep",
+      message: `Swept ${summary.scanned} stale checkout sessions`,
+      data: metrics,
+    });
+    return summary;
+  }
+
   /**
    * Return Copy&Pay widget HTML snippet (script + minimal form). No iframe.
    * The consumer should validate DOM presence before inserting this HTML.
@@ -314,13 +808,18 @@ export default class PaymentGatewayAxcess {
    * @param {string} params.checkoutId - ID returned by createCheckoutSession
    * @param {string} [params.locale] - app locale; mapped to widget 'lang'
    * @param {string[]} [params.brands] - e.g., ['VISA','MASTER']
+   * @param {string} [params.orderId] - appended to the callback URL so the callback can find the session
+   * @param {string} [params.callbackUrl] - form action; defaults to ui.callbackUrl
+   * @param {string} [params.nonce] - CSP nonce added to the script tags
+   * @param {object} [params.wpwlOptions] - per-call overrides merged over ui.widgetOptions,
+   *   emitted as `var wpwlOptions = {...}`
    * @returns {string} HTML snippet
    *
    * Docs: Widget / API / Customization / Advanced Options
    * https://axcessms.docs.oppwa.com/integrations/widget
    */
   getPaymentWidgetHtml(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       checkoutId: { value: params.checkoutId, type: "string", required: true },
       locale: {
         value: params.locale || this.uiConfig.defaultLocale,
@@ -333,91 +832,310 @@ export default class PaymentGatewayAxcess {
         required: false,
         default: this.uiConfig.widgetBrands,
       },
+      orderId: { value: params.orderId, type: "string", required: false },
+      callbackUrl: {
+        value: params.callbackUrl || this.uiConfig.callbackUrl,
+        type: "string",
+        required: true,
+      },
+      nonce: { value: params.nonce, type: "string", required: false },
+      wpwlOptions: {
+        value: params.wpwlOptions,
+        type: "object",
+        required: false,
+      },
     });
 
     const widgetLang =
       this.resolveWidgetLanguage(cleaned.locale) || this.uiConfig.defaultLocale;
     const brandsParam =
       Array.isArray(cleaned.brands) && cleaned.brands.length
-        ? `data-brands="${cleaned.brands.join(" ")}"`
+        ? `data-brands="${this._escapeHtml(cleaned.brands.join(" "))}"`
         : "";
+    const nonceAttr = cleaned.nonce
+      ? ` nonce="${this._escapeHtml(cleaned.nonce)}"`
+      : "";
+    const action = this._callbackUrlFor(cleaned.callbackUrl, cleaned.orderId);
+    const wpwlOptions = this._mergeWidgetOptions(
+      this.uiConfig.widgetOptions,
+      this._validateWidgetOptions(cleaned.wpwlOptions || {})
+    );
 
     // The actual DOM insertion is up to the caller; we return a string.
     // IMPORTANT: Copy&Pay is script-based; not an <iframe>.
-    return [
-      `<script src="${
+    // wpwlOptions must be defined before paymentWidgets.js loads.
+    const html = [];
+    if (Object.keys(wpwlOptions).length) {
+      html.push(
+        `<script${nonceAttr}>${this._wpwlOptionsScript(wpwlOptions)}</script>`
+      );
+    }
+    html.push(
+      `<script${nonceAttr} src="${
         this.apiBaseUrl
       }/v1/paymentWidgets.js?checkoutId=${encodeURIComponent(
         cleaned.checkoutId
       )}" async></script>`,
-      `<form action="/payments/axcess/callback" class="paymentWidgets" data-lang="${widgetLang}" ${brandsParam}></form>`,
-    ].join("\n");
+      `<form action="${this._escapeHtml(
+        action
+      )}" class="paymentWidgets" data-lang="${this._escapeHtml(
+        widgetLang
+      )}" ${brandsParam}></form>`
+    );
+    return html.join("\n");
+  }
+
+  /**
+   * Render a complete hosted payment page for a pending checkout: order summary,
+   * themed layout and the Copy&Pay widget, plus the response headers (CSP with a
+   * per-render nonce) the route must send with it.
+   *
+   * @param {object} params
+   * @param {string} params.checkoutId - ID returned by createCheckoutSession
+   * @param {string} params.orderId - order the checkout was created for
+   * @param {string} [params.locale] - app locale; mapped to widget 'lang'
+   * @param {string[]} [params.brands] - defaults to ui.widgetBrands
+   * @param {string} [params.callbackUrl] - defaults to ui.callbackUrl
+   * @param {object} [params.wpwlOptions] - overrides merged over ui.widgetOptions
+   * @param {object} [params.theme] - overrides ui.theme for this page
+   * @returns {Promise<{html:string, headers:object, nonce:string}>}
+   *
+   * Docs: Widget / Customization
+   * https://axcessms.docs.oppwa.com/integrations/widget/customization
+   */
+  async renderPaymentPage(params = {}) {
+    const cleaned = this._validate({
+      checkoutId: { value: params.checkoutId, type: "string", required: true },
+      orderId: { value: params.orderId, type: "string", required: true },
+      locale: {
+        value: params.locale || this.uiConfig.defaultLocale,
+        type: "string",
+        required: true,
+      },
+      brands: { value: params.brands, type: "array", required: false },
+      callbackUrl: {
+        value: params.callbackUrl,
+        type: "string",
+        required: false,
+      },
+      wpwlOptions: {
+        value: params.wpwlOptions,
+        type: "object",
+        required: false,
+      },
+      theme: {
+        value: params.theme || {},
+        type: "object",
+        required: false,
+        default: {},
+      },
+    });
+
+    const sessions =
+      (await this.svc.getSessionsBy?.("orderId", cleaned.orderId)) || [];
+    const session = sessions.find((s) => s.checkoutId === cleaned.checkoutId);
+    if (!this.isCheckoutSessionValid(session)) {
+      ErrorHandler.add_error("Axcess payment page for unknown checkout", {
+        checkoutId: cleaned.checkoutId,
+        orderId: cleaned.orderId,
+      });
+      throw new ValidationError("Checkout session not found or expired", {
+        reason: "unknown_checkout",
+        checkoutId: cleaned.checkoutId,
+        orderId: cleaned.orderId,
+      });
+    }
+
+    const nonce = crypto.randomBytes(16).toString("base64");
+    const theme = { ...this.uiConfig.theme, ...cleaned.theme };
+    const lang = this._escapeHtml(
+      this.resolveWidgetLanguage(cleaned.locale) || this.uiConfig.defaultLocale
+    );
+    const widget = this.getPaymentWidgetHtml({
+      checkoutId: cleaned.checkoutId,
+      locale: cleaned.locale,
+      brands: cleaned.brands || undefined,
+      orderId: session.orderId,
+      callbackUrl: cleaned.callbackUrl || undefined,
+      nonce,
+      wpwlOptions: cleaned.wpwlOptions || undefined,
+    });
+
+    const summary = [
+      ["Order", session.orderId],
+      session.metadata?.description
+        ? ["Description", session.metadata.description]
+        : null,
+      [
+        "Total",
+        `${this._formatAmount(session.amount, session.currency)} ${
+          session.currency
+        }`,
+      ],
+    ]
+      .filter(Boolean)
+      .map(
+        ([label, value]) =>
+          `<div class="row"><dt>${this._escapeHtml(
+            label
+          )}</dt><dd>${this._escapeHtml(value)}</dd></div>`
+      )
+      .join("");
+    const logo = /^(https?:\/\/|\/)/.test(theme.logoUrl || "")
+      ? `<img class="logo" src="${this._escapeHtml(theme.logoUrl)}" alt="">`
+      : "";
+
+    const html = `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this._escapeHtml(this.uiConfig.pageTitle)}</title>
+<style>
+:root { --primary: ${this._cssValue(
+      theme.primaryColor
+    )}; --background: ${this._cssValue(
+      theme.backgroundColor
+    )}; --text: ${this._cssValue(theme.textColor)}; --font: ${this._cssValue(
+      theme.fontFamily
+    )}; }
+body { margin: 0; background: var(--background); color: var(--text); font-family: var(--font); }
+main { max-width: 480px; margin: 40px auto; padding: 0 16px; }
+.logo { max-height: 48px; margin-bottom: 16px; }
+.summary { margin: 0 0 24px; padding: 16px; border-top: 3px solid var(--primary); background: #fff; }
+.summary .row { display: flex; justify-content: space-between; }
+.summary dd { margin: 0; font-weight: 600; }
+.wpwl-button-pay { background-color: var(--primary); border-color: var(--primary); }
+</style>
+</head>
+<body>
+<main>
+${logo}
+<h1>${this._escapeHtml(this.uiConfig.pageTitle)}</h1>
+<dl class="summary">${summary}</dl>
+${widget}
+</main>
+</body>
+</html>`;
+
+    return { html, headers: this._paymentPageHeaders(nonce), nonce };
   }
 
   /**
    * Handle the redirect callback from Copy&Pay and persist the transaction result.
+   * The resourcePath must be `/v1/checkouts/{id}/payment` for a checkout we
+   * created; order and user are taken from that checkout's session, never from
+   * the request. Callbacks for a succeeded/failed session are refused as replays.
    * @param {object} params
    * @param {string} params.resourcePath - provided by Axcess on return
-   * @param {string} params.orderId - your order id
-   * @param {string} params.userId - your user id
+   * @param {string} [params.orderId] - if given, must match the session
+   * @param {string} [params.userId] - if given, must match the session
+   * @param {string} [params.entityKey] - defaults to the entity stored on the checkout session
    * @returns {Promise<{status:string, resultCode:string, payload:object}>}
+   * @throws {CallbackRejectedError} forged path, unknown checkout, mismatch or replay
    *
    * Docs: Widget API (reading payment result via resourcePath)
    * https://axcessms.docs.oppwa.com/integrations/widget/api
    */
   async handleRedirectCallback(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       resourcePath: {
         value: params.resourcePath,
         type: "string",
         required: true,
       },
-      orderId: { value: params.orderId, type: "string", required: true },
-      userId: { value: params.userId, type: "string", required: true },
+      orderId: { value: params.orderId, type: "string", required: false },
+      userId: { value: params.userId, type: "string", required: false },
+      ...this._entitySchema(params),
     });
 
-    const statusRes = await this.getPaymentStatus(cleaned.resourcePath);
+    const match = CHECKOUT_RESOURCE_PATH.exec(cleaned.resourcePath);
+    if (!match) {
+      this._rejectCallback("invalid_resource_path", cleaned);
+    }
+    const checkoutId = match[1];
+    const session = await this._findSessionByCheckoutId(checkoutId);
+    if (!session) {
+      this._rejectCallback("unknown_checkout", cleaned, { checkoutId });
+    }
+    if (
+      (cleaned.orderId && cleaned.orderId !== session.orderId) ||
+      (cleaned.userId && cleaned.userId !== session.userId)
+    ) {
+      this._rejectCallback("session_mismatch", cleaned, {
+        checkoutId,
+        sessionId: session.id || null,
+      });
+    }
+    if (SessionStateMachine.isTerminal(session.status)) {
+      this._rejectCallback("replay", cleaned, {
+        checkoutId,
+        sessionId: session.id || null,
+        sessionStatus: SessionStateMachine.normalize(session.status),
+      });
+    }
+
+    // The status must be read on the entity that created the checkout
+    const entity = this._resolveEntityFor(cleaned, session);
+
+    const statusRes = await this.getPaymentStatus(cleaned.resourcePath, {
+      entityKey: entity.key,
+    });
     const normalized = this._normalizePaymentResult(statusRes.data);
 
     // Persist transaction and update any session
     const txn = {
       gateway: "axcess",
-      orderId: cleaned.orderId,
-      userId: cleaned.userId,
+      orderId: session.orderId,
+      userId: session.userId,
+      checkoutId,
       gatewayTxnId: normalized.id || null,
       amount: normalized.amount || null,
       currency: normalized.currency || null,
-      status: normalized.approved
-        ? "success"
-        : normalized.pending
-        ? "pending"
-        : "failed",
+      status: this._statusFromNormalized(normalized),
       code: normalized.resultCode || null,
+      category: normalized.category,
+      needsReview: normalized.needsReview,
+      entityKey: entity.key,
       uiMessage: this.mapResultCodeToUiMessage(normalized.resultCode).uiMessage,
       raw: statusRes.data,
       createdAt: Date.now(),
     };
     await this.svc.saveTransaction?.(txn);
 
-    // Entitlements
-    if (txn.status === "success") {
-      await this.svc.grantAccess?.({ txn });
-    } else if (txn.status === "failed") {
-      await this.svc.denyAccess?.({ txn });
+    // Entitlements; a pending result is settled later by resolvePendingPayments
+    if (txn.status === "pending") {
+      await this._trackPendingPayment(txn, {
+        id: checkoutId,
+        source: "checkout",
+        resourcePath: cleaned.resourcePath,
+      });
+    } else {
+      await this._closePendingPayment(checkoutId, txn);
+      await this._dispatchEntitlement(
+        txn.status === "success" ? "grant" : "deny",
+        {
+          gatewayTxnId: txn.gatewayTxnId,
+          source: "redirect_callback",
+          payload: { txn },
+        }
+      );
     }
 
-    // Update session if any (by orderId)
-    const sessions =
-      (await this.svc.getSessionsBy?.("orderId", cleaned.orderId)) || [];
-    for (const s of sessions) {
-      if (s.checkoutId && normalized.id && s.status === "pending") {
-        await this.svc.saveSession?.({
-          ...s,
-          status: txn.status,
-          updatedAt: Date.now(),
-        });
-      }
+    // Move the checkout's session along; stale callbacks are rejected there
+    if (normalized.id) {
+      await this._transitionSession(
+        session,
+        SessionStateMachine.fromPaymentStatus(txn.status),
+        {
+          reason: `redirect callback ${
+            normalized.resultCode || "without code"
+          }`,
+          changes: { gatewayTxnId: normalized.id },
+        }
+      );
     }
+    await this._emitPaymentEvent(txn, "redirect_callback");
 
     return {
       status: txn.status.toUpperCase(),
@@ -429,23 +1147,39 @@ export default class PaymentGatewayAxcess {
   /**
    * GET payment status by resourcePath returned from Axcess (Copy&Pay).
    * @param {string} resourcePath
+   * @param {object} [options]
+   * @param {string} [options.entityKey] - entity profile the checkout was created on
    * @returns {Promise<{status:number,data:object,raw:string}>}
    *
    * Docs: Widget API
    * https://axcessms.docs.oppwa.com/integrations/widget/api
    */
-  async getPaymentStatus(resourcePath) {
-    const cleaned = SafeUtils.sanitizeValidate({
+  async getPaymentStatus(resourcePath, options = {}) {
+    const cleaned = this._validate({
       resourcePath: { value: resourcePath, type: "string", required: true },
+      ...this._entitySchema(options),
     });
+    // Never let a caller-supplied path steer the request elsewhere on the host
+    if (
+      !CHECKOUT_RESOURCE_PATH.test(cleaned.resourcePath) &&
+      !PAYMENT_RESOURCE_PATH.test(cleaned.resourcePath)
+    ) {
+      ErrorHandler.add_error("Axcess getPaymentStatus invalid resourcePath", {
+        resourcePath: cleaned.resourcePath,
+      });
+      throw new ValidationError("Invalid Axcess resourcePath", {
+        resourcePath: cleaned.resourcePath,
+      });
+    }
+    const entity = this._resolveEntityFor(cleaned);
 
     const url = new URL(this.apiBaseUrl + cleaned.resourcePath);
-    url.searchParams.set("entityId", this.entityId);
+    url.searchParams.set("entityId", entity.entityId);
 
-    const res = await httpRequestWithBearer({
+    const res = await this._httpRequest({
       urlString: url.toString(),
       method: "GET",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
     });
 
     if (res.status < 200 || res.status >= 300) {
@@ -453,7 +1187,7 @@ export default class PaymentGatewayAxcess {
         status: res.status,
         raw: res.raw,
       });
-      throw new Error("Failed to fetch Axcess payment status");
+      throw this._responseError(res, "Failed to fetch Axcess payment status");
     }
     return res;
   }
@@ -475,6 +1209,7 @@ export default class PaymentGatewayAxcess {
    * @param {object} params.card - { number, holder, expiryMonth, expiryYear, cvv }
    * @param {object} [params.customer] - optional customer details
    * @param {object} [params.threeDSParams] - 3DS fields; see 3DS docs
+   * @param {string} [params.idempotencyKey] - retries with the same key return the stored result
    * @returns {Promise<object>} normalized result
    *
    * Docs: S2S + 3DS Parameters
@@ -482,7 +1217,7 @@ export default class PaymentGatewayAxcess {
    * https://axcessms.docs.oppwa.com/tutorials/threeDSecure/Parameters
    */
   async s2sAuthorize(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       amount: { value: params.amount, type: "float", required: true },
       currency: { value: params.currency, type: "string", required: true },
       paymentBrand: {
@@ -503,67 +1238,124 @@ export default class PaymentGatewayAxcess {
         required: false,
         default: {},
       },
+      idempotencyKey: {
+        value: params.idempotencyKey,
+        type: "string",
+        required: false,
+      },
+      ...this._entitySchema(params),
     });
-
-    const endpoint = `${this.apiBaseUrl}/v1/payments`;
-    const bodyParams = {
-      entityId: this.entityId,
-      paymentBrand: cleaned.paymentBrand,
-      paymentType: "PA",
-      amount: cleaned.amount,
-      currency: cleaned.currency,
-      "card.number": cleaned.card.number,
-      "card.holder": cleaned.card.holder,
-      "card.expiryMonth": cleaned.card.expiryMonth,
-      "card.expiryYear": cleaned.card.expiryYear,
-      "card.cvv": cleaned.card.cvv,
-      ...this._flattenThreeDS(cleaned.threeDSParams),
-    };
-    const body = toFormUrlEncoded(bodyParams);
-    const res = await httpRequestWithBearer({
-      urlString: endpoint,
-      method: "POST",
-      bearerToken: this.apiBearerToken,
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    });
-    return this._handleS2SResponse(res, "authorize");
-  }
+    const entity = this._resolveEntityFor(cleaned);
+
+    return this._withIdempotency("s2s_authorize", cleaned, async () => {
+      const endpoint = `${this.apiBaseUrl}/v1/payments`;
+      const bodyParams = {
+        entityId: entity.entityId,
+        paymentBrand: cleaned.paymentBrand,
+        paymentType: "PA",
+        amount: cleaned.amount,
+        currency: cleaned.currency,
+        "card.number": cleaned.card.number,
+        "card.holder": cleaned.card.holder,
+        "card.expiryMonth": cleaned.card.expiryMonth,
+        "card.expiryYear": cleaned.card.expiryYear,
+        "card.cvv": cleaned.card.cvv,
+        ...this._flattenThreeDS(cleaned.threeDSParams),
+      };
+      const body = toFormUrlEncoded(bodyParams);
+      const res = await this._httpRequest({
+        urlString: endpoint,
+        method: "POST",
+        bearerToken: entity.bearerToken,
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body,
+        idempotencyKey: cleaned.idempotencyKey,
+      });
+      const result = await this._handleS2SResponse(res, "authorize", {
+        entityKey: entity.key,
+      });
+      await this._openAuthorizationLedger(result, cleaned, entity);
+      return result;
+    });
+  }
 
   /**
    * Server-to-Server Capture (paymentType=CP).
+   * Captures against a tracked authorization are checked against its ledger:
+   * several partial captures are allowed until the authorized amount is used up,
+   * and an over-capture is rejected before anything is sent to Axcess. The
+   * amount is reserved on the ledger while the capture is in flight, so
+   * concurrent captures cannot both pass the check.
    * @param {object} params
    * @param {string} params.paymentId
-   * @param {number|string} [params.amount] - optional partial capture
+   * @param {number|string} [params.amount] - optional partial capture (defaults to the remaining amount)
+   * @param {string} [params.idempotencyKey] - retries with the same key return the stored result
    * @returns {Promise<object>} normalized result
    *
    * Docs: Backoffice
    * https://axcessms.docs.oppwa.com/integrations/backoffice
    */
   async s2sCapture(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       paymentId: { value: params.paymentId, type: "string", required: true },
       amount: { value: params.amount, type: "float", required: false },
+      idempotencyKey: {
+        value: params.idempotencyKey,
+        type: "string",
+        required: false,
+      },
+      ...this._entitySchema(params),
     });
 
-    const endpoint = `${this.apiBaseUrl}/v1/payments/${encodeURIComponent(
-      cleaned.paymentId
-    )}`;
-    const bodyParams = {
-      entityId: this.entityId,
-      paymentType: "CP",
-      ...(cleaned.amount ? { amount: cleaned.amount } : {}),
-    };
-    const body = toFormUrlEncoded(bodyParams);
+    return this._withIdempotency("s2s_capture", cleaned, async () => {
+      let ledger = await this.svc.getAuthorization?.(cleaned.paymentId);
+      let amount = cleaned.amount;
+      if (ledger) {
+        ledger = await this._reserveCapture(cleaned.paymentId, cleaned.amount);
+        amount = ledger.reservation;
+      }
+      const entity = this._resolveEntityFor(cleaned, ledger);
+
+      const endpoint = `${this.apiBaseUrl}/v1/payments/${encodeURIComponent(
+        cleaned.paymentId
+      )}`;
+      const bodyParams = {
+        entityId: entity.entityId,
+        paymentType: "CP",
+        ...(amount
+          ? { amount: this._formatAmount(amount, ledger?.currency) }
+          : {}),
+      };
+      const body = toFormUrlEncoded(bodyParams);
 
-    const res = await httpRequestWithBearer({
-      urlString: endpoint,
-      method: "POST",
-      bearerToken: this.apiBearerToken,
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
+      let result;
+      try {
+        const res = await this._httpRequest({
+          urlString: endpoint,
+          method: "POST",
+          bearerToken: entity.bearerToken,
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body,
+          idempotencyKey: cleaned.idempotencyKey,
+        });
+        result = await this._handleS2SResponse(res, "capture", {
+          parentTxnId: cleaned.paymentId,
+          entityKey: entity.key,
+        });
+      } catch (err) {
+        if (ledger) await this._settleCapture(cleaned.paymentId, amount, null);
+        throw err;
+      }
+      if (ledger) {
+        await this._settleCapture(
+          cleaned.paymentId,
+          amount,
+          result.normalized.approved ? result.normalized : null
+        );
+      }
+      await this._openRefundLedger(result.normalized, amount, entity);
+      return result;
     });
-    return this._handleS2SResponse(res, "capture");
   }
 
   /**
@@ -576,30 +1368,203 @@ export default class PaymentGatewayAxcess {
    * https://axcessms.docs.oppwa.com/integrations/backoffice
    */
   async s2sVoid(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       paymentId: { value: params.paymentId, type: "string", required: true },
+      ...this._entitySchema(params),
     });
+    const ledger = await this.svc.getAuthorization?.(cleaned.paymentId);
+    const entity = this._resolveEntityFor(cleaned, ledger);
 
     const endpoint = `${this.apiBaseUrl}/v1/payments/${encodeURIComponent(
       cleaned.paymentId
     )}`;
     const body = toFormUrlEncoded({
-      entityId: this.entityId,
+      entityId: entity.entityId,
       paymentType: "RV",
     });
 
-    const res = await httpRequestWithBearer({
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "POST",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body,
     });
-    return this._handleS2SResponse(res, "void");
+    const result = await this._handleS2SResponse(res, "void", {
+      parentTxnId: cleaned.paymentId,
+      entityKey: entity.key,
+    });
+    if (ledger && result.normalized.approved) {
+      await this._recordVoid(cleaned.paymentId, result.normalized);
+    }
+    return result;
+  }
+
+  /**
+   * Current ledger balance of a tracked pre-authorization.
+   * @param {string} paymentId - PA payment id
+   * @returns {Promise<{paymentId:string, currency:string, status:string, authorizedAmount:number, capturedAmount:number, voidedAmount:number, remainingAmount:number, captures:Array<object>}|null>}
+   *   null when the authorization is not tracked
+   */
+  async getAuthorizationBalance(paymentId) {
+    const cleaned = this._validate({
+      paymentId: { value: paymentId, type: "string", required: true },
+    });
+    const ledger = await this.svc.getAuthorization?.(cleaned.paymentId);
+    if (!ledger) return null;
+    return {
+      paymentId: ledger.paymentId,
+      currency: ledger.currency,
+      status: ledger.status,
+      authorizedAmount: ledger.authorizedAmount,
+      capturedAmount: ledger.capturedAmount,
+      voidedAmount: ledger.voidedAmount,
+      remainingAmount: ledger.remainingAmount,
+      captures: ledger.captures || [],
+      expiresAt: ledger.expiresAt || null,
+    };
+  }
+
+  /**
+   * Job: settle open authorizations that are about to expire at the issuer.
+   * Authorizations expiring within `authorization.sweepLeadHours` are captured
+   * (remaining amount) or voided according to the expiry policy. Failures are
+   * counted on the ledger; after `authorization.sweepMaxAttempts`, or once the
+   * authorization has expired, it is closed so it no longer holds up the rest.
+   * @param {object} [params]
+   * @param {'capture'|'void'} [params.policy] - defaults to `authorization.expiryPolicy`
+   * @param {number} [params.now] - epoch ms, defaults to Date.now()
+   * @param {number} [params.limit=100] - max authorizations handled per run
+   * @returns {Promise<{scanned:number, captured:string[], voided:string[], failed:Array<object>}>}
+   */
+  async sweepStaleAuthorizations(params = {}) {
+    const cleaned = this._validate({
+      policy: {
+        value: params.policy,
+        type: "string",
+        required: false,
+        default: this.authorizationConfig.expiryPolicy,
+      },
+      now: { value: params.now, type: "int", required: false },
+      limit: {
+        value: params.limit,
+        type: "int",
+        required: false,
+        default: 100,
+      },
+    });
+    if (!AUTHORIZATION_EXPIRY_POLICIES.includes(cleaned.policy)) {
+      throw new ValidationError(`Unknown expiry policy: ${cleaned.policy}`, {
+        policy: cleaned.policy,
+      });
+    }
+
+    const now = cleaned.now ?? Date.now();
+    const cutoff = now + this.authorizationConfig.sweepLeadHours * 3600000;
+    const due =
+      (await this.svc.getAuthorizationsExpiringBefore?.(
+        cutoff,
+        cleaned.limit
+      )) || [];
+
+    const summary = {
+      scanned: due.length,
+      captured: [],
+      voided: [],
+      failed: [],
+    };
+    for (const ledger of due) {
+      const decision = cleaned.policy;
+      const data = {
+        paymentId: ledger.paymentId,
+        decision,
+        paymentBrand: ledger.paymentBrand,
+        remainingAmount: ledger.remainingAmount,
+        expiresAt: ledger.expiresAt,
+      };
+      try {
+        const result =
+          decision === "capture"
+            ? await this.s2sCapture({ paymentId: ledger.paymentId })
+            : await this.s2sVoid({ paymentId: ledger.paymentId });
+        if (!result.normalized.approved) {
+          throw new GatewayRejectedError(`Auto-${decision} was not approved`, {
+            resultCode: result.normalized.resultCode,
+            description: result.normalized.description,
+            category: result.normalized.category,
+          });
+        }
+        summary[decision === "capture" ? "captured" : "voided"].push(
+          ledger.paymentId
+        );
+        Logger.writeLog({
+          flag: "payment",
+          action: "Authorization expiry sweep",
+          message: `Auto-${decision} of expiring authorization`,
+          data,
+        });
+      } catch (e) {
+        ErrorHandler.add_error("Axcess authorization sweep failed", {
+          ...data,
+          error: e.message,
+        });
+        Logger.writeLog({
+          flag: "payment",
+          action: "Authorization expiry sweep",
+          message: `Auto-${decision} of expiring authorization failed`,
+          data: { ...data, error: e.message },
+        });
+        summary.failed.push({
+          ...data,
+          error: e.message,
+          closed: await this._recordSweepFailure(ledger.paymentId, e, now),
+        });
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Count a failed sweep on the authorization ledger and close it once it has
+   * used up its attempts or expired at the issuer.
+   * @returns {Promise<boolean>} whether the ledger was closed
+   */
+  async _recordSweepFailure(paymentId, error, now) {
+    let closed = false;
+    try {
+      await this._updateLedger("authorization", paymentId, (current) => {
+        const sweepAttempts = (current.sweepAttempts || 0) + 1;
+        closed =
+          sweepAttempts >= this.authorizationConfig.sweepMaxAttempts ||
+          now >= current.expiresAt;
+        return {
+          sweepAttempts,
+          lastSweepError: error.message,
+          ...(closed ? { statusGSI: "status#closed" } : {}),
+        };
+      });
+    } catch (e) {
+      ErrorHandler.add_error("Axcess authorization sweep not recorded", {
+        paymentId,
+        error: e.message,
+      });
+      return false;
+    }
+    if (closed) {
+      Logger.writeLog({
+        flag: "payment",
+        action: "Authorization expiry sweep",
+        message: "Expiring authorization closed after failed sweeps",
+        data: { paymentId, error: error.message },
+      });
+    }
+    return closed;
   }
 
   /**
    * Server-to-Server Debit/Purchase (paymentType=DB).
+   * Risk rules run first: a `block` decision throws before Axcess is called,
+   * `require_3ds` asks the issuer for a challenge.
    * @param {object} params
    * @param {number|string} params.amount
    * @param {string} params.currency
@@ -607,14 +1572,18 @@ export default class PaymentGatewayAxcess {
    * @param {object} params.card - { number, holder, expiryMonth, expiryYear, cvv }
    * @param {object} [params.customer]
    * @param {object} [params.threeDSParams]
+   * @param {string} [params.userId] - for risk rules and the risk decision record
+   * @param {object} [params.riskContext] - { ip, ipCountry, billingCountry, cardCountry }
+   * @param {string} [params.idempotencyKey] - retries with the same key return the stored result
    * @returns {Promise<object>} normalized result
+   * @throws {RiskBlockedError} when risk rules block the payment
    *
    * Docs: S2S + 3DS Parameters
    * https://axcessms.docs.oppwa.com/integrations/server-to-server
    * https://axcessms.docs.oppwa.com/tutorials/threeDSecure/Parameters
    */
   async s2sDebit(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       amount: { value: params.amount, type: "float", required: true },
       currency: { value: params.currency, type: "string", required: true },
       paymentBrand: {
@@ -635,69 +1604,150 @@ export default class PaymentGatewayAxcess {
         required: false,
         default: {},
       },
+      idempotencyKey: {
+        value: params.idempotencyKey,
+        type: "string",
+        required: false,
+      },
+      userId: { value: params.userId, type: "string", required: false },
+      riskContext: {
+        value: params.riskContext || {},
+        type: "object",
+        required: false,
+        default: {},
+      },
+      ...this._entitySchema(params),
     });
-
-    const endpoint = `${this.apiBaseUrl}/v1/payments`;
-    const bodyParams = {
-      entityId: this.entityId,
-      paymentBrand: cleaned.paymentBrand,
-      paymentType: "DB",
-      amount: cleaned.amount,
-      currency: cleaned.currency,
-      "card.number": cleaned.card.number,
-      "card.holder": cleaned.card.holder,
-      "card.expiryMonth": cleaned.card.expiryMonth,
-      "card.expiryYear": cleaned.card.expiryYear,
-      "card.cvv": cleaned.card.cvv,
-      ...this._flattenThreeDS(cleaned.threeDSParams),
-    };
-    const body = toFormUrlEncoded(bodyParams);
-
-    const res = await httpRequestWithBearer({
-      urlString: endpoint,
-      method: "POST",
-      bearerToken: this.apiBearerToken,
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
+    const entity = this._resolveEntityFor(cleaned);
+
+    return this._withIdempotency("s2s_debit", cleaned, async () => {
+      const risk = await this._assessRisk("s2s_debit", cleaned);
+      const endpoint = `${this.apiBaseUrl}/v1/payments`;
+      const bodyParams = {
+        entityId: entity.entityId,
+        paymentBrand: cleaned.paymentBrand,
+        paymentType: "DB",
+        amount: cleaned.amount,
+        currency: cleaned.currency,
+        "card.number": cleaned.card.number,
+        "card.holder": cleaned.card.holder,
+        "card.expiryMonth": cleaned.card.expiryMonth,
+        "card.expiryYear": cleaned.card.expiryYear,
+        "card.cvv": cleaned.card.cvv,
+        ...this._flattenThreeDS(
+          risk?.decision === "require_3ds"
+            ? { ...cleaned.threeDSParams, challengeIndicator: "04" }
+            : cleaned.threeDSParams
+        ),
+      };
+      const body = toFormUrlEncoded(bodyParams);
+
+      const res = await this._httpRequest({
+        urlString: endpoint,
+        method: "POST",
+        bearerToken: entity.bearerToken,
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body,
+        idempotencyKey: cleaned.idempotencyKey,
+      });
+      // console.log("s2sDebit res", res);
+      const result = await this._handleS2SResponse(res, "debit", {
+        entityKey: entity.key,
+      });
+      await this._openRefundLedger(result.normalized, cleaned.amount, entity);
+      return result;
     });
-    // console.log("s2sDebit res", res);
-    return this._handleS2SResponse(res, "debit");
   }
 
   /**
    * Server-to-Server Refund (paymentType=RF).
+   * The refund is linked to the parent payment and checked against its refund
+   * ledger; refunds beyond the captured amount are rejected before calling Axcess.
    * @param {object} params
    * @param {string} params.paymentId - original captured payment id
-   * @param {number|string} [params.amount] - optional partial refund
+   * @param {number|string} [params.amount] - optional partial refund (defaults to the refundable amount)
+   * @param {string} [params.idempotencyKey] - retries with the same key return the stored result
    * @returns {Promise<object>} normalized result
    *
    * Docs: Backoffice
    * https://axcessms.docs.oppwa.com/integrations/backoffice
    */
   async s2sRefund(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       paymentId: { value: params.paymentId, type: "string", required: true },
       amount: { value: params.amount, type: "float", required: false },
+      idempotencyKey: {
+        value: params.idempotencyKey,
+        type: "string",
+        required: false,
+      },
+      ...this._entitySchema(params),
     });
 
-    const endpoint = `${this.apiBaseUrl}/v1/payments/${encodeURIComponent(
-      cleaned.paymentId
-    )}`;
-    const bodyParams = {
-      entityId: this.entityId,
-      paymentType: "RF",
-      ...(cleaned.amount ? { amount: cleaned.amount } : {}),
-    };
-    const body = toFormUrlEncoded(bodyParams);
+    return this._withIdempotency("s2s_refund", cleaned, async () => {
+      let ledger = await this._loadRefundLedger(cleaned);
+      let amount = cleaned.amount;
+      if (ledger) {
+        ledger = await this._reserveRefund(cleaned.paymentId, cleaned.amount);
+        amount = ledger.reservation;
+      }
+      const entity = this._resolveEntityFor(cleaned, ledger);
+
+      const endpoint = `${this.apiBaseUrl}/v1/payments/${encodeURIComponent(
+        cleaned.paymentId
+      )}`;
+      const bodyParams = {
+        entityId: entity.entityId,
+        paymentType: "RF",
+        ...(amount
+          ? { amount: this._formatAmount(amount, ledger?.currency) }
+          : {}),
+      };
+      const body = toFormUrlEncoded(bodyParams);
 
-    const res = await httpRequestWithBearer({
-      urlString: endpoint,
-      method: "POST",
-      bearerToken: this.apiBearerToken,
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
+      let result;
+      try {
+        const res = await this._httpRequest({
+          urlString: endpoint,
+          method: "POST",
+          bearerToken: entity.bearerToken,
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body,
+          idempotencyKey: cleaned.idempotencyKey,
+        });
+        result = await this._handleS2SResponse(res, "refund", {
+          parentTxnId: cleaned.paymentId,
+          entityKey: entity.key,
+        });
+      } catch (err) {
+        if (ledger) await this._settleRefund(cleaned.paymentId, amount, false);
+        throw err;
+      }
+      if (ledger) await this._recordRefund(ledger, result.normalized, amount);
+      return result;
+    });
+  }
+
+  /**
+   * Refund history and running totals for a payment.
+   * @param {string} paymentId - parent (DB or CP) payment id
+   * @returns {Promise<{paymentId:string, currency:string|null, capturedAmount:number|null, refundedAmount:number, refundableAmount:number|null, refunds:Array<object>}>}
+   */
+  async listRefunds(paymentId) {
+    const cleaned = this._validate({
+      paymentId: { value: paymentId, type: "string", required: true },
     });
-    return this._handleS2SResponse(res, "refund");
+    const ledger = await this.svc.getRefundLedger?.(cleaned.paymentId);
+    const refunds = (await this.svc.getRefunds?.(cleaned.paymentId)) || [];
+    refunds.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    return {
+      paymentId: cleaned.paymentId,
+      currency: ledger?.currency || null,
+      capturedAmount: ledger ? ledger.capturedAmount : null,
+      refundedAmount: ledger ? ledger.refundedAmount : 0,
+      refundableAmount: ledger ? ledger.refundableAmount : null,
+      refunds,
+    };
   }
 
   /**
@@ -714,7 +1764,7 @@ export default class PaymentGatewayAxcess {
    * https://axcessms.docs.oppwa.com/integrations/server-to-server/standalone3DS
    */
   async initiateStandalone3DS(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       amount: { value: params.amount, type: "float", required: true },
       currency: { value: params.currency, type: "string", required: true },
       card: { value: params.card, type: "object", required: true },
@@ -729,11 +1779,13 @@ export default class PaymentGatewayAxcess {
         type: "object",
         required: true,
       },
+      ...this._entitySchema(params),
     });
+    const entity = this._resolveEntityFor(cleaned);
 
     const endpoint = `${this.apiBaseUrl}/v1/threeDSecure`;
     const bodyParams = {
-      entityId: this.entityId,
+      entityId: entity.entityId,
       amount: cleaned.amount,
       currency: cleaned.currency,
       "card.number": cleaned.card.number,
@@ -745,10 +1797,10 @@ export default class PaymentGatewayAxcess {
     };
     const body = toFormUrlEncoded(bodyParams);
 
-    const res = await httpRequestWithBearer({
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "POST",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body,
     });
@@ -758,7 +1810,7 @@ export default class PaymentGatewayAxcess {
         status: res.status,
         raw: res.raw,
       });
-      throw new Error("Failed to initiate standalone 3DS");
+      throw this._responseError(res, "Failed to initiate standalone 3DS");
     }
     return res.data || {};
   }
@@ -775,24 +1827,26 @@ export default class PaymentGatewayAxcess {
    * https://axcessms.docs.oppwa.com/tutorials/threeDSecure/Parameters#Response-Parameters
    */
   async continue3DSChallenge(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       id: { value: params.id, type: "string", required: true },
       paRes: { value: params.paRes, type: "string", required: false },
       cres: { value: params.cres, type: "string", required: false },
+      ...this._entitySchema(params),
     });
+    const entity = this._resolveEntityFor(cleaned);
     const endpoint = `${this.apiBaseUrl}/v1/threeDSecure/${encodeURIComponent(
       cleaned.id
     )}`;
     const body = toFormUrlEncoded({
-      entityId: this.entityId,
+      entityId: entity.entityId,
       ...(cleaned.paRes ? { paRes: cleaned.paRes } : {}),
       ...(cleaned.cres ? { cres: cleaned.cres } : {}),
     });
 
-    const res = await httpRequestWithBearer({
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "POST",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body,
     });
@@ -802,7 +1856,7 @@ export default class PaymentGatewayAxcess {
         status: res.status,
         raw: res.raw,
       });
-      throw new Error("Failed to continue 3DS challenge");
+      throw this._responseError(res, "Failed to continue 3DS challenge");
     }
     return res.data || {};
   }
@@ -821,7 +1875,7 @@ export default class PaymentGatewayAxcess {
    * https://axcessms.docs.oppwa.com/integrations/server-to-server/standaloneexemption
    */
   async requestStandaloneExemption(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       amount: { value: params.amount, type: "float", required: true },
       currency: { value: params.currency, type: "string", required: true },
       paymentBrand: {
@@ -839,11 +1893,13 @@ export default class PaymentGatewayAxcess {
         type: "string",
         required: true,
       },
+      ...this._entitySchema(params),
     });
+    const entity = this._resolveEntityFor(cleaned);
 
     const endpoint = `${this.apiBaseUrl}/v1/exemptions`;
     const bodyParams = {
-      entityId: this.entityId,
+      entityId: entity.entityId,
       paymentBrand: cleaned.paymentBrand,
       amount: cleaned.amount,
       currency: cleaned.currency,
@@ -859,10 +1915,10 @@ export default class PaymentGatewayAxcess {
       bodyParams["card.cvv"] = cleaned.cardOrToken.card?.cvv;
     }
 
-    const res = await httpRequestWithBearer({
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "POST",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body: toFormUrlEncoded(bodyParams),
     });
@@ -872,7 +1928,7 @@ export default class PaymentGatewayAxcess {
         status: res.status,
         raw: res.raw,
       });
-      throw new Error("Failed to request 3DS exemption");
+      throw this._responseError(res, "Failed to request 3DS exemption");
     }
     return res.data || {};
   }
@@ -919,7 +1975,7 @@ export default class PaymentGatewayAxcess {
   //   return res;
   // }
   async createRegistrationToken(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       card: { value: params.card, type: "object", required: true },
       customer: {
         value: params.customer || {},
@@ -927,11 +1983,13 @@ export default class PaymentGatewayAxcess {
         required: false,
         default: {},
       },
+      ...this._entitySchema(params),
     });
+    const entity = this._resolveEntityFor(cleaned);
 
     const endpoint = `${this.apiBaseUrl}/v1/registrations`;
     const bodyParams = {
-      entityId: this.entityId,
+      entityId: entity.entityId,
       "card.number": cleaned.card.number,
       "card.holder": cleaned.card.holder,
       "card.expiryMonth": cleaned.card.expiryMonth,
@@ -939,10 +1997,10 @@ export default class PaymentGatewayAxcess {
       "card.cvv": cleaned.card.cvv,
     };
     // console.log("createRegistrationToken bodyParams", bodyParams);
-    const res = await httpRequestWithBearer({
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "POST",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body: toFormUrlEncoded(bodyParams),
     });
@@ -954,7 +2012,7 @@ export default class PaymentGatewayAxcess {
         status: res.status,
         raw: res.raw,
       });
-      throw new Error("Failed to create registration token");
+      throw this._responseError(res, "Failed to create registration token");
     }
 
     const tokenRecord = {
@@ -966,9 +2024,21 @@ export default class PaymentGatewayAxcess {
         res.data.card?.expiryMonth && res.data.card?.expiryYear
           ? `${res.data.card.expiryYear}-${res.data.card.expiryMonth}`
           : null,
+      entityKey: entity.key,
       createdAt: Date.now(),
     };
     await this.svc.saveToken?.(tokenRecord);
+    await this._emitEvent(
+      "token.created",
+      {
+        registrationId: tokenRecord.id,
+        brand: tokenRecord.brand,
+        last4: tokenRecord.last4 || null,
+        expiry: tokenRecord.expiry,
+        source: "api",
+      },
+      tokenRecord.id
+    );
 
     return {
       registrationId: res.data.id,
@@ -987,10 +2057,11 @@ export default class PaymentGatewayAxcess {
    * @param {number|string} params.amount
    * @param {string} params.currency
    * @param {object} [params.threeDSParams]
+   * @param {string} [params.idempotencyKey] - retries with the same key return the stored result
    * @returns {Promise<object>} normalized result
    */
   async debitWithRegistrationToken(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       registrationId: {
         value: params.registrationId,
         type: "string",
@@ -1004,25 +2075,44 @@ export default class PaymentGatewayAxcess {
         required: false,
         default: {},
       },
+      idempotencyKey: {
+        value: params.idempotencyKey,
+        type: "string",
+        required: false,
+      },
+      ...this._entitySchema(params),
     });
-    const endpoint = `${this.apiBaseUrl}/v1/registrations/${encodeURIComponent(
-      cleaned.registrationId
-    )}/payments`;
-    const bodyParams = {
-      entityId: this.entityId,
-      paymentType: "DB",
-      amount: cleaned.amount,
-      currency: cleaned.currency,
-      ...this._flattenThreeDS(cleaned.threeDSParams),
-    };
-    const res = await httpRequestWithBearer({
-      urlString: endpoint,
-      method: "POST",
-      bearerToken: this.apiBearerToken,
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: toFormUrlEncoded(bodyParams),
+    // Tokens only work on the entity they were registered on
+    const token = await this.svc.getToken?.(cleaned.registrationId);
+    const entity = this._resolveEntityFor(cleaned, token);
+
+    return this._withIdempotency("debit_token", cleaned, async () => {
+      const endpoint = `${
+        this.apiBaseUrl
+      }/v1/registrations/${encodeURIComponent(
+        cleaned.registrationId
+      )}/payments`;
+      const bodyParams = {
+        entityId: entity.entityId,
+        paymentType: "DB",
+        amount: cleaned.amount,
+        currency: cleaned.currency,
+        ...this._flattenThreeDS(cleaned.threeDSParams),
+      };
+      const res = await this._httpRequest({
+        urlString: endpoint,
+        method: "POST",
+        bearerToken: entity.bearerToken,
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: toFormUrlEncoded(bodyParams),
+        idempotencyKey: cleaned.idempotencyKey,
+      });
+      const result = await this._handleS2SResponse(res, "debit_token", {
+        entityKey: entity.key,
+      });
+      await this._openRefundLedger(result.normalized, cleaned.amount, entity);
+      return result;
     });
-    return this._handleS2SResponse(res, "debit_token");
   }
 
   /**
@@ -1035,7 +2125,7 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<object>} normalized result
    */
   async authorizeWithRegistrationToken(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       registrationId: {
         value: params.registrationId,
         type: "string",
@@ -1049,25 +2139,32 @@ export default class PaymentGatewayAxcess {
         required: false,
         default: {},
       },
+      ...this._entitySchema(params),
     });
+    const token = await this.svc.getToken?.(cleaned.registrationId);
+    const entity = this._resolveEntityFor(cleaned, token);
     const endpoint = `${this.apiBaseUrl}/v1/registrations/${encodeURIComponent(
       cleaned.registrationId
     )}/payments`;
     const bodyParams = {
-      entityId: this.entityId,
+      entityId: entity.entityId,
       paymentType: "PA",
       amount: cleaned.amount,
       currency: cleaned.currency,
       ...this._flattenThreeDS(cleaned.threeDSParams),
     };
-    const res = await httpRequestWithBearer({
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "POST",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body: toFormUrlEncoded(bodyParams),
     });
-    return this._handleS2SResponse(res, "authorize_token");
+    const result = await this._handleS2SResponse(res, "authorize_token", {
+      entityKey: entity.key,
+    });
+    await this._openAuthorizationLedger(result, cleaned, entity);
+    return result;
   }
 
   /**
@@ -1077,20 +2174,23 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<boolean>}
    */
   async deleteRegistrationToken(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       registrationId: {
         value: params.registrationId,
         type: "string",
         required: true,
       },
+      ...this._entitySchema(params),
     });
+    const token = await this.svc.getToken?.(cleaned.registrationId);
+    const entity = this._resolveEntityFor(cleaned, token);
     const endpoint = `${this.apiBaseUrl}/v1/registrations/${encodeURIComponent(
       cleaned.registrationId
-    )}?entityId=${encodeURIComponent(this.entityId)}`;
-    const res = await httpRequestWithBearer({
+    )}?entityId=${encodeURIComponent(entity.entityId)}`;
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "DELETE",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
     });
     if (res.status >= 200 && res.status < 300) {
       await this.svc.deleteToken?.(cleaned.registrationId);
@@ -1142,7 +2242,7 @@ export default class PaymentGatewayAxcess {
    * https://axcessms.docs.oppwa.com/integrations/subscriptions
    */
   async createSubscriptionFromToken(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       registrationId: {
         value: params.registrationId,
         type: "string",
@@ -1158,12 +2258,15 @@ export default class PaymentGatewayAxcess {
         required: false,
         default: {},
       },
+      ...this._entitySchema(params),
     });
+    const token = await this.svc.getToken?.(cleaned.registrationId);
+    const entity = this._resolveEntityFor(cleaned, token);
 
     // Placeholder API call — consult your Axcess contract for exact subscription endpoint/fields
     const endpoint = `${this.apiBaseUrl}/v1/subscriptions`;
     const bodyParams = {
-      entityId: this.entityId,
+      entityId: entity.entityId,
       registrationId: cleaned.registrationId,
       amount: cleaned.amount,
       currency: cleaned.currency,
@@ -1174,10 +2277,10 @@ export default class PaymentGatewayAxcess {
         ? { trialLengthDays: cleaned.trial.lengthDays }
         : {}),
     };
-    const res = await httpRequestWithBearer({
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "POST",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body: toFormUrlEncoded(bodyParams),
     });
@@ -1187,7 +2290,7 @@ export default class PaymentGatewayAxcess {
         status: res.status,
         raw: res.raw,
       });
-      throw new Error("Failed to create subscription");
+      throw this._responseError(res, "Failed to create subscription");
     }
 
     const schedule = {
@@ -1198,9 +2301,24 @@ export default class PaymentGatewayAxcess {
       currency: cleaned.currency,
       interval: cleaned.interval,
       startDate: cleaned.startDate || null,
+      entityKey: entity.key,
       createdAt: Date.now(),
     };
     await this.svc.upsertSchedule?.(schedule);
+    if (schedule.scheduleId) {
+      await this._emitEvent(
+        "subscription.created",
+        {
+          subscriptionId: schedule.scheduleId,
+          registrationId: schedule.registrationId,
+          amount: schedule.amount,
+          currency: schedule.currency,
+          interval: schedule.interval,
+          source: "api",
+        },
+        schedule.scheduleId
+      );
+    }
     return { status: "active", scheduleId: schedule.scheduleId };
   }
 
@@ -1212,22 +2330,26 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<{status:string}>}
    */
   async cancelSubscription(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       subscriptionId: {
         value: params.subscriptionId,
         type: "string",
         required: true,
       },
       reason: { value: params.reason, type: "string", required: false },
+      ...this._entitySchema(params),
     });
+    // Cancel on the entity the schedule was created on
+    const schedule = await this.svc.getSchedule?.(cleaned.subscriptionId);
+    const entity = this._resolveEntityFor(cleaned, schedule);
 
     const endpoint = `${this.apiBaseUrl}/v1/subscriptions/${encodeURIComponent(
       cleaned.subscriptionId
-    )}?entityId=${encodeURIComponent(this.entityId)}`;
-    const res = await httpRequestWithBearer({
+    )}?entityId=${encodeURIComponent(entity.entityId)}`;
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "DELETE",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
     });
     if (res.status >= 200 && res.status < 300) {
       await this.svc.upsertSchedule?.({
@@ -1236,13 +2358,22 @@ export default class PaymentGatewayAxcess {
         updatedAt: Date.now(),
         reason: cleaned.reason || null,
       });
+      await this._emitEvent(
+        "subscription.canceled",
+        {
+          subscriptionId: cleaned.subscriptionId,
+          reason: cleaned.reason || null,
+          source: "api",
+        },
+        cleaned.subscriptionId
+      );
       return { status: "canceled" };
     }
     ErrorHandler.add_error("Axcess cancelSubscription failed", {
       status: res.status,
       raw: res.raw,
     });
-    throw new Error("Failed to cancel subscription");
+    throw this._responseError(res, "Failed to cancel subscription");
   }
 
   /**
@@ -1253,17 +2384,19 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<{status:string, resumeAt:string}>}
    */
   async pauseSubscription(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       subscriptionId: {
         value: params.subscriptionId,
         type: "string",
         required: true,
       },
       resumeAt: { value: params.resumeAt, type: "string", required: true },
+      ...this._entitySchema(params),
     });
     await this.cancelSubscription({
       subscriptionId: cleaned.subscriptionId,
       reason: "pause",
+      entityKey: cleaned.entityKey,
     });
     await this.svc.saveResumeInstruction?.({
       subscriptionId: cleaned.subscriptionId,
@@ -1281,7 +2414,7 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<{status:string, scheduleId?:string}>}
    */
   async resumeSubscription(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       userId: { value: params.userId, type: "string", required: true },
       registrationId: {
         value: params.registrationId,
@@ -1293,6 +2426,7 @@ export default class PaymentGatewayAxcess {
         type: "object",
         required: true,
       },
+      ...this._entitySchema(params),
     });
     const res = await this.createSubscriptionFromToken({
       registrationId: cleaned.registrationId,
@@ -1300,6 +2434,8 @@ export default class PaymentGatewayAxcess {
       currency: cleaned.recurringShape.currency,
       interval: cleaned.recurringShape.interval,
       startDate: cleaned.recurringShape.startDate || null,
+      entityKey: cleaned.entityKey,
+      channel: cleaned.channel,
     });
     return { status: "resumed", scheduleId: res.scheduleId || null };
   }
@@ -1313,7 +2449,7 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<{status:string, scheduleId?:string}>}
    */
   async upgradeSubscription(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       subscriptionId: {
         value: params.subscriptionId,
         type: "string",
@@ -1329,11 +2465,12 @@ export default class PaymentGatewayAxcess {
         type: "object",
         required: true,
       },
+      ...this._entitySchema(params),
     });
 
     // Charge proration immediately (token required)
     if (!cleaned.newRecurring.registrationId) {
-      throw new Error(
+      throw new ValidationError(
         "upgradeSubscription requires newRecurring.registrationId for proration charge"
       );
     }
@@ -1341,12 +2478,16 @@ export default class PaymentGatewayAxcess {
       registrationId: cleaned.newRecurring.registrationId,
       amount: cleaned.prorationCharge,
       currency: cleaned.newRecurring.currency,
+      entityKey: cleaned.entityKey,
+      channel: cleaned.channel,
     });
 
     // Cancel current schedule; create new one
     await this.cancelSubscription({
       subscriptionId: cleaned.subscriptionId,
       reason: "upgrade",
+      entityKey: cleaned.entityKey,
+      channel: cleaned.channel,
     });
     const newSchedule = await this.createSubscriptionFromToken({
       registrationId: cleaned.newRecurring.registrationId,
@@ -1354,6 +2495,8 @@ export default class PaymentGatewayAxcess {
       currency: cleaned.newRecurring.currency,
       interval: cleaned.newRecurring.interval,
       startDate: cleaned.newRecurring.startDate || null,
+      entityKey: cleaned.entityKey,
+      channel: cleaned.channel,
     });
 
     return {
@@ -1371,7 +2514,7 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<{status:string, effectiveAt:string}>}
    */
   async downgradeSubscription(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       subscriptionId: {
         value: params.subscriptionId,
         type: "string",
@@ -1406,13 +2549,6 @@ export default class PaymentGatewayAxcess {
    *  https://axcessms.docs.oppwa.com/tutorials/webhooks/decryption
    * ========================================================================== */
 
-  /**
-   * Decrypt and (optionally) verify webhook payload using AES-256-CBC.
-   * NOTE: Header names and signature algorithm can vary; configure in this.webhookConfig.
-   * @param {string|Buffer} rawBody - the raw request body as received
-   * @param {object} headers - incoming headers
-   * @returns {{ decryptedJson: object, idempotencyKey?: string, verified: boolean }}
-   */
   // decryptAndVerifyWebhook(rawBody, headers = {}) {
   //   if (!this.webhookConfig.secretKey) {
   //     throw new Error("Webhook secretKey is not configured");
@@ -1482,11 +2618,26 @@ export default class PaymentGatewayAxcess {
   //   }
   // }
 
+  /**
+   * Decrypt and authenticate an Axcess webhook: AES-256-GCM ciphertext as hex
+   * (`{ encryptedBody }` or the bare string), IV and authentication tag as hex
+   * headers. Fails closed: anything that does not authenticate throws
+   * WebhookVerificationError and is logged under the `security` flag. Strict
+   * mode (webhook.strict, on unless environment is test) also requires a 12-byte IV and the
+   * full 16-byte tag. Plaintext JSON is accepted, as unverified, only in the
+   * test environment with webhook.allowPlaintext.
+   * With webhook.secretKeys every key active now is tried in order; the one
+   * that authenticates is returned as keyId, and a warning is logged while a
+   * key scheduled for retirement is still being used.
+   * @param {string|Buffer} rawBody - the raw request body as received
+   * @param {object} headers - incoming headers
+   * @returns {{ decryptedJson: object, idempotencyKey?: string, verified: boolean, keyId?: string }}
+   */
   decryptAndVerifyWebhook(rawBody, headers = {}) {
     if (!this.webhookConfig.secretKey) {
-      throw new Error("Webhook secretKey is not configured");
+      throw new ConfigurationError("Webhook secretKey is not configured");
     }
-    // console.log("Webhook secretKey is configured");
+    const { strict, allowPlaintext } = this.webhookConfig;
 
     try {
       // Normalize header names
@@ -1506,16 +2657,44 @@ export default class PaymentGatewayAxcess {
         h[this.webhookConfig.sigHeaderName?.toLowerCase() || ""] ||
         null;
 
-      console.log("ivHex", ivHex);
-      console.log("tagHex", tagHex);
-
-      if (!ivHex) throw new Error("Missing X-Initialization-Vector header");
-      if (!tagHex) throw new Error("Missing X-Authentication-Tag header");
-
-      // Body: often { "encryptedBody": "<hex>" }
       const bodyStr = Buffer.isBuffer(rawBody)
         ? rawBody.toString("utf8")
         : String(rawBody || "");
+
+      if (!ivHex && !tagHex && allowPlaintext) {
+        let decryptedJson;
+        try {
+          decryptedJson = JSON.parse(bodyStr);
+        } catch {
+          throw new WebhookVerificationError("Webhook body is not JSON", {
+            reason: "invalid_body",
+          });
+        }
+        Logger.writeLog({
+          flag: "security",
+          action: "Axcess webhook accepted unverified",
+          message: "Plaintext webhook accepted (webhook.allowPlaintext)",
+          data: { environment: this.environmentLabel },
+        });
+        return {
+          decryptedJson,
+          idempotencyKey: this._webhookIdOf(decryptedJson),
+          verified: false,
+        };
+      }
+
+      if (!ivHex)
+        throw new WebhookVerificationError(
+          "Missing X-Initialization-Vector header",
+          { reason: "missing_headers" }
+        );
+      if (!tagHex)
+        throw new WebhookVerificationError(
+          "Missing X-Authentication-Tag header",
+          { reason: "missing_headers" }
+        );
+
+      // Body: often { "encryptedBody": "<hex>" }
       let cipherHex;
       try {
         const parsed = JSON.parse(bodyStr);
@@ -1524,158 +2703,558 @@ export default class PaymentGatewayAxcess {
         cipherHex = bodyStr.trim();
       }
       if (!cipherHex || !/^[0-9a-fA-F]+$/.test(cipherHex)) {
-        throw new Error("Webhook body does not contain valid hex ciphertext");
+        throw new WebhookVerificationError(
+          "Webhook body does not contain valid hex ciphertext",
+          { reason: "invalid_body" }
+        );
       }
 
       // Convert everything from hex
-      const key = Buffer.from(this.webhookConfig.secretKey, "hex"); // must be 64 hex chars
       const iv = Buffer.from(ivHex, "hex"); // 12 bytes
       const tag = Buffer.from(tagHex, "hex"); // 16 bytes
       const cipherBuf = Buffer.from(cipherHex, "hex");
 
-      // Decrypt AES-256-GCM
-      const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
-      decipher.setAuthTag(tag);
-
-      const decrypted = Buffer.concat([
-        decipher.update(cipherBuf),
-        decipher.final(),
-      ]);
-      const plaintext = decrypted.toString("utf8");
-      console.log("Decrypted plaintext", plaintext);
+      // GCM accepts truncated tags, which are easier to forge
+      if (strict && (iv.length !== 12 || tag.length !== 16)) {
+        throw new WebhookVerificationError(
+          "Webhook IV must be 12 bytes and authentication tag 16 bytes",
+          { reason: "invalid_tag" }
+        );
+      }
 
-      const decryptedJson = JSON.parse(plaintext);
+      // Decrypt AES-256-GCM; a wrong key fails authentication, so try the next
+      const now = Date.now();
+      const candidates = this.webhookConfig.secretKeys.filter(
+        (k) =>
+          (k.activeFrom === null || k.activeFrom <= now) &&
+          (k.retireAt === null || now < k.retireAt)
+      );
+      let decrypted = null;
+      let used = null;
+      let lastError = null;
+      for (const candidate of candidates) {
+        try {
+          const decipher = crypto.createDecipheriv(
+            "aes-256-gcm",
+            Buffer.from(candidate.key, "hex"), // must be 64 hex chars
+            iv,
+            strict ? { authTagLength: 16 } : undefined
+          );
+          decipher.setAuthTag(tag);
+          decrypted = Buffer.concat([
+            decipher.update(cipherBuf),
+            decipher.final(),
+          ]);
+          used = candidate;
+          break;
+        } catch (e) {
+          lastError = e;
+        }
+      }
+      if (!used) {
+        throw new WebhookVerificationError(
+          `Webhook decrypt/verify failed: ${
+            lastError?.message || "no active webhook secret"
+          }`,
+          {
+            cause: lastError,
+            reason: "decrypt_failed",
+            keysTried: candidates.map((k) => k.id),
+          }
+        );
+      }
+      if (used.retireAt !== null) {
+        Logger.writeLog({
+          flag: "security",
+          action: "Axcess webhook secret retiring",
+          message: `Webhook authenticated with key "${
+            used.id
+          }", which retires at ${new Date(used.retireAt).toISOString()}`,
+          data: {
+            keyId: used.id,
+            retireAt: used.retireAt,
+            environment: this.environmentLabel,
+          },
+        });
+      }
 
-      // Choose an idempotency key field
-      const idempotencyKey =
-        decryptedJson?.id ||
-        decryptedJson?.eventId ||
-        decryptedJson?.payloadId ||
-        decryptedJson?.payload?.id ||
-        null;
+      let decryptedJson;
+      try {
+        decryptedJson = JSON.parse(decrypted.toString("utf8"));
+      } catch {
+        throw new WebhookVerificationError("Decrypted webhook is not JSON", {
+          reason: "invalid_body",
+          keyId: used.id,
+        });
+      }
 
       // With GCM, successful decryption == verified
-      return { decryptedJson, idempotencyKey, verified: true };
+      return {
+        decryptedJson,
+        idempotencyKey: this._webhookIdOf(decryptedJson),
+        verified: true,
+        keyId: used.id,
+      };
     } catch (e) {
       ErrorHandler.add_error("Axcess webhook decrypt/verify failed", {
         error: e.message,
       });
-      throw e;
+      // Auth-tag mismatches and malformed plaintext surface as crypto/JSON errors
+      const error =
+        e instanceof WebhookVerificationError
+          ? e
+          : new WebhookVerificationError(
+              `Webhook decrypt/verify failed: ${e.message}`,
+              { cause: e, reason: "decrypt_failed" }
+            );
+      Logger.writeLog({
+        flag: "security",
+        action: "Axcess webhook rejected",
+        message: error.message,
+        data: {
+          reason: error.reason,
+          strict,
+          environment: this.environmentLabel,
+        },
+      });
+      throw error;
     }
   }
-  //
+
   /**
-   * Handle webhook: decrypt → map → route → persist.
+   * Handle webhook: decrypt → map → durable receipt + side-effect jobs → run jobs.
+   * The webhook record and one outbox job per side effect (see _webhookSteps)
+   * are written together before anything runs, so a step that throws leaves a
+   * retryable job instead of a half-applied webhook. Jobs run inline once;
+   * failures are picked up by processWebhookJobs.
+   * Deliveries carrying an id are claimed in the idempotency store first
+   * (conditional write, kept webhook.idempotencyStoreTtlHours); a repeat
+   * within that window is acknowledged without being processed again.
    * @param {string|Buffer} rawBody
    * @param {object} headers
-   * @returns {Promise<{ok:true}>}
+   * @returns {Promise<{ok:true, webhookId:string, duplicate?:true, jobs?:{done:number, pending:number, dead:number}}>}
    */
-
   async handleWebhook(rawBody, headers = {}) {
-    console.log("Axcess handleWebhook rawBody");
-    const { decryptedJson, idempotencyKey, verified } =
+    const { decryptedJson, idempotencyKey, verified, keyId } =
       this.decryptAndVerifyWebhook(rawBody, headers);
-    // console.log(
-    //   "decryptedJson this is the decrpted",
-    //   decryptedJson,
-    //   idempotencyKey,
-    //   verified
-    // );
-
-    // Optional: use your service to dedupe based on idempotency key
-
-    console.log("Axcess decryptedJson", decryptedJson, idempotencyKey);
-    const pk = `TRIGGER#${idempotencyKey}`;
-    const sk = `WEBHOOK#${idempotencyKey}`;
-
-    await this.svc.saveWebhook?.({
-      pk,
-      sk,
+    let event;
+    try {
+      event = this.mapWebhookEvent(decryptedJson);
+    } catch (e) {
+      ErrorHandler.add_error("Axcess webhook payload rejected", {
+        reason: e.reason || null,
+        field: e.field || null,
+        error: e.message,
+      });
+      throw e;
+    }
+    const webhookId = idempotencyKey || crypto.randomUUID();
+    const now = Date.now();
+
+    if (
+      idempotencyKey &&
+      !(await this._claimWebhook(idempotencyKey, decryptedJson, now))
+    ) {
+      return { ok: true, webhookId, duplicate: true };
+    }
+
+    const receipt = {
+      pk: `TRIGGER#${webhookId}`,
+      sk: `WEBHOOK#${webhookId}`,
       payload: decryptedJson,
-      event: null,
-      createdAt: Date.now().toString(),
+      event: event.type,
+      createdAt: now.toString(),
       verified,
+      secretKeyId: keyId || null,
       idempotencyKey,
-    });
-    console.log("Axcess below this webhook");
-
-    const event = this.mapWebhookEvent(decryptedJson);
-
-    console.log("Mapped webhook event", event);
+      orderId: event.txn?.orderId || null,
+      receivedAt: now,
+      receivedGSI: "webhook",
+      handled: false,
+    };
+    const jobs = Object.keys(this._webhookSteps(event)).map((kind, i) => ({
+      webhookId,
+      seq: i + 1,
+      kind,
+      event,
+      status: "pending",
+      statusGSI: "status#pending",
+      attempts: 0,
+      // Leased to this delivery, which runs them below
+      nextAttemptAt: now + this.webhookJobPolicy.leaseSeconds * 1000,
+      createdAt: now,
+    }));
 
     try {
-      switch (event.type) {
-        case "payment_success":
-          await this.onPaymentSuccess(event);
-          break;
-        case "payment_failed":
-          await this.onPaymentFailed(event);
-          break;
-        case "refund":
-          await this.onRefund(event);
-          break;
-        case "chargeback":
-          await this.onChargeback(event);
-          break;
-        case "registration_created":
-          await this.onRegistrationCreated(event);
-          break;
-        case "registration_updated":
-          await this.onRegistrationUpdated(event);
-          break;
-        case "schedule_created":
-        case "schedule_rescheduled":
-        case "schedule_canceled":
-          await this.onScheduleEvent(event);
-          break;
-        case "risk_flagged":
-        case "risk_cleared":
-          await this.onRiskEvent(event);
-          break;
-        default:
-          Logger.writeLog({
-            flag: "webhook",
-            action: "Axcess webhook unmapped",
-            message: "Unknown/ignored webhook event",
-            data: {
-              sample: decryptedJson?.type || decryptedJson?.eventType || null,
-            },
-          });
+      if (this.svc.saveWebhookReceipt) {
+        await this.svc.saveWebhookReceipt(receipt, jobs);
+      } else {
+        await this.svc.saveWebhook?.(receipt);
       }
-
-      return { ok: true };
     } catch (e) {
-      ErrorHandler.add_error("Axcess handleWebhook routing failed", {
-        error: e.message,
-        payload: decryptedJson,
-      });
+      // Nothing stored: release the claim so Axcess' retry is processed
+      if (idempotencyKey) {
+        await this.svc.deleteIdempotencyRecord?.(`webhook#${idempotencyKey}`);
+      }
       throw e;
     }
+
+    if (!jobs.length) {
+      Logger.writeLog({
+        flag: "webhook",
+        action: "Axcess webhook unmapped",
+        message: "Unknown/ignored webhook event",
+        data: {
+          sample: decryptedJson?.type || decryptedJson?.eventType || null,
+        },
+      });
+    }
+
+    const outcome = { done: 0, pending: 0, dead: 0 };
+    for (const job of jobs) {
+      // Jobs run in order, so an earlier one is unfinished if fewer are done
+      const blocker =
+        outcome.done < job.seq - 1 ? await this._webhookJobBlocker(job) : null;
+      outcome[
+        blocker
+          ? await this._holdWebhookJob(job, blocker, now)
+          : await this._runWebhookJob(job, now)
+      ]++;
+    }
+    if (jobs.length && outcome.done === jobs.length) {
+      await this.svc.updateWebhook?.(receipt.pk, receipt.sk, { handled: true });
+    }
+    return { ok: true, webhookId, jobs: outcome };
   }
 
   /**
-   * Map the decrypted webhook JSON to a normalized event.
-   * @param {object} payload
-   * @returns {{type:string, txn?:object, registration?:object, schedule?:object, risk?:object, raw:object}}
-   *
-   * Docs: Webhooks payload
-   * https://axcessms.docs.oppwa.com/tutorials/webhooks/payload
+   * Retry webhook side-effect jobs that failed and are due. Jobs failing
+   * webhook.jobs.maxAttempts times move to the `dead` state, listed by
+   * listDeadWebhookJobs. Meant to run from a scheduler; each job is claimed
+   * first, so concurrent workers never run the same one. A job whose earlier
+   * steps are not done yet is held back until they are.
+   * @param {object} [params]
+   * @param {number} [params.limit=100]
+   * @param {number} [params.now] - epoch ms, for tests
+   * @returns {Promise<{checked:number, done:number, pending:number, dead:number, skipped:number}>}
    */
-  mapWebhookEvent(payload = {}) {
-    const t = String(payload.type || payload.eventType || "").toLowerCase();
-
-    // Build normalized txn shape if present
-    const txn = payload.payment || payload.transaction || payload.txn || {};
-    const normalizedTxn = {
-      gateway: "axcess",
+  async processWebhookJobs(params = {}) {
+    const cleaned = this._validate({
+      limit: {
+        value: params.limit,
+        type: "int",
+        required: false,
+        default: 100,
+      },
+      now: { value: params.now, type: "int", required: false },
+    });
+    const now = cleaned.now ?? Date.now();
+    // Steps due together run in order, so a later one follows its predecessor
+    const due = ((await this.svc.getWebhookJobsDue?.(now, cleaned.limit)) || [])
+      .slice(0, cleaned.limit)
+      .sort(
+        (a, b) =>
+          a.nextAttemptAt - b.nextAttemptAt ||
+          String(a.webhookId).localeCompare(String(b.webhookId)) ||
+          a.seq - b.seq
+      );
+    const summary = { checked: 0, done: 0, pending: 0, dead: 0, skipped: 0 };
+    const touched = new Set();
+    for (const job of due) {
+      summary.checked++;
+      const claimed = await this.svc.claimWebhookJob?.(
+        job.webhookId,
+        job.seq,
+        job.nextAttemptAt,
+        now + this.webhookJobPolicy.leaseSeconds * 1000
+      );
+      if (claimed === false) {
+        summary.skipped++;
+        continue;
+      }
+      const blocker = await this._webhookJobBlocker(job);
+      const outcome = blocker
+        ? await this._holdWebhookJob(job, blocker, now)
+        : await this._runWebhookJob(job, now);
+      summary[outcome]++;
+      if (outcome === "done") touched.add(job.webhookId);
+    }
+    for (const webhookId of touched) {
+      const jobs = (await this.svc.getWebhookJobs?.(webhookId)) || [];
+      if (jobs.every((j) => j.status === "done")) {
+        await this.svc.updateWebhook?.(
+          `TRIGGER#${webhookId}`,
+          `WEBHOOK#${webhookId}`,
+          { handled: true }
+        );
+      }
+    }
+    Logger.writeLog({
+      flag: "webhook",
+      action: "Webhook jobs processed",
+      message: `Processed ${summary.checked} webhook jobs`,
+      data: summary,
+    });
+    return summary;
+  }
+
+  /**
+   * Dead-lettered webhook jobs, for inspection.
+   * @param {object} [params]
+   * @param {number} [params.limit=100]
+   * @returns {Promise<Array<object>>}
+   */
+  async listDeadWebhookJobs(params = {}) {
+    const cleaned = this._validate({
+      limit: {
+        value: params.limit,
+        type: "int",
+        required: false,
+        default: 100,
+      },
+    });
+    return (
+      (await this.svc.getWebhookJobsByStatus?.("dead", cleaned.limit)) || []
+    );
+  }
+
+  /**
+   * Put a dead-lettered job back in the queue with a fresh attempt budget.
+   * @param {object} params
+   * @param {string} params.webhookId
+   * @param {number} params.seq
+   * @returns {Promise<{requeued:boolean}>}
+   */
+  async retryWebhookJob(params = {}) {
+    const cleaned = this._validate({
+      webhookId: { value: params.webhookId, type: "string", required: true },
+      seq: { value: params.seq, type: "int", required: true },
+    });
+    const jobs = (await this.svc.getWebhookJobs?.(cleaned.webhookId)) || [];
+    const job = jobs.find((j) => j.seq === cleaned.seq);
+    if (!job || job.status !== "dead") return { requeued: false };
+    const now = Date.now();
+    await this.svc.updateWebhookJob?.(cleaned.webhookId, cleaned.seq, {
+      status: "pending",
+      statusGSI: "status#pending",
+      attempts: 0,
+      nextAttemptAt: now,
+    });
+    // The steps held back behind it become due with it
+    for (const later of jobs) {
+      if (later.seq > cleaned.seq && later.status === "pending") {
+        await this.svc.updateWebhookJob?.(cleaned.webhookId, later.seq, {
+          nextAttemptAt: now,
+        });
+      }
+    }
+    return { requeued: true };
+  }
+
+  /**
+   * Run stored webhooks through the current mapWebhookEvent and handlers again,
+   * e.g. after a handler bug. A dry run (the default) only reports how each
+   * outcome would differ from the stored one; a live run also applies the
+   * steps. Steps are safe to repeat, so effects that already happened are
+   * recorded as duplicates rather than applied twice.
+   * @param {object} params
+   * @param {number} params.from - receivedAt lower bound, epoch ms (inclusive)
+   * @param {number} params.to - receivedAt upper bound, epoch ms (inclusive)
+   * @param {string} [params.type] - mapped event type (stored or re-mapped), e.g. 'payment_success'
+   * @param {string} [params.orderId]
+   * @param {boolean} [params.dryRun=true]
+   * @param {number} [params.limit=500]
+   * @returns {Promise<{dryRun:boolean, checked:number, changed:number, replayed:number, failed:number, results:Array<object>}>}
+   */
+  async replayWebhooks(params = {}) {
+    const cleaned = this._validate({
+      from: { value: params.from, type: "int", required: true },
+      to: { value: params.to, type: "int", required: true },
+      type: { value: params.type, type: "string", required: false },
+      orderId: { value: params.orderId, type: "string", required: false },
+      dryRun: {
+        value: params.dryRun,
+        type: "boolean",
+        required: false,
+        default: true,
+      },
+      limit: {
+        value: params.limit,
+        type: "int",
+        required: false,
+        default: 500,
+      },
+    });
+    if (cleaned.from > cleaned.to) {
+      throw new ValidationError("Replay range starts after it ends", {
+        from: cleaned.from,
+        to: cleaned.to,
+      });
+    }
+
+    const stored =
+      (await this.svc.getWebhooksReceivedBetween?.(
+        cleaned.from,
+        cleaned.to,
+        cleaned.limit
+      )) || [];
+    const summary = {
+      dryRun: cleaned.dryRun,
+      checked: 0,
+      changed: 0,
+      replayed: 0,
+      failed: 0,
+      results: [],
+    };
+
+    for (const receipt of stored) {
+      const webhookId = String(receipt.pk).replace(/^TRIGGER#/, "");
+      let event;
+      try {
+        event = this.mapWebhookEvent(receipt.payload || {});
+      } catch (e) {
+        // Stored payloads the current parser rejects are reported, not replayed
+        summary.checked++;
+        summary.failed++;
+        summary.results.push({
+          webhookId,
+          receivedAt: receipt.receivedAt,
+          error: e.message,
+        });
+        continue;
+      }
+      if (
+        cleaned.type &&
+        receipt.event !== cleaned.type &&
+        event.type !== cleaned.type
+      ) {
+        continue;
+      }
+      if (
+        cleaned.orderId &&
+        (receipt.orderId || event.txn?.orderId) !== cleaned.orderId
+      ) {
+        continue;
+      }
+      summary.checked++;
+
+      const jobs = (await this.svc.getWebhookJobs?.(webhookId)) || [];
+      const before = {
+        type: receipt.event || jobs[0]?.event?.type || null,
+        txn: jobs[0]?.event?.txn || null,
+        steps: jobs.map((j) => j.kind),
+        unfinished: jobs.filter((j) => j.status !== "done").map((j) => j.kind),
+      };
+      const after = {
+        type: event.type,
+        txn: event.txn || null,
+        steps: Object.keys(this._webhookSteps(event)),
+      };
+      const diff = this._diffWebhookOutcome(before, after);
+      const result = {
+        webhookId,
+        receivedAt: receipt.receivedAt,
+        before,
+        after,
+        diff,
+      };
+      if (diff.length) summary.changed++;
+
+      if (!cleaned.dryRun) {
+        try {
+          await this._applyWebhookEvent(event);
+          await this.svc.updateWebhook?.(receipt.pk, receipt.sk, {
+            event: event.type,
+            handled: true,
+            replayedAt: Date.now(),
+          });
+          result.replayed = true;
+          summary.replayed++;
+        } catch (e) {
+          ErrorHandler.add_error("Axcess webhook replay failed", {
+            webhookId,
+            error: e.message,
+          });
+          result.replayed = false;
+          result.error = e.message;
+          summary.failed++;
+        }
+      }
+      summary.results.push(result);
+    }
+
+    const { results, ...counts } = summary;
+    Logger.writeLog({
+      flag: "webhook",
+      action: "Webhooks replayed",
+      message: `${cleaned.dryRun ? "Dry run over" : "Replayed"} ${
+        summary.checked
+      } webhooks, ${summary.changed} with a different outcome`,
+      data: { ...counts, from: cleaned.from, to: cleaned.to },
+    });
+    return summary;
+  }
+
+  /**
+   * Map the decrypted webhook JSON to a normalized event. Axcess notification
+   * envelopes ({ type: 'PAYMENT'|..., action, payload }) are validated by
+   * AxcessNotification and throw WebhookPayloadError when malformed; the
+   * older `{ type: 'payment.success', payment }` shape is matched loosely,
+   * but its payment, refund and chargeback events must carry an amount and
+   * currency (WebhookPayloadError otherwise).
+   * @param {object} payload
+   * @returns {{type:string, txn?:object, registration?:object, schedule?:object, risk?:object, chargeback?:object, raw:object}}
+   *
+   * Docs: Webhooks payload
+   * https://axcessms.docs.oppwa.com/tutorials/webhooks/payload
+   */
+  mapWebhookEvent(payload = {}) {
+    if (AxcessNotification.isEnvelope(payload)) {
+      return this._mapNotification(AxcessNotification.parse(payload), payload);
+    }
+
+    const t = String(payload.type || payload.eventType || "").toLowerCase();
+
+    // Build normalized txn shape if present
+    const txn = payload.payment || payload.transaction || payload.txn || {};
+    // Money-moving events never fall back to a default amount or currency
+    if (["payment", "refund", "chargeback"].some((k) => t.includes(k))) {
+      for (const field of ["amount", "currency"]) {
+        if (
+          txn[field] === undefined ||
+          txn[field] === null ||
+          txn[field] === ""
+        ) {
+          throw new WebhookPayloadError(`${t} payload: missing ${field}`, {
+            reason: "missing_field",
+            field,
+          });
+        }
+      }
+      if (!Number.isFinite(Number(txn.amount))) {
+        throw new WebhookPayloadError(
+          `${t} payload: invalid amount: ${txn.amount}`,
+          { reason: "invalid_field", field: "amount" }
+        );
+      }
+    }
+    const resultCode = txn.result?.code || txn.resultCode || null;
+    const classification = ResultCodes.classify(resultCode);
+    const normalizedTxn = {
+      gateway: "axcess",
       gatewayTxnId: txn.id || txn.transactionId || null,
-      amount: Number(txn.amount || 0),
-      currency: txn.currency || "USD",
-      resultCode: txn.result?.code || txn.resultCode || null,
-      approved: (txn.result?.code || "").startsWith("000."),
-      pending: String(txn.result?.description || "")
-        .toLowerCase()
-        .includes("pending"),
+      // Refunds and chargebacks point at the payment they reverse
+      parentTxnId: txn.referencedId || payload.referencedId || null,
+      // Checkouts and S2S calls send the order id as merchantTransactionId
+      orderId:
+        txn.merchantTransactionId || payload.merchantTransactionId || null,
+      amount: txn.amount == null ? null : Number(txn.amount),
+      currency: txn.currency || null,
+      resultCode,
+      category: classification.category,
+      approved: classification.successful,
+      pending: classification.pending,
+      entityKey: this._entityKeyForId(txn.entityId || payload.entityId),
       createdAt: Date.now(),
     };
 
@@ -1706,8 +3285,16 @@ export default class PaymentGatewayAxcess {
     if (t.includes("refund")) {
       return { type: "refund", txn: normalizedTxn, raw: payload };
     }
+    if (t.includes("chargeback") && t.includes("revers")) {
+      return { type: "chargeback_reversal", txn: normalizedTxn, raw: payload };
+    }
     if (t.includes("chargeback")) {
-      return { type: "chargeback", txn: normalizedTxn, raw: payload };
+      return {
+        type: "chargeback",
+        txn: normalizedTxn,
+        chargeback: payload.chargeback || txn.chargeback || {},
+        raw: payload,
+      };
     }
     if (t.includes("registration") && t.includes("create")) {
       return {
@@ -1734,34 +3321,109 @@ export default class PaymentGatewayAxcess {
       return { type: "schedule_created", schedule, raw: payload };
     }
     if (t.includes("risk")) {
+      const paymentId = normalizedTxn.parentTxnId || normalizedTxn.gatewayTxnId;
       if (t.includes("flag"))
-        return { type: "risk_flagged", risk, raw: payload };
-      return { type: "risk_cleared", risk, raw: payload };
+        return { type: "risk_flagged", risk, paymentId, raw: payload };
+      return { type: "risk_cleared", risk, paymentId, raw: payload };
     }
     return { type: "unknown", raw: payload };
   }
 
+  /**
+   * Normalized event for a parsed notification. PAYMENT maps by paymentType:
+   * DB, PA and CP by their result (success, pending or failed), RF to refund,
+   * RV to reversal, CB to chargeback and CR to chargeback_reversal, whatever
+   * the result code says.
+   * @param {{type:string, action:(string|null), paymentType:(string|null), payload:object}} notification
+   * @param {object} raw - the envelope as received
+   */
+  _mapNotification({ type, action, paymentType, payload }, raw) {
+    switch (type) {
+      case "PAYMENT": {
+        const classification = ResultCodes.classify(payload.result.code);
+        const txn = {
+          gateway: "axcess",
+          gatewayTxnId: payload.id,
+          parentTxnId: payload.referencedId || null,
+          orderId: payload.merchantTransactionId || null,
+          paymentType,
+          paymentBrand: payload.paymentBrand || null,
+          amount: payload.amount,
+          currency: payload.currency,
+          resultCode: payload.result.code,
+          category: classification.category,
+          approved: classification.successful,
+          pending: classification.pending,
+          entityKey: this._entityKeyForId(payload.entityId),
+          createdAt: Date.now(),
+        };
+        if (paymentType === "RF") return { type: "refund", txn, raw };
+        if (paymentType === "RV") return { type: "reversal", txn, raw };
+        if (paymentType === "CB") {
+          return {
+            type: "chargeback",
+            txn,
+            chargeback: payload.chargeback || {},
+            raw,
+          };
+        }
+        if (paymentType === "CR") {
+          return { type: "chargeback_reversal", txn, raw };
+        }
+        if (txn.approved) {
+          return {
+            type: "payment_success",
+            txn,
+            registration: payload.registrationId
+              ? { registrationId: payload.registrationId }
+              : null,
+            raw,
+          };
+        }
+        if (txn.pending) return { type: "payment_pending", txn, raw };
+        return { type: "payment_failed", txn, raw };
+      }
+      case "REGISTRATION":
+        return {
+          type: {
+            CREATED: "registration_created",
+            UPDATED: "registration_updated",
+            DELETED: "registration_deleted",
+          }[action],
+          registration: { registrationId: payload.id },
+          raw,
+        };
+      case "SCHEDULE":
+        return {
+          type: {
+            CREATED: "schedule_created",
+            RESCHEDULED: "schedule_rescheduled",
+            CANCELED: "schedule_canceled",
+            DELETED: "schedule_canceled",
+          }[action],
+          schedule: { ...payload, scheduleId: payload.id },
+          raw,
+        };
+      default:
+        return {
+          type: action === "FLAGGED" ? "risk_flagged" : "risk_cleared",
+          risk: this.extractRiskSignals(payload),
+          paymentId: payload.referencedId || null,
+          raw,
+        };
+    }
+  }
+
   // ---- Webhook event handlers ----
+  // Each runs every step of the event inline; handleWebhook runs the same
+  // steps as outbox jobs instead.
 
   /**
    * Persist success txn, grant access, store token if any.
    * @param {object} event
    */
   async onPaymentSuccess(event) {
-    const ui = this.mapResultCodeToUiMessage(event.txn.resultCode);
-    await this.svc.saveTransaction?.({
-      ...event.txn,
-      status: "success",
-      uiMessage: ui.uiMessage,
-    });
-    if (event.registration?.registrationId) {
-      await this.svc.saveToken?.({
-        id: event.registration.registrationId,
-        gateway: "axcess",
-        createdAt: Date.now(),
-      });
-    }
-    await this.svc.grantAccess?.({ event });
+    await this._applyWebhookEvent(event);
   }
 
   /**
@@ -1769,31 +3431,33 @@ export default class PaymentGatewayAxcess {
    * @param {object} event
    */
   async onPaymentFailed(event) {
-    const ui = this.mapResultCodeToUiMessage(event.txn.resultCode);
-    await this.svc.saveTransaction?.({
-      ...event.txn,
-      status: "failed",
-      uiMessage: ui.uiMessage,
-    });
-    await this.svc.denyAccess?.({ event });
+    await this._applyWebhookEvent(event);
   }
 
   /**
-   * Persist refund result.
+   * Persist refund result and revoke access granted for the refunded payment.
    * @param {object} event
    */
   async onRefund(event) {
-    await this.svc.saveTransaction?.({ ...event.txn, status: "refunded" });
-    await this.svc.denyAccess?.({ event });
+    await this._applyWebhookEvent(event);
   }
 
   /**
-   * Persist chargeback result.
+   * Persist chargeback result, open a dispute on the charged-back payment and
+   * revoke access granted for it.
    * @param {object} event
    */
   async onChargeback(event) {
-    await this.svc.saveTransaction?.({ ...event.txn, status: "chargeback" });
-    await this.svc.denyAccess?.({ event });
+    await this._applyWebhookEvent(event);
+  }
+
+  /**
+   * Persist a chargeback reversal and close its dispute as reversed. Access is
+   * not granted again; `chargeback.reversed` lets the application decide.
+   * @param {object} event
+   */
+  async onChargebackReversal(event) {
+    await this._applyWebhookEvent(event);
   }
 
   /**
@@ -1801,22 +3465,10 @@ export default class PaymentGatewayAxcess {
    * @param {object} event
    */
   async onRegistrationCreated(event) {
-    if (event.registration?.registrationId) {
-      await this.svc.saveToken?.({
-        id: event.registration.registrationId,
-        gateway: "axcess",
-        createdAt: Date.now(),
-      });
-    }
+    await this._applyWebhookEvent(event);
   }
   async onRegistrationUpdated(event) {
-    if (event.registration?.registrationId) {
-      await this.svc.updateToken?.({
-        id: event.registration.registrationId,
-        gateway: "axcess",
-        updatedAt: Date.now(),
-      });
-    }
+    await this._applyWebhookEvent(event);
   }
 
   /**
@@ -1824,30 +3476,16 @@ export default class PaymentGatewayAxcess {
    * @param {object} event
    */
   async onScheduleEvent(event) {
-    const status =
-      event.type === "schedule_canceled"
-        ? "canceled"
-        : event.type === "schedule_rescheduled"
-        ? "rescheduled"
-        : "active";
-    await this.svc.upsertSchedule?.({
-      ...(event.schedule || {}),
-      status,
-      updatedAt: Date.now(),
-    });
+    await this._applyWebhookEvent(event);
   }
 
   /**
-   * Risk events (flagged/cleared).
+   * Risk events (flagged/cleared). They update the risk profile of the user
+   * who made the referenced payment, which the `flaggedUser` rule reads.
    * @param {object} event
    */
   async onRiskEvent(event) {
-    Logger.writeLog({
-      flag: "risk",
-      action: `Axcess risk ${event.type}`,
-      message: "Risk webhook",
-      data: { risk: event.risk },
-    });
+    await this._applyWebhookEvent(event);
   }
 
   /* ============================================================================
@@ -1863,20 +3501,22 @@ export default class PaymentGatewayAxcess {
    * @returns {Promise<object>}
    */
   async getTransactionDetails(params = {}) {
-    const cleaned = SafeUtils.sanitizeValidate({
+    const cleaned = this._validate({
       transactionId: {
         value: params.transactionId,
         type: "string",
         required: true,
       },
+      ...this._entitySchema(params),
     });
+    const entity = this._resolveEntityFor(cleaned);
     const endpoint = `${this.apiBaseUrl}/v1/payments/${encodeURIComponent(
       cleaned.transactionId
-    )}?entityId=${encodeURIComponent(this.entityId)}`;
-    const res = await httpRequestWithBearer({
+    )}?entityId=${encodeURIComponent(entity.entityId)}`;
+    const res = await this._httpRequest({
       urlString: endpoint,
       method: "GET",
-      bearerToken: this.apiBearerToken,
+      bearerToken: entity.bearerToken,
     });
 
     if (res.status < 200 || res.status >= 300) {
@@ -1884,13 +3524,86 @@ export default class PaymentGatewayAxcess {
         status: res.status,
         raw: res.raw,
       });
-      throw new Error("Failed to get transaction details");
+      throw this._responseError(res, "Failed to get transaction details");
     }
 
     await this.svc.saveVerification?.(res.data);
     return res.data;
   }
 
+  /**
+   * Settle payments that came back pending (000.200.x) from a redirect callback
+   * or an S2S call. Due records are re-read from Axcess — the checkout
+   * resourcePath or /v1/payments/{id} — and rescheduled with exponential
+   * backoff while still pending. Once final, the transaction and checkout
+   * session are updated and grantAccess/denyAccess is called exactly once.
+   * Records still pending after pendingPayments.maxAttempts are given up and
+   * their session marked expired. Meant to run from a scheduler.
+   *
+   * @param {object} [params]
+   * @param {number} [params.limit=100] - due records handled in one run
+   * @param {number} [params.now] - epoch ms, for tests
+   * @returns {Promise<{checked:number, succeeded:number, failed:number, stillPending:number, gaveUp:number, skipped:number, errors:object[]}>}
+   */
+  async resolvePendingPayments(params = {}) {
+    const cleaned = this._validate({
+      limit: {
+        value: params.limit,
+        type: "int",
+        required: false,
+        default: 100,
+      },
+      now: { value: params.now, type: "int", required: false },
+    });
+    const startedAt = Date.now();
+    const now = cleaned.now ?? startedAt;
+    const due =
+      (await this.svc.getPendingPaymentsDue?.(now, cleaned.limit)) || [];
+    const summary = {
+      checked: 0,
+      succeeded: 0,
+      failed: 0,
+      stillPending: 0,
+      gaveUp: 0,
+      skipped: 0,
+      errors: [],
+    };
+
+    for (const record of due.slice(0, cleaned.limit)) {
+      summary.checked++;
+      try {
+        const outcome = await this._resolvePendingPayment(record, now);
+        summary[outcome]++;
+      } catch (e) {
+        const data = {
+          id: record.id,
+          orderId: record.orderId || null,
+          error: e.message,
+        };
+        ErrorHandler.add_error("Axcess pending payment check failed", data);
+        summary.errors.push(data);
+      }
+    }
+
+    const metrics = {
+      checked: summary.checked,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      stillPending: summary.stillPending,
+      gaveUp: summary.gaveUp,
+      errors: summary.errors.length,
+      durationMs: Date.now() - startedAt,
+    };
+    this.options.onMetrics?.("axcess.pending.resolve", metrics);
+    Logger.writeLog({
+      flag: "payment",
+      action: "Pending payments resolved",
+      message: `Checked ${summary.checked} pending payments`,
+      data: metrics,
+    });
+    return summary;
+  }
+
   /**
    * Convenience: retrieve full order history from your persistence layer.
    * @param {string} orderId
@@ -1917,8 +3630,13 @@ export default class PaymentGatewayAxcess {
   mapResultCodeToUiMessage(resultCode) {
     const code = String(resultCode || "").trim();
     const M = (msg) => ({ code, uiMessage: msg });
+    const { category, softDecline } = ResultCodes.classify(code);
+    const C = ResultCodes.CATEGORIES;
 
-    if (code.startsWith("000.")) return M("Payment approved.");
+    if (category === C.SUCCESS || category === C.SUCCESS_REVIEW)
+      return M("Payment approved.");
+    if (category === C.PENDING)
+      return M("Payment is pending confirmation from the bank.");
     if (code.startsWith("200.300."))
       return M("Payment declined by the issuer.");
     if (code.startsWith("100.396."))
@@ -1926,6 +3644,18 @@ export default class PaymentGatewayAxcess {
     if (code.startsWith("800.400."))
       return M("Invalid card data. Please check the number and expiry.");
     if (code.startsWith("700.")) return M("Payment expired or timed out.");
+    if (category === C.THREEDS_REJECTION)
+      return M("3-D Secure authentication failed or was canceled.");
+    if (category === C.SOFT_DECLINE)
+      return M("Additional authentication is required. Please try again.");
+    if (category === C.BANK_REJECTION)
+      return softDecline
+        ? M("Payment declined by the issuer. Please try again later.")
+        : M("Payment declined by the issuer.");
+    if (category === C.RISK_REJECTION || category === C.BLACKLIST)
+      return M("Payment could not be accepted. Please use another method.");
+    if (category === C.COMMUNICATION_ERROR || category === C.SYSTEM_ERROR)
+      return M("Payment service temporarily unavailable. Please retry.");
     return M("Payment failed. Please try another card or contact support.");
   }
 
@@ -1943,6 +3673,39 @@ export default class PaymentGatewayAxcess {
     };
   }
 
+  /**
+   * Risk profile built from risk webhooks (flagged/cleared) for a user.
+   * @param {string} userId
+   * @returns {Promise<object|null>} { status: 'flagged'|'clear', score, reason, rules, flaggedCount, ... }
+   */
+  async getRiskProfile(userId) {
+    const cleaned = this._validate({
+      userId: { value: userId, type: "string", required: true },
+    });
+    return (await this.svc.getRiskProfile?.(cleaned.userId)) || null;
+  }
+
+  /**
+   * Stored pre-authorization risk decisions for a user since a point in
+   * time, oldest first.
+   * @param {string} userId
+   * @param {number} [since=0] - epoch ms
+   * @returns {Promise<Array<object>>} { decisionId, operation, decision, reasons, ... }
+   */
+  async listRiskDecisions(userId, since = 0) {
+    const cleaned = this._validate({
+      userId: { value: userId, type: "string", required: true },
+      since: { value: since, type: "int", required: false, default: 0 },
+    });
+    return (
+      (await this.svc.getRiskDecisionsSince?.(
+        "user",
+        cleaned.userId,
+        cleaned.since
+      )) || []
+    );
+  }
+
   /**
    * Map app locale to widget 'lang'.
    * @param {string} appLocale
@@ -1954,6 +3717,36 @@ export default class PaymentGatewayAxcess {
     return this.localeMap[lc] || null;
   }
 
+  /**
+   * Pick the Axcess entity profile for a request. Order: explicit `entityKey`,
+   * `options.entityResolver`, the first profile whose declared currencies /
+   * brands / channels all match, then the default profile.
+   * @param {object} [context]
+   * @param {string} [context.entityKey]
+   * @param {string} [context.currency]
+   * @param {string} [context.paymentBrand]
+   * @param {string} [context.channel] - e.g. storefront name
+   * @returns {{key:string, entityId:string, bearerToken:string}}
+   */
+  resolveEntity(context = {}) {
+    const key =
+      context.entityKey ||
+      this.entityResolver?.(context, this.entityProfiles) ||
+      this._matchEntityProfile(context) ||
+      this.defaultEntityKey;
+    const profile = this.entityProfiles[key];
+    if (!profile) {
+      throw new ValidationError(`Unknown entity profile: ${key}`, {
+        entityKey: key,
+      });
+    }
+    return {
+      key,
+      entityId: profile.entityId,
+      bearerToken: profile.bearerToken,
+    };
+  }
+
   /**
    * Emit a set of regression test scenarios (widget + S2S + 3DS).
    * @returns {{env:string, cases:string[]}}
@@ -1977,19 +3770,263 @@ export default class PaymentGatewayAxcess {
         "Webhook: payment_failed",
         "Webhook: refund",
         "Webhook: chargeback",
+        "Webhook: chargeback_reversal",
         "Webhook: schedule_created/canceled",
         "Risk: flagged/cleared",
       ],
     };
   }
 
+  /* ============================================================================
+   * SECTION H — Application Events
+   * Payment, refund, subscription and token events for application code.
+   * Every event is written to the outbox (paymentGateway_events) before its
+   * handlers run; handlers that throw are retried by redeliverEvents.
+   * ========================================================================== */
+
+  /**
+   * Subscribe to a payment event.
+   * @param {string} type - e.g. 'payment.succeeded', 'refund.completed',
+   *   'subscription.canceled', 'token.expiring' (see PaymentEventBus.EVENT_TYPES), or '*'
+   * @param {(event: {id:string, type:string, key:string, occurredAt:number, data:object}) => (void|Promise<void>)} handler
+   * @param {object} [options]
+   * @param {string} [options.name] - stable handler name used to track delivery in the outbox
+   * @returns {() => void} unsubscribe
+   * @throws {ValidationError} unknown event type or duplicate handler name
+   */
+  on(type, handler, options = {}) {
+    return this.events.on(type, handler, options);
+  }
+
+  /**
+   * Remove a handler registered with `on`.
+   * @param {string} type
+   * @param {Function} handler
+   */
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+
+  /**
+   * Re-run handlers that threw, for outbox events that are due. A handler
+   * that already succeeded for an event is not called again. Events still
+   * failing after events.maxAttempts deliveries are marked `dead` and logged.
+   * Meant to run from a scheduler.
+   * @param {object} [params]
+   * @param {number} [params.limit=100]
+   * @param {number} [params.now] - epoch ms, for tests
+   * @returns {Promise<{checked:number, delivered:number, pending:number, dead:number}>}
+   */
+  async redeliverEvents(params = {}) {
+    const cleaned = this._validate({
+      limit: {
+        value: params.limit,
+        type: "int",
+        required: false,
+        default: 100,
+      },
+      now: { value: params.now, type: "int", required: false },
+    });
+    const now = cleaned.now ?? Date.now();
+    const due = (await this.svc.getEventsDue?.(now, cleaned.limit)) || [];
+    const summary = { checked: 0, delivered: 0, pending: 0, dead: 0 };
+    for (const record of due.slice(0, cleaned.limit)) {
+      summary.checked++;
+      summary[await this._deliverEvent(record, now)]++;
+    }
+    Logger.writeLog({
+      flag: "payment",
+      action: "Events redelivered",
+      message: `Redelivered ${summary.checked} outbox events`,
+      data: summary,
+    });
+    return summary;
+  }
+
+  /**
+   * Emit `token.expiring` for every stored token expiring in a month. Each
+   * token is announced once per expiry month, so this can run daily.
+   * @param {object} [params]
+   * @param {string} [params.yyyymm] - defaults to next month (UTC)
+   * @param {number} [params.now] - epoch ms, for tests
+   * @returns {Promise<{checked:number, emitted:number}>}
+   */
+  async notifyExpiringTokens(params = {}) {
+    const next = new Date(params.now ?? Date.now());
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const cleaned = this._validate({
+      yyyymm: {
+        value: params.yyyymm,
+        type: "string",
+        required: false,
+        default: next.toISOString().slice(0, 7),
+      },
+    });
+    const tokens = (await this.getTokensExpiring(cleaned.yyyymm)) || [];
+    let emitted = 0;
+    for (const t of tokens) {
+      const registrationId = t.registrationId || t.id;
+      const event = await this._emitEvent(
+        "token.expiring",
+        {
+          registrationId,
+          userId: t.userId || t.user_id || null,
+          brand: t.brand || null,
+          last4: t.last4 || null,
+          expiry: t.expiry || cleaned.yyyymm,
+        },
+        `${registrationId}#${t.expiry || cleaned.yyyymm}`
+      );
+      if (event) emitted++;
+    }
+    return { checked: tokens.length, emitted };
+  }
+
+  /* ============================================================================
+   * SECTION I — Disputes (Chargebacks)
+   * A chargeback notification (CB) opens a dispute on the payment it charges
+   * back; a chargeback reversal (CR) closes it as reversed. Evidence and
+   * outcomes handled in the acquirer's dispute portal are recorded here.
+   * Statuses follow DISPUTE_TRANSITIONS.
+   * ========================================================================== */
+
+  /**
+   * @param {string} disputeId - id of the chargeback (CB) transaction
+   * @returns {Promise<object|null>}
+   */
+  async getDispute(disputeId) {
+    const cleaned = this._validate({
+      disputeId: { value: disputeId, type: "string", required: true },
+    });
+    return (await this.svc.getDispute?.(cleaned.disputeId)) || null;
+  }
+
+  /**
+   * Disputes raised against a payment, oldest first.
+   * @param {string} paymentId - the charged-back (DB or CP) payment
+   * @returns {Promise<Array<object>>}
+   */
+  async listPaymentDisputes(paymentId) {
+    const cleaned = this._validate({
+      paymentId: { value: paymentId, type: "string", required: true },
+    });
+    const disputes =
+      (await this.svc.getDisputesByPayment?.(cleaned.paymentId)) || [];
+    return disputes.sort((a, b) => a.openedAt - b.openedAt);
+  }
+
+  /**
+   * Disputes still awaiting an outcome (`open` or `evidence_submitted`), for
+   * one user or opened in a time range, soonest evidence deadline first.
+   * @param {object} [params]
+   * @param {string} [params.userId]
+   * @param {number} [params.from=0] - opened at or after (epoch ms)
+   * @param {number} [params.to] - opened at or before (epoch ms), defaults to now
+   * @param {number} [params.limit=100]
+   * @returns {Promise<Array<object>>}
+   */
+  async listOpenDisputes(params = {}) {
+    const cleaned = this._validate({
+      userId: { value: params.userId, type: "string", required: false },
+      from: { value: params.from, type: "int", required: false, default: 0 },
+      to: { value: params.to, type: "int", required: false },
+      limit: {
+        value: params.limit,
+        type: "int",
+        required: false,
+        default: 100,
+      },
+    });
+    const to = cleaned.to ?? Date.now();
+    const disputes = cleaned.userId
+      ? (await this.svc.getOpenDisputesByUser?.(cleaned.userId)) || []
+      : (await this.svc.getOpenDisputesBetween?.(
+          cleaned.from,
+          to,
+          cleaned.limit
+        )) || [];
+    return disputes
+      .filter((d) => d.openedAt >= cleaned.from && d.openedAt <= to)
+      .sort((a, b) => a.evidenceDueAt - b.evidenceDueAt)
+      .slice(0, cleaned.limit);
+  }
+
+  /**
+   * Record the evidence sent to the acquirer for an open dispute.
+   * @param {object} params
+   * @param {string} params.disputeId
+   * @param {object} params.evidence - what was submitted, e.g. { documents, note }
+   * @param {number} [params.now] - epoch ms, for tests
+   * @returns {Promise<object>} updated dispute
+   * @throws {ValidationError} unknown dispute, not open, or past its evidence deadline
+   */
+  async submitDisputeEvidence(params = {}) {
+    const cleaned = this._validate({
+      disputeId: { value: params.disputeId, type: "string", required: true },
+      evidence: { value: params.evidence, type: "object", required: true },
+      now: { value: params.now, type: "int", required: false },
+    });
+    const now = cleaned.now ?? Date.now();
+    const current = await this.svc.getDispute?.(cleaned.disputeId);
+    if (current && now > current.evidenceDueAt) {
+      const details = {
+        disputeId: cleaned.disputeId,
+        evidenceDueAt: current.evidenceDueAt,
+      };
+      ErrorHandler.add_error("Axcess dispute evidence too late", details);
+      throw new ValidationError(
+        "Dispute evidence deadline has passed",
+        details
+      );
+    }
+    return this._updateDispute(cleaned.disputeId, "evidence_submitted", {
+      source: "merchant",
+      now,
+      changes: (dispute) => ({
+        evidence: [
+          ...(dispute.evidence || []),
+          { ...cleaned.evidence, submittedAt: now },
+        ],
+        evidenceSubmittedAt: now,
+      }),
+    });
+  }
+
+  /**
+   * Record the outcome the acquirer reported for a dispute.
+   * @param {object} params
+   * @param {string} params.disputeId
+   * @param {'won'|'lost'} params.outcome
+   * @param {string} [params.note]
+   * @returns {Promise<object>} updated dispute
+   * @throws {ValidationError} unknown dispute, unknown outcome or already closed
+   */
+  async resolveDispute(params = {}) {
+    const cleaned = this._validate({
+      disputeId: { value: params.disputeId, type: "string", required: true },
+      outcome: { value: params.outcome, type: "string", required: true },
+      note: { value: params.note, type: "string", required: false },
+    });
+    if (!["won", "lost"].includes(cleaned.outcome)) {
+      throw new ValidationError(`Unknown dispute outcome: ${cleaned.outcome}`, {
+        outcome: cleaned.outcome,
+      });
+    }
+    return this._updateDispute(cleaned.disputeId, cleaned.outcome, {
+      source: "merchant",
+      note: cleaned.note,
+      changes: (_, now) => ({ resolvedAt: now }),
+    });
+  }
+
   /* ============================================================================
    * Private helpers
    * ========================================================================== */
 
   _coerceKeyTo32Bytes(secret) {
     // Accept base64 or hex or utf8 string and coerce to 32 bytes key
-    if (!secret) throw new Error("Missing secret key");
+    if (!secret) throw new ConfigurationError("Missing secret key");
     try {
       // try base64
       const b64 = Buffer.from(secret, "base64");
@@ -2004,67 +4041,2751 @@ export default class PaymentGatewayAxcess {
     return crypto.createHash("sha256").update(String(secret), "utf8").digest();
   }
 
-  _flattenThreeDS(threeDSParams = {}) {
-    // Axcess uses assorted threeDSecure.* parameters; pass through known keys directly
-    const flat = {};
-    for (const [k, v] of Object.entries(threeDSParams)) {
-      flat[`threeDSecure.${k}`] = v;
+  _buildEntityProfiles(cleaned) {
+    const profiles = {};
+    if (cleaned.entityId) {
+      profiles.default = {
+        entityId: cleaned.entityId,
+        bearerToken: cleaned.bearerToken,
+        currencies: [],
+        brands: [],
+        channels: [],
+      };
     }
-    // apply defaults if not provided
-    if (
-      !flat["threeDSecure.challengeWindowSize"] &&
-      this.threeDSDefaults.challengeWindowSize
-    ) {
-      flat["threeDSecure.challengeWindowSize"] =
-        this.threeDSDefaults.challengeWindowSize;
+    const upper = (list) =>
+      Array.isArray(list) ? list.map((v) => String(v).toUpperCase()) : [];
+    for (const [key, profile] of Object.entries(cleaned.entities)) {
+      const entityId = profile?.entityId;
+      const bearerToken = profile?.bearerToken || cleaned.bearerToken;
+      if (!entityId || !bearerToken) {
+        throw new ConfigurationError(
+          `Entity profile "${key}" requires entityId and bearerToken`
+        );
+      }
+      profiles[key] = {
+        entityId,
+        bearerToken,
+        currencies: upper(profile.currencies),
+        brands: upper(profile.brands),
+        channels: upper(profile.channels),
+      };
     }
-    return flat;
+    if (!Object.keys(profiles).length) {
+      throw new ConfigurationError("At least one Axcess entity is required");
+    }
+    return profiles;
   }
 
-  _normalizePaymentResult(data = {}) {
-    // Normalize standard fields from Copy&Pay / S2S responses
-    const amount = Number(data.amount || data.card?.amount || 0);
-    const currency = data.currency || data.card?.currency || null;
-    const id = data.id || data.ndc || data.paymentId || null;
-    const resultCode = data.result?.code || data.resultCode || null;
-    const description =
-      data.result?.description || data.resultDescription || "";
-    const approved = String(resultCode || "").startsWith("000.");
-    const pending = /pending/i.test(description);
-    return { id, amount, currency, resultCode, description, approved, pending };
+  _matchEntityProfile(context = {}) {
+    for (const [key, profile] of Object.entries(this.entityProfiles)) {
+      const rules = [
+        [profile.currencies, context.currency],
+        [profile.brands, context.paymentBrand],
+        [profile.channels, context.channel],
+      ].filter(([list]) => list.length);
+      if (!rules.length) continue;
+      if (
+        rules.every(
+          ([list, value]) => value && list.includes(String(value).toUpperCase())
+        )
+      ) {
+        return key;
+      }
+    }
+    return null;
   }
 
-  async _handleS2SResponse(res, label) {
-    if (res.status < 200 || res.status >= 300) {
-      ErrorHandler.add_error(`Axcess S2S ${label} HTTP error`, {
+  /**
+   * Entity profile for a call; a profile stored on a related record (session,
+   * ledger) wins over resolution so follow-up calls stay on the same entity.
+   * @param {object} cleaned - validated params
+   * @param {object} [record] - stored record carrying entityKey
+   */
+  _resolveEntityFor(cleaned, record = null) {
+    return this.resolveEntity({
+      entityKey: cleaned.entityKey || record?.entityKey || null,
+      currency: cleaned.currency,
+      paymentBrand: cleaned.paymentBrand,
+      channel: cleaned.channel,
+    });
+  }
+
+  _entitySchema(params = {}) {
+    return {
+      entityKey: { value: params.entityKey, type: "string", required: false },
+      channel: { value: params.channel, type: "string", required: false },
+    };
+  }
+
+  _entityKeyForId(entityId) {
+    if (!entityId) return null;
+    const match = Object.entries(this.entityProfiles).find(
+      ([, profile]) => profile.entityId === entityId
+    );
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Run a state-changing call at most once per idempotency key.
+   * A repeated key with the same payload returns the stored result, or rethrows
+   * the stored error when the call failed where Axcess may have acted on it
+   * (timeout, rejection, unusable response); after any other failure the key
+   * is released so the call can be retried. A repeated key with a different
+   * payload (or while the first call is in flight) throws. A call still in
+   * progress after `idempotency.leaseSeconds` is treated as abandoned and may
+   * be claimed again.
+   * @param {string} operation - e.g. 's2s_debit'
+   * @param {object} cleaned - validated params (may carry idempotencyKey)
+   * @param {Function} executor - async () => result
+   * @returns {Promise<any>}
+   */
+  async _withIdempotency(operation, cleaned, executor) {
+    const idempotencyKey = cleaned.idempotencyKey;
+    if (!idempotencyKey) return executor();
+
+    const { idempotencyKey: _omit, ...payload } = cleaned;
+    const fingerprint = this._fingerprintRequest(operation, payload);
+
+    const now = Date.now();
+    const existing = await this.svc.getIdempotencyRecord?.(idempotencyKey);
+    const isLive =
+      existing && (!existing.expiresAt || existing.expiresAt * 1000 > now);
+    const abandoned =
+      isLive &&
+      existing.status === "in_progress" &&
+      !!existing.leaseExpiresAt &&
+      existing.leaseExpiresAt <= now;
+
+    if (isLive) {
+      if (
+        existing.operation !== operation ||
+        existing.fingerprint !== fingerprint
+      ) {
+        ErrorHandler.add_error("Axcess idempotency key reused", {
+          idempotencyKey,
+          operation,
+          storedOperation: existing.operation,
+        });
+        throw new IdempotencyConflictError(
+          `Idempotency key "${idempotencyKey}" was already used with a different request`,
+          { idempotencyKey, operation, reason: "payload_mismatch" }
+        );
+      }
+      if (existing.status === "completed" || existing.status === "failed") {
+        Logger.writeLog({
+          flag: "payment",
+          action: "Idempotent replay",
+          message: `Returning stored ${
+            existing.status === "failed" ? "error" : "result"
+          } for repeated idempotency key`,
+          data: { idempotencyKey, operation },
+        });
+        if (existing.status === "failed") {
+          throw this._restoreError(existing.error);
+        }
+        return existing.result;
+      }
+      if (!abandoned) {
+        throw new IdempotencyConflictError(
+          `Request with idempotency key "${idempotencyKey}" is still in progress`,
+          { idempotencyKey, operation, reason: "in_progress" }
+        );
+      }
+      Logger.writeLog({
+        flag: "payment",
+        action: "Idempotency lease expired",
+        message: "Claiming a call abandoned while in progress",
+        data: { idempotencyKey, operation, claimedAt: existing.createdAt },
+      });
+    }
+
+    // Replaces an expired or abandoned record only if no one else did first
+    const claimed = await this.svc.createIdempotencyRecord?.(
+      {
+        idempotencyKey,
+        operation,
+        fingerprint,
+        status: "in_progress",
+        createdAt: now,
+        leaseExpiresAt: now + this.idempotencyConfig.leaseSeconds * 1000,
+        // Epoch seconds: the table's TTL attribute removes the record then
+        expiresAt: Math.ceil(
+          (now + this.idempotencyConfig.ttlHours * 60 * 60 * 1000) / 1000
+        ),
+      },
+      existing ? existing.createdAt : null
+    );
+    if (claimed === false) {
+      // Lost the race to a concurrent call with the same key
+      throw new IdempotencyConflictError(
+        `Request with idempotency key "${idempotencyKey}" is still in progress`,
+        { idempotencyKey, operation, reason: "in_progress" }
+      );
+    }
+
+    let result;
+    try {
+      result = await executor();
+    } catch (e) {
+      if (!this._gatewayMayHaveActed(e)) {
+        await this._releaseIdempotency(idempotencyKey, operation, e);
+        throw e;
+      }
+      // The gateway may already have acted on it; a retry gets the same error
+      await this._settleIdempotency(idempotencyKey, operation, {
+        status: "failed",
+        error: {
+          name: e.name,
+          message: e.message,
+          details: e.details || {},
+        },
+        completedAt: Date.now(),
+      });
+      throw e;
+    }
+
+    await this._settleIdempotency(idempotencyKey, operation, {
+      status: "completed",
+      result,
+      completedAt: Date.now(),
+    });
+    return result;
+  }
+
+  // Store the outcome of an idempotent call. A failed write is logged rather
+  // than thrown: the call itself is done, and its lease expiry frees the key.
+  async _settleIdempotency(idempotencyKey, operation, updates) {
+    try {
+      await this.svc.updateIdempotencyRecord?.(idempotencyKey, updates);
+    } catch (e) {
+      ErrorHandler.add_error("Axcess idempotency outcome not stored", {
+        idempotencyKey,
+        operation,
+        status: updates.status,
+        error: e.message,
+      });
+    }
+  }
+
+  // A timeout, a rejection or a response that could not be used means the
+  // request may have reached Axcess; a connection that was never opened did not
+  _gatewayMayHaveActed(e) {
+    if (e instanceof GatewayTimeoutError || e instanceof GatewayRejectedError) {
+      return true;
+    }
+    if (!(e instanceof TransportError)) return false;
+    return (
+      e.status > 0 || !UNSENT_NETWORK_ERRORS.includes(e.details?.cause?.code)
+    );
+  }
+
+  // Drop the claim of a call that failed before reaching Axcess. A failed
+  // delete is logged; the lease expiry then frees the key.
+  async _releaseIdempotency(idempotencyKey, operation, error) {
+    try {
+      await this.svc.deleteIdempotencyRecord?.(idempotencyKey);
+    } catch (e) {
+      ErrorHandler.add_error("Axcess idempotency key not released", {
+        idempotencyKey,
+        operation,
+        cause: error.message,
+        error: e.message,
+      });
+    }
+  }
+
+  // Rebuild an error stored by _withIdempotency so replays throw the same type
+  _restoreError({ name, message, details = {} } = {}) {
+    const types = {
+      ValidationError,
+      ConfigurationError,
+      TransportError,
+      GatewayTimeoutError,
+      GatewayRejectedError,
+      RiskBlockedError,
+      IdempotencyConflictError,
+      CallbackRejectedError,
+      LedgerConflictError,
+    };
+    if (types[name]) return new types[name](message, details);
+    const error = new Error(message);
+    if (name) error.name = name;
+    return error;
+  }
+
+  _fingerprintRequest(operation, payload = {}) {
+    // Stable JSON (sorted keys) so property order does not change the hash
+    const stable = (v) =>
+      v && typeof v === "object" && !Array.isArray(v)
+        ? Object.keys(v)
+            .sort()
+            .reduce((acc, k) => ({ ...acc, [k]: stable(v[k]) }), {})
+        : v;
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify({ operation, payload: stable(payload) }))
+      .digest("hex");
+  }
+
+  async _httpRequest(options) {
+    // Apply the configured timeout + retry policy to every Axcess call
+    try {
+      return await httpRequestWithBearer({
+        timeoutMs: this.httpTimeoutMs,
+        retry: this.httpRetryPolicy,
+        ...options,
+      });
+    } catch (e) {
+      if (e instanceof TransportError) throw e;
+      ErrorHandler.add_error("Axcess HTTP request failed", {
+        method: options.method || "GET",
+        error: e.message,
+      });
+      throw new TransportError(`Axcess request failed: ${e.message}`, {
+        status: 0,
+        cause: e,
+      });
+    }
+  }
+
+  _validate(schema, ErrorClass = ValidationError) {
+    // SafeUtils throws plain TypeErrors; re-raise as a typed error
+    try {
+      return SafeUtils.sanitizeValidate(schema);
+    } catch (e) {
+      throw new ErrorClass(e.message, { cause: e });
+    }
+  }
+
+  _responseError(res, message) {
+    // A body carrying result.code means Axcess processed and rejected the request
+    const resultCode = res?.data?.result?.code;
+    if (resultCode) {
+      return new GatewayRejectedError(message, {
+        status: res.status,
+        resultCode,
+        description: res.data.result.description || null,
+        category: ResultCodes.classify(resultCode).category,
+      });
+    }
+    return new TransportError(message, {
+      status: res?.status ?? 0,
+      raw: res?.raw,
+    });
+  }
+
+  /**
+   * Start the capture ledger for an approved pre-authorization, including the
+   * date the issuer is expected to release the hold.
+   * @param {{normalized:object, raw:object}} result - from _handleS2SResponse
+   * @param {object} cleaned - validated authorize params
+   * @param {{key:string}} entity - entity profile the PA was made on
+   */
+  async _openAuthorizationLedger({ normalized, raw = {} }, cleaned, entity) {
+    if (!normalized.approved || !normalized.id) return;
+    const currency = normalized.currency || cleaned.currency;
+    const authorizedAmount = this._toMinorUnits(
+      normalized.amount || cleaned.amount,
+      currency
+    );
+    const paymentBrand = cleaned.paymentBrand || raw.paymentBrand || null;
+    const now = Date.now();
+    // A retried authorization finds its ledger already open and keeps it
+    await this.svc.saveAuthorization?.(
+      {
+        paymentId: normalized.id,
+        entityKey: entity.key,
+        currency,
+        paymentBrand,
+        status: "authorized",
+        statusGSI: "status#open",
+        expiresAt: now + this._authorizationExpiryMs(paymentBrand),
+        authorizedAmount: this._fromMinorUnits(authorizedAmount, currency),
+        capturedAmount: 0,
+        voidedAmount: 0,
+        remainingAmount: this._fromMinorUnits(authorizedAmount, currency),
+        reservedAmount: 0,
+        captures: [],
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+      },
+      null
+    );
+  }
+
+  /**
+   * Resolve the amount to capture and reject it if the ledger cannot cover it.
+   * @param {object} ledger - stored authorization ledger
+   * @param {number} [requested] - requested capture amount
+   * @returns {number} amount to capture
+   */
+  _assertCapturable(ledger, requested) {
+    const { currency } = ledger;
+    const remaining = this._toMinorUnits(ledger.remainingAmount, currency);
+    const amount =
+      requested === undefined || requested === null
+        ? remaining
+        : this._toMinorUnits(requested, currency);
+    const details = {
+      paymentId: ledger.paymentId,
+      status: ledger.status,
+      requestedAmount: this._fromMinorUnits(amount, currency),
+      remainingAmount: ledger.remainingAmount,
+    };
+
+    if (ledger.status === "voided" || remaining <= 0) {
+      ErrorHandler.add_error(
+        "Axcess capture on exhausted authorization",
+        details
+      );
+      throw new ValidationError(
+        "Authorization has no remaining capturable amount",
+        details
+      );
+    }
+    if (amount <= 0 || amount > remaining) {
+      ErrorHandler.add_error("Axcess over-capture rejected", details);
+      throw new ValidationError(
+        "Capture amount exceeds remaining authorized amount",
+        details
+      );
+    }
+    return this._fromMinorUnits(amount, currency);
+  }
+
+  /**
+   * Check a capture against the ledger and take its amount out of the
+   * remaining balance until the capture is settled.
+   * @param {string} paymentId - PA payment id
+   * @param {number} [requested] - requested capture amount
+   * @returns {Promise<object>} updated ledger; `reservation` is the amount to capture
+   */
+  async _reserveCapture(paymentId, requested) {
+    let reservation;
+    const ledger = await this._updateLedger(
+      "authorization",
+      paymentId,
+      (current) => {
+        const { currency } = current;
+        reservation = this._assertCapturable(current, requested);
+        const minor = this._toMinorUnits(reservation, currency);
+        return {
+          remainingAmount: this._fromMinorUnits(
+            this._toMinorUnits(current.remainingAmount, currency) - minor,
+            currency
+          ),
+          reservedAmount: this._fromMinorUnits(
+            this._toMinorUnits(current.reservedAmount, currency) + minor,
+            currency
+          ),
+        };
+      }
+    );
+    return { ...ledger, reservation };
+  }
+
+  /**
+   * Settle a reserved capture: an approved capture is booked, anything else
+   * gives the amount back to the remaining balance.
+   * @param {string} paymentId - PA payment id
+   * @param {number} amount - reserved amount
+   * @param {object|null} normalized - approved capture result, or null
+   */
+  async _settleCapture(paymentId, amount, normalized) {
+    await this._updateLedger("authorization", paymentId, (current) => {
+      const { currency } = current;
+      const minor = this._toMinorUnits(amount, currency);
+      const reserved =
+        this._toMinorUnits(current.reservedAmount, currency) - minor;
+      const voided = current.status === "voided";
+      let remaining = this._toMinorUnits(current.remainingAmount, currency);
+      const changes = {
+        reservedAmount: this._fromMinorUnits(reserved, currency),
+      };
+      if (!normalized) {
+        // Give the amount back; after a void it is released with the rest
+        if (voided) {
+          changes.voidedAmount = this._fromMinorUnits(
+            this._toMinorUnits(current.voidedAmount, currency) + minor,
+            currency
+          );
+        } else {
+          remaining += minor;
+          changes.remainingAmount = this._fromMinorUnits(remaining, currency);
+        }
+      } else {
+        changes.capturedAmount = this._fromMinorUnits(
+          this._toMinorUnits(current.capturedAmount, currency) + minor,
+          currency
+        );
+        changes.captures = [
+          ...(current.captures || []),
+          { captureId: normalized.id || null, amount, capturedAt: Date.now() },
+        ];
+      }
+      const captured = this._toMinorUnits(
+        changes.capturedAmount ?? current.capturedAmount,
+        currency
+      );
+      if (!voided && captured > 0) {
+        changes.status = remaining > 0 ? "partially_captured" : "captured";
+      }
+      changes.statusGSI = this._authorizationStatusGSI(
+        voided,
+        remaining,
+        reserved
+      );
+      return changes;
+    });
+  }
+
+  async _recordVoid(paymentId, normalized) {
+    await this._updateLedger("authorization", paymentId, (current) => ({
+      voidedAmount: current.remainingAmount,
+      remainingAmount: 0,
+      status: "voided",
+      statusGSI: this._authorizationStatusGSI(
+        true,
+        0,
+        this._toMinorUnits(current.reservedAmount, current.currency)
+      ),
+      voidId: normalized.id || null,
+    }));
+  }
+
+  // Open while something can still be captured or a capture is in flight
+  _authorizationStatusGSI(voided, remainingMinor, reservedMinor) {
+    return (!voided && remainingMinor > 0) || reservedMinor > 0
+      ? "status#open"
+      : "status#closed";
+  }
+
+  /**
+   * Versioned read-modify-write of an authorization or refund ledger. `change`
+   * gets the current ledger and returns the fields to change; it may throw to
+   * reject. A concurrent writer makes the change run again on the fresh ledger.
+   * @param {'authorization'|'refund'} kind
+   * @param {string} paymentId - PA payment id, or the DB/CP payment refunded
+   * @param {(current:object) => object} change
+   * @returns {Promise<object|null>} updated ledger, null when not tracked
+   */
+  async _updateLedger(kind, paymentId, change) {
+    const [get, save] = {
+      authorization: ["getAuthorization", "saveAuthorization"],
+      refund: ["getRefundLedger", "saveRefundLedger"],
+    }[kind];
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const current = await this.svc[get]?.(paymentId);
+      if (!current) return null;
+      const record = {
+        ...current,
+        ...change(current),
+        version: (current.version || 0) + 1,
+        updatedAt: Date.now(),
+      };
+      if ((await this.svc[save]?.(record, current.version || 0)) !== false) {
+        return record;
+      }
+    }
+
+    ErrorHandler.add_error(`Axcess ${kind} ledger conflict`, { paymentId });
+    throw new LedgerConflictError(`Ledger conflict for ${kind} ${paymentId}`, {
+      ledger: kind,
+      id: paymentId,
+    });
+  }
+
+  /**
+   * Start the refund ledger for a captured (DB/CP) payment.
+   * @param {object} normalized - result of _normalizePaymentResult
+   * @param {number} [amount] - captured amount when known from the request
+   * @param {{key:string}} entity - entity profile the payment was made on
+   */
+  async _openRefundLedger(normalized, amount, entity) {
+    if (!normalized.approved || !normalized.id) return;
+    const currency = normalized.currency || null;
+    const captured = this._fromMinorUnits(
+      this._toMinorUnits(amount || normalized.amount, currency),
+      currency
+    );
+    const now = Date.now();
+    await this.svc.saveRefundLedger?.(
+      {
+        paymentId: normalized.id,
+        entityKey: entity.key,
+        currency,
+        status: "captured",
+        capturedAmount: captured,
+        refundedAmount: 0,
+        refundableAmount: captured,
+        reservedAmount: 0,
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+      },
+      null
+    );
+  }
+
+  /**
+   * Load the refund ledger of a payment, seeding it from Axcess when the payment
+   * was not captured through this adapter.
+   * @param {object} cleaned - validated refund params ({ paymentId, entityKey? })
+   * @returns {Promise<object|null>} null when the service does not track refunds
+   */
+  async _loadRefundLedger(cleaned) {
+    const { paymentId } = cleaned;
+    if (typeof this.svc.getRefundLedger !== "function") return null;
+    const ledger = await this.svc.getRefundLedger(paymentId);
+    if (ledger) return ledger;
+
+    const entity = this._resolveEntityFor(cleaned);
+    const details = await this.getTransactionDetails({
+      transactionId: paymentId,
+      entityKey: entity.key,
+    });
+    const normalized = this._normalizePaymentResult(details);
+    const currency = normalized.currency;
+    const captured =
+      normalized.approved && details.paymentType !== "PA"
+        ? this._fromMinorUnits(
+            this._toMinorUnits(normalized.amount, currency),
+            currency
+          )
+        : 0;
+    const now = Date.now();
+    const seeded = {
+      paymentId,
+      entityKey: entity.key,
+      currency,
+      status: "captured",
+      capturedAmount: captured,
+      refundedAmount: 0,
+      refundableAmount: captured,
+      reservedAmount: 0,
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+    if ((await this.svc.saveRefundLedger?.(seeded, null)) === false) {
+      // Seeded by a concurrent refund first
+      return (await this.svc.getRefundLedger(paymentId)) || seeded;
+    }
+    return seeded;
+  }
+
+  /**
+   * Resolve the amount to refund and reject it if it exceeds what is left.
+   * @param {object} ledger - stored refund ledger
+   * @param {number} [requested] - requested refund amount
+   * @returns {number} amount to refund
+   */
+  _assertRefundable(ledger, requested) {
+    const { currency } = ledger;
+    const refundable = this._toMinorUnits(ledger.refundableAmount, currency);
+    const amount =
+      requested === undefined || requested === null
+        ? refundable
+        : this._toMinorUnits(requested, currency);
+    if (amount <= 0 || amount > refundable) {
+      const details = {
+        paymentId: ledger.paymentId,
+        requestedAmount: this._fromMinorUnits(amount, currency),
+        capturedAmount: ledger.capturedAmount,
+        refundedAmount: ledger.refundedAmount,
+        refundableAmount: ledger.refundableAmount,
+      };
+      ErrorHandler.add_error("Axcess over-refund rejected", details);
+      throw new ValidationError(
+        "Refund amount exceeds the refundable amount",
+        details
+      );
+    }
+    return this._fromMinorUnits(amount, currency);
+  }
+
+  /**
+   * Check a refund against the ledger and take its amount out of the
+   * refundable balance until the refund is settled.
+   * @param {string} paymentId - DB/CP payment id
+   * @param {number} [requested] - requested refund amount
+   * @returns {Promise<object>} updated ledger; `reservation` is the amount to refund
+   */
+  async _reserveRefund(paymentId, requested) {
+    let reservation;
+    const ledger = await this._updateLedger("refund", paymentId, (current) => {
+      const { currency } = current;
+      reservation = this._assertRefundable(current, requested);
+      const minor = this._toMinorUnits(reservation, currency);
+      return {
+        refundableAmount: this._fromMinorUnits(
+          this._toMinorUnits(current.refundableAmount, currency) - minor,
+          currency
+        ),
+        reservedAmount: this._fromMinorUnits(
+          this._toMinorUnits(current.reservedAmount, currency) + minor,
+          currency
+        ),
+      };
+    });
+    return { ...ledger, reservation };
+  }
+
+  /**
+   * Settle a reserved refund: approved and pending refunds count towards the
+   * refunded total so they cannot be issued twice; anything else gives the
+   * amount back to the refundable balance.
+   * @param {string} paymentId - DB/CP payment id
+   * @param {number} amount - reserved amount
+   * @param {boolean} issued - whether the refund was approved or is pending
+   */
+  async _settleRefund(paymentId, amount, issued) {
+    await this._updateLedger("refund", paymentId, (current) => {
+      const { currency } = current;
+      const minor = this._toMinorUnits(amount, currency);
+      const changes = {
+        reservedAmount: this._fromMinorUnits(
+          this._toMinorUnits(current.reservedAmount, currency) - minor,
+          currency
+        ),
+      };
+      if (!issued) {
+        changes.refundableAmount = this._fromMinorUnits(
+          this._toMinorUnits(current.refundableAmount, currency) + minor,
+          currency
+        );
+        return changes;
+      }
+      const refunded =
+        this._toMinorUnits(current.refundedAmount, currency) + minor;
+      changes.refundedAmount = this._fromMinorUnits(refunded, currency);
+      changes.status =
+        refunded < this._toMinorUnits(current.capturedAmount, currency)
+          ? "partially_refunded"
+          : "refunded";
+      return changes;
+    });
+  }
+
+  /**
+   * Store the refund against its parent payment and settle its reservation.
+   */
+  async _recordRefund(ledger, normalized, amount) {
+    const status = this._statusFromNormalized(normalized);
+    await this.svc.saveRefund?.({
+      refundId: normalized.id || null,
+      paymentId: ledger.paymentId,
+      amount,
+      currency: normalized.currency || ledger.currency,
+      status,
+      resultCode: normalized.resultCode || null,
+      createdAt: Date.now(),
+    });
+    await this._settleRefund(ledger.paymentId, amount, status !== "failed");
+  }
+
+  /**
+   * How long the issuer holds an authorization for the given brand.
+   * @param {string|null} paymentBrand
+   * @returns {number} milliseconds
+   */
+  _authorizationExpiryMs(paymentBrand) {
+    const { expiryDays } = this.authorizationConfig;
+    const days =
+      expiryDays[String(paymentBrand || "").toUpperCase()] ??
+      expiryDays.default;
+    return Number(days) * 24 * 60 * 60 * 1000;
+  }
+
+  // ISO 4217 minor unit digits; currencies not listed use 2
+  _currencyExponent(currency) {
+    return CURRENCY_MINOR_UNITS[String(currency || "").toUpperCase()] ?? 2;
+  }
+
+  _toMinorUnits(amount, currency) {
+    return Math.round(
+      Number(amount || 0) * 10 ** this._currencyExponent(currency)
+    );
+  }
+
+  _fromMinorUnits(minor, currency) {
+    return minor / 10 ** this._currencyExponent(currency);
+  }
+
+  _formatAmount(amount, currency) {
+    return Number(amount).toFixed(this._currencyExponent(currency));
+  }
+
+  async _findSessionByCheckoutId(checkoutId) {
+    if (this.svc.getSessionByCheckoutId) {
+      return (await this.svc.getSessionByCheckoutId(checkoutId)) || null;
+    }
+    const sessions =
+      (await this.svc.getSessionsBy?.("checkoutId", checkoutId)) || [];
+    return sessions.find((s) => s.checkoutId === checkoutId) || null;
+  }
+
+  _rejectCallback(reason, cleaned, data = {}) {
+    const details = {
+      reason,
+      resourcePath: cleaned.resourcePath,
+      orderId: cleaned.orderId || null,
+      userId: cleaned.userId || null,
+      ...data,
+    };
+    ErrorHandler.add_error("Axcess redirect callback rejected", details);
+    Logger.writeLog({
+      flag: "payment",
+      action: "Callback rejected",
+      message: `Redirect callback rejected: ${reason}`,
+      data: details,
+    });
+    throw new CallbackRejectedError(
+      `Redirect callback rejected: ${reason}`,
+      details
+    );
+  }
+
+  /**
+   * Fields of a reusable session that no longer match a checkout request.
+   * Fields the session does not record (older records) are not compared.
+   * @returns {Array<{field:string, stored:*, requested:*}>}
+   */
+  _checkoutMismatches(session, cleaned, entity, challenge = false) {
+    const out = [];
+    if (
+      session.amount != null &&
+      this._toMinorUnits(session.amount, session.currency) !==
+        this._toMinorUnits(cleaned.amount, session.currency)
+    ) {
+      out.push({
+        field: "amount",
+        stored: this._formatAmount(session.amount, session.currency),
+        requested: this._formatAmount(cleaned.amount, cleaned.currency),
+      });
+    }
+    if (
+      session.currency &&
+      String(session.currency).toUpperCase() !==
+        String(cleaned.currency).toUpperCase()
+    ) {
+      out.push({
+        field: "currency",
+        stored: session.currency,
+        requested: cleaned.currency,
+      });
+    }
+    if (session.paymentType && session.paymentType !== cleaned.paymentType) {
+      out.push({
+        field: "paymentType",
+        stored: session.paymentType,
+        requested: cleaned.paymentType,
+      });
+    }
+    const storedEntity = session.entityKey
+      ? session.entityKey !== entity.key
+      : session.entityId && session.entityId !== entity.entityId;
+    if (storedEntity) {
+      out.push({
+        field: "entity",
+        stored: session.entityKey || session.entityId,
+        requested: entity.key,
+      });
+    }
+    // Risk rules asked for 3DS after this checkout was created without it
+    if (challenge && !session.threeDSChallenge) {
+      out.push({
+        field: "threeDS",
+        stored: "optional",
+        requested: "challenge",
+      });
+    }
+    return out;
+  }
+
+  _describeMismatches(mismatches) {
+    return mismatches
+      .map((m) => `${m.field} ${m.stored} -> ${m.requested}`)
+      .join(", ");
+  }
+
+  /**
+   * Update an existing checkout's amount / currency / paymentType at Axcess.
+   * Returns null (so the caller recreates) when Axcess refuses or is unreachable.
+   * @returns {Promise<object|null>} the updated session
+   */
+  async _updateCheckout(session, cleaned, entity, mismatches) {
+    const reason = this._describeMismatches(mismatches);
+    let res;
+    try {
+      res = await this._httpRequest({
+        urlString: `${this.apiBaseUrl}/v1/checkouts/${encodeURIComponent(
+          session.checkoutId
+        )}`,
+        method: "POST",
+        bearerToken: entity.bearerToken,
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: toFormUrlEncoded({
+          entityId: entity.entityId,
+          amount: this._formatAmount(cleaned.amount, cleaned.currency),
+          currency: cleaned.currency,
+          paymentType: cleaned.paymentType,
+        }),
+      });
+    } catch (err) {
+      res = { status: 0, raw: err.message };
+    }
+
+    if (res.status < 200 || res.status >= 300) {
+      ErrorHandler.add_error("Axcess update checkout failed", {
+        checkoutId: session.checkoutId,
+        status: res.status,
+        data: res.raw,
+      });
+      Logger.writeLog({
+        flag: "payment",
+        action: "Update checkout session",
+        message: "Axcess checkout update failed; recreating",
+        data: { sessionId: session.id, checkoutId: session.checkoutId, reason },
+      });
+      return null;
+    }
+
+    const now = Date.now();
+    const updates = {
+      amount: cleaned.amount,
+      currency: cleaned.currency,
+      paymentType: cleaned.paymentType,
+      checkoutUpdates: [
+        ...(session.checkoutUpdates || []),
+        { at: now, reason, changes: mismatches },
+      ],
+      updatedAt: now,
+    };
+    await this._persistSession(session, updates);
+    Logger.writeLog({
+      flag: "payment",
+      action: "Update checkout session",
+      message: "Axcess checkout updated to match the cart",
+      data: { sessionId: session.id, checkoutId: session.checkoutId, reason },
+    });
+    return { ...session, ...updates };
+  }
+
+  /**
+   * Decide one stale session for sweepAbandonedSessions.
+   * @returns {Promise<'abandoned'|'lateSucceeded'|'processing'>}
+   */
+  async _sweepSession(session, verifyWithGateway, olderThanMinutes) {
+    let reason = `no payment after ${olderThanMinutes} minutes`;
+    if (verifyWithGateway && session.checkoutId) {
+      const resourcePath = `/v1/checkouts/${encodeURIComponent(
+        session.checkoutId
+      )}/payment`;
+      let res;
+      try {
+        res = await this.getPaymentStatus(resourcePath, {
+          entityKey: session.entityKey || undefined,
+        });
+      } catch (e) {
+        // Axcess answers 4xx once a checkout is gone; anything else is retried next run
+        if (!(e instanceof GatewayRejectedError)) throw e;
+        res = {
+          data: {
+            result: { code: e.resultCode, description: e.description },
+          },
+        };
+      }
+      const normalized = this._normalizePaymentResult(res.data);
+
+      if (normalized.approved) {
+        await this.handleRedirectCallback({
+          resourcePath,
+          orderId: session.orderId,
+          userId: session.userId,
+          entityKey: session.entityKey || undefined,
+        });
+        return "lateSucceeded";
+      }
+      if (
+        normalized.pending &&
+        normalized.resultCode !== CHECKOUT_CREATED_CODE
+      ) {
+        await this._transitionSession(
+          session,
+          SessionStateMachine.STATES.PROCESSING,
+          { reason: `sweep: payment in flight (${normalized.resultCode})` }
+        );
+        return "processing";
+      }
+      if (normalized.resultCode) reason += ` (${normalized.resultCode})`;
+    }
+
+    const updated = await this._transitionSession(
+      session,
+      SessionStateMachine.STATES.ABANDONED,
+      { reason: `sweep: ${reason}` }
+    );
+    if (!updated) {
+      throw new ValidationError(`Cannot abandon ${session.status} session`, {
+        sessionId: session.id || null,
+        status: session.status,
+      });
+    }
+    return "abandoned";
+  }
+
+  /**
+   * Start tracking a pending payment for resolvePendingPayments. A repeated
+   * pending result for the same checkout/payment keeps the existing schedule.
+   * @param {object} txn - the transaction record as saved
+   * @param {object} ref
+   * @param {string} ref.id - checkoutId for callbacks, payment id for S2S
+   * @param {'checkout'|'s2s'} ref.source
+   * @param {string} [ref.resourcePath] - checkout result path
+   * @param {string} [ref.paymentId] - S2S payment id
+   * @returns {Promise<object>} the pending record
+   */
+  async _trackPendingPayment(txn, { id, source, resourcePath, paymentId }) {
+    const existing = await this.svc.getPendingPayment?.(id);
+    if (existing && existing.status === "pending") return existing;
+
+    const now = Date.now();
+    const record = {
+      id,
+      source,
+      resourcePath: resourcePath || null,
+      paymentId: paymentId || null,
+      checkoutId: txn.checkoutId || null,
+      orderId: txn.orderId || null,
+      userId: txn.userId || null,
+      entityKey: txn.entityKey || null,
+      txn,
+      status: "pending",
+      statusGSI: "status#pending",
+      attempts: 0,
+      nextCheckAt: now + this._scheduleBackoffMs(this.pendingPaymentPolicy, 0),
+      lastResultCode: txn.code || null,
+      createdAt: now,
+    };
+    await this.svc.savePendingPayment?.(record);
+    Logger.writeLog({
+      flag: "payment",
+      action: "Pending payment tracked",
+      message: "Axcess payment pending; scheduled for re-check",
+      data: {
+        id,
+        source,
+        orderId: record.orderId,
+        code: record.lastResultCode,
+      },
+    });
+    return record;
+  }
+
+  /**
+   * Mark a tracked pending payment resolved because a callback already saw
+   * the final result, so resolvePendingPayments does not dispatch it again.
+   * @param {string} id
+   * @param {object} txn - the final transaction record
+   */
+  async _closePendingPayment(id, txn) {
+    const existing = await this.svc.getPendingPayment?.(id);
+    if (!existing || existing.status !== "pending") return;
+    await this.svc.updatePendingPayment?.(id, {
+      status: "resolved",
+      statusGSI: "status#resolved",
+      resolution: {
+        status: txn.status,
+        resultCode: txn.code,
+        by: "callback",
+        at: Date.now(),
+      },
+    });
+  }
+
+  /**
+   * Re-read one due pending payment and settle or reschedule it.
+   * @returns {Promise<'succeeded'|'failed'|'stillPending'|'gaveUp'|'skipped'>}
+   */
+  async _resolvePendingPayment(record, now) {
+    let data;
+    try {
+      data =
+        record.source === "checkout"
+          ? (
+              await this.getPaymentStatus(record.resourcePath, {
+                entityKey: record.entityKey || undefined,
+              })
+            ).data
+          : await this.getTransactionDetails({
+              transactionId: record.paymentId,
+              entityKey: record.entityKey || undefined,
+            });
+    } catch (e) {
+      // A 4xx carries a final result code (e.g. expired checkout); anything
+      // else is retried, and counts as an attempt so a dead record cannot loop forever
+      if (!(e instanceof GatewayRejectedError)) {
+        ErrorHandler.add_error("Axcess pending payment check failed", {
+          id: record.id,
+          error: e.message,
+        });
+        return this._reschedulePendingPayment(record, now, {
+          error: e.message,
+        });
+      }
+      data = { result: { code: e.resultCode, description: e.description } };
+    }
+    const normalized = this._normalizePaymentResult(data || {});
+    const status = this._statusFromNormalized(normalized);
+    if (status === "pending") {
+      return this._reschedulePendingPayment(record, now, {
+        resultCode: normalized.resultCode,
+      });
+    }
+
+    // Claim the record before dispatching: a callback or overlapping run may have settled it
+    const current = await this.svc.getPendingPayment?.(record.id);
+    if (current && current.status !== "pending") return "skipped";
+    await this.svc.updatePendingPayment?.(record.id, {
+      status: "resolved",
+      statusGSI: "status#resolved",
+      attempts: (record.attempts || 0) + 1,
+      lastCheckedAt: now,
+      lastResultCode: normalized.resultCode || null,
+      resolution: {
+        status,
+        resultCode: normalized.resultCode || null,
+        by: "resolver",
+        at: now,
+      },
+    });
+
+    const txn = {
+      ...record.txn,
+      gatewayTxnId: normalized.id || record.txn?.gatewayTxnId || null,
+      status,
+      code: normalized.resultCode || null,
+      category: normalized.category,
+      needsReview: normalized.needsReview,
+      uiMessage: this.mapResultCodeToUiMessage(normalized.resultCode).uiMessage,
+      raw: data,
+      resolvedAt: now,
+      updatedAt: now,
+    };
+    await this.svc.updateTransactionStatus?.(txn);
+    await this._dispatchEntitlement(status === "success" ? "grant" : "deny", {
+      gatewayTxnId: txn.gatewayTxnId,
+      source: "pending_resolver",
+      payload: { txn },
+    });
+
+    if (record.checkoutId) {
+      const session = await this._findSessionByCheckoutId(record.checkoutId);
+      if (session) {
+        await this._transitionSession(
+          session,
+          SessionStateMachine.fromPaymentStatus(status),
+          {
+            reason: `pending payment resolved ${
+              normalized.resultCode || "without code"
+            }`,
+            changes: txn.gatewayTxnId ? { gatewayTxnId: txn.gatewayTxnId } : {},
+          }
+        );
+      }
+    }
+
+    await this._emitPaymentEvent(txn, "pending_resolver");
+
+    Logger.writeLog({
+      flag: "payment",
+      action: "Pending payment resolved",
+      message: `Axcess pending payment ${status}`,
+      data: {
+        id: record.id,
+        orderId: record.orderId,
+        code: normalized.resultCode || null,
+        attempts: (record.attempts || 0) + 1,
+      },
+    });
+    return status === "success" ? "succeeded" : "failed";
+  }
+
+  /**
+   * Push a still-pending record to its next backoff slot, or give it up once
+   * pendingPayments.maxAttempts checks have been made.
+   * @returns {Promise<'stillPending'|'gaveUp'>}
+   */
+  async _reschedulePendingPayment(record, now, { resultCode, error } = {}) {
+    const attempts = (record.attempts || 0) + 1;
+    const common = {
+      attempts,
+      lastCheckedAt: now,
+      ...(resultCode ? { lastResultCode: resultCode } : {}),
+      ...(error ? { lastError: error } : {}),
+    };
+
+    if (attempts < this.pendingPaymentPolicy.maxAttempts) {
+      await this.svc.updatePendingPayment?.(record.id, {
+        ...common,
+        nextCheckAt:
+          now + this._scheduleBackoffMs(this.pendingPaymentPolicy, attempts),
+      });
+      return "stillPending";
+    }
+
+    await this.svc.updatePendingPayment?.(record.id, {
+      ...common,
+      status: "expired",
+      statusGSI: "status#expired",
+    });
+    if (record.checkoutId) {
+      const session = await this._findSessionByCheckoutId(record.checkoutId);
+      if (session) {
+        await this._transitionSession(
+          session,
+          SessionStateMachine.STATES.EXPIRED,
+          { reason: `still pending after ${attempts} checks` }
+        );
+      }
+    }
+    ErrorHandler.add_error("Axcess pending payment unresolved", {
+      id: record.id,
+      orderId: record.orderId,
+      attempts,
+    });
+    Logger.writeLog({
+      flag: "payment",
+      action: "Pending payment given up",
+      message: `Axcess payment still pending after ${attempts} checks`,
+      data: { id: record.id, orderId: record.orderId, attempts },
+    });
+    return "gaveUp";
+  }
+
+  /**
+   * Webhook secrets from config as an ordered list; a lone secretKey becomes
+   * a single key with id "default". Dates may be ISO strings or epoch ms.
+   * @returns {Array<{id:string, key:string, activeFrom:(number|null), retireAt:(number|null)}>}
+   */
+  _normalizeWebhookSecrets(webhook = {}) {
+    const list = Array.isArray(webhook.secretKeys)
+      ? webhook.secretKeys
+      : webhook.secretKey
+      ? [{ id: "default", key: webhook.secretKey }]
+      : [];
+    const toMs = (value, field, id) => {
+      if (value === undefined || value === null) return null;
+      const ms = typeof value === "number" ? value : Date.parse(value);
+      if (!Number.isFinite(ms)) {
+        throw new ConfigurationError(
+          `Invalid webhook.secretKeys ${field} for key "${id}": ${value}`
+        );
+      }
+      return ms;
+    };
+    const seen = new Set();
+    return list.map((entry, i) => {
+      const id = entry?.id || `key${i + 1}`;
+      if (!entry?.key) {
+        throw new ConfigurationError(`webhook.secretKeys "${id}" has no key`);
+      }
+      if (seen.has(id)) {
+        throw new ConfigurationError(`Duplicate webhook.secretKeys id: ${id}`);
+      }
+      seen.add(id);
+      return {
+        id,
+        key: entry.key,
+        activeFrom: toMs(entry.activeFrom, "activeFrom", id),
+        retireAt: toMs(entry.retireAt, "retireAt", id),
+      };
+    });
+  }
+
+  // Idempotency key of a decrypted webhook, if it carries one. Envelopes have
+  // no id of their own and payload.id is the payment/registration id shared by
+  // CREATED/UPDATED/DELETED and RISK notifications, so they are keyed on all three.
+  _webhookIdOf(decryptedJson) {
+    if (AxcessNotification.isEnvelope(decryptedJson)) {
+      const { type, action, payload } = decryptedJson;
+      return payload?.id ? `${type}:${action || ""}:${payload.id}` : null;
+    }
+    return (
+      decryptedJson?.id ||
+      decryptedJson?.eventId ||
+      decryptedJson?.payloadId ||
+      null
+    );
+  }
+
+  /**
+   * Claim a webhook id in the idempotency store. Returns false when a live
+   * claim exists (a duplicate delivery); expired claims are replaced.
+   * @param {string} idempotencyKey - webhook id from the payload
+   * @param {object} payload - decrypted webhook, fingerprinted for the log
+   * @param {number} now - epoch ms
+   * @returns {Promise<boolean>}
+   */
+  async _claimWebhook(idempotencyKey, payload, now) {
+    const key = `webhook#${idempotencyKey}`;
+    const fingerprint = this._fingerprintRequest("webhook", payload);
+    const existing = await this.svc.getIdempotencyRecord?.(key);
+    const isLive =
+      existing && (!existing.expiresAt || existing.expiresAt * 1000 > now);
+
+    if (!isLive) {
+      if (existing) await this.svc.deleteIdempotencyRecord?.(key);
+      const claimed = await this.svc.createIdempotencyRecord?.({
+        idempotencyKey: key,
+        operation: "webhook",
+        fingerprint,
+        status: "completed",
+        createdAt: now,
+        // Epoch seconds, the unit of the table TTL
+        expiresAt: Math.ceil(
+          (now +
+            Number(this.webhookConfig.idempotencyStoreTtlHours) *
+              60 *
+              60 *
+              1000) /
+            1000
+        ),
+      });
+      if (claimed !== false) return true;
+    }
+
+    Logger.writeLog({
+      flag: "webhook",
+      action: "Axcess webhook duplicate",
+      message: "Webhook already received; acknowledged without processing",
+      data: {
+        idempotencyKey,
+        // A different payload under the same id is worth a look
+        samePayload: existing ? existing.fingerprint === fingerprint : null,
+      },
+    });
+    return false;
+  }
+
+  /**
+   * Side effects of a mapped webhook event, in order. Each step becomes its
+   * own outbox job, so a failure retries only that step; every step must be
+   * safe to repeat (entitlements and events dedupe by transaction id).
+   * @param {object} event - from mapWebhookEvent
+   * @returns {Object<string, () => Promise<void>>} job kind -> step
+   */
+  _webhookSteps(event) {
+    const txn = event.txn || {};
+    const registrationId = event.registration?.registrationId || null;
+    const saveTransaction = (status) => () =>
+      this.svc.saveTransaction?.({
+        ...txn,
+        status,
+        ...(status === "success" || status === "failed"
+          ? {
+              uiMessage: this.mapResultCodeToUiMessage(txn.resultCode)
+                .uiMessage,
+            }
+          : {}),
+      });
+    const saveToken = () =>
+      this.svc.saveToken?.({
+        id: registrationId,
+        gateway: "axcess",
+        createdAt: Date.now(),
+      });
+
+    switch (event.type) {
+      case "payment_success":
+        return {
+          transaction: saveTransaction("success"),
+          ...(registrationId ? { token: saveToken } : {}),
+          // An authorization grants nothing yet; its capture grants on it
+          ...(txn.paymentType === "PA"
+            ? {}
+            : {
+                entitlement: () =>
+                  this._dispatchEntitlement("grant", {
+                    gatewayTxnId:
+                      txn.paymentType === "CP"
+                        ? txn.parentTxnId || txn.gatewayTxnId
+                        : txn.gatewayTxnId,
+                    source: "webhook",
+                    payload: { event },
+                  }),
+              }),
+          event: () =>
+            this._emitPaymentEvent(
+              { ...txn, status: "success" },
+              "webhook",
+              txn.paymentType === "PA" ? "authorize" : null
+            ),
+        };
+      case "payment_pending":
+        return {
+          transaction: saveTransaction("pending"),
+          event: () =>
+            this._emitPaymentEvent({ ...txn, status: "pending" }, "webhook"),
+        };
+      case "payment_failed":
+        return {
+          transaction: saveTransaction("failed"),
+          entitlement: () =>
+            this._dispatchEntitlement("deny", {
+              gatewayTxnId: txn.gatewayTxnId,
+              source: "webhook",
+              payload: { event },
+            }),
+          event: () =>
+            this._emitPaymentEvent({ ...txn, status: "failed" }, "webhook"),
+        };
+      case "refund":
+        // A refund Axcess reports as rejected changes nothing
+        if (txn.resultCode && !txn.approved) {
+          return {
+            transaction: saveTransaction("failed"),
+            event: () =>
+              this._emitPaymentEvent(
+                { ...txn, status: "failed" },
+                "webhook",
+                "refund"
+              ),
+          };
+        }
+        return {
+          transaction: saveTransaction("refunded"),
+          entitlement: () =>
+            this._dispatchEntitlement("revoke", {
+              gatewayTxnId: txn.parentTxnId || txn.gatewayTxnId,
+              source: "webhook_refund",
+              payload: { event },
+            }),
+          event: () =>
+            this._emitPaymentEvent(
+              { ...txn, status: "success" },
+              "webhook",
+              "refund"
+            ),
+        };
+      case "reversal":
+        if (!txn.approved) return { transaction: saveTransaction("failed") };
+        return {
+          transaction: saveTransaction("voided"),
+          // Voiding the rest of a partly captured authorization keeps access
+          entitlement: async () => {
+            const auth = await this.svc.getAuthorization?.(txn.parentTxnId);
+            if (auth?.capturedAmount > 0) return;
+            await this._dispatchEntitlement("revoke", {
+              gatewayTxnId: txn.parentTxnId || txn.gatewayTxnId,
+              source: "webhook_reversal",
+              payload: { event },
+            });
+          },
+          event: () =>
+            this._emitPaymentEvent(
+              { ...txn, status: "success" },
+              "webhook",
+              "void"
+            ),
+        };
+      case "chargeback":
+        return {
+          transaction: saveTransaction("chargeback"),
+          dispute: () => this._openDispute(event),
+          entitlement: () =>
+            this._dispatchEntitlement("revoke", {
+              gatewayTxnId: txn.parentTxnId || txn.gatewayTxnId,
+              source: "webhook_chargeback",
+              payload: { event },
+            }),
+          event: () =>
+            this._emitEvent(
+              "chargeback.received",
+              this._paymentEventData(txn, "webhook"),
+              txn.gatewayTxnId
+            ),
+        };
+      case "chargeback_reversal":
+        return {
+          transaction: saveTransaction("chargeback_reversed"),
+          dispute: () => this._reverseDispute(event),
+          event: () =>
+            this._emitEvent(
+              "chargeback.reversed",
+              this._paymentEventData(txn, "webhook"),
+              txn.gatewayTxnId
+            ),
+        };
+      case "registration_created":
+        if (!registrationId) return {};
+        return {
+          token: saveToken,
+          event: () =>
+            this._emitEvent(
+              "token.created",
+              { registrationId, source: "webhook" },
+              registrationId
+            ),
+        };
+      case "registration_updated":
+        if (!registrationId) return {};
+        return {
+          token: () =>
+            this.svc.updateToken?.({
+              id: registrationId,
+              gateway: "axcess",
+              updatedAt: Date.now(),
+            }),
+        };
+      case "registration_deleted":
+        if (!registrationId) return {};
+        return {
+          token: () =>
+            this.svc.updateToken?.({
+              id: registrationId,
+              gateway: "axcess",
+              status: "deleted",
+              updatedAt: Date.now(),
+            }),
+        };
+      case "schedule_created":
+      case "schedule_rescheduled":
+      case "schedule_canceled": {
+        const status =
+          event.type === "schedule_canceled"
+            ? "canceled"
+            : event.type === "schedule_rescheduled"
+            ? "rescheduled"
+            : "active";
+        const subscriptionId = event.schedule?.scheduleId || event.schedule?.id;
+        return {
+          schedule: () =>
+            this.svc.upsertSchedule?.({
+              ...(event.schedule || {}),
+              status,
+              updatedAt: Date.now(),
+            }),
+          ...(status !== "rescheduled" && subscriptionId
+            ? {
+                event: () =>
+                  this._emitEvent(
+                    status === "canceled"
+                      ? "subscription.canceled"
+                      : "subscription.created",
+                    {
+                      subscriptionId,
+                      registrationId: event.schedule?.registrationId || null,
+                      source: "webhook",
+                    },
+                    subscriptionId
+                  ),
+              }
+            : {}),
+        };
+      }
+      case "risk_flagged":
+      case "risk_cleared":
+        return { risk: () => this._updateRiskProfile(event) };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Fields of a stored vs. re-mapped webhook outcome that differ.
+   * @returns {Array<{field:string, before:any, after:any}>}
+   */
+  _diffWebhookOutcome(before, after) {
+    const fields = [
+      ["type", before.type, after.type],
+      ["steps", before.steps.join(","), after.steps.join(",")],
+    ];
+    // Without stored jobs there is no earlier mapping to compare the txn with
+    if (before.txn) {
+      for (const f of [
+        "gatewayTxnId",
+        "parentTxnId",
+        "orderId",
+        "amount",
+        "currency",
+        "resultCode",
+        "category",
+      ]) {
+        fields.push([
+          `txn.${f}`,
+          before.txn[f] ?? null,
+          after.txn?.[f] ?? null,
+        ]);
+      }
+    }
+    return fields
+      .filter(([, b, a]) => b !== a)
+      .map(([field, b, a]) => ({ field, before: b, after: a }));
+  }
+
+  async _applyWebhookEvent(event) {
+    for (const step of Object.values(this._webhookSteps(event))) {
+      await step();
+    }
+  }
+
+  /**
+   * Find the first earlier step of the job's webhook that is not done yet.
+   * @returns {Promise<object|null>} that job, null when the job may run
+   */
+  async _webhookJobBlocker(job) {
+    if (job.seq <= 1) return null;
+    const jobs = (await this.svc.getWebhookJobs?.(job.webhookId)) || [];
+    return jobs.find((j) => j.seq < job.seq && j.status !== "done") || null;
+  }
+
+  /**
+   * Put a job back without running it while an earlier step is unfinished
+   * (e.g. no entitlement before its transaction is saved). It becomes due with
+   * that step's next attempt; behind a dead step it is checked every
+   * maxDelaySeconds until that step is requeued.
+   * @returns {Promise<'pending'>}
+   */
+  async _holdWebhookJob(job, blocker, now) {
+    await this.svc.updateWebhookJob?.(job.webhookId, job.seq, {
+      nextAttemptAt:
+        blocker.status === "pending"
+          ? blocker.nextAttemptAt
+          : now + this.webhookJobPolicy.maxDelaySeconds * 1000,
+      heldBy: blocker.seq,
+    });
+    return "pending";
+  }
+
+  /**
+   * Run one webhook outbox job and record the outcome; failures back off per
+   * webhook.jobs and are dead-lettered after maxAttempts.
+   * @returns {Promise<'done'|'pending'|'dead'>}
+   */
+  async _runWebhookJob(job, now) {
+    const attempts = (job.attempts || 0) + 1;
+    try {
+      const step = this._webhookSteps(job.event)[job.kind];
+      if (!step) {
+        throw new ConfigurationError(`Unknown webhook job kind: ${job.kind}`, {
+          webhookId: job.webhookId,
+          seq: job.seq,
+        });
+      }
+      await step();
+      await this.svc.updateWebhookJob?.(job.webhookId, job.seq, {
+        status: "done",
+        statusGSI: "status#done",
+        attempts,
+        completedAt: now,
+      });
+      return "done";
+    } catch (e) {
+      const data = {
+        webhookId: job.webhookId,
+        seq: job.seq,
+        kind: job.kind,
+        attempts,
+        error: e.message,
+      };
+      ErrorHandler.add_error("Axcess webhook job failed", data);
+      if (attempts < this.webhookJobPolicy.maxAttempts) {
+        await this.svc.updateWebhookJob?.(job.webhookId, job.seq, {
+          attempts,
+          lastError: e.message,
+          nextAttemptAt:
+            now + this._scheduleBackoffMs(this.webhookJobPolicy, attempts - 1),
+        });
+        return "pending";
+      }
+      await this.svc.updateWebhookJob?.(job.webhookId, job.seq, {
+        status: "dead",
+        statusGSI: "status#dead",
+        attempts,
+        lastError: e.message,
+        deadAt: now,
+      });
+      Logger.writeLog({
+        flag: "webhook",
+        action: "Webhook job dead-lettered",
+        message: `${job.kind} job failed ${attempts} times`,
+        data,
+      });
+      return "dead";
+    }
+  }
+
+  /**
+   * Publish an application event: write it to the outbox, then run its
+   * handlers. Never throws — an event problem must not fail the payment flow
+   * that produced it.
+   * @param {string} type
+   * @param {object} data - must carry the fields PaymentEventBus requires for the type
+   * @param {string|null} [key] - dedupe key within the type (e.g. gatewayTxnId); the
+   *   same type and key are published once, so a payment seen by the redirect and
+   *   the webhook yields one event
+   * @returns {Promise<object|null>} the event, or null when invalid or a duplicate
+   */
+  async _emitEvent(type, data, key = null) {
+    try {
+      const missing = PaymentEventBus.missingFields(type, data);
+      if (missing.length) {
+        ErrorHandler.add_error("Axcess event payload invalid", {
+          type,
+          missing,
+        });
+        return null;
+      }
+      const now = Date.now();
+      const id = crypto.randomUUID();
+      const record = {
+        id,
+        type,
+        key: `${type}#${key || id}`,
+        occurredAt: now,
+        data,
+        status: "pending",
+        statusGSI: "status#pending",
+        attempts: 0,
+        deliveredTo: [],
+        nextAttemptAt: now,
+        createdAt: now,
+      };
+      let created;
+      try {
+        created = await this.svc.createEvent?.(record);
+      } catch (e) {
+        // Still tell the handlers; only redelivery is lost
+        ErrorHandler.add_error("Axcess event outbox write failed", {
+          type,
+          key: record.key,
+          error: e.message,
+        });
+        await this.events.deliver(this._eventEnvelope(record));
+        return this._eventEnvelope(record);
+      }
+      if (created === false) return null;
+      await this._deliverEvent(record, now);
+      return this._eventEnvelope(record);
+    } catch (e) {
+      ErrorHandler.add_error("Axcess event emit failed", {
+        type,
+        error: e.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Run the handlers of one outbox event and record the outcome.
+   * @returns {Promise<'delivered'|'pending'|'dead'>}
+   */
+  async _deliverEvent(record, now) {
+    const { delivered, failed } = await this.events.deliver(
+      this._eventEnvelope(record),
+      { skip: record.deliveredTo || [] }
+    );
+    const deliveredTo = [...(record.deliveredTo || []), ...delivered];
+    const attempts = (record.attempts || 0) + 1;
+
+    if (!failed.length) {
+      await this.svc.updateEvent?.(record.key, {
+        status: "delivered",
+        statusGSI: "status#delivered",
+        deliveredTo,
+        attempts,
+        deliveredAt: now,
+      });
+      return "delivered";
+    }
+    if (attempts < this.eventDeliveryPolicy.maxAttempts) {
+      await this.svc.updateEvent?.(record.key, {
+        deliveredTo,
+        attempts,
+        failures: failed,
+        nextAttemptAt:
+          now + this._scheduleBackoffMs(this.eventDeliveryPolicy, attempts - 1),
+      });
+      return "pending";
+    }
+    await this.svc.updateEvent?.(record.key, {
+      status: "dead",
+      statusGSI: "status#dead",
+      deliveredTo,
+      attempts,
+      failures: failed,
+    });
+    Logger.writeLog({
+      flag: "payment",
+      action: "Event delivery abandoned",
+      message: `${record.type} handlers still failing after ${attempts} attempts`,
+      data: { key: record.key, failures: failed },
+    });
+    return "dead";
+  }
+
+  _eventEnvelope(record) {
+    return {
+      id: record.id,
+      type: record.type,
+      key: record.key,
+      occurredAt: record.occurredAt,
+      data: record.data,
+    };
+  }
+
+  /**
+   * Event payload for a payment/refund transaction record.
+   * @param {object} txn - record as saved (callback, S2S or webhook shape)
+   * @param {string} source - e.g. 'redirect_callback', 's2s_debit', 'webhook'
+   */
+  _paymentEventData(txn, source) {
+    return {
+      gatewayTxnId: txn.gatewayTxnId || null,
+      parentTxnId: txn.parentTxnId || null,
+      orderId: txn.orderId || null,
+      userId: txn.userId || null,
+      amount: txn.amount ?? null,
+      currency: txn.currency || null,
+      resultCode: txn.code || txn.resultCode || null,
+      source,
+      entityKey: txn.entityKey || null,
+    };
+  }
+
+  /**
+   * Publish the event for a transaction status ('success'|'pending'|'failed').
+   * S2S labels refine it: authorizations, refunds and voids have their own types.
+   */
+  async _emitPaymentEvent(txn, source, label = null) {
+    const byStatus = {
+      success: "payment.succeeded",
+      pending: "payment.pending",
+      failed: "payment.failed",
+    };
+    let type = byStatus[txn.status];
+    if (label === "refund") {
+      type = { success: "refund.completed", failed: "refund.failed" }[
+        txn.status
+      ];
+    } else if (label === "void") {
+      type = txn.status === "success" ? "payment.voided" : null;
+    } else if (label?.startsWith("authorize") && txn.status === "success") {
+      type = "payment.authorized";
+    }
+    if (!type) return null;
+    return this._emitEvent(
+      type,
+      this._paymentEventData(txn, source),
+      txn.gatewayTxnId
+    );
+  }
+
+  _scheduleBackoffMs({ initialDelaySeconds, maxDelaySeconds }, attempt) {
+    return Math.min(initialDelaySeconds * 2 ** attempt, maxDelaySeconds) * 1000;
+  }
+
+  /**
+   * Apply a session state change. Every status write goes through here so the
+   * lifecycle in SessionStateMachine is enforced and `statusHistory` stays complete.
+   * Invalid transitions are logged and skipped, never thrown: they come from
+   * stale or duplicated callbacks the caller cannot prevent.
+   * @param {object} session - stored session record
+   * @param {string} to - target SessionStateMachine state
+   * @param {object} [opts]
+   * @param {string} [opts.reason]
+   * @param {object} [opts.changes] - extra fields written with the transition
+   * @returns {Promise<object|null>} the updated session, or null when rejected
+   */
+  async _transitionSession(session, to, { reason = null, changes = {} } = {}) {
+    const from = SessionStateMachine.normalize(session.status);
+    if (from === to) return session;
+
+    if (!SessionStateMachine.canTransition(from, to)) {
+      const data = {
+        sessionId: session.id || null,
+        orderId: session.orderId,
+        checkoutId: session.checkoutId || null,
+        from,
+        to,
+        reason,
+      };
+      ErrorHandler.add_error("Invalid session transition", data);
+      Logger.writeLog({
+        flag: "payment",
+        action: "Invalid session transition",
+        message: `Rejected session transition ${from} -> ${to}`,
+        data,
+      });
+      return null;
+    }
+
+    const now = Date.now();
+    const updates = {
+      ...changes,
+      status: to,
+      statusGSI: `status#${to}`,
+      statusHistory: [
+        ...(session.statusHistory || []),
+        { from, to, at: now, reason },
+      ],
+      updatedAt: now,
+    };
+    await this._persistSession(session, updates);
+    return { ...session, ...updates };
+  }
+
+  async _persistSession(session, updates) {
+    if (session.pk && session.sk && this.svc.updateSession) {
+      await this.svc.updateSession(session.pk, session.sk, updates);
+    } else {
+      await this.svc.saveSession?.({ ...session, ...updates });
+    }
+  }
+
+  _callbackUrlFor(callbackUrl, orderId) {
+    if (!orderId) return callbackUrl;
+    const sep = callbackUrl.includes("?") ? "&" : "?";
+    return `${callbackUrl}${sep}orderId=${encodeURIComponent(orderId)}`;
+  }
+
+  _escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // Theme values land inside a <style> block; drop anything that could end the declaration
+  _cssValue(value) {
+    return String(value ?? "").replace(/[<>{};"\\]/g, "");
+  }
+
+  // JSON that is safe inside an inline <script>: no "</script>", no HTML comment openers
+  _inlineScriptJson(value) {
+    return JSON.stringify(value)
+      .replace(/</g, "\\u003c")
+      .replace(/>/g, "\\u003e")
+      .replace(/&/g, "\\u0026")
+      .replace(/\u2028/g, "\\u2028")
+      .replace(/\u2029/g, "\\u2029");
+  }
+
+  /**
+   * Check widget options against the allowed keys. Hooks are referenced by the
+   * dotted name of a global function (never inline source) so the emitted
+   * script stays static.
+   * @param {object} options
+   * @param {Function} [ErrorClass=ValidationError]
+   * @returns {object} the options
+   */
+  _validateWidgetOptions(options, ErrorClass = ValidationError) {
+    const fail = (message, data) => {
+      ErrorHandler.add_error(message, data);
+      throw new ErrorClass(message, data);
+    };
+    const unknown = Object.keys(options).filter(
+      (k) => !WIDGET_OPTION_KEYS.includes(k)
+    );
+    if (unknown.length) {
+      fail(`Unsupported widget option(s): ${unknown.join(", ")}`, {
+        unknown,
+      });
+    }
+    if (
+      options.style !== undefined &&
+      !["card", "plain"].includes(options.style)
+    ) {
+      fail(`Unsupported widget style: ${options.style}`, {
+        style: options.style,
+      });
+    }
+    if (
+      options.validateCardHolder !== undefined &&
+      typeof options.validateCardHolder !== "boolean"
+    ) {
+      fail("Widget option validateCardHolder must be a boolean", {
+        key: "validateCardHolder",
+      });
+    }
+    const reg = options.registration;
+    if (
+      reg !== undefined &&
+      typeof reg !== "boolean" &&
+      (typeof reg !== "object" || reg === null || Array.isArray(reg))
+    ) {
+      fail("Widget option registration must be a boolean or { label }", {
+        key: "registration",
+      });
+    }
+    const hooks = options.hooks || {};
+    for (const [name, ref] of Object.entries(hooks)) {
+      if (!WIDGET_OPTION_HOOKS.includes(name)) {
+        fail(`Unsupported widget hook: ${name}`, { hook: name });
+      }
+      if (
+        typeof ref !== "string" ||
+        !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(ref)
+      ) {
+        fail(`Widget hook ${name} must name a global function`, {
+          hook: name,
+        });
+      }
+    }
+    return options;
+  }
+
+  // Per-call options win; nested maps (labels, hooks ...) are merged one level deep
+  _mergeWidgetOptions(base = {}, overrides = {}) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+      const prev = merged[key];
+      merged[key] =
+        value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        prev &&
+        typeof prev === "object" &&
+        !Array.isArray(prev)
+          ? { ...prev, ...value }
+          : value;
+    }
+    return merged;
+  }
+
+  /**
+   * Build the inline `wpwlOptions` script. Plain options are serialized as JSON;
+   * validateCardHolder, registration and hooks become onReady /
+   * onBeforeSubmitCard wrappers generated here.
+   * @param {object} options - validated widget options
+   * @returns {string} JavaScript source
+   */
+  _wpwlOptionsScript(options) {
+    const { validateCardHolder, registration, hooks = {}, ...plain } = options;
+    const js = (value) => this._inlineScriptJson(value);
+    const handlers = {};
+    const addHandler = (name, body) => {
+      (handlers[name] = handlers[name] || []).push(body);
+    };
+
+    if (registration) {
+      const label =
+        (typeof registration === "object" && registration.label) ||
+        "Save card for future payments";
+      addHandler("onReady", [
+        'var f = document.querySelector("form.wpwl-form-card");',
+        'if (f && !f.querySelector("[name=createRegistration]")) {',
+        '  var l = document.createElement("label");',
+        '  l.className = "wpwl-registration";',
+        '  var c = document.createElement("input");',
+        '  c.type = "checkbox"; c.name = "createRegistration"; c.value = "true";',
+        "  l.appendChild(c);",
+        `  l.appendChild(document.createTextNode(" " + ${js(String(label))}));`,
+        '  var b = f.querySelector(".wpwl-button");',
+        "  if (b) b.parentNode.insertBefore(l, b); else f.appendChild(l);",
+        "}",
+      ]);
+    }
+    if (validateCardHolder) {
+      const message =
+        plain.errorMessages?.cardHolderError || "Invalid card holder";
+      addHandler("onBeforeSubmitCard", [
+        'var h = document.querySelector(".wpwl-form-card .wpwl-control-cardHolder");',
+        "if (h && !h.value.trim()) {",
+        '  h.classList.add("wpwl-has-error");',
+        '  if (!h.parentNode.querySelector(".wpwl-hint-cardHolderError")) {',
+        '    var d = document.createElement("div");',
+        '    d.className = "wpwl-hint wpwl-hint-cardHolderError";',
+        `    d.textContent = ${js(String(message))};`,
+        "    h.parentNode.appendChild(d);",
+        "  }",
+        "  return false;",
+        "}",
+      ]);
+    }
+    for (const name of Object.keys(hooks)) {
+      addHandler(name, [
+        `var r = callHook(${js(hooks[name])}, this, arguments);`,
+        name === "onBeforeSubmitCard" ? "return r !== false;" : "return r;",
+      ]);
+    }
+    if (handlers.onBeforeSubmitCard && !hooks.onBeforeSubmitCard) {
+      addHandler("onBeforeSubmitCard", ["return true;"]);
+    }
+
+    const lines = [`var wpwlOptions = ${js(plain)};`];
+    if (!Object.keys(handlers).length) return lines.join("\n");
+
+    lines.push(
+      "(function (o) {",
+      "  function callHook(path, self, args) {",
+      '    var fn = path.split(".").reduce(function (x, k) { return x && x[k]; }, window);',
+      '    return typeof fn === "function" ? fn.apply(self, args) : undefined;',
+      "  }"
+    );
+    for (const [name, bodies] of Object.entries(handlers)) {
+      // Built-in steps run first; a built-in `return false` blocks the user hook
+      lines.push(`  o.${name} = function () {`);
+      for (const body of bodies) {
+        lines.push(...body.map((line) => `    ${line}`));
+      }
+      lines.push("  };");
+    }
+    lines.push("})(wpwlOptions);");
+    return lines.join("\n");
+  }
+
+  /**
+   * Headers for the hosted payment page. The widget script is allowed by nonce
+   * and origin; Copy&Pay injects inline styles and iframes from the gateway host,
+   * and 3-D Secure redirects post to issuer hosts, hence the https: form-action.
+   */
+  _paymentPageHeaders(nonce) {
+    const gateway = this.apiBaseUrl;
+    const csp = [
+      "default-src 'self'",
+      `script-src 'self' 'nonce-${nonce}' ${gateway}`,
+      `style-src 'self' 'unsafe-inline' ${gateway}`,
+      `connect-src 'self' ${gateway}`,
+      `frame-src 'self' ${gateway} https:`,
+      `img-src 'self' data: ${gateway} https:`,
+      "form-action 'self' https:",
+      "base-uri 'none'",
+      "object-src 'none'",
+    ].join("; ");
+    return {
+      "Content-Security-Policy": csp,
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-store",
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+      "X-Content-Type-Options": "nosniff",
+    };
+  }
+
+  _flattenThreeDS(threeDSParams = {}) {
+    // Axcess uses assorted threeDSecure.* parameters; pass through known keys directly
+    const flat = {};
+    for (const [k, v] of Object.entries(threeDSParams)) {
+      flat[`threeDSecure.${k}`] = v;
+    }
+    // apply defaults if not provided
+    if (
+      !flat["threeDSecure.challengeWindowSize"] &&
+      this.threeDSDefaults.challengeWindowSize
+    ) {
+      flat["threeDSecure.challengeWindowSize"] =
+        this.threeDSDefaults.challengeWindowSize;
+    }
+    return flat;
+  }
+
+  _normalizePaymentResult(data = {}) {
+    // Normalize standard fields from Copy&Pay / S2S responses
+    const amount = Number(data.amount || data.card?.amount || 0);
+    const currency = data.currency || data.card?.currency || null;
+    const id = data.id || data.ndc || data.paymentId || null;
+    const resultCode = data.result?.code || data.resultCode || null;
+    const description =
+      data.result?.description || data.resultDescription || "";
+    const classification = ResultCodes.classify(resultCode);
+    return {
+      id,
+      amount,
+      currency,
+      resultCode,
+      description,
+      category: classification.category,
+      approved: classification.successful,
+      pending: classification.pending,
+      needsReview: classification.needsReview,
+      retryable: classification.retryable,
+      softDecline: classification.softDecline,
+      hardDecline: classification.hardDecline,
+    };
+  }
+
+  _statusFromNormalized(normalized) {
+    if (normalized.approved) return "success";
+    if (normalized.pending) return "pending";
+    return "failed";
+  }
+
+  /**
+   * Single entry point for grantAccess/denyAccess. Decisions are recorded per
+   * gateway transaction in the entitlement ledger and applied only when
+   * ENTITLEMENT_TRANSITIONS allows them, so a payment seen by the redirect,
+   * the resolver and a webhook is granted once, and a late success after a
+   * refund or chargeback is recorded but never re-grants. Ledger writes are
+   * conditional on the version read; on a conflict the decision is re-evaluated.
+   * An applied decision is first written as `applying` and the state only
+   * moves once grantAccess/denyAccess has returned, so a callback that throws
+   * (or a worker that dies) never leaves the new state behind without access
+   * having been changed.
+   * @param {'grant'|'deny'|'revoke'} action - revoke is a denyAccess that sticks
+   * @param {object} params
+   * @param {string|null} params.gatewayTxnId - payment the decision applies to
+   * @param {string} params.source - e.g. 'redirect_callback', 's2s_debit', 'webhook'
+   * @param {object} params.payload - passed to grantAccess/denyAccess as before ({ txn } or { event })
+   * @returns {Promise<{applied:boolean, state:string, reason:string|null}>}
+   * @throws {Error} another worker is applying a decision for this payment
+   */
+  async _dispatchEntitlement(action, { gatewayTxnId, source, payload }) {
+    const dispatch = () =>
+      action === "grant"
+        ? this.svc.grantAccess?.(payload)
+        : this.svc.denyAccess?.(payload);
+
+    // Nothing to key on (e.g. a checkout that failed before a payment existed)
+    if (!gatewayTxnId) {
+      await dispatch();
+      return { applied: true, state: null, reason: "untracked" };
+    }
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const current = await this.svc.getEntitlement?.(gatewayTxnId);
+      const now = Date.now();
+      if (
+        current?.applying &&
+        now - current.applying.at < ENTITLEMENT_APPLY_LEASE_MS
+      ) {
+        // Retried later (webhook jobs back off), once that decision has settled
+        throw new LedgerConflictError(
+          `Entitlement for ${gatewayTxnId} is being applied (${current.applying.action})`,
+          { ledger: "entitlement", id: gatewayTxnId, reason: "applying" }
+        );
+      }
+      const from = current?.state || "none";
+      const to = ENTITLEMENT_TRANSITIONS[action][from] || null;
+      // State the action produces on a fresh payment: being there already is a duplicate
+      const target = ENTITLEMENT_TRANSITIONS[action].none;
+      const reason = to
+        ? null
+        : from === target
+        ? "duplicate"
+        : from === "revoked"
+        ? "already_revoked"
+        : `stale_${action}_after_${from}`;
+      const txn = payload.txn || payload.event?.txn || {};
+      const base = {
+        gatewayTxnId,
+        orderId: current?.orderId || txn.orderId || null,
+        userId: current?.userId || txn.userId || null,
+        decisions: current?.decisions || [],
+        createdAt: current?.createdAt || now,
+      };
+      const decision = { action, source, applied: !!to, reason, from, at: now };
+
+      if (!to) {
+        const saved = await this.svc.saveEntitlement?.(
+          {
+            ...base,
+            state: from,
+            version: (current?.version || 0) + 1,
+            decisions: [...base.decisions, decision],
+            updatedAt: now,
+          },
+          current ? current.version : null
+        );
+        if (saved === false) continue;
+        Logger.writeLog({
+          flag: "payment",
+          action: "Entitlement decision skipped",
+          message: `${action} from ${source} not applied: ${reason}`,
+          data: { gatewayTxnId, action, source, state: from, reason },
+        });
+        return { applied: false, state: from, reason };
+      }
+
+      // Claim the payment; the state stays `from` until access has changed
+      const claim = {
+        ...base,
+        state: from,
+        applying: { action, source, to, at: now },
+        version: (current?.version || 0) + 1,
+        updatedAt: now,
+      };
+      const claimed = await this.svc.saveEntitlement?.(
+        claim,
+        current ? current.version : null
+      );
+      if (claimed === false) continue;
+
+      try {
+        await dispatch();
+      } catch (e) {
+        // Leave the state as it was so a retry (e.g. a webhook job) applies it;
+        // if even that fails, the claim expires after ENTITLEMENT_APPLY_LEASE_MS
+        try {
+          await this.svc.saveEntitlement?.(
+            {
+              ...base,
+              state: from,
+              version: claim.version + 1,
+              decisions: [
+                ...base.decisions,
+                {
+                  ...decision,
+                  applied: false,
+                  reason: "dispatch_failed",
+                  error: e.message,
+                },
+              ],
+              updatedAt: Date.now(),
+            },
+            claim.version
+          );
+        } catch (releaseError) {
+          ErrorHandler.add_error("Axcess entitlement claim not released", {
+            gatewayTxnId,
+            action,
+            error: releaseError.message,
+          });
+        }
+        throw e;
+      }
+
+      const finalized = await this.svc.saveEntitlement?.(
+        {
+          ...base,
+          state: to,
+          version: claim.version + 1,
+          decisions: [...base.decisions, decision],
+          updatedAt: Date.now(),
+        },
+        claim.version
+      );
+      if (finalized === false) {
+        ErrorHandler.add_error("Axcess entitlement claim lost", {
+          gatewayTxnId,
+          action,
+          source,
+        });
+      }
+      return { applied: true, state: to, reason: null };
+    }
+
+    ErrorHandler.add_error("Axcess entitlement ledger conflict", {
+      gatewayTxnId,
+      action,
+      source,
+    });
+    throw new LedgerConflictError(
+      `Entitlement ledger conflict for ${gatewayTxnId}`,
+      { ledger: "entitlement", id: gatewayTxnId }
+    );
+  }
+
+  /**
+   * Open the dispute for a chargeback, keyed by the chargeback id. A repeated
+   * notification or job run finds it already stored and changes nothing.
+   * @param {object} event - mapped `chargeback` event
+   */
+  async _openDispute(event) {
+    const { txn } = event;
+    if (!txn.gatewayTxnId) return;
+    const paymentId = txn.parentTxnId || txn.gatewayTxnId;
+    // The ledger of the original grant knows who paid
+    const ledger = await this.svc.getEntitlement?.(paymentId);
+    const now = Date.now();
+    const dueDate = Date.parse(event.chargeback?.dueDate ?? "");
+    const reasonCode = event.chargeback?.reasonCode ?? null;
+    const record = {
+      disputeId: txn.gatewayTxnId,
+      paymentId,
+      userId: ledger?.userId || txn.userId || null,
+      orderId: ledger?.orderId || txn.orderId || null,
+      reasonCode: reasonCode === null ? null : String(reasonCode),
+      amount: txn.amount,
+      currency: txn.currency,
+      resultCode: txn.resultCode || null,
+      entityKey: txn.entityKey || null,
+      status: "open",
+      statusGSI: "status#open",
+      openedAt: now,
+      evidenceDueAt: Number.isNaN(dueDate)
+        ? now + this.disputeConfig.evidenceDays * 24 * 60 * 60 * 1000
+        : dueDate,
+      evidence: [],
+      history: [{ from: null, to: "open", source: "webhook", at: now }],
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+    if ((await this.svc.saveDispute?.(record, null)) === false) return;
+    Logger.writeLog({
+      flag: "payment",
+      action: "Dispute opened",
+      message: `Chargeback ${record.disputeId} disputes payment ${paymentId}`,
+      data: {
+        disputeId: record.disputeId,
+        paymentId,
+        userId: record.userId,
+        reasonCode: record.reasonCode,
+        amount: record.amount,
+        currency: record.currency,
+        evidenceDueAt: record.evidenceDueAt,
+      },
+    });
+  }
+
+  /**
+   * Close the dispute a chargeback reversal (CR) refers to. Its referencedId
+   * names either the chargeback or the original payment; for a payment, the
+   * latest dispute not yet reversed is closed.
+   * @param {object} event - mapped `chargeback_reversal` event
+   * @throws {ValidationError} no matching dispute; the webhook job retries, as
+   *   the chargeback may not have been delivered yet
+   */
+  async _reverseDispute(event) {
+    const { txn } = event;
+    const ref = txn.parentTxnId;
+    const candidates = ref
+      ? [
+          await this.svc.getDispute?.(ref),
+          ...((await this.svc.getDisputesByPayment?.(ref)) || []),
+        ].filter(Boolean)
+      : [];
+    // Already applied by an earlier run of this reversal
+    const done = candidates.find((d) => d.reversalTxnId === txn.gatewayTxnId);
+    if (done) return done;
+    const dispute = candidates
+      .filter((d) => d.status !== "reversed")
+      .sort((a, b) => b.openedAt - a.openedAt)[0];
+    if (!dispute) {
+      const details = {
+        reversalTxnId: txn.gatewayTxnId,
+        referencedId: ref || null,
+      };
+      ErrorHandler.add_error(
+        "Axcess chargeback reversal without dispute",
+        details
+      );
+      throw new ValidationError(
+        "No open dispute for chargeback reversal",
+        details
+      );
+    }
+    return this._updateDispute(dispute.disputeId, "reversed", {
+      source: "webhook",
+      changes: (_, now) => ({
+        reversalTxnId: txn.gatewayTxnId || null,
+        reversedAt: now,
+      }),
+    });
+  }
+
+  /**
+   * Move a dispute to `to` when DISPUTE_TRANSITIONS allows it, appending to
+   * its history. Writes are conditional on the version read, so a webhook and
+   * a merchant update racing on one dispute do not overwrite each other.
+   * @param {string} disputeId
+   * @param {string} to
+   * @param {object} options
+   * @param {string} options.source - 'webhook' | 'merchant'
+   * @param {string} [options.note]
+   * @param {number} [options.now]
+   * @param {(dispute:object, now:number) => object} [options.changes] - extra fields to set
+   * @returns {Promise<object>} updated dispute
+   * @throws {ValidationError} unknown dispute or transition not allowed
+   */
+  async _updateDispute(
+    disputeId,
+    to,
+    { source, note = null, now = Date.now(), changes = () => ({}) }
+  ) {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const current = await this.svc.getDispute?.(disputeId);
+      if (!current) {
+        throw new ValidationError(`Unknown dispute: ${disputeId}`, {
+          disputeId,
+        });
+      }
+      if (!DISPUTE_TRANSITIONS[current.status]?.includes(to)) {
+        const details = { disputeId, status: current.status, to, source };
+        ErrorHandler.add_error("Axcess dispute transition rejected", details);
+        throw new ValidationError(
+          `Dispute cannot move from ${current.status} to ${to}`,
+          details
+        );
+      }
+      const record = {
+        ...current,
+        ...changes(current, now),
+        status: to,
+        statusGSI: DISPUTE_OPEN_STATUSES.includes(to)
+          ? "status#open"
+          : "status#closed",
+        version: current.version + 1,
+        history: [
+          ...(current.history || []),
+          { from: current.status, to, source, note, at: now },
+        ],
+        updatedAt: now,
+      };
+      if ((await this.svc.saveDispute?.(record, current.version)) === false) {
+        continue;
+      }
+      Logger.writeLog({
+        flag: "payment",
+        action: "Dispute updated",
+        message: `Dispute ${disputeId} moved from ${current.status} to ${to}`,
+        data: {
+          disputeId,
+          paymentId: record.paymentId,
+          from: current.status,
+          to,
+          source,
+        },
+      });
+      return record;
+    }
+
+    ErrorHandler.add_error("Axcess dispute conflict", {
+      disputeId,
+      to,
+      source,
+    });
+    throw new LedgerConflictError(`Dispute conflict for ${disputeId}`, {
+      ledger: "dispute",
+      id: disputeId,
+    });
+  }
+
+  /**
+   * Run the risk rules for a payment attempt and store the decision with its
+   * reasons. Nothing is evaluated or stored when no rules are configured.
+   * Every stored decision counts as an attempt for the velocity rules, except
+   * blocked ones.
+   * @param {string} operation - 's2s_debit' | 'create_checkout'
+   * @param {object} cleaned - validated call params (amount, currency, userId?, card?, riskContext)
+   * @returns {Promise<object|null>} stored decision
+   * @throws {RiskBlockedError} when the decision is block
+   */
+  async _assessRisk(operation, cleaned) {
+    const decision = await this._evaluateRisk(operation, cleaned);
+    if (decision) await this._recordRisk(decision);
+    return decision;
+  }
+
+  /**
+   * Run the risk rules without storing anything, for callers that only know
+   * afterwards whether the attempt is a new one (see createCheckoutSession).
+   * @returns {Promise<object|null>} decision record for _recordRisk
+   */
+  async _evaluateRisk(operation, cleaned) {
+    if (!this.riskEngine.active) return null;
+    const ctx = cleaned.riskContext || {};
+    const now = Date.now();
+    const context = {
+      operation,
+      userId: cleaned.userId || null,
+      cardHash: cleaned.card?.number
+        ? this._cardFingerprint(cleaned.card.number)
+        : null,
+      ip: ctx.ip || null,
+      ipCountry: ctx.ipCountry || null,
+      billingCountry: ctx.billingCountry || null,
+      cardCountry: ctx.cardCountry || null,
+      amount: cleaned.amount,
+      currency: cleaned.currency,
+      now,
+    };
+    const { decision, reasons } = await this.riskEngine.evaluate(context, {
+      countAttempts: async (by, value, since) =>
+        (
+          (await this.svc.getRiskDecisionsSince?.(by, value, since)) || []
+        ).filter((d) => d.decision !== "block").length,
+      getProfile: async () =>
+        context.userId
+          ? (await this.svc.getRiskProfile?.(context.userId)) || null
+          : null,
+      // Disputes the merchant won or that were reversed do not count
+      countChargebacks: async () =>
+        context.userId
+          ? ((await this.svc.getDisputesByUser?.(context.userId)) || []).filter(
+              (d) => !["won", "reversed"].includes(d.status)
+            ).length
+          : 0,
+    });
+
+    const record = {
+      decisionId: crypto.randomUUID(),
+      operation,
+      decision,
+      reasons,
+      userId: context.userId,
+      orderId: cleaned.orderId || null,
+      cardHash: context.cardHash,
+      ip: context.ip,
+      ipCountry: context.ipCountry,
+      billingCountry: context.billingCountry,
+      cardCountry: context.cardCountry,
+      amount: context.amount,
+      currency: context.currency,
+      createdAt: now,
+    };
+    return record;
+  }
+
+  /**
+   * Store a decision from _evaluateRisk and act on it.
+   * @param {object} record
+   * @throws {RiskBlockedError} when the decision is block
+   */
+  async _recordRisk(record) {
+    const { decision, reasons, operation } = record;
+    await this.svc.saveRiskDecision?.(record);
+
+    if (decision !== "allow") {
+      Logger.writeLog({
+        flag: "risk",
+        action: `Risk decision ${decision}`,
+        message: `${operation}: ${reasons.map((r) => r.rule).join(", ")}`,
+        data: {
+          decisionId: record.decisionId,
+          operation,
+          userId: record.userId,
+          orderId: record.orderId,
+          reasons,
+        },
+      });
+    }
+    if (decision === "block") {
+      const details = {
+        decisionId: record.decisionId,
+        operation,
+        reasons,
+      };
+      ErrorHandler.add_error("Axcess payment blocked by risk rules", details);
+      throw new RiskBlockedError("Payment blocked by risk rules", details);
+    }
+  }
+
+  // Keyed, so stored fingerprints cannot be matched against card numbers
+  _cardFingerprint(number) {
+    return crypto
+      .createHmac("sha256", String(this.riskConfig.cardHashKey))
+      .update(String(number).replace(/\D/g, ""))
+      .digest("hex");
+  }
+
+  /**
+   * Feed a risk webhook into the risk profile of the user who made the
+   * payment it refers to. A repeated delivery of the same event is ignored.
+   * @param {object} event - mapped `risk_flagged` / `risk_cleared` event
+   */
+  async _updateRiskProfile(event) {
+    const paymentId = event.paymentId || null;
+    const ledger = paymentId
+      ? await this.svc.getEntitlement?.(paymentId)
+      : null;
+    const userId = ledger?.userId || null;
+    Logger.writeLog({
+      flag: "risk",
+      action: `Axcess risk ${event.type}`,
+      message: "Risk webhook",
+      data: { risk: event.risk, paymentId, userId },
+    });
+    if (!userId) return;
+
+    const current = await this.svc.getRiskProfile?.(userId);
+    const eventKey = `${event.type}#${paymentId}`;
+    if (current?.lastEventKey === eventKey) return;
+    const flagged = event.type === "risk_flagged";
+    const now = Date.now();
+    await this.svc.saveRiskProfile?.({
+      userId,
+      status: flagged ? "flagged" : "clear",
+      score: event.risk?.score ?? null,
+      reason: event.risk?.reason || null,
+      rules: event.risk?.rules || [],
+      flaggedCount: (current?.flaggedCount || 0) + (flagged ? 1 : 0),
+      lastFlaggedAt: flagged ? now : current?.lastFlaggedAt || null,
+      lastEventKey: eventKey,
+      createdAt: current?.createdAt || now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Entitlement effect of an S2S result: payments grant or deny; captures act
+   * on their authorization; successful refunds and voids revoke the parent
+   * payment, failed ones change nothing. Voiding the remainder of a partly
+   * captured authorization keeps access.
+   */
+  async _dispatchS2SEntitlement(label, record) {
+    if (record.status === "pending") return;
+    const source = `s2s_${label}`;
+    const payload = { txn: record };
+    if (label === "refund" || label === "void") {
+      if (record.status !== "success") return;
+      if (label === "void" && record.parentTxnId) {
+        const auth = await this.svc.getAuthorization?.(record.parentTxnId);
+        if (auth?.capturedAmount > 0) return;
+      }
+      await this._dispatchEntitlement("revoke", {
+        gatewayTxnId: record.parentTxnId || record.gatewayTxnId,
+        source,
+        payload,
+      });
+      return;
+    }
+    await this._dispatchEntitlement(
+      record.status === "success" ? "grant" : "deny",
+      {
+        gatewayTxnId:
+          label === "capture"
+            ? record.parentTxnId || record.gatewayTxnId
+            : record.gatewayTxnId,
+        source,
+        payload,
+      }
+    );
+  }
+
+  async _handleS2SResponse(res, label, context = {}) {
+    if (res.status < 200 || res.status >= 300) {
+      ErrorHandler.add_error(`Axcess S2S ${label} HTTP error`, {
         status: res.status,
         raw: res.raw,
       });
-      throw new Error(`Axcess S2S ${label} failed (HTTP ${res.status})`);
+      throw this._responseError(
+        res,
+        `Axcess S2S ${label} failed (HTTP ${res.status})`
+      );
     }
     const normalized = this._normalizePaymentResult(res.data || {});
     const record = {
       gateway: "axcess",
       type: `s2s_${label}`,
       gatewayTxnId: normalized.id || null,
+      ...context,
       amount: normalized.amount || null,
       currency: normalized.currency || null,
-      status: normalized.approved
-        ? "success"
-        : normalized.pending
-        ? "pending"
-        : "failed",
+      status: this._statusFromNormalized(normalized),
       code: normalized.resultCode || null,
+      category: normalized.category,
+      needsReview: normalized.needsReview,
       uiMessage: this.mapResultCodeToUiMessage(normalized.resultCode).uiMessage,
       raw: res.data || {},
       createdAt: Date.now(),
     };
     const results = await this.svc.saveTransaction?.(record);
     console.log("Transaction save results:", results);
-    if (record.status === "success")
-      await this.svc.grantAccess?.({ txn: record });
-    if (record.status === "failed")
-      await this.svc.denyAccess?.({ txn: record });
+    await this._dispatchS2SEntitlement(label, record);
+    await this._emitPaymentEvent(record, `s2s_${label}`, label);
+    if (record.status === "pending" && normalized.id) {
+      await this._trackPendingPayment(record, {
+        id: normalized.id,
+        source: "s2s",
+        paymentId: normalized.id,
+      });
+    }
     return { normalized, raw: res.data || {} };
   }
 }
@@ -6,6 +6,16 @@ const table_names = {
   tokens: "paymentGateway_tokens",
   schedules: "paymentGateway_schedules",
   webhooks: "paymentGateway_webhooks",
+  idempotency: "paymentGateway_idempotency",
+  authorizations: "paymentGateway_authorizations",
+  refunds: "paymentGateway_refunds",
+  pendingPayments: "paymentGateway_pending_payments",
+  entitlements: "paymentGateway_entitlements",
+  events: "paymentGateway_events",
+  webhookJobs: "paymentGateway_webhook_jobs",
+  disputes: "paymentGateway_disputes",
+  riskDecisions: "paymentGateway_risk_decisions",
+  riskProfiles: "paymentGateway_risk_profiles",
 };
 
 const gsi_attribute_names = {
@@ -543,15 +553,73 @@ class paymentGatewayService {
    * @property {string} orderId - required
    * @property {string} sessionType - required ('card' | 'token')
    * @property {string} gateway - required
-   * @property {string} status - required ('pending' | 'completed')
+   * @property {string} status - required (SessionStateMachine state: 'created' | 'pending' | 'processing' |
+   *   'succeeded' | 'failed' | 'expired' | 'abandoned')
+   * @property {object[]} [statusHistory] - optional ([{ from, to, at, reason }], appended on every transition)
    * @property {object} payloads - required ({ requestData, responseData })
    * @property {string} [transactionId] - optional
    * @property {string} [redirectUrl] - optional
+   * @property {string} [entityKey] - optional (entity profile the checkout was created on)
    * @property {string} [createdAt] - optional (ISO8601)
    */
   static async saveSession(sessionData) {
     // console.log("Saving session:", sessionData);
-    return scylla_db.putItem(table_names.sessions, sessionData);
+    // Index keys cannot be null; a session without one is left off that index
+    const item = { ...sessionData };
+    for (const field of ["checkoutId", "statusGSI", "order_id", "created_at"]) {
+      if (item[field] == null) delete item[field];
+    }
+    return scylla_db.putItem(table_names.sessions, item);
+  }
+
+  /**
+   * Get the session of a Copy&Pay checkout via checkout_gsi
+   * @param {string} checkout_id - required
+   */
+  static async getSessionByCheckoutId(checkout_id) {
+    const items = await scylla_db.query(
+      table_names.sessions,
+      "#checkoutId = :checkoutId",
+      { ":checkoutId": checkout_id },
+      {
+        IndexName: "checkout_gsi",
+        ExpressionAttributeNames: { "#checkoutId": "checkoutId" },
+      }
+    );
+    return items[0] || null;
+  }
+
+  /**
+   * Page sessions in one status by created_at (oldest first) via status_gsi
+   * @param {string} status - required (e.g. 'pending')
+   * @param {object} [options]
+   * @param {string} [options.createdAfter] - optional ISO8601, inclusive lower bound
+   * @param {string} [options.createdBefore] - optional ISO8601, inclusive upper bound
+   * @param {number} [options.limit=100] - optional page size
+   * @param {object} [options.cursor] - optional, cursor returned with the previous page
+   * @returns {Promise<{items: object[], cursor: object|null}>} cursor is null after the last page
+   */
+  static async getSessionsByStatus(status, options = {}) {
+    const { createdAfter, createdBefore, limit = 100, cursor = null } = options;
+    return scylla_db.queryPage(
+      table_names.sessions,
+      "#statusGSI = :status AND #created_at BETWEEN :after AND :before",
+      {
+        ":status": `status#${status}`,
+        ":after": createdAfter || new Date(0).toISOString(),
+        ":before": createdBefore || new Date().toISOString(),
+      },
+      {
+        IndexName: "status_gsi",
+        ScanIndexForward: true,
+        Limit: limit,
+        ...(cursor ? { ExclusiveStartKey: cursor } : {}),
+        ExpressionAttributeNames: {
+          "#statusGSI": "statusGSI",
+          "#created_at": "created_at",
+        },
+      }
+    );
   }
 
   /**
@@ -586,6 +654,7 @@ class paymentGatewayService {
    * @property {string} [cardType] - optional
    * @property {string} [cardHolderName] - optional
    * @property {string} [tokenId] - optional
+   * @property {string} [entityKey] - optional (entity profile used for the call)
    * @property {string} [createdAt] - optional
    */
   static async saveTransaction(transactionData) {
@@ -603,6 +672,14 @@ class paymentGatewayService {
     return scylla_db.updateItem(table_names.transactions, { pk, sk }, updates);
   }
 
+  /**
+   * Overwrite a transaction record with its settled state (pending payment resolved)
+   * @param {object} transactionData - the record as saved, with updated status/code/raw
+   */
+  static async updateTransactionStatus(transactionData) {
+    return scylla_db.putItem(table_names.transactions, transactionData);
+  }
+
   /**
    * Delete a transaction record
    * @param {string} pk - required
@@ -646,6 +723,33 @@ class paymentGatewayService {
     return scylla_db.updateItem(table_names.schedules, { pk, sk }, updates);
   }
 
+  /**
+   * Create or merge a schedule record keyed by its Axcess schedule id
+   * @param {object} scheduleData
+   * @property {string} scheduleId - required (or subscriptionId)
+   * @property {string} [status] - optional
+   * @property {string} [entityKey] - optional (entity profile the schedule was created on)
+   */
+  static async upsertSchedule(scheduleData) {
+    const id = scheduleData.scheduleId || scheduleData.subscriptionId;
+    if (!id) throw new TypeError("upsertSchedule: scheduleId is required");
+    const key = `schedule#${id}`;
+    return scylla_db.updateItem(
+      table_names.schedules,
+      { pk: key, sk: key },
+      scheduleData
+    );
+  }
+
+  /**
+   * Get a schedule record by its Axcess schedule id
+   * @param {string} schedule_id - required
+   */
+  static async getSchedule(schedule_id) {
+    const key = `schedule#${schedule_id}`;
+    return scylla_db.getItem(table_names.schedules, { pk: key, sk: key });
+  }
+
   /**
    * Delete a schedule record
    * @param {string} pk - required
@@ -671,6 +775,59 @@ class paymentGatewayService {
     return scylla_db.putItem(table_names.webhooks, webhookData);
   }
 
+  /**
+   * Save a webhook record together with its side-effect jobs in one transaction
+   * @param {object} webhookData - required (see saveWebhook)
+   * @param {Array<object>} jobs - required
+   * @property {string} webhookId - required
+   * @property {number} seq - required (1-based, run order)
+   * @property {string} kind - required ('transaction' | 'token' | 'entitlement' | 'event' | 'schedule' | 'risk')
+   * @property {object} event - required (mapped webhook event)
+   * @property {string} status - required ('pending' | 'done' | 'dead')
+   * @property {string} statusGSI - required ('status#pending' | 'status#done' | 'status#dead')
+   * @property {number} attempts - required
+   * @property {number} nextAttemptAt - required (epoch ms)
+   */
+  static async saveWebhookReceipt(webhookData, jobs) {
+    return scylla_db.transactWrite([
+      { table: table_names.webhooks, action: "put", item: webhookData },
+      ...jobs.map((job) => ({
+        table: table_names.webhookJobs,
+        action: "put",
+        item: {
+          ...job,
+          pk: `webhook#${job.webhookId}`,
+          sk: `job#${job.seq}`,
+        },
+      })),
+    ]);
+  }
+
+  /**
+   * Get webhook records received in a time range, oldest first; reads one
+   * page of at most `limit` records
+   * @param {number} from - required (epoch ms, inclusive)
+   * @param {number} to - required (epoch ms, inclusive)
+   * @param {number} [limit=500] - optional
+   */
+  static async getWebhooksReceivedBetween(from, to, limit = 500) {
+    const { items } = await scylla_db.queryPage(
+      table_names.webhooks,
+      "#receivedGSI = :received AND #receivedAt BETWEEN :from AND :to",
+      { ":received": "webhook", ":from": from, ":to": to },
+      {
+        IndexName: "received_gsi",
+        ExpressionAttributeNames: {
+          "#receivedGSI": "receivedGSI",
+          "#receivedAt": "receivedAt",
+        },
+        ScanIndexForward: true,
+        Limit: limit,
+      }
+    );
+    return items;
+  }
+
   /**
    * Update a webhook record
    * @param {string} pk - required
@@ -690,6 +847,116 @@ class paymentGatewayService {
     return scylla_db.deleteItem(table_names.webhooks, { pk, sk });
   }
 
+  /**
+   * Get the side-effect jobs of one webhook, in run order
+   * @param {string} webhook_id - required
+   */
+  static async getWebhookJobs(webhook_id) {
+    const items = await scylla_db.query(
+      table_names.webhookJobs,
+      "#pk = :pk",
+      { ":pk": `webhook#${webhook_id}` },
+      { ExpressionAttributeNames: { "#pk": "pk" } }
+    );
+    return (items || []).sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Update a webhook side-effect job
+   * @param {string} webhook_id - required
+   * @param {number} seq - required
+   * @param {object} updates - required
+   */
+  static async updateWebhookJob(webhook_id, seq, updates) {
+    return scylla_db.updateItem(
+      table_names.webhookJobs,
+      { pk: `webhook#${webhook_id}`, sk: `job#${seq}` },
+      updates
+    );
+  }
+
+  /**
+   * Claim a due webhook job for one worker by moving its nextAttemptAt to the
+   * end of the lease, if it is still pending and unchanged since it was read
+   * @param {string} webhook_id - required
+   * @param {number} seq - required
+   * @param {number} expected_next_attempt_at - required (nextAttemptAt read)
+   * @param {number} lease_until - required (epoch ms)
+   * @returns {Promise<boolean>} false when another worker claimed it first
+   */
+  static async claimWebhookJob(
+    webhook_id,
+    seq,
+    expected_next_attempt_at,
+    lease_until
+  ) {
+    try {
+      await scylla_db.updateItem(
+        table_names.webhookJobs,
+        { pk: `webhook#${webhook_id}`, sk: `job#${seq}` },
+        { nextAttemptAt: lease_until },
+        {
+          ConditionExpression:
+            "#status = :pending AND #nextAttemptAt = :expected",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: scylla_db.marshalItem({
+            ":pending": "pending",
+            ":expected": expected_next_attempt_at,
+          }),
+        }
+      );
+      return true;
+    } catch (error) {
+      if (String(error.awsType || "").includes("ConditionalCheckFailed")) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending webhook jobs due for a retry, oldest first
+   * @param {number} due_before - required (epoch ms)
+   * @param {number} [limit=100] - optional
+   */
+  static async getWebhookJobsDue(due_before, limit = 100) {
+    const { items } = await scylla_db.queryPage(
+      table_names.webhookJobs,
+      "#statusGSI = :status AND #nextAttemptAt <= :dueBefore",
+      { ":status": "status#pending", ":dueBefore": due_before },
+      {
+        IndexName: "status_gsi",
+        ExpressionAttributeNames: {
+          "#statusGSI": "statusGSI",
+          "#nextAttemptAt": "nextAttemptAt",
+        },
+        ScanIndexForward: true,
+        Limit: limit,
+      }
+    );
+    return items;
+  }
+
+  /**
+   * Get webhook jobs by status ('pending' | 'done' | 'dead')
+   * @param {string} status - required
+   * @param {number} [limit=100] - optional
+   */
+  static async getWebhookJobsByStatus(status, limit = 100) {
+    const { items } = await scylla_db.queryPage(
+      table_names.webhookJobs,
+      "#statusGSI = :status",
+      { ":status": `status#${status}` },
+      {
+        IndexName: "status_gsi",
+        ExpressionAttributeNames: { "#statusGSI": "statusGSI" },
+        ScanIndexForward: true,
+        Limit: limit,
+      }
+    );
+    return items;
+  }
+
   /**
    * Save a token record
    * @param {object} tokenData
@@ -699,10 +966,25 @@ class paymentGatewayService {
    * @property {string} expiry - required (YYYY-MM)
    * @property {string} name - required
    * @property {string} type - required
+   * @property {string} [entityKey] - optional (entity profile the token was registered on)
    * @property {string} [createdAt] - optional
    */
   static async saveToken(tokenData) {
-    return scylla_db.putItem(table_names.tokens, tokenData);
+    const key = `token#${tokenData.id || tokenData.registrationId}`;
+    return scylla_db.putItem(table_names.tokens, {
+      pk: key,
+      sk: key,
+      ...tokenData,
+    });
+  }
+
+  /**
+   * Get a token record by its registration id
+   * @param {string} registration_id - required
+   */
+  static async getToken(registration_id) {
+    const key = `token#${registration_id}`;
+    return scylla_db.getItem(table_names.tokens, { pk: key, sk: key });
   }
 
   /**
@@ -723,6 +1005,679 @@ class paymentGatewayService {
   static async deleteToken(pk, sk) {
     return scylla_db.deleteItem(table_names.tokens, { pk, sk });
   }
+
+  /**
+   * Get an idempotency record by key
+   * @param {string} idempotency_key - required
+   */
+  static async getIdempotencyRecord(idempotency_key) {
+    const key = `idempotency#${idempotency_key}`;
+    return scylla_db.getItem(table_names.idempotency, { pk: key, sk: key });
+  }
+
+  /**
+   * Create an idempotency record only if the key is not already stored, or
+   * replace the stale record created at `replaces_created_at`
+   * @param {object} record
+   * @property {string} idempotencyKey - required
+   * @property {string} operation - required
+   * @property {string} fingerprint - required (hash of the request payload)
+   * @property {string} status - required ('in_progress' | 'completed' | 'failed')
+   * @property {object} [result] - optional
+   * @property {object} [error] - optional ({ name, message, details } of a failed call)
+   * @property {number} [leaseExpiresAt] - optional (epoch ms an in-progress call is abandoned)
+   * @property {number} [expiresAt] - optional (epoch seconds; the table TTL removes the record after it)
+   * @param {number|null} [replaces_created_at=null] - createdAt of the stale record being replaced
+   * @returns {Promise<boolean>} false when the key already exists
+   */
+  static async createIdempotencyRecord(record, replaces_created_at = null) {
+    const key = `idempotency#${record.idempotencyKey}`;
+    const condition =
+      replaces_created_at == null
+        ? { ConditionExpression: "attribute_not_exists(pk)" }
+        : {
+            ConditionExpression: "#createdAt = :createdAt",
+            ExpressionAttributeNames: { "#createdAt": "createdAt" },
+            ExpressionAttributeValues: scylla_db.marshalItem({
+              ":createdAt": replaces_created_at,
+            }),
+          };
+    try {
+      await scylla_db.putItem(
+        table_names.idempotency,
+        { ...record, pk: key, sk: key },
+        condition
+      );
+      return true;
+    } catch (error) {
+      if (String(error.awsType || "").includes("ConditionalCheckFailed")) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update an idempotency record
+   * @param {string} idempotency_key - required
+   * @param {object} updates - required
+   */
+  static async updateIdempotencyRecord(idempotency_key, updates) {
+    const key = `idempotency#${idempotency_key}`;
+    return scylla_db.updateItem(
+      table_names.idempotency,
+      { pk: key, sk: key },
+      updates
+    );
+  }
+
+  /**
+   * Delete an idempotency record
+   * @param {string} idempotency_key - required
+   */
+  static async deleteIdempotencyRecord(idempotency_key) {
+    const key = `idempotency#${idempotency_key}`;
+    return scylla_db.deleteItem(table_names.idempotency, { pk: key, sk: key });
+  }
+
+  /**
+   * Get the capture ledger of a pre-authorization
+   * @param {string} payment_id - required (PA payment id)
+   */
+  static async getAuthorization(payment_id) {
+    const key = `authorization#${payment_id}`;
+    return scylla_db.getItem(table_names.authorizations, { pk: key, sk: key });
+  }
+
+  /**
+   * Save an authorization ledger record
+   * @param {object} authorizationData
+   * @property {string} paymentId - required
+   * @property {string} currency - required
+   * @property {string} status - required ('authorized' | 'partially_captured' | 'captured' | 'voided')
+   * @property {number} authorizedAmount - required
+   * @property {number} capturedAmount - required
+   * @property {number} voidedAmount - required
+   * @property {number} remainingAmount - required
+   * @property {number} reservedAmount - required (captures in flight)
+   * @property {Array<object>} captures - required ({ captureId, amount, capturedAt })
+   * @property {string} statusGSI - required ('status#open' | 'status#closed')
+   * @property {number} expiresAt - required (epoch ms, expected issuer expiry)
+   * @property {number} version - required (previous version + 1)
+   * @property {string} [paymentBrand] - optional
+   * @property {number} [createdAt] - optional (epoch ms)
+   * @param {number|null} expected_version - version read, or null for a new ledger
+   * @returns {Promise<boolean>} false when another writer got there first
+   */
+  static async saveAuthorization(authorizationData, expected_version) {
+    const key = `authorization#${authorizationData.paymentId}`;
+    const condition =
+      expected_version == null
+        ? { ConditionExpression: "attribute_not_exists(pk)" }
+        : {
+            ConditionExpression: "#version = :version",
+            ExpressionAttributeNames: { "#version": "version" },
+            ExpressionAttributeValues: scylla_db.marshalItem({
+              ":version": expected_version,
+            }),
+          };
+    try {
+      await scylla_db.putItem(
+        table_names.authorizations,
+        { ...authorizationData, pk: key, sk: key },
+        condition
+      );
+      return true;
+    } catch (error) {
+      if (String(error.awsType || "").includes("ConditionalCheckFailed")) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update an authorization ledger record
+   * @param {string} payment_id - required
+   * @param {object} updates - required
+   */
+  static async updateAuthorization(payment_id, updates) {
+    const key = `authorization#${payment_id}`;
+    return scylla_db.updateItem(
+      table_names.authorizations,
+      { pk: key, sk: key },
+      updates
+    );
+  }
+
+  /**
+   * Get open authorizations expected to expire before a timestamp, soonest first
+   * @param {number} expires_before - required (epoch ms)
+   * @param {number} [limit=100] - optional (max items, read as one page)
+   */
+  static async getAuthorizationsExpiringBefore(expires_before, limit = 100) {
+    const { items } = await scylla_db.queryPage(
+      table_names.authorizations,
+      "#statusGSI = :status AND #expiresAt <= :expiresBefore",
+      { ":status": "status#open", ":expiresBefore": expires_before },
+      {
+        IndexName: "status_gsi",
+        ExpressionAttributeNames: {
+          "#statusGSI": "statusGSI",
+          "#expiresAt": "expiresAt",
+        },
+        ScanIndexForward: true,
+        Limit: limit,
+      }
+    );
+    return items;
+  }
+
+  /**
+   * Get the refund ledger (running totals) of a payment
+   * @param {string} payment_id - required (DB or CP payment id)
+   */
+  static async getRefundLedger(payment_id) {
+    return scylla_db.getItem(table_names.refunds, {
+      pk: `payment#${payment_id}`,
+      sk: "ledger",
+    });
+  }
+
+  /**
+   * Save a refund ledger record
+   * @param {object} ledgerData
+   * @property {string} paymentId - required
+   * @property {string} currency - required
+   * @property {string} status - required ('captured' | 'partially_refunded' | 'refunded')
+   * @property {number} capturedAmount - required
+   * @property {number} refundedAmount - required
+   * @property {number} refundableAmount - required
+   * @property {number} reservedAmount - required (refunds in flight)
+   * @property {number} version - required (previous version + 1)
+   * @property {number} [createdAt] - optional (epoch ms)
+   * @param {number|null} expected_version - version read, or null for a new ledger
+   * @returns {Promise<boolean>} false when another writer got there first
+   */
+  static async saveRefundLedger(ledgerData, expected_version) {
+    const condition =
+      expected_version == null
+        ? { ConditionExpression: "attribute_not_exists(pk)" }
+        : {
+            ConditionExpression: "#version = :version",
+            ExpressionAttributeNames: { "#version": "version" },
+            ExpressionAttributeValues: scylla_db.marshalItem({
+              ":version": expected_version,
+            }),
+          };
+    try {
+      await scylla_db.putItem(
+        table_names.refunds,
+        { ...ledgerData, pk: `payment#${ledgerData.paymentId}`, sk: "ledger" },
+        condition
+      );
+      return true;
+    } catch (error) {
+      if (String(error.awsType || "").includes("ConditionalCheckFailed")) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a refund ledger record
+   * @param {string} payment_id - required
+   * @param {object} updates - required
+   */
+  static async updateRefundLedger(payment_id, updates) {
+    return scylla_db.updateItem(
+      table_names.refunds,
+      { pk: `payment#${payment_id}`, sk: "ledger" },
+      updates
+    );
+  }
+
+  /**
+   * Save a refund linked to its parent payment
+   * @param {object} refundData
+   * @property {string} refundId - required (RF payment id)
+   * @property {string} paymentId - required (parent payment id)
+   * @property {number} amount - required
+   * @property {string} currency - required
+   * @property {string} status - required ('success' | 'pending' | 'failed')
+   * @property {string} [resultCode] - optional
+   * @property {number} [createdAt] - optional (epoch ms)
+   */
+  static async saveRefund(refundData) {
+    return scylla_db.putItem(table_names.refunds, {
+      ...refundData,
+      pk: `payment#${refundData.paymentId}`,
+      sk: `refund#${refundData.createdAt}#${refundData.refundId}`,
+    });
+  }
+
+  /**
+   * Get all refunds of a payment
+   * @param {string} payment_id - required
+   */
+  static async getRefunds(payment_id) {
+    return scylla_db.query(
+      table_names.refunds,
+      "#pk = :pk AND begins_with(#sk, :sk)",
+      { ":pk": `payment#${payment_id}`, ":sk": "refund#" },
+      {
+        ExpressionAttributeNames: { "#pk": "pk", "#sk": "sk" },
+      }
+    );
+  }
+
+  /**
+   * Get a tracked pending payment
+   * @param {string} id - required (checkoutId or S2S payment id)
+   */
+  static async getPendingPayment(id) {
+    const key = `pending#${id}`;
+    return scylla_db.getItem(table_names.pendingPayments, { pk: key, sk: key });
+  }
+
+  /**
+   * Save a pending payment for resolvePendingPayments
+   * @param {object} pendingData
+   * @property {string} id - required (checkoutId or S2S payment id)
+   * @property {string} source - required ('checkout' | 's2s')
+   * @property {string} status - required ('pending' | 'resolved' | 'expired')
+   * @property {string} statusGSI - required ('status#pending' | 'status#resolved' | 'status#expired')
+   * @property {number} attempts - required
+   * @property {number} nextCheckAt - required (epoch ms)
+   * @property {object} txn - required (transaction record as first saved)
+   * @property {string} [resourcePath] - optional (checkout result path)
+   * @property {string} [paymentId] - optional (S2S payment id)
+   * @property {string} [checkoutId] - optional
+   * @property {string} [orderId] - optional
+   * @property {string} [userId] - optional
+   * @property {string} [entityKey] - optional
+   * @property {number} [createdAt] - optional (epoch ms)
+   */
+  static async savePendingPayment(pendingData) {
+    const key = `pending#${pendingData.id}`;
+    return scylla_db.putItem(table_names.pendingPayments, {
+      ...pendingData,
+      pk: key,
+      sk: key,
+    });
+  }
+
+  /**
+   * Update a pending payment record
+   * @param {string} id - required
+   * @param {object} updates - required
+   */
+  static async updatePendingPayment(id, updates) {
+    const key = `pending#${id}`;
+    return scylla_db.updateItem(
+      table_names.pendingPayments,
+      { pk: key, sk: key },
+      updates
+    );
+  }
+
+  /**
+   * Get pending payments due for a re-check, oldest first
+   * @param {number} due_before - required (epoch ms)
+   * @param {number} [limit=100] - optional
+   */
+  static async getPendingPaymentsDue(due_before, limit = 100) {
+    const { items } = await scylla_db.queryPage(
+      table_names.pendingPayments,
+      "#statusGSI = :status AND #nextCheckAt <= :dueBefore",
+      { ":status": "status#pending", ":dueBefore": due_before },
+      {
+        IndexName: "status_gsi",
+        ExpressionAttributeNames: {
+          "#statusGSI": "statusGSI",
+          "#nextCheckAt": "nextCheckAt",
+        },
+        ScanIndexForward: true,
+        Limit: limit,
+      }
+    );
+    return items;
+  }
+
+  /**
+   * Get the entitlement ledger of a payment
+   * @param {string} gateway_txn_id - required
+   */
+  static async getEntitlement(gateway_txn_id) {
+    const key = `entitlement#${gateway_txn_id}`;
+    return scylla_db.getItem(table_names.entitlements, { pk: key, sk: key });
+  }
+
+  /**
+   * Write the entitlement ledger of a payment if nobody changed it since it was read
+   * @param {object} entitlementData
+   * @property {string} gatewayTxnId - required
+   * @property {string} state - required ('granted' | 'denied' | 'revoked')
+   * @property {number} version - required (previous version + 1)
+   * @property {Array<object>} decisions - required ({ action, source, applied, reason, from, at })
+   * @property {string} [orderId] - optional
+   * @property {string} [userId] - optional
+   * @property {number} [createdAt] - optional (epoch ms)
+   * @property {number} [updatedAt] - optional (epoch ms)
+   * @param {number|null} expected_version - version read, or null for a new ledger
+   * @returns {Promise<boolean>} false when another writer got there first
+   */
+  static async saveEntitlement(entitlementData, expected_version) {
+    const key = `entitlement#${entitlementData.gatewayTxnId}`;
+    const condition =
+      expected_version == null
+        ? { ConditionExpression: "attribute_not_exists(pk)" }
+        : {
+            ConditionExpression: "#version = :version",
+            ExpressionAttributeNames: { "#version": "version" },
+            ExpressionAttributeValues: scylla_db.marshalItem({
+              ":version": expected_version,
+            }),
+          };
+    try {
+      await scylla_db.putItem(
+        table_names.entitlements,
+        { ...entitlementData, pk: key, sk: key },
+        condition
+      );
+      return true;
+    } catch (error) {
+      if (String(error.awsType || "").includes("ConditionalCheckFailed")) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add an application event to the outbox unless its key is already stored
+   * @param {object} eventData
+   * @property {string} key - required (`${type}#${dedupe key}`)
+   * @property {string} id - required
+   * @property {string} type - required (e.g. 'payment.succeeded')
+   * @property {object} data - required
+   * @property {string} status - required ('pending' | 'delivered' | 'dead')
+   * @property {string} statusGSI - required ('status#pending' | 'status#delivered' | 'status#dead')
+   * @property {number} attempts - required
+   * @property {Array<string>} deliveredTo - required (handler names that succeeded)
+   * @property {number} nextAttemptAt - required (epoch ms)
+   * @property {number} [occurredAt] - optional (epoch ms)
+   * @returns {Promise<boolean>} false when the key already exists
+   */
+  static async createEvent(eventData) {
+    const key = `event#${eventData.key}`;
+    try {
+      await scylla_db.putItem(
+        table_names.events,
+        { ...eventData, pk: key, sk: key },
+        { ConditionExpression: "attribute_not_exists(pk)" }
+      );
+      return true;
+    } catch (error) {
+      if (String(error.awsType || "").includes("ConditionalCheckFailed")) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update an outbox event
+   * @param {string} event_key - required
+   * @param {object} updates - required
+   */
+  static async updateEvent(event_key, updates) {
+    const key = `event#${event_key}`;
+    return scylla_db.updateItem(
+      table_names.events,
+      { pk: key, sk: key },
+      updates
+    );
+  }
+
+  /**
+   * Get outbox events with handlers due for redelivery, oldest first
+   * @param {number} due_before - required (epoch ms)
+   * @param {number} [limit=100] - optional
+   */
+  static async getEventsDue(due_before, limit = 100) {
+    const { items } = await scylla_db.queryPage(
+      table_names.events,
+      "#statusGSI = :status AND #nextAttemptAt <= :dueBefore",
+      { ":status": "status#pending", ":dueBefore": due_before },
+      {
+        IndexName: "status_gsi",
+        ExpressionAttributeNames: {
+          "#statusGSI": "statusGSI",
+          "#nextAttemptAt": "nextAttemptAt",
+        },
+        ScanIndexForward: true,
+        Limit: limit,
+      }
+    );
+    return items;
+  }
+
+  /**
+   * Get a dispute
+   * @param {string} dispute_id - required (chargeback transaction id)
+   */
+  static async getDispute(dispute_id) {
+    const key = `dispute#${dispute_id}`;
+    return scylla_db.getItem(table_names.disputes, { pk: key, sk: key });
+  }
+
+  /**
+   * Write a dispute if nobody changed it since it was read
+   * @param {object} disputeData
+   * @property {string} disputeId - required (chargeback transaction id)
+   * @property {string} paymentId - required (charged-back payment id)
+   * @property {string} status - required ('open' | 'evidence_submitted' | 'won' | 'lost' | 'reversed')
+   * @property {string} statusGSI - required ('status#open' | 'status#closed')
+   * @property {number} openedAt - required (epoch ms)
+   * @property {number} evidenceDueAt - required (epoch ms)
+   * @property {number} amount - required
+   * @property {string} currency - required
+   * @property {number} version - required (previous version + 1)
+   * @property {Array<object>} history - required ({ from, to, source, note, at })
+   * @property {Array<object>} evidence - required
+   * @property {string} [userId] - optional
+   * @property {string} [orderId] - optional
+   * @property {string} [reasonCode] - optional
+   * @property {string} [reversalTxnId] - optional (CR transaction id)
+   * @param {number|null} expected_version - version read, or null for a new dispute
+   * @returns {Promise<boolean>} false when another writer got there first
+   */
+  static async saveDispute(disputeData, expected_version) {
+    const key = `dispute#${disputeData.disputeId}`;
+    const condition =
+      expected_version == null
+        ? { ConditionExpression: "attribute_not_exists(pk)" }
+        : {
+            ConditionExpression: "#version = :version",
+            ExpressionAttributeNames: { "#version": "version" },
+            ExpressionAttributeValues: scylla_db.marshalItem({
+              ":version": expected_version,
+            }),
+          };
+    // Index keys cannot be null; a dispute with no known user is left off user_gsi
+    const item = { ...disputeData, pk: key, sk: key };
+    if (item.userId == null) delete item.userId;
+    try {
+      await scylla_db.putItem(table_names.disputes, item, condition);
+      return true;
+    } catch (error) {
+      if (String(error.awsType || "").includes("ConditionalCheckFailed")) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get all disputes of a payment
+   * @param {string} payment_id - required
+   */
+  static async getDisputesByPayment(payment_id) {
+    return scylla_db.query(
+      table_names.disputes,
+      "#paymentId = :paymentId",
+      { ":paymentId": payment_id },
+      {
+        IndexName: "payment_gsi",
+        ExpressionAttributeNames: { "#paymentId": "paymentId" },
+      }
+    );
+  }
+
+  /**
+   * Get the open (or evidence submitted) disputes of a user
+   * @param {string} user_id - required
+   */
+  static async getOpenDisputesByUser(user_id) {
+    return scylla_db.query(
+      table_names.disputes,
+      "#userId = :userId",
+      { ":userId": user_id, ":open": "status#open" },
+      {
+        IndexName: "user_gsi",
+        FilterExpression: "#statusGSI = :open",
+        ExpressionAttributeNames: {
+          "#userId": "userId",
+          "#statusGSI": "statusGSI",
+        },
+      }
+    );
+  }
+
+  /**
+   * Get open (or evidence submitted) disputes opened in a time range, oldest first
+   * @param {number} from - required (epoch ms, inclusive)
+   * @param {number} to - required (epoch ms, inclusive)
+   * @param {number} [limit=500] - optional
+   */
+  static async getOpenDisputesBetween(from, to, limit = 500) {
+    const { items } = await scylla_db.queryPage(
+      table_names.disputes,
+      "#statusGSI = :open AND #openedAt BETWEEN :from AND :to",
+      { ":open": "status#open", ":from": from, ":to": to },
+      {
+        IndexName: "status_gsi",
+        ExpressionAttributeNames: {
+          "#statusGSI": "statusGSI",
+          "#openedAt": "openedAt",
+        },
+        ScanIndexForward: true,
+        Limit: limit,
+      }
+    );
+    return items;
+  }
+
+  /**
+   * Get all disputes of a user, whatever their status
+   * @param {string} user_id - required
+   */
+  static async getDisputesByUser(user_id) {
+    return scylla_db.query(
+      table_names.disputes,
+      "#userId = :userId",
+      { ":userId": user_id },
+      {
+        IndexName: "user_gsi",
+        ExpressionAttributeNames: { "#userId": "userId" },
+      }
+    );
+  }
+
+  /**
+   * Save a pre-authorization risk decision
+   * @param {object} decisionData
+   * @property {string} decisionId - required
+   * @property {string} operation - required ('s2s_debit' | 'create_checkout')
+   * @property {string} decision - required ('allow' | 'require_3ds' | 'block')
+   * @property {Array<object>} reasons - required ({ rule, action, detail })
+   * @property {number} amount - required
+   * @property {string} currency - required
+   * @property {number} createdAt - required (epoch ms)
+   * @property {string} [userId] - optional
+   * @property {string} [cardHash] - optional (keyed card fingerprint)
+   * @property {string} [ip] - optional
+   * @property {string} [orderId] - optional
+   */
+  static async saveRiskDecision(decisionData) {
+    const key = `risk_decision#${decisionData.decisionId}`;
+    // Index keys cannot be null; a decision without one is left off that index
+    const item = { ...decisionData, pk: key, sk: key };
+    for (const field of ["userId", "cardHash", "ip"]) {
+      if (item[field] == null) delete item[field];
+    }
+    return scylla_db.putItem(table_names.riskDecisions, item);
+  }
+
+  /**
+   * Get risk decisions for a user, card or IP since a point in time, oldest first
+   * @param {string} by - required ('user' | 'card' | 'ip')
+   * @param {string} value - required
+   * @param {number} since - required (epoch ms, inclusive)
+   */
+  static async getRiskDecisionsSince(by, value, since) {
+    const [index, field] = {
+      user: ["user_gsi", "userId"],
+      card: ["card_gsi", "cardHash"],
+      ip: ["ip_gsi", "ip"],
+    }[by];
+    return scylla_db.query(
+      table_names.riskDecisions,
+      "#field = :value AND #createdAt >= :since",
+      { ":value": value, ":since": since },
+      {
+        IndexName: index,
+        ExpressionAttributeNames: {
+          "#field": field,
+          "#createdAt": "createdAt",
+        },
+      }
+    );
+  }
+
+  /**
+   * Get the risk profile of a user
+   * @param {string} user_id - required
+   */
+  static async getRiskProfile(user_id) {
+    const key = `risk_profile#${user_id}`;
+    return scylla_db.getItem(table_names.riskProfiles, { pk: key, sk: key });
+  }
+
+  /**
+   * Save the risk profile of a user
+   * @param {object} profileData
+   * @property {string} userId - required
+   * @property {string} status - required ('flagged' | 'clear')
+   * @property {number} flaggedCount - required
+   * @property {string} lastEventKey - required (last risk webhook applied)
+   * @property {number} createdAt - required (epoch ms)
+   * @property {number} updatedAt - required (epoch ms)
+   * @property {number} [score] - optional
+   * @property {string} [reason] - optional
+   * @property {Array<string>} [rules] - optional
+   * @property {number} [lastFlaggedAt] - optional (epoch ms)
+   */
+  static async saveRiskProfile(profileData) {
+    const key = `risk_profile#${profileData.userId}`;
+    return scylla_db.putItem(table_names.riskProfiles, {
+      ...profileData,
+      pk: key,
+      sk: key,
+    });
+  }
 }
 
 export default paymentGatewayService;
@@ -0,0 +1,199 @@
+import SafeUtils from "./SafeUtils.js";
+import { WebhookPayloadError } from "./PaymentErrors.js";
+
+/**
+ * Axcess (OPPWA) webhook notification envelope:
+ *   { type: "PAYMENT" | "REGISTRATION" | "RISK" | "SCHEDULE", action?, payload: {...} }
+ * Docs: https://axcessms.docs.oppwa.com/tutorials/webhooks/payload
+ *
+ * Each type has a field schema (SafeUtils.sanitizeValidate rules plus an
+ * optional pattern) and the actions it may carry; `null` in ACTIONS means
+ * the action may be omitted.
+ */
+const PAYMENT_TYPES = {
+  DB: "debit",
+  PA: "preauthorization",
+  CP: "capture",
+  RV: "reversal",
+  RF: "refund",
+  CB: "chargeback",
+  CR: "chargeback_reversal",
+};
+
+const RESULT_CODE = /^\d{3}\.\d{3}\.\d{3}$/;
+const CURRENCY = /^[A-Z]{3}$/;
+
+const SCHEMAS = {
+  PAYMENT: {
+    id: { type: "string", required: true },
+    paymentType: { type: "string", required: true, pattern: /^[A-Z]{2}$/ },
+    amount: { type: "float", required: true },
+    currency: { type: "string", required: true, pattern: CURRENCY },
+    result: { type: "object", required: true },
+    referencedId: { type: "string" },
+    merchantTransactionId: { type: "string" },
+    registrationId: { type: "string" },
+    paymentBrand: { type: "string" },
+    timestamp: { type: "string" },
+    // CB details: { reasonCode, dueDate }
+    chargeback: { type: "object" },
+  },
+  REGISTRATION: {
+    id: { type: "string", required: true },
+    paymentBrand: { type: "string" },
+    card: { type: "object" },
+  },
+  RISK: {
+    id: { type: "string", required: true },
+    referencedId: { type: "string" },
+    risk: { type: "object" },
+    result: { type: "object" },
+  },
+  SCHEDULE: {
+    id: { type: "string", required: true },
+    registrationId: { type: "string" },
+    amount: { type: "float" },
+    currency: { type: "string", pattern: CURRENCY },
+    job: { type: "object" },
+  },
+};
+
+const ACTIONS = {
+  PAYMENT: [null, "CREATED", "UPDATED"],
+  REGISTRATION: ["CREATED", "UPDATED", "DELETED"],
+  RISK: ["FLAGGED", "CLEARED"],
+  SCHEDULE: ["CREATED", "RESCHEDULED", "CANCELED", "DELETED"],
+};
+
+export default class AxcessNotification {
+  static TYPES = Object.keys(SCHEMAS);
+  static PAYMENT_TYPES = PAYMENT_TYPES;
+
+  /**
+   * Whether a decrypted webhook uses the typed envelope (as opposed to the
+   * older `{ type: "payment.success", payment: {...} }` shape).
+   * @param {object} body
+   * @returns {boolean}
+   */
+  static isEnvelope(body) {
+    return (
+      !!body &&
+      typeof body === "object" &&
+      (SCHEMAS[body.type] !== undefined ||
+        (body.payload !== null && typeof body.payload === "object"))
+    );
+  }
+
+  /**
+   * Validate an envelope and return its typed content.
+   * @param {object} body - decrypted webhook JSON
+   * @returns {{type:string, action:(string|null), paymentType:(string|null), payload:object}}
+   *   payload keeps unvalidated fields as received; validated ones are sanitized
+   * @throws {WebhookPayloadError} with `reason` and, for field errors, `field`
+   */
+  static parse(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new WebhookPayloadError("Webhook body must be a JSON object", {
+        reason: "invalid_envelope",
+      });
+    }
+    const schema = SCHEMAS[body.type];
+    if (!schema) {
+      throw new WebhookPayloadError(
+        `Unknown notification type: ${body.type ?? "(missing)"}`,
+        { reason: "unknown_type", field: "type" }
+      );
+    }
+    const action = body.action ?? null;
+    if (!ACTIONS[body.type].includes(action)) {
+      throw new WebhookPayloadError(
+        `Invalid ${body.type} action: ${action ?? "(missing)"}`,
+        { reason: "invalid_action", field: "action" }
+      );
+    }
+    const payload = body.payload;
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      throw new WebhookPayloadError(
+        `${body.type} notification has no payload object`,
+        { reason: "invalid_envelope", field: "payload" }
+      );
+    }
+
+    const cleaned = AxcessNotification._validateFields(
+      body.type,
+      schema,
+      payload
+    );
+
+    if (body.type === "PAYMENT") {
+      if (!PAYMENT_TYPES[cleaned.paymentType]) {
+        throw new WebhookPayloadError(
+          `Unsupported paymentType: ${cleaned.paymentType}`,
+          { reason: "unsupported_payment_type", field: "paymentType" }
+        );
+      }
+      if (!RESULT_CODE.test(String(cleaned.result.code || ""))) {
+        throw new WebhookPayloadError(
+          "PAYMENT notification has no valid result.code",
+          { reason: "invalid_field", field: "result.code" }
+        );
+      }
+      // Follow-up transactions must name the payment they act on
+      if (
+        ["CP", "RV", "RF", "CB", "CR"].includes(cleaned.paymentType) &&
+        !cleaned.referencedId
+      ) {
+        throw new WebhookPayloadError(
+          `${cleaned.paymentType} notification has no referencedId`,
+          { reason: "missing_field", field: "referencedId" }
+        );
+      }
+    }
+
+    return {
+      type: body.type,
+      action,
+      paymentType: cleaned.paymentType ?? null,
+      payload: { ...payload, ...AxcessNotification._present(cleaned) },
+    };
+  }
+
+  // One field at a time, so a failure names its field
+  static _validateFields(type, schema, payload) {
+    const cleaned = {};
+    for (const [field, rule] of Object.entries(schema)) {
+      try {
+        cleaned[field] = SafeUtils.sanitizeValidate({
+          [field]: {
+            value: payload[field],
+            type: rule.type,
+            required: !!rule.required,
+          },
+        })[field];
+      } catch (e) {
+        throw new WebhookPayloadError(`${type} payload: ${e.message}`, {
+          reason: e.message.startsWith("Missing")
+            ? "missing_field"
+            : "invalid_field",
+          field,
+        });
+      }
+      if (rule.pattern && cleaned[field] !== null) {
+        if (!rule.pattern.test(cleaned[field])) {
+          throw new WebhookPayloadError(
+            `${type} payload: invalid ${field}: ${cleaned[field]}`,
+            { reason: "invalid_field", field }
+          );
+        }
+      }
+    }
+    return cleaned;
+  }
+
+  // sanitizeValidate returns null for absent optional fields; drop those
+  static _present(cleaned) {
+    return Object.fromEntries(
+      Object.entries(cleaned).filter(([, v]) => v !== null)
+    );
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Typed errors raised by the payment gateway adapters.
+ * Callers can branch on `instanceof` or on the stable `code` property
+ * instead of matching message strings.
+ */
+export class PaymentGatewayError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details] - extra context attached to the error
+   * @param {string} [code='PAYMENT_GATEWAY_ERROR']
+   */
+  constructor(message, details = {}, code = "PAYMENT_GATEWAY_ERROR") {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Caller-supplied parameters failed validation; nothing was sent to the gateway.
+ */
+export class ValidationError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   */
+  constructor(message, details = {}) {
+    super(message, details, "VALIDATION_ERROR");
+  }
+}
+
+/**
+ * The adapter is misconfigured (missing credentials, secrets or dependencies).
+ */
+export class ConfigurationError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   */
+  constructor(message, details = {}) {
+    super(message, details, "CONFIGURATION_ERROR");
+  }
+}
+
+/**
+ * The gateway could not be reached or answered with an unusable HTTP response.
+ */
+export class TransportError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status, 0 when no response was received
+   * @param {string} [details.raw] - raw response body
+   * @param {string} [code='TRANSPORT_ERROR']
+   */
+  constructor(message, details = {}, code = "TRANSPORT_ERROR") {
+    super(message, details, code);
+    this.status = details.status ?? 0;
+  }
+}
+
+/**
+ * The gateway processed the request and rejected it (issuer decline, 3DS failure,
+ * risk rejection, invalid data ...). Inspect `resultCode` for the reason.
+ */
+export class GatewayRejectedError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.resultCode - Axcess result.code
+   * @param {string} [details.description] - Axcess result.description
+   * @param {string} [details.category] - ResultCodes category
+   * @param {number} [details.status] - HTTP status
+   */
+  constructor(message, details = {}) {
+    super(message, details, "GATEWAY_REJECTED");
+    this.resultCode = details.resultCode || null;
+    this.description = details.description || null;
+    this.category = details.category || null;
+    this.status = details.status ?? null;
+  }
+}
+
+/**
+ * An incoming webhook could not be decrypted, authenticated or parsed.
+ * Routes answer it with 401.
+ */
+export class WebhookVerificationError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {'missing_headers'|'invalid_body'|'invalid_tag'|'decrypt_failed'} [details.reason]
+   */
+  constructor(message, details = {}) {
+    super(message, details, "WEBHOOK_VERIFICATION_FAILED");
+    this.reason = details.reason || null;
+  }
+}
+
+/**
+ * A verified webhook does not match the Axcess notification schema.
+ */
+export class WebhookPayloadError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {'invalid_envelope'|'unknown_type'|'invalid_action'|'missing_field'|'invalid_field'|'unsupported_payment_type'} details.reason
+   * @param {string} [details.field] - offending field, relative to payload
+   */
+  constructor(message, details = {}) {
+    super(message, details, "WEBHOOK_PAYLOAD_INVALID");
+    this.reason = details.reason || null;
+    this.field = details.field || null;
+  }
+}
+
+/**
+ * A Copy&Pay redirect callback was refused before anything was persisted:
+ * forged or foreign resourcePath, unknown checkout, a request that does not
+ * match the stored session, or a replay of a finalized checkout.
+ */
+export class CallbackRejectedError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {'invalid_resource_path'|'unknown_checkout'|'session_mismatch'|'replay'} details.reason
+   * @param {string} [details.checkoutId]
+   * @param {string} [details.sessionStatus] - stored status, set for replays
+   */
+  constructor(message, details = {}) {
+    super(message, details, "CALLBACK_REJECTED");
+    this.reason = details.reason || null;
+    this.sessionStatus = details.sessionStatus || null;
+  }
+}
+
+/**
+ * An idempotency key was reused with a different request payload,
+ * or while the original request is still in flight.
+ */
+export class IdempotencyConflictError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.idempotencyKey
+   * @param {string} details.operation
+   * @param {'payload_mismatch'|'in_progress'} details.reason
+   */
+  constructor(message, details = {}) {
+    super(message, details, "IDEMPOTENCY_CONFLICT");
+    this.idempotencyKey = details.idempotencyKey || null;
+    this.reason = details.reason || null;
+  }
+}
+
+/**
+ * The gateway did not answer within the configured timeout; the request was aborted.
+ */
+export class GatewayTimeoutError extends TransportError {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.url
+   * @param {string} details.method
+   * @param {number} details.timeoutMs
+   */
+  constructor(message, details = {}) {
+    super(message, details, "GATEWAY_TIMEOUT");
+    this.timeoutMs = details.timeoutMs || null;
+  }
+}
+
+/**
+ * Risk rules blocked a payment attempt before anything was sent to the gateway.
+ */
+export class RiskBlockedError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.decisionId - stored risk decision
+   * @param {string} details.operation - 's2s_debit' | 'create_checkout'
+   * @param {Array<{rule:string, action:string, detail:string}>} details.reasons
+   */
+  constructor(message, details = {}) {
+    super(message, details, "RISK_BLOCKED");
+    this.decisionId = details.decisionId || null;
+    this.reasons = details.reasons || [];
+  }
+}
+
+/**
+ * A versioned record (authorization, refund, entitlement or dispute ledger)
+ * kept changing under a concurrent writer, or is held by another worker.
+ * Safe to retry later.
+ */
+export class LedgerConflictError extends PaymentGatewayError {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {'authorization'|'refund'|'entitlement'|'dispute'} details.ledger
+   * @param {string} details.id - payment, transaction or dispute id of the record
+   * @param {'conflict'|'applying'} [details.reason='conflict']
+   */
+  constructor(message, details = {}) {
+    super(message, details, "LEDGER_CONFLICT");
+    this.ledger = details.ledger || null;
+    this.reason = details.reason || "conflict";
+  }
+}
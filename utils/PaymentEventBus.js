@@ -0,0 +1,140 @@
+import ErrorHandler from "./ErrorHandler.js";
+import { ValidationError } from "./PaymentErrors.js";
+
+/**
+ * Payment events published by PaymentGatewayAxcess, with the fields every
+ * payload carries. Other fields are optional and may be null.
+ *
+ * @typedef {object} PaymentEvent
+ * @property {string} id - unique per emission
+ * @property {string} type - one of EVENT_FIELDS' keys
+ * @property {string} key - `${type}#${dedupe key}`; the same key is published once
+ * @property {number} occurredAt - epoch ms
+ * @property {object} data
+ *
+ * payment.*           { gatewayTxnId, orderId, userId, amount, currency, resultCode, source, entityKey }
+ * refund.*            { gatewayTxnId, parentTxnId, amount, currency, resultCode, source }
+ * chargeback.received { gatewayTxnId, parentTxnId, amount, currency, resultCode }
+ * chargeback.reversed { gatewayTxnId, parentTxnId, amount, currency, resultCode }
+ * subscription.*      { subscriptionId, registrationId, amount, currency, interval, reason, source }
+ * token.*             { registrationId, userId, brand, last4, expiry, source }
+ */
+const EVENT_FIELDS = {
+  "payment.succeeded": ["gatewayTxnId"],
+  "payment.authorized": ["gatewayTxnId"],
+  "payment.pending": ["gatewayTxnId"],
+  "payment.failed": [],
+  "payment.voided": ["gatewayTxnId", "parentTxnId"],
+  "refund.completed": ["gatewayTxnId"],
+  "refund.failed": [],
+  "chargeback.received": ["gatewayTxnId"],
+  "chargeback.reversed": ["gatewayTxnId"],
+  "subscription.created": ["subscriptionId"],
+  "subscription.canceled": ["subscriptionId"],
+  "token.created": ["registrationId"],
+  "token.expiring": ["registrationId", "expiry"],
+};
+
+/**
+ * In-process subscriber registry. Handlers run one after another, each in
+ * its own try/catch, so one failing handler neither stops the others nor
+ * the payment flow that emitted the event. Handler names identify them in
+ * the outbox; give them stable names when events may be redelivered after
+ * a restart.
+ */
+export default class PaymentEventBus {
+  static EVENT_TYPES = Object.keys(EVENT_FIELDS);
+
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * @param {string} type - event type, or '*' for every event
+   * @param {(event: PaymentEvent) => (void|Promise<void>)} handler
+   * @param {object} [options]
+   * @param {string} [options.name] - defaults to the function name, then `${type}#n`
+   * @returns {() => void} unsubscribe
+   */
+  on(type, handler, { name } = {}) {
+    if (type !== "*" && !EVENT_FIELDS[type]) {
+      throw new ValidationError(`Unknown payment event type: ${type}`, {
+        type,
+      });
+    }
+    if (typeof handler !== "function") {
+      throw new ValidationError("Event handler must be a function", { type });
+    }
+    const list = this.handlers.get(type) || [];
+    const entry = {
+      name: name || handler.name || `${type}#${list.length + 1}`,
+      handler,
+    };
+    if (list.some((h) => h.name === entry.name)) {
+      throw new ValidationError(`Duplicate event handler name: ${entry.name}`, {
+        type,
+      });
+    }
+    this.handlers.set(type, [...list, entry]);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} handler
+   */
+  off(type, handler) {
+    const list = this.handlers.get(type) || [];
+    this.handlers.set(
+      type,
+      list.filter((h) => h.handler !== handler)
+    );
+  }
+
+  /**
+   * Check a payload against the fields its type requires.
+   * @param {string} type
+   * @param {object} data
+   * @returns {string[]} missing fields (empty when valid)
+   */
+  static missingFields(type, data = {}) {
+    const required = EVENT_FIELDS[type];
+    if (!required) return ["type"];
+    return required.filter((f) => data[f] === undefined || data[f] === null);
+  }
+
+  /**
+   * Run every handler for the event except those already done.
+   * @param {PaymentEvent} event
+   * @param {object} [options]
+   * @param {string[]} [options.skip] - handler names that already succeeded
+   * @returns {Promise<{delivered:string[], failed:Array<{name:string, error:string}>}>}
+   */
+  async deliver(event, { skip = [] } = {}) {
+    const delivered = [];
+    const failed = [];
+    for (const { name, handler } of this._handlersFor(event.type)) {
+      if (skip.includes(name)) continue;
+      try {
+        await handler(event);
+        delivered.push(name);
+      } catch (e) {
+        ErrorHandler.add_error("Axcess event handler failed", {
+          eventId: event.id,
+          type: event.type,
+          handler: name,
+          error: e.message,
+        });
+        failed.push({ name, error: e.message });
+      }
+    }
+    return { delivered, failed };
+  }
+
+  _handlersFor(type) {
+    return [
+      ...(this.handlers.get(type) || []),
+      ...(this.handlers.get("*") || []),
+    ];
+  }
+}
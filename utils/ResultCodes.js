@@ -0,0 +1,176 @@
+/**
+ * Axcess (OPPWA) result-code catalogue.
+ * Classifies `result.code` values into categories using the code groups
+ * published at https://axcessms.docs.oppwa.com/reference/resultCodes.
+ * Order matters: the first matching group wins.
+ */
+const CATEGORIES = {
+  SUCCESS: "success",
+  SUCCESS_REVIEW: "success_needs_review",
+  PENDING: "pending",
+  THREEDS_REJECTION: "threeds_rejection",
+  BANK_REJECTION: "external_bank_rejection",
+  RISK_REJECTION: "risk_rejection",
+  BLACKLIST: "blacklist",
+  SOFT_DECLINE: "soft_decline",
+  VALIDATION_ERROR: "validation_error",
+  COMMUNICATION_ERROR: "communication_error",
+  SYSTEM_ERROR: "system_error",
+  ASYNC_WORKFLOW_ERROR: "async_workflow_error",
+  CHARGEBACK: "chargeback",
+  UNKNOWN: "unknown",
+};
+
+const CODE_GROUPS = [
+  {
+    category: CATEGORIES.SUCCESS,
+    pattern: /^(000\.000\.|000\.100\.1|000\.[36]|000\.400\.[1][12]0)/,
+    description: "Transaction succeeded",
+  },
+  {
+    category: CATEGORIES.SUCCESS_REVIEW,
+    pattern: /^(000\.400\.0[^3]|000\.400\.100)/,
+    description: "Transaction succeeded but should be manually reviewed",
+  },
+  {
+    category: CATEGORIES.PENDING,
+    pattern: /^(000\.200|800\.400\.5|100\.400\.500)/,
+    description: "Transaction pending",
+  },
+  {
+    category: CATEGORIES.THREEDS_REJECTION,
+    pattern: /^(000\.400\.[1][0-9][1-9]|000\.400\.2|800\.400\.2|100\.390)/,
+    description: "Rejected by 3-D Secure or intercard risk checks",
+  },
+  {
+    category: CATEGORIES.BANK_REJECTION,
+    pattern: /^(800\.[17]00|800\.800\.[123])/,
+    description: "Rejected by the external bank or issuer",
+  },
+  {
+    category: CATEGORIES.COMMUNICATION_ERROR,
+    pattern: /^(900\.[1234]00|000\.400\.030)/,
+    description: "Communication error with the connector or bank",
+  },
+  {
+    category: CATEGORIES.SYSTEM_ERROR,
+    pattern: /^(800\.[56]|999\.|600\.1|800\.800\.[84])/,
+    description: "System error",
+  },
+  {
+    category: CATEGORIES.ASYNC_WORKFLOW_ERROR,
+    pattern: /^(100\.39[765])/,
+    description: "Asynchronous workflow error",
+  },
+  {
+    category: CATEGORIES.SOFT_DECLINE,
+    pattern: /^(300\.100\.100)/,
+    description: "Declined; additional customer authentication required",
+  },
+  {
+    category: CATEGORIES.RISK_REJECTION,
+    pattern:
+      /^(100\.400\.[0-3]|100\.38|100\.370\.100|100\.370\.11|800\.1[123456]0)/,
+    description: "Rejected by risk management",
+  },
+  {
+    category: CATEGORIES.VALIDATION_ERROR,
+    pattern: /^(800\.400\.1|100\.800)/,
+    description: "Address validation failed",
+  },
+  {
+    category: CATEGORIES.BLACKLIST,
+    pattern: /^(800\.[32])/,
+    description: "Rejected by a blacklist",
+  },
+  {
+    category: CATEGORIES.VALIDATION_ERROR,
+    pattern:
+      /^(600\.[23]|500\.[12]|800\.121|100\.[13]50|100\.250|100\.360|700\.[1345][05]0|200\.[123]|100\.[53][07]|800\.900|100\.[69]00\.500|100\.700|100\.900\.[123467890][00-99]|100\.100|100\.2[01]|100\.55)/,
+    description: "Request validation failed",
+  },
+  {
+    category: CATEGORIES.CHARGEBACK,
+    pattern: /^(000\.100\.2)/,
+    description: "Chargeback related",
+  },
+];
+
+// Bank rejections that may succeed later with the same card (funds, limits)
+const SOFT_BANK_DECLINES = new Set([
+  "800.100.155",
+  "800.100.162",
+  "800.100.163",
+]);
+
+const CATEGORY_FLAGS = {
+  [CATEGORIES.SUCCESS]: { successful: true },
+  [CATEGORIES.SUCCESS_REVIEW]: { successful: true, needsReview: true },
+  [CATEGORIES.PENDING]: { pending: true },
+  [CATEGORIES.THREEDS_REJECTION]: { softDecline: true },
+  [CATEGORIES.BANK_REJECTION]: { hardDecline: true },
+  [CATEGORIES.RISK_REJECTION]: { hardDecline: true },
+  [CATEGORIES.BLACKLIST]: { hardDecline: true },
+  [CATEGORIES.SOFT_DECLINE]: { softDecline: true },
+  [CATEGORIES.VALIDATION_ERROR]: {},
+  [CATEGORIES.COMMUNICATION_ERROR]: { retryable: true },
+  [CATEGORIES.SYSTEM_ERROR]: { retryable: true },
+  [CATEGORIES.ASYNC_WORKFLOW_ERROR]: {},
+  [CATEGORIES.CHARGEBACK]: {},
+  [CATEGORIES.UNKNOWN]: {},
+};
+
+export default class ResultCodes {
+  static CATEGORIES = CATEGORIES;
+
+  /**
+   * Classify an Axcess result code.
+   * @param {string} resultCode - e.g. '000.100.110'
+   * @returns {{code:string, category:string, description:string, successful:boolean, needsReview:boolean, pending:boolean, retryable:boolean, softDecline:boolean, hardDecline:boolean}}
+   */
+  static classify(resultCode) {
+    const code = String(resultCode || "").trim();
+    const group = code ? CODE_GROUPS.find((g) => g.pattern.test(code)) : null;
+    const category = group ? group.category : CATEGORIES.UNKNOWN;
+
+    const flags = {
+      successful: false,
+      needsReview: false,
+      pending: false,
+      retryable: false,
+      softDecline: false,
+      hardDecline: false,
+      ...CATEGORY_FLAGS[category],
+    };
+    if (
+      category === CATEGORIES.BANK_REJECTION &&
+      SOFT_BANK_DECLINES.has(code)
+    ) {
+      flags.hardDecline = false;
+      flags.softDecline = true;
+    }
+
+    return {
+      code,
+      category,
+      description: group ? group.description : "Unknown result code",
+      ...flags,
+    };
+  }
+
+  /**
+   * @param {string} resultCode
+   * @returns {boolean} true for successful (including needs-review) codes
+   */
+  static isSuccessful(resultCode) {
+    return ResultCodes.classify(resultCode).successful;
+  }
+
+  /**
+   * @param {string} resultCode
+   * @returns {boolean}
+   */
+  static isPending(resultCode) {
+    return ResultCodes.classify(resultCode).pending;
+  }
+}
@@ -0,0 +1,232 @@
+import { ConfigurationError } from "./PaymentErrors.js";
+
+/**
+ * Pre-authorization risk rules. Every rule that fires adds a reason with the
+ * action it asks for; the most severe action is the decision:
+ *
+ *   allow < require_3ds < block
+ *
+ * The engine only decides. Facts that need storage (attempt counts, the
+ * user's risk profile, past chargebacks) are fetched through callbacks, and
+ * only when a rule needs them; the gateway persists the decision.
+ */
+const ACTIONS = ["allow", "require_3ds", "block"];
+
+// Velocity rule key -> context field it counts attempts for
+const VELOCITY_FIELDS = { user: "userId", card: "cardHash", ip: "ip" };
+
+/**
+ * @typedef {object} RiskContext
+ * @property {string} operation - 's2s_debit' | 'create_checkout'
+ * @property {string|null} userId
+ * @property {string|null} cardHash - keyed hash of the card number
+ * @property {string|null} ip
+ * @property {string|null} ipCountry
+ * @property {string|null} billingCountry
+ * @property {string|null} cardCountry
+ * @property {number} amount
+ * @property {string} currency
+ * @property {number} now - epoch ms
+ *
+ * @typedef {object} RiskFacts
+ * @property {(by:string, value:string, since:number) => Promise<number>} countAttempts
+ * @property {() => Promise<object|null>} getProfile - per-user risk profile
+ * @property {() => Promise<number>} countChargebacks - disputes lost or still open
+ */
+export default class RiskEngine {
+  static ACTIONS = ACTIONS;
+
+  /**
+   * @param {object} [config] - `risk` section of the gateway config
+   * @param {Array<{by:('user'|'card'|'ip'), windowMinutes:number, max:number, action:string}>} [config.velocity]
+   * @param {Array<{above:number, currency:string, action:string}>} [config.amountThresholds] - `above` is in `currency`;
+   *   amounts in other currencies are not compared
+   * @param {string} [config.countryMismatch] - action when the known IP, billing and card countries differ
+   * @param {{max:number, action:string}} [config.chargebacks] - action when the user has more disputes than `max`
+   * @param {string} [config.flaggedUser] - action while risk webhooks have the user flagged
+   * @param {Array<(context:RiskContext, facts:RiskFacts) => ({rule?:string, action:string, detail?:string}|null)>} [customRules]
+   *   may be async; return null to abstain
+   * @throws {ConfigurationError}
+   */
+  constructor(config = {}, customRules = []) {
+    const action = (value, where) => {
+      if (value == null) return null;
+      if (!ACTIONS.includes(value)) {
+        throw new ConfigurationError(
+          `Unknown risk action in ${where}: ${value}`
+        );
+      }
+      return value;
+    };
+    const number = (value, where) => {
+      if (value == null || !Number.isFinite(Number(value))) {
+        throw new ConfigurationError(`risk.${where} must be a number`);
+      }
+      return Number(value);
+    };
+
+    this.velocity = (config.velocity || []).map((rule, i) => {
+      if (!VELOCITY_FIELDS[rule?.by]) {
+        throw new ConfigurationError(
+          `risk.velocity[${i}].by must be one of ${Object.keys(
+            VELOCITY_FIELDS
+          ).join(", ")}`
+        );
+      }
+      return {
+        by: rule.by,
+        windowMinutes: number(
+          rule.windowMinutes,
+          `velocity[${i}].windowMinutes`
+        ),
+        max: number(rule.max, `velocity[${i}].max`),
+        action: action(rule.action || "block", `velocity[${i}]`),
+      };
+    });
+    this.amountThresholds = (config.amountThresholds || []).map((rule, i) => {
+      if (typeof rule?.currency !== "string" || !rule.currency.trim()) {
+        throw new ConfigurationError(
+          `risk.amountThresholds[${i}].currency is required`
+        );
+      }
+      return {
+        above: number(rule.above, `amountThresholds[${i}].above`),
+        currency: rule.currency.trim().toUpperCase(),
+        action: action(rule.action || "require_3ds", `amountThresholds[${i}]`),
+      };
+    });
+    this.countryMismatch = action(config.countryMismatch, "countryMismatch");
+    this.chargebacks = config.chargebacks
+      ? {
+          max: number(config.chargebacks.max ?? 0, "chargebacks.max"),
+          action: action(config.chargebacks.action || "block", "chargebacks"),
+        }
+      : null;
+    this.flaggedUser = action(config.flaggedUser, "flaggedUser");
+
+    if (!Array.isArray(customRules)) {
+      throw new ConfigurationError("options.riskRules must be an array");
+    }
+    customRules.forEach((rule, i) => {
+      if (typeof rule !== "function") {
+        throw new ConfigurationError(
+          `options.riskRules[${i}] must be a function`
+        );
+      }
+    });
+    this.customRules = customRules;
+  }
+
+  /** Whether any rule is configured; without rules nothing is evaluated. */
+  get active() {
+    return (
+      this.velocity.length > 0 ||
+      this.amountThresholds.length > 0 ||
+      !!this.countryMismatch ||
+      !!this.chargebacks ||
+      !!this.flaggedUser ||
+      this.customRules.length > 0
+    );
+  }
+
+  /**
+   * @param {RiskContext} context
+   * @param {RiskFacts} facts
+   * @returns {Promise<{decision:string, reasons:Array<{rule:string, action:string, detail:string}>}>}
+   */
+  async evaluate(context, facts) {
+    const reasons = [];
+    const add = (rule, action, detail) =>
+      reasons.push({ rule, action, detail });
+
+    for (const rule of this.velocity) {
+      const value = context[VELOCITY_FIELDS[rule.by]];
+      if (!value) continue;
+      const since = context.now - rule.windowMinutes * 60 * 1000;
+      const count = await facts.countAttempts(rule.by, value, since);
+      if (count >= rule.max) {
+        add(
+          `velocity_${rule.by}`,
+          rule.action,
+          `${count} attempts in ${rule.windowMinutes} min (max ${rule.max})`
+        );
+      }
+    }
+
+    const currency = String(context.currency || "").toUpperCase();
+    for (const rule of this.amountThresholds) {
+      if (rule.currency !== currency) continue;
+      if (Number(context.amount) > rule.above) {
+        add(
+          "amount_threshold",
+          rule.action,
+          `${context.amount} ${currency} above ${rule.above}`
+        );
+      }
+    }
+
+    if (this.countryMismatch) {
+      const countries = {
+        ip: context.ipCountry,
+        billing: context.billingCountry,
+        card: context.cardCountry,
+      };
+      const known = Object.entries(countries).filter(([, c]) => c);
+      const distinct = new Set(known.map(([, c]) => String(c).toUpperCase()));
+      if (distinct.size > 1) {
+        add(
+          "country_mismatch",
+          this.countryMismatch,
+          known.map(([k, c]) => `${k}=${String(c).toUpperCase()}`).join(", ")
+        );
+      }
+    }
+
+    if (this.chargebacks && context.userId) {
+      const count = await facts.countChargebacks();
+      if (count > this.chargebacks.max) {
+        add(
+          "previous_chargebacks",
+          this.chargebacks.action,
+          `${count} chargebacks (max ${this.chargebacks.max})`
+        );
+      }
+    }
+
+    if (this.flaggedUser && context.userId) {
+      const profile = await facts.getProfile();
+      if (profile?.status === "flagged") {
+        add(
+          "flagged_user",
+          this.flaggedUser,
+          profile.reason ||
+            `flagged${profile.score != null ? ` (score ${profile.score})` : ""}`
+        );
+      }
+    }
+
+    for (const [i, rule] of this.customRules.entries()) {
+      const result = await rule(context, facts);
+      if (!result) continue;
+      if (!ACTIONS.includes(result.action)) {
+        throw new ConfigurationError(
+          `Risk rule ${rule.name || i} returned an unknown action: ${
+            result.action
+          }`
+        );
+      }
+      add(
+        result.rule || rule.name || `custom_${i}`,
+        result.action,
+        result.detail || ""
+      );
+    }
+
+    const decision = reasons.reduce(
+      (worst, r) =>
+        ACTIONS.indexOf(r.action) > ACTIONS.indexOf(worst) ? r.action : worst,
+      "allow"
+    );
+    return { decision, reasons };
+  }
+}
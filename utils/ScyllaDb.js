@@ -301,11 +301,20 @@ export default class ScyllaDb {
 
     delete ScyllaDb.#cache.describe[schema.TableName];
 
+    // CreateTable takes no TTL; a TimeToLiveSpecification is applied after it
+    const { TimeToLiveSpecification, ...table } = schema;
     const resp = await ScyllaDb.request(
       "CreateTable",
-      schema,
+      table,
       ScyllaDb.#config.port
     );
+    if (TimeToLiveSpecification) {
+      await ScyllaDb.request(
+        "UpdateTimeToLive",
+        { TableName: schema.TableName, TimeToLiveSpecification },
+        ScyllaDb.#config.port
+      );
+    }
     return resp;
   }
 
@@ -506,9 +515,10 @@ export default class ScyllaDb {
   }
 
   /**
-   * Update item
+   * Update item; options may add a ConditionExpression with its (marshalled)
+   * ExpressionAttributeNames / ExpressionAttributeValues, as for putItem
    */
-  static async updateItem(table, key, data) {
+  static async updateItem(table, key, data, options = {}) {
     if (
       !table ||
       !key ||
@@ -544,9 +554,16 @@ export default class ScyllaDb {
       TableName: table,
       Key: ScyllaDb.marshalItem(key),
       UpdateExpression: `SET ${parts.join(", ")}`,
-      ExpressionAttributeNames: exprNames,
-      ExpressionAttributeValues: ScyllaDb.marshalItem(exprValues),
       ReturnValues: "ALL_NEW",
+      ...options,
+      ExpressionAttributeNames: {
+        ...exprNames,
+        ...(options.ExpressionAttributeNames || {}),
+      },
+      ExpressionAttributeValues: {
+        ...ScyllaDb.marshalItem(exprValues),
+        ...(options.ExpressionAttributeValues || {}),
+      },
     };
 
     const resp = await ScyllaDb.request(
@@ -850,9 +867,60 @@ export default class ScyllaDb {
    * Query items with conditions
    */
   static async query(table, keyConditionExpr, exprVals, options = {}) {
+    let payload = ScyllaDb.#queryPayload(
+      "query",
+      table,
+      keyConditionExpr,
+      exprVals,
+      options
+    );
+
+    const items = [];
+
+    do {
+      const resp = await ScyllaDb.request(
+        "Query",
+        payload,
+        ScyllaDb.#config.port
+      );
+      (resp.Items ?? []).forEach((it) =>
+        items.push(ScyllaDb.unmarshalItem(it))
+      );
+      payload = {
+        ...payload,
+        ExclusiveStartKey: resp.LastEvaluatedKey ?? undefined,
+      };
+    } while (payload.ExclusiveStartKey);
+
+    return items;
+  }
+
+  /**
+   * Query a single page; pass the returned cursor back as
+   * options.ExclusiveStartKey for the next one (null when there is none)
+   */
+  static async queryPage(table, keyConditionExpr, exprVals, options = {}) {
+    const resp = await ScyllaDb.request(
+      "Query",
+      ScyllaDb.#queryPayload(
+        "queryPage",
+        table,
+        keyConditionExpr,
+        exprVals,
+        options
+      ),
+      ScyllaDb.#config.port
+    );
+    return {
+      items: (resp.Items ?? []).map((it) => ScyllaDb.unmarshalItem(it)),
+      cursor: resp.LastEvaluatedKey ?? null,
+    };
+  }
+
+  static #queryPayload(name, table, keyConditionExpr, exprVals, options) {
     if (!table || !keyConditionExpr || typeof exprVals !== "object") {
       throw new TypeError(
-        "query: table, keyConditionExpr and exprVals are required"
+        `${name}: table, keyConditionExpr and exprVals are required`
       );
     }
 
@@ -862,7 +930,7 @@ export default class ScyllaDb {
       ExpressionAttributeValues: ScyllaDb.marshalItem(exprVals),
     };
 
-    let payload = { ...base, ...options };
+    const payload = { ...base, ...options };
 
     // Marshal additional ExpressionAttributeValues from options if present
     if (
@@ -878,24 +946,7 @@ export default class ScyllaDb {
       };
     }
 
-    const items = [];
-
-    do {
-      const resp = await ScyllaDb.request(
-        "Query",
-        payload,
-        ScyllaDb.#config.port
-      );
-      (resp.Items ?? []).forEach((it) =>
-        items.push(ScyllaDb.unmarshalItem(it))
-      );
-      payload = {
-        ...payload,
-        ExclusiveStartKey: resp.LastEvaluatedKey ?? undefined,
-      };
-    } while (payload.ExclusiveStartKey);
-
-    return items;
+    return payload;
   }
 
   /**
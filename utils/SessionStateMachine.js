@@ -0,0 +1,108 @@
+/**
+ * Checkout session lifecycle.
+ *
+ *   created → pending → processing → succeeded | failed | expired | abandoned
+ *
+ * `created` is written before the checkout exists at Axcess, `pending` once
+ * the checkoutId is known, `processing` while Axcess reports a pending result.
+ * Expired and abandoned sessions may still move to `succeeded`: the shopper can
+ * complete the widget after our TTL, and the gateway result is authoritative.
+ */
+const STATES = {
+  CREATED: "created",
+  PENDING: "pending",
+  PROCESSING: "processing",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  EXPIRED: "expired",
+  ABANDONED: "abandoned",
+};
+
+const TRANSITIONS = {
+  [STATES.CREATED]: [STATES.PENDING, STATES.FAILED, STATES.ABANDONED],
+  [STATES.PENDING]: [
+    STATES.PROCESSING,
+    STATES.SUCCEEDED,
+    STATES.FAILED,
+    STATES.EXPIRED,
+    STATES.ABANDONED,
+  ],
+  [STATES.PROCESSING]: [
+    STATES.SUCCEEDED,
+    STATES.FAILED,
+    STATES.EXPIRED,
+    STATES.ABANDONED,
+  ],
+  [STATES.SUCCEEDED]: [],
+  [STATES.FAILED]: [],
+  [STATES.EXPIRED]: [STATES.SUCCEEDED],
+  [STATES.ABANDONED]: [STATES.SUCCEEDED],
+};
+
+// Values written by earlier versions, which copied the transaction status
+const LEGACY_STATES = {
+  success: STATES.SUCCEEDED,
+  completed: STATES.SUCCEEDED,
+};
+
+// Transaction status (see _statusFromNormalized) -> session state
+const PAYMENT_STATUS_STATES = {
+  success: STATES.SUCCEEDED,
+  pending: STATES.PROCESSING,
+  failed: STATES.FAILED,
+};
+
+export default class SessionStateMachine {
+  static STATES = STATES;
+
+  /**
+   * @param {string} status - stored session status, possibly a legacy value
+   * @returns {string|null}
+   */
+  static normalize(status) {
+    if (!status) return null;
+    const lc = String(status).toLowerCase();
+    return LEGACY_STATES[lc] || lc;
+  }
+
+  /**
+   * @param {string} from
+   * @param {string} to
+   * @returns {boolean}
+   */
+  static canTransition(from, to) {
+    const allowed = TRANSITIONS[SessionStateMachine.normalize(from)];
+    return !!allowed && allowed.includes(to);
+  }
+
+  /**
+   * @param {string} state
+   * @returns {boolean} true when no further transition is possible except late success
+   */
+  static isFinal(state) {
+    const s = SessionStateMachine.normalize(state);
+    return [
+      STATES.SUCCEEDED,
+      STATES.FAILED,
+      STATES.EXPIRED,
+      STATES.ABANDONED,
+    ].includes(s);
+  }
+
+  /**
+   * @param {string} state
+   * @returns {boolean} true when the session can never change again (succeeded, failed)
+   */
+  static isTerminal(state) {
+    const allowed = TRANSITIONS[SessionStateMachine.normalize(state)];
+    return !!allowed && allowed.length === 0;
+  }
+
+  /**
+   * @param {'success'|'pending'|'failed'} paymentStatus
+   * @returns {string|null} session state for a payment result
+   */
+  static fromPaymentStatus(paymentStatus) {
+    return PAYMENT_STATUS_STATES[paymentStatus] || null;
+  }
+}
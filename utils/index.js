@@ -4,5 +4,47 @@ import Logger from "./UtilityLogger.js";
 import ScyllaDb from "./ScyllaDb.js";
 import DateTime from "./DateTime.js";
 import SafeUtils from "./SafeUtils.js";
+import ResultCodes from "./ResultCodes.js";
+import SessionStateMachine from "./SessionStateMachine.js";
+import PaymentEventBus from "./PaymentEventBus.js";
+import AxcessNotification from "./AxcessNotification.js";
+import RiskEngine from "./RiskEngine.js";
+import {
+  PaymentGatewayError,
+  ValidationError,
+  ConfigurationError,
+  TransportError,
+  GatewayRejectedError,
+  WebhookVerificationError,
+  WebhookPayloadError,
+  IdempotencyConflictError,
+  GatewayTimeoutError,
+  CallbackRejectedError,
+  RiskBlockedError,
+  LedgerConflictError,
+} from "./PaymentErrors.js";
 
-export { ErrorHandler, Logger, ScyllaDb, DateTime, SafeUtils };
+export {
+  ErrorHandler,
+  Logger,
+  ScyllaDb,
+  DateTime,
+  SafeUtils,
+  ResultCodes,
+  SessionStateMachine,
+  PaymentEventBus,
+  AxcessNotification,
+  RiskEngine,
+  PaymentGatewayError,
+  ValidationError,
+  ConfigurationError,
+  TransportError,
+  GatewayRejectedError,
+  WebhookVerificationError,
+  WebhookPayloadError,
+  IdempotencyConflictError,
+  GatewayTimeoutError,
+  CallbackRejectedError,
+  RiskBlockedError,
+  LedgerConflictError,
+};